@@ -92,7 +92,7 @@ async function main() {
     console.log('🧮 Position Sizing Demo:');
     const positionInfo = await client.calculateMaxPosition('BTCUSDT', 10, 0.98);
     console.log(`Max position size for BTCUSDT with 10x leverage:`);
-    console.log(`- Quantity: ${positionInfo.quantity.toFixed(6)} BTC`);
+    console.log(`- Quantity: ${positionInfo.quantity} BTC`);
     console.log(`- Notional: $${positionInfo.effectiveNotional.toFixed(2)}`);
     console.log(`- Step size: ${positionInfo.stepSize}`);
     console.log(`- Min notional: $${positionInfo.minNotional}\n`);
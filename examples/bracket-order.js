@@ -0,0 +1,65 @@
+/**
+ * Bracket Order Example
+ * Opens an ASTER long with a stop-loss and take-profit attached, then waits for one of them to fill
+ * 
+ * Run with: node examples/bracket-order.js
+ */
+
+import { AsterdexClient } from '../index.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function bracketOrder() {
+  // Check API credentials
+  if (!process.env.ASTERDEX_API_KEY || !process.env.ASTERDEX_API_SECRET) {
+    console.log('❌ API credentials not found!');
+    console.log('Please set ASTERDEX_API_KEY and ASTERDEX_API_SECRET in your .env file');
+    return;
+  }
+
+  const client = new AsterdexClient({
+    apiKey: process.env.ASTERDEX_API_KEY,
+    apiSecret: process.env.ASTERDEX_API_SECRET
+  });
+
+  const SYMBOL = 'ASTERUSDT';
+  const LEVERAGE = 10;
+  const QUANTITY = 10;
+  const STOP_LOSS_PCT = 0.02;   // 2% below entry
+  const TAKE_PROFIT_PCT = 0.04; // 4% above entry
+
+  try {
+    console.log('🚀 ASTER Long with Bracket\n');
+
+    await client.setLeverage(SYMBOL, LEVERAGE);
+    const price = await client.getLastPrice(SYMBOL);
+    const stopLoss = parseFloat((price * (1 - STOP_LOSS_PCT)).toFixed(4));
+    const takeProfit = parseFloat((price * (1 + TAKE_PROFIT_PCT)).toFixed(4));
+
+    console.log(`📍 Price: $${price} | Stop-loss: $${stopLoss} | Take-profit: $${takeProfit}`);
+
+    // Use the user data stream for instant fill notifications instead of polling
+    const stream = client.createUserDataStream();
+    await stream.start();
+
+    const bracket = await client.placeBracketOrder(
+      { symbol: SYMBOL, side: 'BUY', quantity: QUANTITY, stopLoss, takeProfit },
+      { userDataStream: stream }
+    );
+
+    const status = bracket.getStatus();
+    console.log(`✅ Entry filled: ${status.filledQty} @ $${status.entry.avgPrice}`);
+    console.log(`🛡️  Stop-loss order ${status.stopLoss.orderId}, take-profit order ${status.takeProfit.orderId}`);
+    console.log('⏳ Waiting for an exit (Ctrl+C leaves both orders on the exchange)...\n');
+
+    const { leg, order } = await new Promise(resolve => bracket.once('closed', resolve));
+    console.log(`${leg === 'takeProfit' ? '🎯 Take-profit' : '🛑 Stop-loss'} filled @ $${order.averagePrice ?? order.avgPrice}`);
+
+    await stream.stop();
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  }
+}
+
+bracketOrder();
@@ -5,7 +5,7 @@
  * Run with: node examples/multi-symbol-trading.js
  */
 
-import { AsterdexClient, precisionManager } from '../index.js';
+import { AsterdexClient } from '../index.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -49,9 +49,9 @@ async function multiSymbolTrading() {
         
         // Calculate test quantity with correct precision
         const testQuantity = 1.23456789; // Very precise number
-        const smartQuantity = precisionManager.getSmartQuantity(symbol, testQuantity);
+        const smartQuantity = client.precisionManager.getSmartQuantity(symbol, testQuantity);
         
-        console.log(`  Test Quantity: ${testQuantity} → ${smartQuantity.toFixed(precision)} (${precision} dp)`);
+        console.log(`  Test Quantity: ${testQuantity} → ${smartQuantity} (${precision} dp)`);
         
         // Show what would happen with wrong precision
         const wrongPrecision = precision === 2 ? 3 : 2;
@@ -0,0 +1,56 @@
+/**
+ * WebSocket Streams Example
+ * Streams live trades, mark price and 1m klines instead of polling REST endpoints
+ * 
+ * Run with: node examples/websocket-streams.js
+ */
+
+import { AsterdexWebSocketClient } from '../node.js';
+
+async function websocketStreams() {
+  const SYMBOL = 'ASTERUSDT';
+  const RUN_MS = 30000;
+
+  const stream = new AsterdexWebSocketClient();
+
+  stream.on('aggTrade', (trade) => {
+    const side = trade.isBuyerMaker ? '🔴 SELL' : '🟢 BUY ';
+    console.log(`${side} ${trade.quantity} @ $${trade.price}`);
+  });
+
+  stream.on('markPrice', (mark) => {
+    console.log(`📍 Mark: $${mark.markPrice} | Funding: ${(mark.fundingRate * 100).toFixed(4)}%`);
+  });
+
+  stream.on('kline', (kline) => {
+    if (kline.isClosed) {
+      console.log(`🕯️  ${kline.interval} closed: O ${kline.open} H ${kline.high} L ${kline.low} C ${kline.close}`);
+    }
+  });
+
+  stream.on('reconnecting', ({ attempt, delay }) => {
+    console.log(`🔄 Connection lost, reconnect #${attempt} in ${delay}ms...`);
+  });
+
+  stream.on('error', (error) => {
+    console.error('❌ Stream error:', error.message);
+  });
+
+  try {
+    console.log(`🚀 Streaming ${SYMBOL} for ${RUN_MS / 1000} seconds...\n`);
+
+    stream.subscribeAggTrade(SYMBOL);
+    stream.subscribeMarkPrice(SYMBOL, '1s');
+    stream.subscribeKline(SYMBOL, '1m');
+    await stream.connect();
+
+    await new Promise(resolve => setTimeout(resolve, RUN_MS));
+  } catch (error) {
+    console.error('❌ Failed to connect:', error.message);
+  } finally {
+    await stream.close();
+    console.log('\n👋 Stream closed');
+  }
+}
+
+websocketStreams().catch(console.error);
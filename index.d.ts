@@ -2,12 +2,121 @@
  * TypeScript definitions for AsterDEX API Client
  */
 
+import type { AsterdexWebSocketClient, AsterdexUserDataStream, OrderBookManager } from './node.js';
+
 export interface AsterdexConfig {
   apiKey: string;
   apiSecret: string;
   baseURL?: string;
   recvWindow?: number;
   timeout?: number;
+  retry?: Partial<RetryPolicy> | false;
+  rateLimit?: RateLimiterOptions | false;
+  timeSync?: TimeSyncOptions | false;
+  clientOrderIds?: ClientOrderIdOptions | false;
+  orderValidation?: OrderValidationOptions | false;
+  hedgeMode?: boolean;
+  symbolRegistry?: SymbolRegistryOptions;
+  precisionCache?: 'memory' | ({ file: string } & JsonFilePrecisionStorageOptions) | PrecisionStorage;
+  logger?: LogSink | LoggerLike | false;
+  logLevel?: LogLevel;
+  middleware?: RequestMiddleware[];
+  paperTrading?: PaperTradingOptions | boolean;
+  transport?: HttpTransport | ((config: any) => Promise<any>);
+}
+
+export interface CallOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+}
+
+export interface PrecisionStorage {
+  load(namespace: string): Record<string, number> | Promise<Record<string, number>>;
+  save(namespace: string, cache: Record<string, number>): void | Promise<void>;
+}
+
+export interface SymbolRegistryOptions {
+  ttlMs?: number;
+  fallback?: boolean;
+  failureBackoffMs?: number;
+  maxFailureBackoffMs?: number;
+}
+
+export interface ClientOrderIdOptions {
+  enabled?: boolean;
+  prefix?: string;
+  generate?: ((order: OrderRequest) => string) | null;
+}
+
+export interface OrderValidationOptions {
+  enabled?: boolean;
+  autoCorrect?: boolean;
+  roundPrices?: boolean;
+  percentPrice?: boolean;
+}
+
+export interface TimeSyncOptions {
+  enabled?: boolean;
+  resyncIntervalMs?: number;
+  samples?: number;
+  failureBackoffMs?: number;
+  maxFailureBackoffMs?: number;
+}
+
+export interface TimeSyncStatus {
+  enabled: boolean;
+  offset: number;
+  rtt: number | null;
+  lastSync: number;
+  lastError: string | null;
+  lastFailure: number;
+  failures: number;
+}
+
+export interface RateLimit {
+  rateLimitType: 'REQUEST_WEIGHT' | 'ORDERS' | string;
+  interval: 'SECOND' | 'MINUTE' | 'HOUR' | 'DAY';
+  intervalNum: number;
+  limit: number;
+}
+
+export interface RateLimiterOptions {
+  enabled?: boolean;
+  threshold?: number;
+  limits?: RateLimit[];
+  onThrottle?: (event: { key: string; waitMs: number }) => void;
+}
+
+export interface RateLimitUsage {
+  key: string;
+  rateLimitType: string;
+  interval: string;
+  intervalNum: number;
+  limit: number;
+  used: number;
+  remaining: number;
+  resetAt: number;
+}
+
+export interface RetryEvent {
+  method: string;
+  path: string;
+  attempt: number;
+  delay: number;
+  error: any;
+}
+
+export interface RetryPolicy {
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  factor: number;
+  jitter: 'full' | 'equal' | 'none';
+  maxRetryAfterMs: number;
+  retryableStatuses: number[];
+  retryableCodes: number[];
+  retryOnNetworkError: boolean;
+  onRetry: ((event: RetryEvent) => void) | null;
 }
 
 export interface SymbolFilters {
@@ -16,6 +125,39 @@ export interface SymbolFilters {
   tickSize: string;
 }
 
+export type MarginType = 'ISOLATED' | 'CROSSED';
+
+export interface PositionMarginChange {
+  amount: string;
+  asset: string;
+  symbol: string;
+  time: number;
+  type: 1 | 2;
+  positionSide: PositionSide;
+}
+
+export interface TradeDetails {
+  symbol: string;
+  size: string;
+  entryPrice: string;
+  markPrice: string;
+  margin: string;
+  liquidationPrice: string;
+  side: string;
+  positionSide: PositionSide | 'NONE';
+  marginType?: MarginType;
+  isolatedWallet?: number;
+  initialMargin?: number;
+  maintenanceMargin?: number | null;
+  leverage: string;
+  hasPosition: boolean;
+  positionAmt?: number;
+  notionalValue?: number;
+  unrealizedPnl?: number;
+  legs?: TradeDetails[];
+  error?: string;
+}
+
 export interface OrderResponse {
   orderId: number;
   symbol: string;
@@ -131,7 +273,7 @@ export interface PositionInfo {
   price: number;
   leverage: number;
   targetNotional: number;
-  quantity: number;
+  quantity: string;
   effectiveNotional: number;
   stepSize: string;
   minNotional: string;
@@ -142,69 +284,992 @@ export interface TradeResult {
   close: OrderResponse;
   remainingPosition: number;
   positionInfo: PositionInfo;
+  aborted: boolean;
 }
 
 export declare class AsterdexClient {
   constructor(config: AsterdexConfig);
+  precisionManager: PrecisionManager;
+  logger: Logger;
+  middleware: MiddlewarePipeline;
+  use(middleware: RequestMiddleware): () => boolean;
+  transport: HttpTransport;
+  paperTrading: PaperTradingOptions & { enabled: boolean };
+  paperExchange: PaperExchange | null;
 
   // Market Data Methods
-  getExchangeInfo(): Promise<any>;
-  getLastPrice(symbol: string): Promise<number>;
-  get24hrTicker(symbol: string): Promise<any>;
+  getServerTime(options?: CallOptions): Promise<{ serverTime: number }>;
+  syncTime(options?: CallOptions): Promise<number>;
+  getExchangeInfo(options?: CallOptions): Promise<any>;
+  getSymbolFilters(symbol: string, options?: CallOptions): Promise<SymbolInfo | null>;
+  getLastPrice(symbol: string, options?: CallOptions): Promise<number>;
+  getMarkPrice(symbol: string, options?: CallOptions): Promise<number>;
+  get24hrTicker(symbol: string, options?: CallOptions): Promise<any>;
   getKlines(symbol: string, interval: string, options?: {
     startTime?: number;
     endTime?: number;
     limit?: number;
-  }): Promise<Array<Array<number | string>>>;
-  getOrderBook(symbol: string, limit?: number): Promise<any>;
+  } & CallOptions): Promise<Array<Array<number | string>>>;
+  getOrderBook(symbol: string, limit?: number, options?: CallOptions): Promise<any>;
+  getRateLimitUsage(): RateLimitUsage[];
+  createOrderBook(symbol: string, options?: OrderBookManagerOptions): OrderBookManager;
 
   // Account Methods
-  getBalance(): Promise<Balance[]>;
-  getUsdtBalance(): Promise<number>;
-  getAvailableBalance(asset?: string): Promise<number>;
-  getTotalBalance(asset?: string): Promise<number>;
-  getCrossWalletBalance(asset?: string): Promise<number>;
-  getAccountInfo(): Promise<AccountInfo>;
+  getBalance(options?: CallOptions): Promise<Balance[]>;
+  getUsdtBalance(options?: CallOptions): Promise<number>;
+  getAvailableBalance(asset?: string, options?: CallOptions): Promise<number>;
+  getTotalBalance(asset?: string, options?: CallOptions): Promise<number>;
+  getCrossWalletBalance(asset?: string, options?: CallOptions): Promise<number>;
+  getAccountInfo(options?: CallOptions): Promise<AccountInfo>;
 
   // Position Methods
-  getPositions(symbol?: string): Promise<Position[]>;
-  getPositionAmount(symbol: string): Promise<number>;
-  checkTrade(symbol: string): Promise<{
-    symbol: string;
-    size: string;
-    entryPrice: string;
-    markPrice: string;
-    margin: string;
-    liquidationPrice: string;
-    side: string;
-    leverage: string;
-    hasPosition: boolean;
-    positionAmt?: number;
-    notionalValue?: number;
-    unrealizedPnl?: number;
-    error?: string;
-  }>;
+  getPositions(symbol?: string, options?: CallOptions): Promise<Position[]>;
+  getPositionAmount(symbol: string, positionSide?: PositionSide, options?: CallOptions): Promise<number>;
+  getOpenPositions(symbol?: string, options?: CallOptions): Promise<Position[]>;
+  checkTrade(symbol: string, positionSide?: PositionSide, options?: CallOptions): Promise<TradeDetails>;
+
+  // Position Mode Methods
+  getPositionMode(options?: CallOptions): Promise<{ dualSidePosition: boolean }>;
+  setPositionMode(dualSidePosition: boolean, options?: CallOptions): Promise<{ dualSidePosition: boolean }>;
+  isHedgeMode(options?: CallOptions): Promise<boolean>;
+
+  // Margin Methods
+  setMarginType(symbol: string, marginType: MarginType, options?: CallOptions): Promise<{ symbol: string; marginType: MarginType }>;
+  modifyPositionMargin(symbol: string, amount: number, direction: 'ADD' | 'REDUCE', positionSide?: PositionSide, options?: CallOptions): Promise<any>;
+  addPositionMargin(symbol: string, amount: number, positionSide?: PositionSide, options?: CallOptions): Promise<any>;
+  reducePositionMargin(symbol: string, amount: number, positionSide?: PositionSide, options?: CallOptions): Promise<any>;
+  getPositionMarginHistory(symbol: string, options?: {
+    direction?: 'ADD' | 'REDUCE';
+    startTime?: number;
+    endTime?: number;
+    limit?: number;
+  } & CallOptions): Promise<PositionMarginChange[]>;
 
   // Trading Methods
-  setLeverage(symbol: string, leverage: number): Promise<any>;
-  placeMarketOrder(symbol: string, side: 'BUY' | 'SELL', quantity: number, reduceOnly?: boolean): Promise<OrderResponse>;
-  placeLimitOrder(symbol: string, side: 'BUY' | 'SELL', quantity: number, price: number, timeInForce?: string, reduceOnly?: boolean): Promise<OrderResponse>;
-  closePosition(symbol: string, quantity?: number, side?: 'BUY' | 'SELL'): Promise<OrderResponse>;
-  closePositionExact(symbol: string, exactQuantity: number, side: 'BUY' | 'SELL'): Promise<OrderResponse>;
-  cancelOrder(symbol: string, orderId: number): Promise<any>;
-  cancelAllOrders(symbol: string): Promise<any>;
-  getOpenOrders(symbol?: string): Promise<OrderResponse[]>;
-  getOrder(symbol: string, orderId: number): Promise<OrderResponse>;
+  setLeverage(symbol: string, leverage: number, options?: CallOptions): Promise<any>;
+  placeOrder(order: OrderRequest, options?: CallOptions): Promise<OrderResponse>;
+  validateOrder(order: OrderRequest, options?: { autoCorrect?: boolean; roundPrices?: boolean; markPrice?: number } & CallOptions): Promise<OrderValidationResult>;
+  roundPrice(symbol: string, price: number | string, direction?: PriceRounding, options?: CallOptions): Promise<string>;
+  placeBracketOrder(params: BracketOrderParams, options?: BracketOrderOptions): Promise<BracketOrder>;
+  placeBatchOrders(orders: OrderRequest[], options?: CallOptions): Promise<BatchOrderResults>;
+  placeMarketOrder(symbol: string, side: 'BUY' | 'SELL', quantity: number, reduceOnly?: boolean, positionSide?: PositionSide, options?: CallOptions): Promise<OrderResponse>;
+  placeLimitOrder(symbol: string, side: 'BUY' | 'SELL', quantity: number, price: number, timeInForce?: string, reduceOnly?: boolean, positionSide?: PositionSide, options?: CallOptions): Promise<OrderResponse>;
+  closePosition(symbol: string, quantity?: number, side?: 'BUY' | 'SELL', positionSide?: PositionSide, options?: CallOptions): Promise<OrderResponse>;
+  closePositionExact(symbol: string, exactQuantity: number, side: 'BUY' | 'SELL', positionSide?: PositionSide, options?: CallOptions): Promise<OrderResponse>;
+  cancelOrder(symbol: string, orderId: number, options?: CallOptions): Promise<any>;
+  cancelAllOrders(symbol: string, options?: CallOptions): Promise<any>;
+  cancelBatchOrders(symbol: string, ids: { orderIds?: number[]; clientOrderIds?: string[] }, options?: CallOptions): Promise<BatchCancelResults>;
+  getOpenOrders(symbol?: string, options?: CallOptions): Promise<OrderResponse[]>;
+  getOrder(symbol: string, orderId: number, options?: CallOptions): Promise<OrderResponse>;
+  getOrderByClientId(symbol: string, clientOrderId: string, options?: CallOptions): Promise<OrderResponse>;
+  findOrderByClientId(symbol: string, clientOrderId: string, options?: CallOptions): Promise<OrderResponse | null>;
+
+  // User Data Stream Methods
+  createListenKey(options?: CallOptions): Promise<string>;
+  keepAliveListenKey(options?: CallOptions): Promise<any>;
+  closeListenKey(options?: CallOptions): Promise<any>;
+  createUserDataStream(options?: UserDataStreamOptions): AsterdexUserDataStream;
 
   // Utility Methods
-  calculateMaxPosition(symbol: string, leverage: number, safetyBuffer?: number): Promise<PositionInfo>;
-  executeFullBalanceTrade(symbol: string, side: 'BUY' | 'SELL', leverage: number, holdMs: number, safetyBuffer?: number): Promise<TradeResult>;
+  calculateMaxPosition(symbol: string, leverage: number, safetyBuffer?: number, options?: CallOptions): Promise<PositionInfo>;
+  executeFullBalanceTrade(symbol: string, side: 'BUY' | 'SELL', leverage: number, holdMs: number, safetyBuffer?: number, options?: CallOptions): Promise<TradeResult>;
 }
 
 // Utility functions
-export declare function createHmacSignature(secret: string, payload: string): string;
-export declare function roundToStepFloor(qty: number, stepSize: string): number;
-export declare function ensureMinNotional(qty: number, price: number, minNotional: string, stepSize: string): number;
-export declare function qtyFromNotional(notionalUsd: number, price: number, stepSize: string, minNotional: string): number;
+export declare function importHmacKey(secret: string): Promise<CryptoKey>;
+export declare function signHmac(key: CryptoKey, payload: string): Promise<string>;
+export declare function encodeParams(params?: Record<string, any>): string;
+export declare function roundToStepFloor(qty: number | string, stepSize: string): string;
+export declare function roundToStepCeil(value: number | string, stepSize: string): string;
+export declare function ensureMinNotional(qty: number | string, price: number | string, minNotional: string, stepSize: string): string;
+export declare function qtyFromNotional(notionalUsd: number | string, price: number | string, stepSize: string, minNotional: string): string;
 export declare function extractFilters(symbolInfo: any): SymbolFilters;
-export declare function sleep(ms: number): Promise<void>;
+export declare function sleep(ms: number, signal?: AbortSignal | null): Promise<void>;
+
+// Decimal arithmetic
+export declare function toDecimalString(value: number | string): string;
+export declare function compareDecimals(a: number | string, b: number | string): -1 | 0 | 1;
+export declare function addDecimals(a: number | string, b: number | string): string;
+export declare function subtractDecimals(a: number | string, b: number | string): string;
+export declare function multiplyDecimals(a: number | string, b: number | string): string;
+export declare function decimalPlaces(value: number | string): number;
+export declare function floorToStep(value: number | string, step: number | string): string;
+export declare function ceilToStep(value: number | string, step: number | string): string;
+export declare function isStepMultiple(value: number | string, step: number | string): boolean;
+export declare function divideToStep(notional: number | string, price: number | string, step: number | string, up?: boolean): string;
+
+// Retry helpers
+export declare const DEFAULT_RETRY_POLICY: RetryPolicy;
+export declare function resolveRetryPolicy(retry?: Partial<RetryPolicy> | boolean): RetryPolicy;
+export declare function computeBackoffDelay(attempt: number, policy: RetryPolicy, random?: () => number): number;
+export declare function parseRetryAfter(value: string | number | undefined, now?: number): number | null;
+export declare function isIdempotentRequest(method: string, path: string, params?: Record<string, any>): boolean;
+export declare function isRetryableError(error: any, policy: RetryPolicy, idempotent?: boolean): boolean;
+export declare function isAmbiguousOrderError(error: any): boolean;
+
+// Rate limiting
+export declare const DEFAULT_RATE_LIMITS: RateLimit[];
+export declare function getRequestWeight(method: string, path: string, params?: Record<string, any>): number;
+export declare function getOrderCount(method: string, path: string, params?: Record<string, any>): number;
+export declare function getRateLimitHeaders(headers: Record<string, any> | null | undefined): Record<string, string>;
+
+export declare class RateLimiter {
+  constructor(options?: RateLimiterOptions | false);
+  enabled: boolean;
+  threshold: number;
+  loadLimits(rateLimits: RateLimit[]): void;
+  recordHeaders(headers: Record<string, any>, now?: number): void;
+  recordErrorResponse(response: { status: number; headers?: Record<string, any> }, now?: number): void;
+  getWaitTime(weight: number, orders: number, now?: number): { waitMs: number; key: string | null; keys: string[] };
+  acquire(cost?: { weight?: number; orders?: number; signal?: AbortSignal | null }): Promise<void>;
+  reserve(weight: number, orders: number, now?: number): void;
+  getUsage(now?: number): RateLimitUsage[];
+}
+
+// Precision cache
+export declare class PrecisionManager {
+  constructor(options?: { storage?: PrecisionStorage; namespace?: string; logger?: Logger });
+  storage: PrecisionStorage;
+  namespace: string;
+  precisionCache: Record<string, number>;
+  loadPrecisionCache(): Promise<Record<string, number>>;
+  savePrecisionCache(cache?: Record<string, number>): Promise<void>;
+  getPrecision(symbol: string, filters?: SymbolInfo | null): number;
+  setPrecision(symbol: string, precision: number): Promise<void>;
+  roundQuantity(quantity: number | string, precision: number): string;
+  getSmartQuantity(symbol: string, quantity: number | string, filters?: SymbolInfo | null): string;
+  handlePrecisionError<T>(symbol: string, quantity: number, tradeFunction: (quantity: string) => Promise<T>): Promise<T>;
+  calculatePrecisionFromStepSize(stepSize: string): number;
+  detectPrecisionFromExchangeInfo(exchangeInfo: any, symbol: string): number;
+}
+
+export declare const precisionManager: PrecisionManager;
+
+export declare class MemoryPrecisionStorage implements PrecisionStorage {
+  load(namespace: string): Record<string, number>;
+  save(namespace: string, cache: Record<string, number>): void;
+}
+
+export interface JsonFilePrecisionStorageOptions {
+  lockTimeoutMs?: number;
+  staleLockMs?: number;
+}
+
+export declare class JsonFilePrecisionStorage implements PrecisionStorage {
+  constructor(filePath: string, options?: JsonFilePrecisionStorageOptions);
+  filePath: string;
+  lockPath: string;
+  lockTimeoutMs: number;
+  staleLockMs: number;
+  load(namespace: string): Promise<Record<string, number>>;
+  save(namespace: string, cache: Record<string, number>): Promise<void>;
+}
+
+export declare function resolvePrecisionStorage(options?: 'memory' | ({ file: string } & JsonFilePrecisionStorageOptions) | PrecisionStorage): PrecisionStorage;
+
+// Request middleware
+export declare const MIDDLEWARE_HOOKS: Array<keyof RequestMiddleware>;
+export declare function createRequestContext(security: RequestSecurity, method: string, endpoint: string, query?: Record<string, any>, body?: Record<string, any>, options?: CallOptions): RequestContext;
+export declare function syncRequestParams(context: RequestContext): RequestContext;
+
+export declare class MiddlewarePipeline {
+  constructor(middleware?: RequestMiddleware[]);
+  readonly size: number;
+  use(middleware: RequestMiddleware): () => boolean;
+  remove(middleware: RequestMiddleware): boolean;
+  run<T = any>(context: RequestContext, execute: (context: RequestContext) => Promise<T>): Promise<T>;
+}
+
+// Paper trading
+export declare const DEFAULT_PAPER_TRADING_OPTIONS: PaperTradingOptions & { enabled: boolean };
+export declare function resolvePaperTradingOptions(options?: PaperTradingOptions | boolean): PaperTradingOptions & { enabled: boolean };
+
+export declare class PaperExchange {
+  constructor(
+    market: {
+      getLastPrice(symbol: string): Promise<number | string>;
+      getOrderBook?(symbol: string, limit: number): Promise<{ bids: [string, string][]; asks: [string, string][] }>;
+    },
+    options?: PaperTradingOptions & { logger?: Logger }
+  );
+  asset: string;
+  walletBalance: number;
+  dualSidePosition: boolean;
+  trades: PaperTrade[];
+  middleware(): RequestMiddleware;
+  handle(context: RequestContext): Promise<any>;
+  matchOpenOrders(): Promise<void>;
+  getBalance(): Promise<Balance[]>;
+  getAccount(): Promise<AccountInfo>;
+  getPositionRisk(symbol?: string | null): Promise<any[]>;
+}
+
+// HTTP transport
+export declare class FetchTransport implements HttpTransport {
+  constructor(options?: { fetch?: typeof fetch; dispatcher?: any; init?: Record<string, any> });
+  fetch: typeof fetch | null;
+  dispatcher: any;
+  init: Record<string, any>;
+  request(request: HttpRequest): Promise<HttpResponse>;
+}
+
+export declare class AxiosTransport implements HttpTransport {
+  constructor(axios: (config: any) => Promise<any>, options?: Record<string, any>);
+  options: Record<string, any>;
+  request(request: HttpRequest): Promise<HttpResponse>;
+}
+
+export declare function resolveTransport(transport?: HttpTransport | ((config: any) => Promise<any>) | null): HttpTransport;
+
+// Traffic recording
+export declare class TrafficRecorder {
+  constructor(options?: { secrets?: string[] });
+  secrets: string[];
+  entries: TrafficEntry[];
+  middleware(): RequestMiddleware;
+  record(context: RequestContext, outcome: { status: number | null; data?: any; error?: TrafficError }): void;
+  clear(): void;
+  toJSON(): TrafficFixture;
+}
+
+export declare class TrafficReplayer {
+  constructor(fixture: TrafficFixture | TrafficEntry[], options?: TrafficReplayOptions);
+  entries: Array<TrafficEntry & { used: boolean }>;
+  strict: boolean;
+  matchParams: boolean;
+  ignoreParams: string[];
+  optionalEndpoints: string[];
+  readonly remaining: number;
+  middleware(): RequestMiddleware;
+  paramsMatch(entry: TrafficEntry, context: RequestContext): boolean;
+  next(context: RequestContext): TrafficEntry;
+  replay(context: RequestContext): any;
+}
+
+// Logging
+export declare const LOG_LEVELS: LogLevel[];
+export declare function consoleSink(target?: LoggerLike): LogSink;
+export declare function jsonSink(stream?: { write(chunk: string): any }): LogSink;
+export declare function pinoSink(logger: { [level in LogLevel]: (fields: Record<string, any>, message: string) => void }): LogSink;
+export declare function winstonSink(logger: { log(level: LogLevel, message: string, fields: Record<string, any>): void }): LogSink;
+export declare function toLogSink(logger?: LogSink | LoggerLike | false | null): LogSink | null;
+export declare function redact<T>(value: T, secrets?: string[]): T;
+
+export declare class Logger {
+  constructor(sink?: LogSink | null, options?: { level?: LogLevel; fields?: Record<string, any>; secrets?: string[] });
+  sink: LogSink | null;
+  level: LogLevel;
+  fields: Record<string, any>;
+  isEnabled(level: LogLevel): boolean;
+  log(level: LogLevel, message: string, fields?: Record<string, any>): void;
+  debug(message: string, fields?: Record<string, any>): void;
+  info(message: string, fields?: Record<string, any>): void;
+  warn(message: string, fields?: Record<string, any>): void;
+  error(message: string, fields?: Record<string, any>): void;
+  child(fields: Record<string, any>): Logger;
+}
+
+export declare const silentLogger: Logger;
+
+// Symbol registry
+export declare function parseSymbolInfo(symbolInfo: any): SymbolInfo;
+export declare function symbolFiltersFromDatabase(symbol: string): SymbolInfo | null;
+
+export declare class SymbolRegistry {
+  constructor(fetchExchangeInfo: (options: CallOptions) => Promise<any>, options?: SymbolRegistryOptions);
+  ttlMs: number;
+  fallback: boolean;
+  failureBackoffMs: number;
+  maxFailureBackoffMs: number;
+  update(exchangeInfo: any): void;
+  isStale(): boolean;
+  isBackingOff(): boolean;
+  load(options?: CallOptions): Promise<void>;
+  ensureLoaded(options?: CallOptions): Promise<void>;
+  get(symbol: string, options?: CallOptions): Promise<SymbolInfo | null>;
+  getCached(symbol: string): SymbolInfo | null;
+  getSymbols(): string[];
+  getStatus(): SymbolRegistryStatus;
+}
+
+// Time synchronisation
+export declare class TimeSync {
+  constructor(fetchServerTime: (options: CallOptions) => Promise<{ serverTime: number }>, options?: TimeSyncOptions | false);
+  enabled: boolean;
+  offset: number;
+  now(): number;
+  isStale(): boolean;
+  isBackingOff(): boolean;
+  ensureSynced(options?: CallOptions): Promise<void>;
+  sync(options?: CallOptions): Promise<number>;
+  getStatus(): TimeSyncStatus;
+}
+
+// Errors
+export interface AsterdexErrorResponse {
+  status: number;
+  data: any;
+  headers: Record<string, any>;
+}
+
+export declare class AsterdexError extends Error {
+  method?: string;
+  endpoint?: string;
+  params?: Record<string, any>;
+  cause?: unknown;
+  /** Set when the cleanup after this error failed too, e.g. closing a bracket's position */
+  cleanupError?: Error;
+}
+
+export declare class AsterdexApiError extends AsterdexError {
+  code?: number;
+  status: number;
+  exchangeMessage: string;
+  response: AsterdexErrorResponse;
+}
+
+export declare class RateLimitError extends AsterdexApiError {
+  retryAfter: number | null;
+}
+
+export declare class TimestampError extends AsterdexApiError {}
+export declare class AuthenticationError extends AsterdexApiError {}
+export declare class InsufficientMarginError extends AsterdexApiError {}
+export declare class PrecisionError extends AsterdexApiError {}
+
+export type PriceRounding = 'down' | 'up';
+
+export interface OrderCorrection {
+  field: string;
+  from: number | string;
+  to: string;
+}
+
+export interface OrderValidationResult {
+  valid: boolean;
+  order: OrderRequest;
+  violations: OrderViolation[];
+  corrections: OrderCorrection[];
+}
+
+export interface OrderViolation {
+  field: string;
+  message: string;
+}
+
+export declare class OrderValidationError extends AsterdexError {
+  violations: OrderViolation[];
+}
+
+export declare class TrafficReplayError extends AsterdexError {
+  reason: 'invalidFixture' | 'exhausted' | 'mismatch';
+  expected: { method: string; endpoint: string; query?: Record<string, any>; body?: Record<string, any> } | null;
+}
+
+export declare class NetworkError extends AsterdexError {
+  code?: string;
+  timedOut: boolean;
+}
+
+export declare class AbortError extends AsterdexError {
+  reason: any;
+}
+
+export declare const ERROR_CODE_MAP: Record<number, typeof AsterdexApiError>;
+export declare const HTTP_STATUS_MAP: Record<number, typeof AsterdexApiError>;
+export declare function toAsterdexError(error: any, context?: { method?: string; endpoint?: string; params?: Record<string, any> }): AsterdexError;
+export declare function createApiError(
+  response: { status?: number; data: any; headers?: Record<string, string> },
+  context?: { method?: string; endpoint?: string; params?: Record<string, any> },
+  cause?: Error
+): AsterdexApiError;
+export declare function createAbortError(signal: AbortSignal, context?: { method?: string; endpoint?: string; params?: Record<string, any> }): AbortError;
+
+// WebSocket streams
+export interface WebSocketClientOptions {
+  wsURL?: string;
+  combined?: boolean;
+  reconnect?: boolean;
+  reconnectDelayMs?: number;
+  maxReconnectDelayMs?: number;
+  pingIntervalMs?: number;
+  pongTimeoutMs?: number;
+  WebSocket?: any;
+}
+
+export interface AggTradeEvent {
+  eventTime: number;
+  symbol: string;
+  aggTradeId: number;
+  price: number;
+  quantity: number;
+  firstTradeId: number;
+  lastTradeId: number;
+  tradeTime: number;
+  isBuyerMaker: boolean;
+}
+
+export interface MarkPriceEvent {
+  eventTime: number;
+  symbol: string;
+  markPrice: number;
+  indexPrice: number;
+  estimatedSettlePrice: number;
+  fundingRate: number;
+  nextFundingTime: number;
+}
+
+export interface KlineEvent {
+  eventTime: number;
+  symbol: string;
+  interval: string;
+  openTime: number;
+  closeTime: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+  quoteVolume: number;
+  takerBuyVolume: number;
+  takerBuyQuoteVolume: number;
+  trades: number;
+  isClosed: boolean;
+}
+
+export interface BookTickerEvent {
+  eventTime: number;
+  transactionTime: number;
+  updateId: number;
+  symbol: string;
+  bidPrice: number;
+  bidQty: number;
+  askPrice: number;
+  askQty: number;
+}
+
+export interface DepthEvent {
+  eventTime: number;
+  transactionTime: number;
+  symbol: string;
+  firstUpdateId: number;
+  finalUpdateId: number;
+  prevFinalUpdateId: number;
+  bids: Array<[number, number]>;
+  asks: Array<[number, number]>;
+}
+
+export interface MiniTickerEvent {
+  eventTime: number;
+  symbol: string;
+  close: number;
+  open: number;
+  high: number;
+  low: number;
+  volume: number;
+  quoteVolume: number;
+}
+
+export interface ParsedStreamEvent {
+  event: string;
+  stream: string | null;
+  data: any;
+  raw: any;
+}
+
+export declare const STREAM_EVENT_PARSERS: Record<string, { event: string; parse: (raw: any) => any }>;
+export declare function parseStreamMessage(message: any): ParsedStreamEvent[];
+
+export declare const streamNames: {
+  aggTrade(symbol: string): string;
+  markPrice(symbol: string | null, updateSpeed?: '1s' | '3s'): string;
+  kline(symbol: string, interval: string): string;
+  bookTicker(symbol: string | null): string;
+  depth(symbol: string, options?: { levels?: 5 | 10 | 20; updateSpeed?: string }): string;
+  miniTicker(symbol: string | null): string;
+};
+
+// User data stream
+export interface UserDataStreamOptions extends WebSocketClientOptions {
+  keepAliveIntervalMs?: number;
+}
+
+export interface OrderUpdateEvent {
+  eventTime: number;
+  transactionTime: number;
+  symbol: string;
+  clientOrderId: string;
+  side: 'BUY' | 'SELL';
+  orderType: string;
+  timeInForce: string;
+  quantity: number;
+  price: number;
+  averagePrice: number;
+  stopPrice: number;
+  executionType: 'NEW' | 'CANCELED' | 'CALCULATED' | 'EXPIRED' | 'TRADE' | string;
+  orderStatus: 'NEW' | 'PARTIALLY_FILLED' | 'FILLED' | 'CANCELED' | 'EXPIRED' | string;
+  orderId: number;
+  lastFilledQty: number;
+  filledQty: number;
+  lastFilledPrice: number;
+  commissionAsset: string;
+  commission: number;
+  tradeTime: number;
+  tradeId: number;
+  isMaker: boolean;
+  reduceOnly: boolean;
+  workingType: string;
+  originalType: string;
+  positionSide: string;
+  closePosition: boolean;
+  activationPrice?: number;
+  callbackRate?: number;
+  realizedProfit: number;
+}
+
+export interface BalanceUpdate {
+  asset: string;
+  walletBalance: number;
+  crossWalletBalance: number;
+  balanceChange: number;
+}
+
+export interface PositionUpdate {
+  symbol: string;
+  positionAmt: number;
+  entryPrice: number;
+  accumulatedRealized: number;
+  unrealizedPnl: number;
+  marginType: string;
+  isolatedWallet: number;
+  positionSide: string;
+}
+
+export interface AccountUpdateEvent {
+  eventTime: number;
+  transactionTime: number;
+  reason: string;
+  balances: BalanceUpdate[];
+  positions: PositionUpdate[];
+}
+
+export interface MarginCallEvent {
+  eventTime: number;
+  crossWalletBalance: number;
+  positions: Array<{
+    symbol: string;
+    positionSide: string;
+    positionAmt: number;
+    marginType: string;
+    isolatedWallet: number;
+    markPrice: number;
+    unrealizedPnl: number;
+    maintenanceMargin: number;
+  }>;
+}
+
+export interface AccountConfigUpdateEvent {
+  eventTime: number;
+  transactionTime: number;
+  symbol?: string;
+  leverage?: number;
+  multiAssetsMode?: boolean;
+}
+
+// Local order book
+export type PriceLevel = [number, number];
+
+export interface OrderBookSpread {
+  bestBid: number;
+  bestAsk: number;
+  spread: number;
+  midPrice: number;
+  spreadBps: number;
+}
+
+export interface OrderBookDepth {
+  bps: number;
+  midPrice: number;
+  bidQty: number;
+  askQty: number;
+  bidNotional: number;
+  askNotional: number;
+}
+
+export interface VwapEstimate {
+  side: 'BUY' | 'SELL';
+  requestedQty: number;
+  filledQty: number;
+  averagePrice: number | null;
+  notional: number;
+  worstPrice: number | null;
+  fullyFilled: boolean;
+  slippageBps: number | null;
+}
+
+export interface OrderBookManagerOptions {
+  ws?: AsterdexWebSocketClient;
+  wsOptions?: WebSocketClientOptions;
+  depthLimit?: number;
+  updateSpeed?: '100ms' | '250ms' | '500ms';
+  maxSyncAttempts?: number;
+  syncRetryDelayMs?: number;
+  maxSyncRetryDelayMs?: number;
+  maxBufferedEvents?: number;
+}
+
+export declare class OrderBook {
+  constructor(symbol: string);
+  symbol: string;
+  lastUpdateId: number;
+  loadSnapshot(snapshot: { lastUpdateId: number; bids: Array<[string, string]>; asks: Array<[string, string]> }): void;
+  applyDiff(event: DepthEvent): 'applied' | 'stale' | 'gap';
+  getBids(limit?: number): PriceLevel[];
+  getAsks(limit?: number): PriceLevel[];
+  getBestBid(): PriceLevel | null;
+  getBestAsk(): PriceLevel | null;
+  getSpread(): OrderBookSpread | null;
+  getDepthWithin(bps: number): OrderBookDepth | null;
+  getVwap(side: 'BUY' | 'SELL', quantity: number): VwapEstimate;
+}
+
+// Orders
+export type OrderSide = 'BUY' | 'SELL';
+export type OrderType = 'MARKET' | 'LIMIT' | 'STOP' | 'STOP_MARKET' | 'TAKE_PROFIT' | 'TAKE_PROFIT_MARKET' | 'TRAILING_STOP_MARKET';
+export type PositionSide = 'BOTH' | 'LONG' | 'SHORT';
+export type TimeInForce = 'GTC' | 'IOC' | 'FOK' | 'GTX';
+export type WorkingType = 'MARK_PRICE' | 'CONTRACT_PRICE';
+
+export interface OrderOptions {
+  positionSide?: PositionSide;
+  timeInForce?: TimeInForce;
+  reduceOnly?: boolean;
+  closePosition?: boolean;
+  workingType?: WorkingType;
+  priceProtect?: boolean;
+  activationPrice?: number | string;
+  newClientOrderId?: string;
+  newOrderRespType?: 'ACK' | 'RESULT';
+}
+
+export interface OrderRequest extends OrderOptions {
+  symbol: string;
+  side: OrderSide;
+  type: OrderType;
+  quantity?: number | string;
+  price?: number | string;
+  stopPrice?: number | string;
+  callbackRate?: number | string;
+}
+
+export declare const ORDER_TYPES: OrderType[];
+export declare const ORDER_SIDES: OrderSide[];
+export declare const POSITION_SIDES: PositionSide[];
+export declare const TIME_IN_FORCE: TimeInForce[];
+export declare const WORKING_TYPES: WorkingType[];
+
+export declare const DEFAULT_CLIENT_ORDER_ID_OPTIONS: Required<ClientOrderIdOptions>;
+export declare function generateClientOrderId(prefix?: string): string;
+export declare function resolveClientOrderIdOptions(options?: ClientOrderIdOptions | boolean): Required<ClientOrderIdOptions>;
+export declare function getOrderViolations(order: OrderRequest): OrderViolation[];
+export declare function validateOrderParams(order: OrderRequest): void;
+export declare function getFilterViolations(order: OrderRequest, symbolInfo: any, options?: { markPrice?: number }): OrderViolation[];
+export declare function validateOrder(order: OrderRequest, symbolInfo: any, options?: { autoCorrect?: boolean; roundPrices?: boolean; markPrice?: number }): OrderValidationResult;
+export declare function getPriceRounding(order: OrderRequest, field: 'price' | 'stopPrice' | 'activationPrice'): PriceRounding;
+export declare function roundPriceToTick(price: number | string, tickSize: string, direction?: PriceRounding): string;
+export declare function roundOrderPrices(order: OrderRequest, tickSize: string): OrderRequest;
+export declare const DEFAULT_ORDER_VALIDATION_OPTIONS: Required<OrderValidationOptions>;
+export declare function resolveOrderValidationOptions(options?: OrderValidationOptions | boolean): Required<OrderValidationOptions>;
+export declare function toOrderParams(order: OrderRequest): Record<string, string>;
+export declare function buildMarketOrder(symbol: string, side: OrderSide, quantity: number | string, options?: OrderOptions): OrderRequest;
+export declare function buildLimitOrder(symbol: string, side: OrderSide, quantity: number | string, price: number | string, options?: OrderOptions): OrderRequest;
+export declare function buildStopOrder(symbol: string, side: OrderSide, quantity: number | string, price: number | string, stopPrice: number | string, options?: OrderOptions): OrderRequest;
+export declare function buildStopMarketOrder(symbol: string, side: OrderSide, quantity: number | string | null, stopPrice: number | string, options?: OrderOptions): OrderRequest;
+export declare function buildTakeProfitOrder(symbol: string, side: OrderSide, quantity: number | string, price: number | string, stopPrice: number | string, options?: OrderOptions): OrderRequest;
+export declare function buildTakeProfitMarketOrder(symbol: string, side: OrderSide, quantity: number | string | null, stopPrice: number | string, options?: OrderOptions): OrderRequest;
+export declare function buildTrailingStopMarketOrder(symbol: string, side: OrderSide, quantity: number | string, callbackRate: number | string, options?: OrderOptions): OrderRequest;
+
+// Bracket Orders
+export interface BracketOrderParams {
+  symbol: string;
+  side: OrderSide;
+  quantity: number;
+  entryPrice?: number;
+  stopLoss?: number;
+  takeProfit?: number;
+  timeInForce?: TimeInForce;
+  workingType?: WorkingType;
+  priceProtect?: boolean;
+  positionSide?: PositionSide;
+}
+
+export interface BracketOrderOptions {
+  userDataStream?: AsterdexUserDataStream;
+  pollIntervalMs?: number;
+  fillTimeoutMs?: number;
+  closeOnFailure?: boolean;
+  signal?: AbortSignal;
+  timeout?: number;
+}
+
+export type BracketLeg = 'stopLoss' | 'takeProfit';
+
+export interface BracketStatus {
+  status: 'pending' | 'open' | 'closed' | 'cancelled' | 'failed';
+  symbol: string;
+  side: OrderSide;
+  filledQty: number;
+  entry: OrderResponse | null;
+  stopLoss: OrderResponse | null;
+  takeProfit: OrderResponse | null;
+  exitLeg: BracketLeg | null;
+}
+
+export declare function getBracketViolations(params: BracketOrderParams): OrderViolation[];
+
+export declare class BracketOrder {
+  constructor(client: AsterdexClient, params: BracketOrderParams, options?: BracketOrderOptions);
+  place(): Promise<BracketOrder>;
+  stop(): void;
+  cancel(): Promise<void>;
+  closeRemainingPosition(): Promise<OrderResponse | null>;
+  getStatus(): BracketStatus;
+  on(event: 'entryFilled', listener: (order: OrderResponse) => void): this;
+  on(event: 'exitsPlaced', listener: (orders: { stopLoss: OrderResponse | null; takeProfit: OrderResponse | null }) => void): this;
+  on(event: 'stopLoss' | 'takeProfit', listener: (order: OrderResponse | OrderUpdateEvent) => void): this;
+  on(event: 'closed', listener: (result: { leg: BracketLeg; order: OrderResponse | OrderUpdateEvent }) => void): this;
+  on(event: 'exitCancelled', listener: (result: { leg: BracketLeg; order: OrderResponse | OrderUpdateEvent; status: 'CANCELED' | 'EXPIRED' | 'REJECTED'; closeOrder: OrderResponse | null }) => void): this;
+  on(event: 'cancelled', listener: () => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+  once(event: string, listener: (...args: any[]) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+}
+
+// Batch Orders
+export interface BatchOrderResult {
+  index: number;
+  order: OrderRequest;
+  success: boolean;
+  response?: OrderResponse;
+  error?: AsterdexError;
+}
+
+export interface BatchOrderResults {
+  results: BatchOrderResult[];
+  successful: BatchOrderResult[];
+  failed: BatchOrderResult[];
+}
+
+export interface BatchCancelResult {
+  index: number;
+  id: number | string;
+  success: boolean;
+  response?: OrderResponse;
+  error?: AsterdexError;
+}
+
+export interface BatchCancelResults {
+  results: BatchCancelResult[];
+  successful: BatchCancelResult[];
+  failed: BatchCancelResult[];
+}
+
+// Symbol Registry
+export interface LotSizeFilter {
+  minQty: string;
+  maxQty: string;
+  stepSize: string;
+}
+
+export interface SymbolInfo {
+  symbol: string;
+  status: string | null;
+  baseAsset: string | null;
+  quoteAsset: string | null;
+  lotSize: LotSizeFilter | null;
+  marketLotSize: LotSizeFilter | null;
+  priceFilter: { minPrice: string; maxPrice: string; tickSize: string } | null;
+  minNotional: string | null;
+  percentPrice: { multiplierUp: string; multiplierDown: string; multiplierDecimal: string } | null;
+  maxNumOrders: number | null;
+  maxNumAlgoOrders: number | null;
+  quantityPrecision: number | null;
+  pricePrecision: number | null;
+  orderTypes: string[];
+  timeInForce: string[];
+  filters: any[];
+  source: 'exchange' | 'database';
+}
+
+export interface SymbolRegistryStatus {
+  loaded: boolean;
+  loadedAt: number | null;
+  stale: boolean;
+  symbols: number;
+  lastError: string | null;
+  lastFailure: number;
+  failures: number;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface LogEntry {
+  level: LogLevel;
+  message: string;
+  time: string;
+  [field: string]: any;
+}
+
+export type LogSink = (entry: LogEntry) => void;
+
+export type LoggerLike = { [level in LogLevel]: (message: string, fields?: Record<string, any>) => void };
+
+export type RequestSecurity = 'public' | 'apiKey' | 'signed';
+
+export interface RequestContext {
+  security: RequestSecurity;
+  method: string;
+  endpoint: string;
+  query: Record<string, any>;
+  body: Record<string, any>;
+  headers: Record<string, string>;
+  params: Record<string, any>;
+  signal: AbortSignal | null;
+  timeout: number | null;
+  attempt: number;
+  startedAt: number;
+  latencyMs: number | null;
+  durationMs: number | null;
+  status: number | null;
+  responseHeaders: Record<string, any> | null;
+  rateLimitHeaders: Record<string, string> | null;
+  shortCircuited: boolean;
+  [key: string]: any;
+}
+
+export interface RequestMiddleware {
+  beforeRequest?(context: RequestContext): any | Promise<any>;
+  afterResponse?(context: RequestContext, data: any): any | Promise<any>;
+  onError?(context: RequestContext, error: any): any | Promise<any>;
+}
+
+export interface PaperTradingOptions {
+  balance?: number;
+  asset?: string;
+  leverage?: number;
+  hedgeMode?: boolean;
+  takerFeeRate?: number;
+  makerFeeRate?: number;
+  useOrderBook?: boolean;
+  priceTtlMs?: number;
+}
+
+export interface PaperTrade {
+  symbol: string;
+  orderId: number;
+  side: 'BUY' | 'SELL';
+  positionSide: string;
+  price: string;
+  qty: string;
+  quoteQty: string;
+  realizedPnl: string;
+  commission: string;
+  commissionAsset: string;
+  maker: boolean;
+  time: number;
+}
+
+export interface MockSymbol {
+  symbol: string;
+  price: number;
+  tickSize: string;
+  stepSize: string;
+  minQty: string;
+  maxQty?: string;
+  minNotional?: string;
+}
+
+export interface MockServerOptions {
+  apiKey?: string;
+  apiSecret?: string;
+  symbols?: MockSymbol[];
+  account?: PaperTradingOptions;
+  clockOffsetMs?: number;
+  depthQuantity?: number;
+}
+
+export interface MockFault {
+  endpoint: string | null;
+  method: string | null;
+  code: number;
+  status: number;
+  msg: string;
+  retryAfter?: number;
+  delayMs?: number;
+  remaining: number;
+}
+
+export interface MockRequestRecord {
+  method: string;
+  path: string;
+  params: Record<string, any>;
+  status: number;
+  code: number | null;
+  time: number;
+}
+
+export interface TrafficError {
+  name: string;
+  message: string;
+  status: number | null;
+  code: number | string | null;
+  msg: string | null;
+  retryAfter?: number;
+}
+
+export interface TrafficEntry {
+  method: string;
+  endpoint: string;
+  security: RequestSecurity;
+  query: Record<string, any>;
+  body: Record<string, any>;
+  attempts: number;
+  durationMs: number | null;
+  time: number;
+  status: number | null;
+  data?: any;
+  error?: TrafficError;
+}
+
+export interface TrafficFixture {
+  version: number;
+  recordedAt: string;
+  entries: TrafficEntry[];
+}
+
+export interface TrafficReplayOptions {
+  strict?: boolean;
+  matchParams?: boolean;
+  ignoreParams?: string[];
+  optionalEndpoints?: string[];
+}
+
+export interface HttpRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body?: string;
+  timeout?: number;
+  signal?: AbortSignal;
+}
+
+export interface HttpResponse {
+  status: number;
+  headers: Record<string, string>;
+  data: any;
+}
+
+export interface HttpTransport {
+  request(request: HttpRequest): Promise<HttpResponse>;
+}
@@ -1,6 +1,9 @@
 /**
- * AsterDEX API Client for Node.js
+ * AsterDEX API Client
  * Official client for AsterDEX Futures Trading API
+ * Runs on Node.js, Deno, Bun, Cloudflare Workers and in browsers. WebSocket stream classes,
+ * the mock server and traffic fixture files use Node.js modules and are exported from
+ * 'asterdex-client/node' (node.js)
  * 
  * Features:
  * - Complete futures trading API coverage
@@ -9,16 +12,130 @@
  * - Order management
  * - Market data
  * - Risk management utilities
+ * - Automatic retries with exponential backoff
+ * - Rate limit tracking and client-side throttling
+ * - Server time synchronisation for signed requests
+ * - Typed errors for exchange and network failures
+ * - WebSocket market data streams
+ * - User data stream with listenKey management
+ * - Locally maintained order books
+ * - All futures order types, including conditional and trailing stops
+ * - Bracket orders with stop-loss/take-profit OCO emulation
+ * - Batch order placement and cancellation
+ * - Idempotent order placement with client order IDs
+ * - Hedge mode (separate LONG and SHORT positions)
+ * - Isolated margin management
+ * - Exchange-info driven symbol filters with an offline step size fallback
+ * - Pre-flight order validation against symbol filters, with optional auto-correction
+ * - Exact decimal arithmetic for step and tick rounding
+ * - Direction-aware tick size rounding for limit, stop and activation prices
+ * - Per-client precision cache with pluggable storage
+ * - Pluggable structured logging with secret redaction, silent by default
+ * - Request middleware for tracing, metrics, caching and short-circuiting calls
+ * - Paper trading against live prices with a virtual balance
+ * - In-process mock exchange server for offline testing
+ * - Record and replay of REST traffic for deterministic tests
+ * - Pluggable HTTP transport (fetch by default, axios optional) and WebCrypto signing
+ * - Per-call AbortSignal and timeout
  */
 
 export { AsterdexClient } from './src/client.js';
+export { streamNames } from './src/websocket-client.js';
+export {
+  ORDER_TYPES,
+  ORDER_SIDES,
+  POSITION_SIDES,
+  TIME_IN_FORCE,
+  WORKING_TYPES,
+  DEFAULT_CLIENT_ORDER_ID_OPTIONS,
+  generateClientOrderId,
+  resolveClientOrderIdOptions,
+  DEFAULT_ORDER_VALIDATION_OPTIONS,
+  resolveOrderValidationOptions,
+  getOrderViolations,
+  validateOrderParams,
+  getFilterViolations,
+  validateOrder,
+  getPriceRounding,
+  roundPriceToTick,
+  roundOrderPrices,
+  toOrderParams,
+  buildMarketOrder,
+  buildLimitOrder,
+  buildStopOrder,
+  buildStopMarketOrder,
+  buildTakeProfitOrder,
+  buildTakeProfitMarketOrder,
+  buildTrailingStopMarketOrder
+} from './src/orders.js';
+export { BracketOrder, getBracketViolations } from './src/bracket-order.js';
+export { OrderBook } from './src/order-book.js';
+export { parseStreamMessage, STREAM_EVENT_PARSERS } from './src/stream-events.js';
 export * from './src/utils.js';
+export {
+  toDecimalString,
+  compareDecimals,
+  addDecimals,
+  subtractDecimals,
+  multiplyDecimals,
+  decimalPlaces,
+  floorToStep,
+  ceilToStep,
+  isStepMultiple,
+  divideToStep
+} from './src/decimal.js';
 export { PrecisionManager, precisionManager } from './src/precision-manager.js';
+export { MemoryPrecisionStorage, JsonFilePrecisionStorage, resolvePrecisionStorage } from './src/precision-storage.js';
+export {
+  Logger,
+  LOG_LEVELS,
+  silentLogger,
+  consoleSink,
+  jsonSink,
+  pinoSink,
+  winstonSink,
+  toLogSink,
+  redact
+} from './src/logger.js';
+export { SymbolRegistry, parseSymbolInfo, symbolFiltersFromDatabase } from './src/symbol-registry.js';
 export * from './src/step-size-database.js';
+export {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  computeBackoffDelay,
+  parseRetryAfter,
+  isIdempotentRequest,
+  isRetryableError,
+  isAmbiguousOrderError
+} from './src/retry.js';
+export { RateLimiter, DEFAULT_RATE_LIMITS, getRequestWeight, getOrderCount, getRateLimitHeaders } from './src/rate-limiter.js';
+export { MiddlewarePipeline, MIDDLEWARE_HOOKS, createRequestContext, syncRequestParams } from './src/middleware.js';
+export { PaperExchange, DEFAULT_PAPER_TRADING_OPTIONS, resolvePaperTradingOptions } from './src/paper-trading.js';
+export { TrafficRecorder, TrafficReplayer } from './src/traffic-recorder.js';
+export { TimeSync } from './src/time-sync.js';
+export { FetchTransport, AxiosTransport, resolveTransport } from './src/transport.js';
+export {
+  AsterdexError,
+  AsterdexApiError,
+  RateLimitError,
+  TimestampError,
+  AuthenticationError,
+  InsufficientMarginError,
+  PrecisionError,
+  NetworkError,
+  AbortError,
+  OrderValidationError,
+  TrafficReplayError,
+  ERROR_CODE_MAP,
+  HTTP_STATUS_MAP,
+  toAsterdexError,
+  createApiError,
+  createAbortError
+} from './src/errors.js';
 
 // Re-export commonly used utilities for convenience
 export { 
-  createHmacSignature,
+  encodeParams,
   roundToStepFloor,
   ensureMinNotional,
   qtyFromNotional,
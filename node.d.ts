@@ -0,0 +1,149 @@
+/**
+ * TypeScript definitions for the Node.js entry point ('asterdex-client/node')
+ */
+
+import type {
+  AsterdexClient,
+  WebSocketClientOptions,
+  AggTradeEvent,
+  MarkPriceEvent,
+  KlineEvent,
+  BookTickerEvent,
+  DepthEvent,
+  MiniTickerEvent,
+  UserDataStreamOptions,
+  OrderUpdateEvent,
+  AccountUpdateEvent,
+  BalanceUpdate,
+  PositionUpdate,
+  MarginCallEvent,
+  AccountConfigUpdateEvent,
+  OrderBook,
+  OrderBookManagerOptions,
+  OrderBookSpread,
+  OrderBookDepth,
+  PriceLevel,
+  VwapEstimate,
+  MockSymbol,
+  MockServerOptions,
+  MockFault,
+  MockRequestRecord,
+  PaperExchange,
+  TrafficFixture,
+  TrafficEntry,
+  TrafficReplayOptions
+} from './index.js';
+import { TrafficRecorder as BaseTrafficRecorder, TrafficReplayer as BaseTrafficReplayer } from './index.js';
+
+export * from './index.js';
+
+// WebSocket streams
+export declare class AsterdexWebSocketClient {
+  constructor(options?: WebSocketClientOptions);
+  connect(): Promise<void>;
+  close(): Promise<void>;
+  isConnected(): boolean;
+  subscribe(streams: string | string[]): string[];
+  unsubscribe(streams: string | string[]): void;
+  getSubscriptions(): string[];
+  subscribeAggTrade(symbol: string): string[];
+  subscribeMarkPrice(symbol: string | null, updateSpeed?: '1s' | '3s'): string[];
+  subscribeKline(symbol: string, interval: string): string[];
+  subscribeBookTicker(symbol: string | null): string[];
+  subscribeDepth(symbol: string, options?: { levels?: 5 | 10 | 20; updateSpeed?: string }): string[];
+  subscribeMiniTicker(symbol: string | null): string[];
+
+  on(event: 'aggTrade', listener: (data: AggTradeEvent, stream: string | null) => void): this;
+  on(event: 'markPrice', listener: (data: MarkPriceEvent, stream: string | null) => void): this;
+  on(event: 'kline', listener: (data: KlineEvent, stream: string | null) => void): this;
+  on(event: 'bookTicker', listener: (data: BookTickerEvent, stream: string | null) => void): this;
+  on(event: 'depth', listener: (data: DepthEvent, stream: string | null) => void): this;
+  on(event: 'miniTicker', listener: (data: MiniTickerEvent, stream: string | null) => void): this;
+  on(event: 'reconnecting', listener: (info: { attempt: number; delay: number }) => void): this;
+  on(event: 'close', listener: (code: number, reason: string) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+  once(event: string, listener: (...args: any[]) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+}
+
+// User data stream
+export declare class AsterdexUserDataStream {
+  constructor(client: AsterdexClient, options?: UserDataStreamOptions);
+  listenKey: string | null;
+  ws: AsterdexWebSocketClient;
+  start(): Promise<string>;
+  stop(): Promise<void>;
+  keepAlive(): Promise<void>;
+  renewListenKey(): Promise<void>;
+
+  on(event: 'orderUpdate' | 'fill', listener: (order: OrderUpdateEvent) => void): this;
+  on(event: 'accountUpdate', listener: (update: AccountUpdateEvent) => void): this;
+  on(event: 'balanceUpdate', listener: (balance: BalanceUpdate, update: AccountUpdateEvent) => void): this;
+  on(event: 'positionUpdate', listener: (position: PositionUpdate, update: AccountUpdateEvent) => void): this;
+  on(event: 'marginCall', listener: (call: MarginCallEvent) => void): this;
+  on(event: 'accountConfigUpdate', listener: (config: AccountConfigUpdateEvent) => void): this;
+  on(event: 'listenKeyRenewed', listener: (info: { previous: string; listenKey: string }) => void): this;
+  on(event: 'reconnecting', listener: (info: { attempt: number; delay: number }) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+  once(event: string, listener: (...args: any[]) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+}
+
+// Local order book
+export declare class OrderBookManager {
+  constructor(client: AsterdexClient, symbol: string, options?: OrderBookManagerOptions);
+  symbol: string;
+  book: OrderBook;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  resync(): Promise<void>;
+  isSynced(): boolean;
+  getBestBid(): PriceLevel | null;
+  getBestAsk(): PriceLevel | null;
+  getSpread(): OrderBookSpread | null;
+  getDepthWithin(bps: number): OrderBookDepth | null;
+  getVwap(side: 'BUY' | 'SELL', quantity: number): VwapEstimate;
+
+  on(event: 'synced' | 'update', listener: (book: OrderBook) => void): this;
+  on(event: 'gap', listener: (info: { expected: number; received: number }) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+}
+
+// Mock server
+export declare const DEFAULT_MOCK_SYMBOLS: MockSymbol[];
+
+export declare class MockAsterdexServer {
+  constructor(options?: MockServerOptions);
+  apiKey: string;
+  apiSecret: string;
+  baseURL: string | null;
+  clockOffsetMs: number;
+  exchange: PaperExchange;
+  faults: MockFault[];
+  requests: MockRequestRecord[];
+  start(port?: number): Promise<string>;
+  stop(): Promise<void>;
+  clientConfig(): { apiKey: string; apiSecret: string; baseURL: string };
+  addSymbol(definition: MockSymbol): void;
+  setPrice(symbol: string, price: number): void;
+  injectError(fault: Partial<MockFault> & { times?: number }): MockFault;
+  clearErrors(): void;
+  now(): number;
+  dispatch(request: { method: string; path: string; rawQuery?: string; rawBody?: string; headers: Record<string, any> }): Promise<{ status: number; headers: Record<string, string>; data: any }>;
+}
+
+// Traffic recording with fixture files
+export declare class TrafficRecorder extends BaseTrafficRecorder {
+  save(filePath: string): Promise<void>;
+}
+
+export declare class TrafficReplayer extends BaseTrafficReplayer {
+  static fromFile(filePath: string, options?: TrafficReplayOptions): Promise<TrafficReplayer>;
+}
+
+// Synchronous signing
+export declare function createHmacSignature(secret: string, payload: string): string;
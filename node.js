@@ -0,0 +1,16 @@
+/**
+ * AsterDEX API Client - Node.js entry point ('asterdex-client/node')
+ * Everything from the main entry, plus the parts that use Node.js modules:
+ * - WebSocket market data streams, user data stream and locally maintained order books (`ws`)
+ * - In-process mock exchange server (`http`)
+ * - Traffic recorder and replayer with fixture files (`fs`)
+ * - Synchronous request signing (`crypto`)
+ */
+
+export * from './index.js';
+export { AsterdexWebSocketClient } from './src/websocket-client.js';
+export { AsterdexUserDataStream } from './src/user-data-stream.js';
+export { OrderBookManager } from './src/order-book.js';
+export { MockAsterdexServer, DEFAULT_MOCK_SYMBOLS } from './src/mock-server.js';
+export { TrafficRecorder, TrafficReplayer } from './src/traffic-files.js';
+export { createHmacSignature } from './src/signature.js';
@@ -0,0 +1,377 @@
+import { EventEmitter } from './emitter.js';
+import { OrderValidationError } from './errors.js';
+import { buildMarketOrder, buildLimitOrder, buildStopMarketOrder, buildTakeProfitMarketOrder } from './orders.js';
+import { sleep } from './utils.js';
+
+// Order does not exist (already filled, cancelled or expired)
+const UNKNOWN_ORDER = -2011;
+
+const FINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
+
+/**
+ * Check a bracket for missing or inverted prices
+ * @param {Object} params - Bracket parameters
+ * @returns {Array} - Violations as { field, message }
+ */
+export function getBracketViolations(params) {
+  const violations = [];
+  const add = (field, message) => violations.push({ field, message });
+  const { side, stopLoss, takeProfit, entryPrice } = params;
+
+  if (!['BUY', 'SELL'].includes(side)) add('side', 'side must be BUY or SELL');
+  if (!(parseFloat(params.quantity) > 0)) add('quantity', 'quantity must be a positive number');
+  if (stopLoss == null && takeProfit == null) add('stopLoss', 'stopLoss or takeProfit is required');
+
+  const isLong = side === 'BUY';
+  if (stopLoss != null && takeProfit != null) {
+    const ordered = isLong ? stopLoss < takeProfit : stopLoss > takeProfit;
+    if (!ordered) add('stopLoss', `stopLoss must be ${isLong ? 'below' : 'above'} takeProfit for a ${side} bracket`);
+  }
+  if (entryPrice != null) {
+    if (stopLoss != null && (isLong ? stopLoss >= entryPrice : stopLoss <= entryPrice)) {
+      add('stopLoss', `stopLoss must be ${isLong ? 'below' : 'above'} entryPrice for a ${side} bracket`);
+    }
+    if (takeProfit != null && (isLong ? takeProfit <= entryPrice : takeProfit >= entryPrice)) {
+      add('takeProfit', `takeProfit must be ${isLong ? 'above' : 'below'} entryPrice for a ${side} bracket`);
+    }
+  }
+  return violations;
+}
+
+/**
+ * Bracket order for AsterDEX futures
+ * Places an entry, waits for it to fill, protects the filled quantity with reduce-only
+ * stop-loss and take-profit orders and cancels the sibling once one of them fills (OCO emulation)
+ * Emits 'entryFilled', 'exitsPlaced', 'stopLoss', 'takeProfit', 'closed', 'exitCancelled', 'cancelled' and 'error'
+ */
+export class BracketOrder extends EventEmitter {
+  /**
+   * @param {AsterdexClient} client - REST client
+   * @param {Object} params - Bracket parameters
+   * @param {string} params.symbol - Trading symbol
+   * @param {string} params.side - Entry side, 'BUY' or 'SELL'
+   * @param {number} params.quantity - Entry quantity
+   * @param {number} params.entryPrice - Limit entry price (omit for a market entry)
+   * @param {number} params.stopLoss - Stop-loss trigger price
+   * @param {number} params.takeProfit - Take-profit trigger price
+   * @param {string} params.workingType - Trigger price type for the exits (default: 'MARK_PRICE')
+   * @param {boolean} params.priceProtect - Enable price protection on the exits
+   * @param {string} params.positionSide - Position side (default: derived from the position mode)
+   * @param {Object} options - Monitoring options
+   * @param {AsterdexUserDataStream} options.userDataStream - Started stream used for order updates (default: polling)
+   * @param {number} options.pollIntervalMs - Order status polling interval (default: 1000)
+   * @param {number} options.fillTimeoutMs - Time to wait for a limit entry before cancelling the rest (default: 60000)
+   * @param {boolean} options.closeOnFailure - Close the position if the exits cannot be placed or one of them
+   *   ends without filling (default: true)
+   * @param {AbortSignal} options.signal - Cancels the entry; once it has filled (partly), an abort ends the
+   *   wait like fillTimeoutMs and the filled quantity is still protected
+   * @param {number} options.timeout - HTTP timeout in ms for the bracket's calls (default: the client timeout)
+   */
+  constructor(client, params, options = {}) {
+    super();
+    if (!client || !params || !params.symbol) {
+      throw new Error('BracketOrder: client and symbol are required');
+    }
+
+    this.client = client;
+    this.params = { workingType: 'MARK_PRICE', ...params, symbol: params.symbol.toUpperCase() };
+    this.userDataStream = options.userDataStream || null;
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+    this.fillTimeoutMs = options.fillTimeoutMs ?? 60000;
+    this.closeOnFailure = options.closeOnFailure !== false;
+    this.signal = options.signal || null;
+    // Calls after the entry protect a position and are never cancelled
+    this.callOptions = { timeout: options.timeout };
+
+    this.status = 'pending';
+    this.entry = null;
+    this.filledQty = 0;
+    this.stopLossOrder = null;
+    this.takeProfitOrder = null;
+    this.exitLeg = null;
+    this.pollTimer = null;
+    this.finishing = null;
+
+    this.onOrderUpdate = (update) => this.handleOrderUpdate(update);
+  }
+
+  /**
+   * Emit an error only when someone is listening
+   * @param {Error} error - Error to emit
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Place the entry and, once filled, the protective orders
+   * @returns {Promise<BracketOrder>} - This bracket, monitoring its exits
+   * @throws {OrderValidationError} - If the bracket prices are inconsistent
+   */
+  async place() {
+    const violations = getBracketViolations(this.params);
+    if (violations.length) {
+      throw new OrderValidationError(`Invalid bracket order: ${violations.map(v => v.message).join('; ')}`, {
+        endpoint: '/fapi/v1/order',
+        method: 'POST',
+        params: this.params,
+        violations
+      });
+    }
+
+    const { symbol, side, quantity, entryPrice, positionSide } = this.params;
+    const entryOrder = entryPrice != null
+      ? buildLimitOrder(symbol, side, quantity, entryPrice, { positionSide, timeInForce: this.params.timeInForce })
+      : buildMarketOrder(symbol, side, quantity, { positionSide });
+
+    this.entry = await this.client.placeOrder(entryOrder, { ...this.callOptions, signal: this.signal });
+    this.entry = await this.waitForEntryFill(this.entry);
+    this.filledQty = parseFloat(this.entry.executedQty || '0');
+
+    if (this.filledQty <= 0) {
+      this.status = 'cancelled';
+      throw new Error(`BracketOrder: entry order ${this.entry.orderId} was not filled (${this.entry.status})`);
+    }
+    this.emit('entryFilled', this.entry);
+
+    await this.placeExits();
+    this.monitor();
+    return this;
+  }
+
+  /**
+   * Wait until the entry is filled, cancelling an unfilled remainder after fillTimeoutMs or an abort
+   * @param {Object} order - Entry order response
+   * @returns {Promise<Object>} - Final entry order state
+   */
+  async waitForEntryFill(order) {
+    const { symbol } = this.params;
+    const deadline = Date.now() + this.fillTimeoutMs;
+    let current = order;
+
+    while (!FINAL_STATUSES.includes(current.status)) {
+      if (Date.now() >= deadline || this.signal?.aborted) {
+        try {
+          return await this.client.cancelOrder(symbol, current.orderId, this.callOptions);
+        } catch (error) {
+          // Filled while cancelling
+          if (error.code !== UNKNOWN_ORDER) throw error;
+          return this.client.getOrder(symbol, current.orderId, this.callOptions);
+        }
+      }
+      await sleep(this.pollIntervalMs, this.signal);
+      if (this.signal?.aborted) continue;
+      current = await this.client.getOrder(symbol, current.orderId, this.callOptions);
+    }
+    return current;
+  }
+
+  /**
+   * Place reduce-only stop-loss and take-profit orders for the filled quantity
+   * On failure the placed leg is cancelled and, with closeOnFailure, the position closed
+   * @returns {Promise<void>}
+   * @throws {Error} - The placement error; if the cleanup failed too, its error is attached as `cleanupError`
+   */
+  async placeExits() {
+    const { symbol, side, stopLoss, takeProfit, workingType, priceProtect, positionSide } = this.params;
+    const exitSide = side === 'BUY' ? 'SELL' : 'BUY';
+    const exitOptions = { reduceOnly: true, workingType, priceProtect, positionSide };
+
+    try {
+      if (stopLoss != null) {
+        this.stopLossOrder = await this.client.placeOrder(
+          buildStopMarketOrder(symbol, exitSide, this.filledQty, stopLoss, exitOptions),
+          this.callOptions
+        );
+      }
+      if (takeProfit != null) {
+        this.takeProfitOrder = await this.client.placeOrder(
+          buildTakeProfitMarketOrder(symbol, exitSide, this.filledQty, takeProfit, exitOptions),
+          this.callOptions
+        );
+      }
+    } catch (error) {
+      this.status = 'failed';
+      try {
+        await this.cancelLeg(this.stopLossOrder);
+        if (this.closeOnFailure) {
+          await this.client.closePositionExact(symbol, this.filledQty, exitSide, positionSide, this.callOptions);
+        }
+      } catch (cleanupError) {
+        // The caller needs to know why the exits failed, not only that the cleanup did
+        error.cleanupError = cleanupError;
+      }
+      throw error;
+    }
+
+    this.status = 'open';
+    this.emit('exitsPlaced', { stopLoss: this.stopLossOrder, takeProfit: this.takeProfitOrder });
+  }
+
+  /**
+   * Watch the exits through the user data stream, or by polling without one
+   */
+  monitor() {
+    if (this.userDataStream) {
+      this.userDataStream.on('orderUpdate', this.onOrderUpdate);
+      // An exit may have triggered before the listener was attached
+      this.checkExits().catch(error => this.emitError(error));
+      return;
+    }
+
+    const poll = () => {
+      this.pollTimer = setTimeout(async () => {
+        try {
+          await this.checkExits();
+        } catch (error) {
+          this.emitError(error);
+        }
+        if (this.status === 'open') poll();
+      }, this.pollIntervalMs);
+    };
+    poll();
+  }
+
+  /**
+   * Stop watching the exits without touching them
+   */
+  stop() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.userDataStream) {
+      this.userDataStream.off('orderUpdate', this.onOrderUpdate);
+    }
+  }
+
+  /**
+   * Handle an 'orderUpdate' event from the user data stream
+   * @param {Object} update - Parsed order update
+   */
+  handleOrderUpdate(update) {
+    if (this.status !== 'open' || update.symbol !== this.params.symbol) return;
+
+    const leg = this.getLeg(update.orderId);
+    if (leg && FINAL_STATUSES.includes(update.orderStatus)) {
+      this.finish(leg, update, update.orderStatus).catch(error => this.emitError(error));
+    }
+  }
+
+  /**
+   * Query both exits and finish the bracket if one has ended
+   * @returns {Promise<void>}
+   */
+  async checkExits() {
+    for (const order of [this.stopLossOrder, this.takeProfitOrder]) {
+      if (!order || this.status !== 'open') continue;
+      const current = await this.client.getOrder(this.params.symbol, order.orderId, this.callOptions);
+      if (FINAL_STATUSES.includes(current.status)) {
+        await this.finish(this.getLeg(order.orderId), current, current.status);
+      }
+    }
+  }
+
+  /**
+   * Map an order ID to its exit leg
+   * @param {number} orderId - Order ID
+   * @returns {string|null} - 'stopLoss', 'takeProfit' or null
+   */
+  getLeg(orderId) {
+    if (this.stopLossOrder && this.stopLossOrder.orderId === orderId) return 'stopLoss';
+    if (this.takeProfitOrder && this.takeProfitOrder.orderId === orderId) return 'takeProfit';
+    return null;
+  }
+
+  /**
+   * Cancel the sibling of an exit that has ended
+   * A filled exit closes the bracket. An exit cancelled, expired or rejected on the exchange (for
+   * example after the position was closed by hand) leaves the position without that protection,
+   * so the bracket is cancelled and, with closeOnFailure, what is left of the position is closed
+   * Concurrent callers share one finish
+   * @param {string} leg - Leg that ended
+   * @param {Object} order - Order update or order state
+   * @param {string} status - Final order status
+   * @returns {Promise<void>}
+   */
+  finish(leg, order, status = 'FILLED') {
+    if (!this.finishing) {
+      this.finishing = (async () => {
+        this.exitLeg = leg;
+        this.stop();
+        if (status === 'FILLED') {
+          this.status = 'closed';
+          await this.cancelLeg(leg === 'stopLoss' ? this.takeProfitOrder : this.stopLossOrder);
+          this.emit(leg, order);
+          this.emit('closed', { leg, order });
+          return;
+        }
+
+        this.status = 'cancelled';
+        await this.cancelLeg(leg === 'stopLoss' ? this.takeProfitOrder : this.stopLossOrder);
+        const closeOrder = this.closeOnFailure ? await this.closeRemainingPosition() : null;
+        this.emit('exitCancelled', { leg, order, status, closeOrder });
+      })();
+    }
+    return this.finishing;
+  }
+
+  /**
+   * Close what is left of the bracket's position, up to the filled quantity
+   * @returns {Promise<Object|null>} - Close order, or null if the position is already flat
+   */
+  async closeRemainingPosition() {
+    const { symbol, side, positionSide } = this.params;
+    const legSide = positionSide || this.entry?.positionSide || null;
+    const amount = await this.client.getPositionAmount(symbol, legSide === 'BOTH' ? null : legSide, this.callOptions);
+    const open = side === 'BUY' ? amount : -amount;
+    if (!(open > 0)) return null;
+
+    const exitSide = side === 'BUY' ? 'SELL' : 'BUY';
+    return this.client.closePositionExact(symbol, Math.min(open, this.filledQty), exitSide, positionSide, this.callOptions);
+  }
+
+  /**
+   * Cancel an exit, ignoring orders that no longer exist
+   * @param {Object|null} order - Exit order
+   * @returns {Promise<void>}
+   */
+  async cancelLeg(order) {
+    if (!order) return;
+    try {
+      await this.client.cancelOrder(this.params.symbol, order.orderId, this.callOptions);
+    } catch (error) {
+      if (error.code !== UNKNOWN_ORDER) this.emitError(error);
+    }
+  }
+
+  /**
+   * Cancel both exits and stop monitoring, leaving the position open
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    if (this.status !== 'open') return;
+    this.status = 'cancelled';
+    this.stop();
+    await this.cancelLeg(this.stopLossOrder);
+    await this.cancelLeg(this.takeProfitOrder);
+    this.emit('cancelled');
+  }
+
+  /**
+   * Get the bracket state
+   * @returns {Object} - { status, symbol, side, filledQty, entry, stopLoss, takeProfit, exitLeg }
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      symbol: this.params.symbol,
+      side: this.params.side,
+      filledQty: this.filledQty,
+      entry: this.entry,
+      stopLoss: this.stopLossOrder,
+      takeProfit: this.takeProfitOrder,
+      exitLeg: this.exitLeg
+    };
+  }
+}
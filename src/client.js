@@ -1,8 +1,43 @@
-import axios from 'axios';
-import qs from 'querystring';
-import crypto from 'crypto';
-import { createHmacSignature, roundToStepFloor, ensureMinNotional, qtyFromNotional, extractFilters, sleep } from './utils.js';
-import { precisionManager } from './precision-manager.js';
+import { importHmacKey, signHmac, encodeParams, roundToStepFloor, ensureMinNotional, qtyFromNotional, extractFilters, sleep, safeParseFloat } from './utils.js';
+import { PrecisionManager } from './precision-manager.js';
+import { resolvePrecisionStorage } from './precision-storage.js';
+import { Logger, toLogSink } from './logger.js';
+import { multiplyDecimals } from './decimal.js';
+import { resolveRetryPolicy, isIdempotentRequest, isRetryableError, isAmbiguousOrderError, getRetryDelay } from './retry.js';
+import { RateLimiter, getRequestWeight, getOrderCount, getRateLimitHeaders } from './rate-limiter.js';
+import { MiddlewarePipeline, createRequestContext } from './middleware.js';
+import { resolveTransport } from './transport.js';
+import { PaperExchange, resolvePaperTradingOptions } from './paper-trading.js';
+import { TimeSync } from './time-sync.js';
+import { toAsterdexError, createApiError, createAbortError, AbortError, TimestampError, PrecisionError, OrderValidationError } from './errors.js';
+import { AsterdexUserDataStream } from './user-data-stream.js';
+import { OrderBookManager } from './order-book.js';
+import {
+  toOrderParams,
+  validateOrder,
+  roundPriceToTick,
+  resolveOrderValidationOptions,
+  resolveClientOrderIdOptions,
+  generateClientOrderId,
+  buildMarketOrder,
+  buildLimitOrder
+} from './orders.js';
+import { BracketOrder } from './bracket-order.js';
+import { SymbolRegistry } from './symbol-registry.js';
+
+// Exchange limits per batch request
+const MAX_BATCH_ORDERS = 5;
+const MAX_BATCH_CANCELS = 10;
+
+// Order lookups and resubmissions that identify an earlier attempt
+const ORDER_NOT_FOUND = -2013;
+const DUPLICATE_CLIENT_ORDER_ID = -4116;
+
+// Position mode already set to the requested value
+const POSITION_MODE_UNCHANGED = -4059;
+
+// Margin type already set to the requested value
+const MARGIN_TYPE_UNCHANGED = -4046;
 
 /**
  * AsterDEX API Client for Futures Trading
@@ -26,6 +61,188 @@ export class AsterdexClient {
     this.baseURL = config.baseURL || 'https://fapi.asterdex.com';
     this.recvWindow = config.recvWindow || 5000;
     this.timeout = config.timeout || 20000;
+    this.transport = resolveTransport(config.transport);
+    this.signingKey = null;
+    this.logger = new Logger(toLogSink(config.logger), {
+      level: config.logLevel,
+      secrets: [config.apiKey, config.apiSecret]
+    });
+    this.middleware = new MiddlewarePipeline(config.middleware || []);
+    this.retryPolicy = resolveRetryPolicy(config.retry);
+    this.rateLimiter = new RateLimiter(config.rateLimit);
+    this.timeSync = new TimeSync((options) => this.getServerTime(options), config.timeSync);
+    this.clientOrderIds = resolveClientOrderIdOptions(config.clientOrderIds);
+    this.orderValidation = resolveOrderValidationOptions(config.orderValidation);
+    this.symbolRegistry = new SymbolRegistry((options) => this.getExchangeInfo(options), config.symbolRegistry);
+    this.precisionManager = new PrecisionManager({
+      storage: resolvePrecisionStorage(config.precisionCache),
+      namespace: this.baseURL,
+      logger: this.logger.child({ component: 'precision' })
+    });
+    // null until known; detected from the exchange before the first order
+    this.hedgeMode = typeof config.hedgeMode === 'boolean' ? config.hedgeMode : null;
+
+    // Paper trading answers signed requests from a simulated account; market data stays live
+    this.paperTrading = resolvePaperTradingOptions(config.paperTrading);
+    if (config.paperTrading?.hedgeMode === undefined && this.hedgeMode !== null) {
+      this.paperTrading.hedgeMode = this.hedgeMode;
+    }
+    this.paperExchange = null;
+    if (this.paperTrading.enabled) {
+      this.paperExchange = new PaperExchange({
+        getLastPrice: (symbol) => this.getLastPrice(symbol),
+        getOrderBook: (symbol, limit) => this.getOrderBook(symbol, limit)
+      }, { ...this.paperTrading, logger: this.logger.child({ component: 'paper' }) });
+      this.middleware.use(this.paperExchange.middleware());
+    }
+  }
+
+  /**
+   * Run a request through the retry policy
+   * The send function is invoked once per attempt so signed requests get a fresh timestamp
+   * @param {string} method - HTTP method
+   * @param {string} path - API endpoint path
+   * @param {Object} params - Request parameters (used to judge idempotency)
+   * @param {Function} send - Function performing a single attempt
+   * @param {AbortSignal} signal - Stops further attempts and the backoff wait (optional)
+   * @returns {Promise<Object>} - API response
+   * @throws {AbortError} - If the signal aborts
+   */
+  async executeWithRetry(method, path, params, send, signal = null) {
+    const policy = this.retryPolicy;
+    const idempotent = isIdempotentRequest(method, path, params);
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) {
+        throw createAbortError(signal, { method, endpoint: path, params });
+      }
+      try {
+        return await send(attempt);
+      } catch (error) {
+        if (signal?.aborted) {
+          throw createAbortError(signal, { method, endpoint: path, params });
+        }
+        if (attempt >= policy.maxAttempts || !isRetryableError(error, policy, idempotent)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt, policy);
+        if (delay === null) {
+          throw error;
+        }
+
+        if (typeof policy.onRetry === 'function') {
+          policy.onRetry({ method, path, attempt, delay, error });
+        }
+        this.logger.warn('Retrying request', { method, endpoint: path, attempt, delayMs: delay, error });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Reserve rate limit capacity for a request, waiting if a limit is near
+   * @param {string} method - HTTP method
+   * @param {string} path - API endpoint path
+   * @param {Object} params - Request parameters
+   * @param {AbortSignal} signal - Gives up the wait (optional)
+   * @returns {Promise<void>}
+   */
+  async throttle(method, path, params, signal = null) {
+    await this.rateLimiter.acquire({
+      weight: getRequestWeight(method, path, params),
+      orders: getOrderCount(method, path, params),
+      signal
+    });
+  }
+
+  /**
+   * Register request middleware
+   * @param {Object} middleware - Object with beforeRequest, afterResponse and/or onError hooks
+   * @returns {Function} - Removes the middleware again
+   */
+  use(middleware) {
+    return this.middleware.use(middleware);
+  }
+
+  /**
+   * Send an HTTP request through the transport and record rate limit headers from the response
+   * Status, headers and latency of the attempt are stored on the context for middleware
+   * The context's signal and timeout override the client timeout for this call
+   * @param {Object} request - { method, url, headers, body }
+   * @param {Object} context - Request context ({ method, endpoint, params, signal, timeout, ... }) attached to errors
+   * @returns {Promise<Object>} - Response data
+   * @throws {AsterdexError} - Typed error for API and network failures
+   */
+  async transmit(request, context = {}) {
+    const startedAt = Date.now();
+    const record = (response) => {
+      context.latencyMs = Date.now() - startedAt;
+      context.status = response?.status ?? null;
+      context.responseHeaders = response?.headers ?? null;
+      context.rateLimitHeaders = getRateLimitHeaders(response?.headers);
+    };
+
+    try {
+      const response = await this.transport.request({
+        ...request,
+        timeout: context.timeout ?? this.timeout,
+        signal: context.signal ?? undefined
+      });
+      if (response.status >= 400) {
+        throw Object.assign(new Error(`Request failed with status code ${response.status}`), { response });
+      }
+      record(response);
+      this.rateLimiter.recordHeaders(response.headers);
+      this.logger.debug('Request completed', {
+        method: context.method,
+        endpoint: context.endpoint,
+        status: context.status,
+        latencyMs: context.latencyMs
+      });
+      return response.data;
+    } catch (error) {
+      if (context.signal?.aborted) {
+        this.logger.debug('Request aborted', { method: context.method, endpoint: context.endpoint });
+        throw createAbortError(context.signal, context);
+      }
+      record(error.response);
+      this.rateLimiter.recordErrorResponse(error.response);
+      const apiError = toAsterdexError(error, context);
+      this.logger.warn('Request failed', {
+        method: context.method,
+        endpoint: context.endpoint,
+        status: apiError.status,
+        code: apiError.code,
+        latencyMs: context.latencyMs,
+        error: apiError
+      });
+      throw apiError;
+    }
+  }
+
+  /**
+   * Run a request context through middleware and the retry policy
+   * @param {Object} context - Request context
+   * @param {Function} send - Function performing a single attempt with the context
+   * @returns {Promise<Object>} - API response
+   */
+  async dispatch(context, send) {
+    const execute = () => this.executeWithRetry(context.method, context.endpoint, context.params, (attempt) => {
+      context.attempt = attempt;
+      return send(context);
+    }, context.signal);
+    return this.middleware.size ? this.middleware.run(context, execute) : execute();
+  }
+
+  /**
+   * Build a request URL
+   * @param {string} path - API endpoint path
+   * @param {Object} query - Query parameters
+   * @returns {string} - Absolute URL
+   */
+  buildURL(path, query = {}) {
+    return `${this.baseURL}${path}${Object.keys(query).length ? `?${encodeParams(query)}` : ''}`;
   }
 
   /**
@@ -33,12 +250,36 @@ export class AsterdexClient {
    * @param {string} method - HTTP method
    * @param {string} path - API endpoint path
    * @param {Object} params - Query parameters
+   * @param {Object} options - Call options ({ signal, timeout })
+   * @returns {Promise<Object>} - API response
+   */
+  async publicRequest(method, path, params = {}, options = {}) {
+    return this.dispatch(createRequestContext('public', method, path, params, {}, options), async (context) => {
+      await this.throttle(context.method, path, context.query, context.signal);
+      const url = this.buildURL(path, context.query);
+      return this.transmit({ method, url, headers: { ...context.headers } }, context);
+    });
+  }
+
+  /**
+   * Make an API-key request (no signature, used by user data stream endpoints)
+   * @param {string} method - HTTP method
+   * @param {string} path - API endpoint path
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Call options ({ signal, timeout })
    * @returns {Promise<Object>} - API response
    */
-  async publicRequest(method, path, params = {}) {
-    const url = `${this.baseURL}${path}${Object.keys(params).length ? `?${qs.stringify(params)}` : ''}`;
-    const response = await axios({ method, url, timeout: this.timeout });
-    return response.data;
+  async apiKeyRequest(method, path, params = {}, options = {}) {
+    return this.dispatch(createRequestContext('apiKey', method, path, params, {}, options), async (context) => {
+      await this.throttle(context.method, path, context.query, context.signal);
+      const url = this.buildURL(path, context.query);
+      const headers = {
+        ...context.headers,
+        'X-MBX-APIKEY': this.apiKey,
+        'Accept': 'application/json'
+      };
+      return this.transmit({ method, url, headers }, context);
+    });
   }
 
   /**
@@ -47,66 +288,165 @@ export class AsterdexClient {
    * @param {string} path - API endpoint path
    * @param {Object} queryParams - Query parameters
    * @param {Object} body - Request body
+   * @param {Object} options - Call options ({ signal, timeout })
+   * @returns {Promise<Object>} - API response
+   */
+  async signedRequest(method, path, queryParams = {}, body = {}, options = {}) {
+    return this.dispatch(createRequestContext('signed', method, path, queryParams, body, options), async (context) => {
+      try {
+        return await this.sendSigned(context);
+      } catch (error) {
+        // The request was rejected unprocessed, so resending is safe
+        if (!this.timeSync.enabled || !(error instanceof TimestampError)) {
+          throw error;
+        }
+        await this.timeSync.sync({ signal: context.signal, timeout: context.timeout });
+        return this.sendSigned(context);
+      }
+    });
+  }
+
+  /**
+   * Sign a payload with the API secret
+   * The WebCrypto key is imported once per client; a failed import is retried on the next call
+   * @param {string} payload - Query string or form body
+   * @returns {Promise<string>} - Hex signature
+   */
+  async sign(payload) {
+    if (!this.signingKey) {
+      this.signingKey = importHmacKey(this.apiSecret).catch((error) => {
+        this.signingKey = null;
+        throw error;
+      });
+    }
+    return signHmac(await this.signingKey, payload);
+  }
+
+  /**
+   * Sign and send a single attempt of a signed request
+   * @param {Object} context - Request context with method, endpoint, query, body and headers
    * @returns {Promise<Object>} - API response
    */
-  async signedRequest(method, path, queryParams = {}, body = {}) {
-    const timestamp = Date.now();
+  async sendSigned(context) {
+    const { method, endpoint: path, query: queryParams, body } = context;
+
+    // Throttle before signing so a delay cannot push the timestamp outside recvWindow
+    await this.throttle(method, path, context.params, context.signal);
+    await this.timeSync.ensureSynced({ signal: context.signal, timeout: context.timeout });
+
+    const timestamp = this.timeSync.now();
     const recvWindow = this.recvWindow;
 
-    if (method.toUpperCase() === 'GET') {
+    if (method === 'GET') {
       const query = { ...queryParams, timestamp, recvWindow };
-      const queryStr = qs.stringify(query);
-      const signature = createHmacSignature(this.apiSecret, queryStr);
+      const queryStr = encodeParams(query);
+      const signature = await this.sign(queryStr);
       const url = `${this.baseURL}${path}?${queryStr}&signature=${signature}`;
       const headers = { 
+        ...context.headers,
         'X-MBX-APIKEY': this.apiKey, 
         'Accept': 'application/json' 
       };
-      const response = await axios.get(url, { headers, timeout: this.timeout });
-      return response.data;
+      return this.transmit({ method: 'GET', url, headers }, context);
     } else {
       const form = { ...body, timestamp, recvWindow };
-      const formStr = qs.stringify(form);
-      const signature = createHmacSignature(this.apiSecret, formStr);
-      const url = `${this.baseURL}${path}${Object.keys(queryParams).length ? `?${qs.stringify(queryParams)}` : ''}`;
+      const formStr = encodeParams(form);
+      const signature = await this.sign(formStr);
+      const url = this.buildURL(path, queryParams);
       const headers = {
+        ...context.headers,
         'X-MBX-APIKEY': this.apiKey,
         'Content-Type': 'application/x-www-form-urlencoded',
         'Accept': 'application/json',
       };
       const data = `${formStr}&signature=${signature}`;
-      const response = await axios({ method, url, headers, data, timeout: this.timeout });
-      return response.data;
+      return this.transmit({ method, url, headers, body: data }, context);
     }
   }
 
   // ===== Market Data Methods =====
 
+  /**
+   * Get server time
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - Object with serverTime in milliseconds
+   */
+  async getServerTime(options = {}) {
+    return this.publicRequest('GET', '/fapi/v1/time', {}, options);
+  }
+
+  /**
+   * Force a resync of the local clock offset against server time
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<number>} - Offset in milliseconds (server - local)
+   */
+  async syncTime(options = {}) {
+    return this.timeSync.sync(options);
+  }
+
   /**
    * Get exchange information including symbol filters
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Exchange information
    */
-  async getExchangeInfo() {
-    return this.publicRequest('GET', '/fapi/v1/exchangeInfo');
+  async getExchangeInfo(options = {}) {
+    const exchangeInfo = await this.publicRequest('GET', '/fapi/v1/exchangeInfo', {}, options);
+    if (exchangeInfo?.rateLimits) {
+      this.rateLimiter.loadLimits(exchangeInfo.rateLimits);
+    }
+    this.symbolRegistry.update(exchangeInfo);
+    return exchangeInfo;
+  }
+
+  /**
+   * Get trading filters for a symbol from the cached exchange info
+   * @param {string} symbol - Trading symbol
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms), used when exchange info is loaded
+   * @returns {Promise<Object|null>} - LOT_SIZE, MARKET_LOT_SIZE, PRICE_FILTER, MIN_NOTIONAL, PERCENT_PRICE
+   *   and MAX_NUM_ORDERS values, or null if the symbol is not listed
+   */
+  async getSymbolFilters(symbol, options = {}) {
+    return this.symbolRegistry.get(symbol, options);
+  }
+
+  /**
+   * Get current usage of the exchange rate limits as seen by this client
+   * @returns {Array} - Usage entries with limit, used, remaining and resetAt
+   */
+  getRateLimitUsage() {
+    return this.rateLimiter.getUsage();
   }
 
   /**
    * Get last price for a symbol
    * @param {string} symbol - Trading symbol (e.g., 'BTCUSDT')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<number>} - Last price
    */
-  async getLastPrice(symbol) {
-    const response = await this.publicRequest('GET', '/fapi/v1/ticker/price', { symbol });
+  async getLastPrice(symbol, options = {}) {
+    const response = await this.publicRequest('GET', '/fapi/v1/ticker/price', { symbol }, options);
     return parseFloat(response.price);
   }
 
+  /**
+   * Get mark price for a symbol
+   * @param {string} symbol - Trading symbol (e.g., 'BTCUSDT')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<number>} - Mark price
+   */
+  async getMarkPrice(symbol, options = {}) {
+    const response = await this.publicRequest('GET', '/fapi/v1/premiumIndex', { symbol }, options);
+    return parseFloat(response.markPrice);
+  }
+
   /**
    * Get 24hr ticker price change statistics
    * @param {string} symbol - Trading symbol
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - 24hr ticker data
    */
-  async get24hrTicker(symbol) {
-    return this.publicRequest('GET', '/fapi/v1/ticker/24hr', { symbol });
+  async get24hrTicker(symbol, options = {}) {
+    return this.publicRequest('GET', '/fapi/v1/ticker/24hr', { symbol }, options);
   }
 
   /**
@@ -117,13 +457,16 @@ export class AsterdexClient {
    * @param {number} options.startTime - Start time in milliseconds
    * @param {number} options.endTime - End time in milliseconds
    * @param {number} options.limit - Number of klines to retrieve (default: 500, max: 1500)
+   * @param {AbortSignal} options.signal - Cancels the call
+   * @param {number} options.timeout - HTTP timeout in ms (default: the client timeout)
    * @returns {Promise<Array>} - Array of kline data
    */
   async getKlines(symbol, interval, options = {}) {
+    const { signal, timeout, ...query } = options;
     const params = {
       symbol,
       interval,
-      ...options
+      ...query
     };
 
     // Remove undefined values
@@ -133,35 +476,48 @@ export class AsterdexClient {
       }
     });
 
-    return await this.publicRequest('GET', '/fapi/v1/klines', params);
+    return await this.publicRequest('GET', '/fapi/v1/klines', params, { signal, timeout });
   }
 
   /**
    * Get order book for a symbol
    * @param {string} symbol - Trading symbol
    * @param {number} limit - Number of orders to return (default: 100)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Order book data
    */
-  async getOrderBook(symbol, limit = 100) {
-    return this.publicRequest('GET', '/fapi/v1/depth', { symbol, limit });
+  async getOrderBook(symbol, limit = 100, options = {}) {
+    return this.publicRequest('GET', '/fapi/v1/depth', { symbol, limit }, options);
+  }
+
+  /**
+   * Create a locally maintained order book (call start() to sync)
+   * @param {string} symbol - Trading symbol
+   * @param {Object} options - Manager options (ws, wsOptions, depthLimit, updateSpeed)
+   * @returns {OrderBookManager} - Order book manager
+   */
+  createOrderBook(symbol, options = {}) {
+    return new OrderBookManager(this, symbol, options);
   }
 
   // ===== Account Methods =====
 
   /**
    * Get account balance
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Array>} - Array of balance objects
    */
-  async getBalance() {
-    return this.signedRequest('GET', '/fapi/v2/balance');
+  async getBalance(options = {}) {
+    return this.signedRequest('GET', '/fapi/v2/balance', {}, {}, options);
   }
 
   /**
    * Get USDT available balance
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<number>} - Available USDT balance
    */
-  async getUsdtBalance() {
-    const balances = await this.getBalance();
+  async getUsdtBalance(options = {}) {
+    const balances = await this.getBalance(options);
     const usdt = balances.find(x => x.asset === 'USDT');
     return parseFloat(usdt?.availableBalance || '0');
   }
@@ -169,10 +525,11 @@ export class AsterdexClient {
   /**
    * Get available balance for a specific asset on futures
    * @param {string} asset - Asset symbol (e.g., 'USDT', 'BTC')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<number>} - Available balance for the asset
    */
-  async getAvailableBalance(asset = 'USDT') {
-    const balances = await this.getBalance();
+  async getAvailableBalance(asset = 'USDT', options = {}) {
+    const balances = await this.getBalance(options);
     const assetBalance = balances.find(x => x.asset === asset);
     return parseFloat(assetBalance?.availableBalance || '0');
   }
@@ -180,10 +537,11 @@ export class AsterdexClient {
   /**
    * Get total wallet balance for a specific asset
    * @param {string} asset - Asset symbol (e.g., 'USDT', 'BTC')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<number>} - Total wallet balance for the asset
    */
-  async getTotalBalance(asset = 'USDT') {
-    const balances = await this.getBalance();
+  async getTotalBalance(asset = 'USDT', options = {}) {
+    const balances = await this.getBalance(options);
     const assetBalance = balances.find(x => x.asset === asset);
     return parseFloat(assetBalance?.balance || '0');
   }
@@ -191,62 +549,142 @@ export class AsterdexClient {
   /**
    * Get cross wallet balance for a specific asset
    * @param {string} asset - Asset symbol (e.g., 'USDT', 'BTC')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<number>} - Cross wallet balance for the asset
    */
-  async getCrossWalletBalance(asset = 'USDT') {
-    const balances = await this.getBalance();
+  async getCrossWalletBalance(asset = 'USDT', options = {}) {
+    const balances = await this.getBalance(options);
     const assetBalance = balances.find(x => x.asset === asset);
     return parseFloat(assetBalance?.crossWalletBalance || '0');
   }
 
   /**
    * Get account information
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Account information
    */
-  async getAccountInfo() {
-    return this.signedRequest('GET', '/fapi/v2/account');
+  async getAccountInfo(options = {}) {
+    return this.signedRequest('GET', '/fapi/v2/account', {}, {}, options);
   }
 
   /**
    * Get positions for all symbols or specific symbol
    * @param {string} symbol - Optional symbol to filter positions
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Array>} - Array of position objects
    */
-  async getPositions(symbol = null) {
+  async getPositions(symbol = null, options = {}) {
     const params = symbol ? { symbol } : {};
-    return this.signedRequest('GET', '/fapi/v2/positionRisk', params);
+    return this.signedRequest('GET', '/fapi/v2/positionRisk', params, {}, options);
   }
 
   // ===== Position Methods =====
 
   /**
    * Get current position amount for a symbol
+   * In hedge mode the LONG and SHORT legs are netted unless positionSide is given
    * @param {string} symbol - Trading symbol
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (optional)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<number>} - Position amount (>0 long, <0 short, 0 none)
    */
-  async getPositionAmount(symbol) {
-    const positions = await this.getPositions(symbol);
-    const position = positions.find(p => p.symbol === symbol);
-    if (!position) return 0;
-    return parseFloat(position.positionAmt || '0');
+  async getPositionAmount(symbol, positionSide = null, options = {}) {
+    const positions = await this.getPositions(symbol, options);
+    return positions
+      .filter(p => p.symbol === symbol && (!positionSide || (p.positionSide || 'BOTH') === positionSide))
+      .reduce((sum, p) => sum + parseFloat(p.positionAmt || '0'), 0);
+  }
+
+  /**
+   * Get the non-empty positions, one entry per leg in hedge mode
+   * @param {string} symbol - Trading symbol (optional)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Array>} - Positions with a non-zero positionAmt
+   */
+  async getOpenPositions(symbol = null, options = {}) {
+    const positions = await this.getPositions(symbol, options);
+    return positions.filter(p => (!symbol || p.symbol === symbol) && parseFloat(p.positionAmt || '0') !== 0);
+  }
+
+  /**
+   * Pick the position a close or check refers to
+   * @param {string} symbol - Trading symbol
+   * @param {string} side - Closing side: 'SELL' selects a long, 'BUY' a short (optional)
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (optional)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Array>} - Matching open positions
+   */
+  async findOpenPositions(symbol, side = null, positionSide = null, options = {}) {
+    const positions = await this.getOpenPositions(symbol, options);
+    return positions.filter(p => {
+      if (positionSide && (p.positionSide || 'BOTH') !== positionSide) return false;
+      if (side && (parseFloat(p.positionAmt) > 0 ? 'SELL' : 'BUY') !== side) return false;
+      return true;
+    });
+  }
+
+  // ===== Position Mode Methods =====
+
+  /**
+   * Get the account's position mode
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - { dualSidePosition } (true: hedge mode, false: one-way mode)
+   */
+  async getPositionMode(options = {}) {
+    const response = await this.signedRequest('GET', '/fapi/v1/positionSide/dual', {}, {}, options);
+    this.hedgeMode = response.dualSidePosition === true || response.dualSidePosition === 'true';
+    return { dualSidePosition: this.hedgeMode };
+  }
+
+  /**
+   * Switch between hedge mode (separate LONG and SHORT positions) and one-way mode
+   * The exchange refuses the change while positions or open orders exist on any symbol
+   * @param {boolean} dualSidePosition - True for hedge mode, false for one-way mode
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - { dualSidePosition }
+   */
+  async setPositionMode(dualSidePosition, options = {}) {
+    try {
+      await this.signedRequest('POST', '/fapi/v1/positionSide/dual', {}, {
+        dualSidePosition: dualSidePosition ? 'true' : 'false'
+      }, options);
+    } catch (error) {
+      if (error.code !== POSITION_MODE_UNCHANGED) throw error;
+    }
+    this.hedgeMode = Boolean(dualSidePosition);
+    return { dualSidePosition: this.hedgeMode };
+  }
+
+  /**
+   * Check whether the account is in hedge mode, asking the exchange once
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<boolean>} - True in hedge mode
+   */
+  async isHedgeMode(options = {}) {
+    if (this.hedgeMode === null) {
+      await this.getPositionMode(options);
+    }
+    return this.hedgeMode;
   }
 
   /**
    * Check trade details for a specific symbol
-   * Returns position information including size, entry price, mark price, margin, and liquidation price
+   * Returns position information including size, entry price, mark price, margin, and liquidation price.
+   * In hedge mode with both legs open and no positionSide, the larger leg is reported and
+   * every leg is listed in `legs`
    * @param {string} symbol - Trading symbol
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (optional)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Trade details object
    */
-  async checkTrade(symbol) {
+  async checkTrade(symbol, positionSide = null, options = {}) {
     try {
       const [positions, accountInfo] = await Promise.all([
-        this.getPositions(symbol),
-        this.getAccountInfo()
+        this.findOpenPositions(symbol, null, positionSide, options),
+        this.getAccountInfo(options)
       ]);
 
-      const position = positions.find(p => p.symbol === symbol);
-      
-      if (!position || parseFloat(position.positionAmt || position.pa || '0') === 0) {
+      if (positions.length === 0) {
         return {
           symbol: symbol,
           size: '0',
@@ -255,44 +693,30 @@ export class AsterdexClient {
           margin: '0',
           liquidationPrice: '0',
           side: 'NONE',
+          positionSide: positionSide || 'NONE',
           leverage: '0',
           hasPosition: false
         };
       }
 
-      const positionAmt = parseFloat(position.positionAmt || position.pa || '0');
-      const isLong = positionAmt > 0;
-      const side = isLong ? 'BUY' : 'SELL';
-      const size = Math.abs(positionAmt);
-      
       // Get current mark price
-      const markPrice = await this.getLastPrice(symbol);
-      
-      // Calculate margin used (this is an approximation)
-      const notionalValue = size * markPrice;
-      const leverage = parseFloat(position.leverage || '1');
-      const marginUsed = notionalValue / leverage;
-      
-      // Get liquidation price from position data
-      const liquidationPrice = parseFloat(position.liquidationPrice || '0');
-      
-      return {
-        symbol: symbol,
-        size: `${size.toFixed(2)} ${symbol.replace('USDT', '')}`,
-        entryPrice: parseFloat(position.entryPrice || '0').toFixed(5),
-        markPrice: markPrice.toFixed(5),
-        margin: `${marginUsed.toFixed(2)} USDT (Cross)`,
-        liquidationPrice: liquidationPrice > 0 ? liquidationPrice.toFixed(5) : '0',
-        side: side,
-        leverage: `${leverage}x`,
-        hasPosition: true,
-        positionAmt: positionAmt,
-        notionalValue: notionalValue,
-        unrealizedPnl: parseFloat(position.unRealizedProfit || position.unrealizedPnl || '0') || 0
-      };
+      const markPrice = await this.getLastPrice(symbol, options);
+
+      const legs = positions
+        .map(position => {
+          const accountPosition = (accountInfo.positions || []).find(p =>
+            p.symbol === symbol && (p.positionSide || 'BOTH') === (position.positionSide || 'BOTH')
+          );
+          return this.describePosition(symbol, position, markPrice, accountPosition);
+        })
+        .sort((a, b) => b.notionalValue - a.notionalValue);
+
+      return legs.length > 1 ? { ...legs[0], legs } : legs[0];
       
     } catch (error) {
-      console.error('Error checking trade:', error.message);
+      // A cancelled check is not a missing position
+      if (error instanceof AbortError) throw error;
+      this.logger.error('Error checking trade', { symbol, error });
       return {
         symbol: symbol,
         size: '0',
@@ -301,6 +725,7 @@ export class AsterdexClient {
         margin: '0',
         liquidationPrice: '0',
         side: 'NONE',
+        positionSide: positionSide || 'NONE',
         leverage: '0',
         hasPosition: false,
         error: error.message
@@ -308,16 +733,364 @@ export class AsterdexClient {
     }
   }
 
+  /**
+   * Build checkTrade() details for one position
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Position from getPositions()
+   * @param {number} markPrice - Current price
+   * @param {Object} accountPosition - Matching entry of getAccountInfo().positions (optional)
+   * @returns {Object} - Trade details object
+   */
+  describePosition(symbol, position, markPrice, accountPosition = null) {
+    const positionAmt = parseFloat(position.positionAmt || position.pa || '0');
+    const isLong = positionAmt > 0;
+    const side = isLong ? 'BUY' : 'SELL';
+    const size = Math.abs(positionAmt);
+
+    const notionalValue = size * markPrice;
+    const leverage = parseFloat(position.leverage || '1');
+    const isolated = position.marginType
+      ? position.marginType.toLowerCase() === 'isolated'
+      : accountPosition?.isolated === true;
+    const marginType = isolated ? 'ISOLATED' : 'CROSSED';
+    const isolatedWallet = safeParseFloat(position.isolatedWallet ?? accountPosition?.isolatedWallet);
+
+    // Margin as reported by the exchange, falling back to notional / leverage
+    const initialMargin = safeParseFloat(
+      accountPosition?.positionInitialMargin ?? accountPosition?.initialMargin,
+      notionalValue / leverage
+    );
+    const maintenanceMargin = safeParseFloat(accountPosition?.maintMargin, null);
+    const marginUsed = isolated ? safeParseFloat(position.isolatedMargin, isolatedWallet) : initialMargin;
+
+    // Get liquidation price from position data
+    const liquidationPrice = parseFloat(position.liquidationPrice || '0');
+
+    return {
+      symbol: symbol,
+      size: `${size.toFixed(2)} ${symbol.replace('USDT', '')}`,
+      entryPrice: parseFloat(position.entryPrice || '0').toFixed(5),
+      markPrice: markPrice.toFixed(5),
+      margin: `${marginUsed.toFixed(2)} USDT (${isolated ? 'Isolated' : 'Cross'})`,
+      liquidationPrice: liquidationPrice > 0 ? liquidationPrice.toFixed(5) : '0',
+      side: side,
+      positionSide: position.positionSide || 'BOTH',
+      marginType,
+      isolatedWallet,
+      initialMargin,
+      maintenanceMargin,
+      leverage: `${leverage}x`,
+      hasPosition: true,
+      positionAmt: positionAmt,
+      notionalValue: notionalValue,
+      unrealizedPnl: parseFloat(position.unRealizedProfit || position.unrealizedPnl || '0') || 0
+    };
+  }
+
+  // ===== Margin Methods =====
+
+  /**
+   * Set the margin type for a symbol
+   * The exchange refuses the change while the symbol has an open position or orders
+   * @param {string} symbol - Trading symbol
+   * @param {string} marginType - 'ISOLATED' or 'CROSSED'
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - { symbol, marginType }
+   */
+  async setMarginType(symbol, marginType, options = {}) {
+    const type = marginType.toUpperCase();
+    if (type !== 'ISOLATED' && type !== 'CROSSED') {
+      throw new Error(`AsterdexClient: marginType must be ISOLATED or CROSSED, got ${marginType}`);
+    }
+
+    try {
+      await this.signedRequest('POST', '/fapi/v1/marginType', {}, { symbol, marginType: type }, options);
+    } catch (error) {
+      if (error.code !== MARGIN_TYPE_UNCHANGED) throw error;
+    }
+    return { symbol, marginType: type };
+  }
+
+  /**
+   * Add margin to or remove margin from an isolated position
+   * @param {string} symbol - Trading symbol
+   * @param {number} amount - Margin amount
+   * @param {string} direction - 'ADD' or 'REDUCE'
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (default: 'BOTH')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - API response
+   */
+  async modifyPositionMargin(symbol, amount, direction, positionSide = 'BOTH', options = {}) {
+    const type = { ADD: 1, REDUCE: 2 }[direction.toUpperCase()];
+    if (!type) {
+      throw new Error(`AsterdexClient: direction must be ADD or REDUCE, got ${direction}`);
+    }
+    if (!(amount > 0)) {
+      throw new Error('AsterdexClient: amount must be a positive number');
+    }
+
+    return this.signedRequest('POST', '/fapi/v1/positionMargin', {}, {
+      symbol,
+      positionSide,
+      amount: amount.toString(),
+      type
+    }, options);
+  }
+
+  /**
+   * Add margin to an isolated position
+   * @param {string} symbol - Trading symbol
+   * @param {number} amount - Margin to add
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (default: 'BOTH')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - API response
+   */
+  async addPositionMargin(symbol, amount, positionSide = 'BOTH', options = {}) {
+    return this.modifyPositionMargin(symbol, amount, 'ADD', positionSide, options);
+  }
+
+  /**
+   * Remove margin from an isolated position
+   * @param {string} symbol - Trading symbol
+   * @param {number} amount - Margin to remove
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (default: 'BOTH')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - API response
+   */
+  async reducePositionMargin(symbol, amount, positionSide = 'BOTH', options = {}) {
+    return this.modifyPositionMargin(symbol, amount, 'REDUCE', positionSide, options);
+  }
+
+  /**
+   * Get isolated margin changes for a symbol
+   * @param {string} symbol - Trading symbol
+   * @param {Object} options - Query options
+   * @param {string} options.direction - 'ADD' or 'REDUCE' (default: both)
+   * @param {number} options.startTime - Start time in ms
+   * @param {number} options.endTime - End time in ms
+   * @param {number} options.limit - Number of entries (default: 500)
+   * @param {AbortSignal} options.signal - Cancels the call
+   * @param {number} options.timeout - HTTP timeout in ms (default: the client timeout)
+   * @returns {Promise<Array>} - Margin changes with amount, asset, symbol, time, type and positionSide
+   */
+  async getPositionMarginHistory(symbol, options = {}) {
+    const params = { symbol };
+    if (options.direction) params.type = { ADD: 1, REDUCE: 2 }[options.direction.toUpperCase()];
+    if (options.startTime) params.startTime = options.startTime;
+    if (options.endTime) params.endTime = options.endTime;
+    if (options.limit) params.limit = options.limit;
+
+    return this.signedRequest('GET', '/fapi/v1/positionMargin/history', params, {}, {
+      signal: options.signal,
+      timeout: options.timeout
+    });
+  }
+
   // ===== Trading Methods =====
 
   /**
    * Set leverage for a symbol
    * @param {string} symbol - Trading symbol
    * @param {number} leverage - Leverage value (1-125)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - API response
    */
-  async setLeverage(symbol, leverage) {
-    return this.signedRequest('POST', '/fapi/v1/leverage', {}, { symbol, leverage });
+  async setLeverage(symbol, leverage, options = {}) {
+    return this.signedRequest('POST', '/fapi/v1/leverage', {}, { symbol, leverage }, options);
+  }
+
+  /**
+   * Place an order of any type
+   * The order is validated before it is sent, see the build*Order helpers, and checked against
+   * the symbol filters unless orderValidation is disabled.
+   * Orders without a newClientOrderId get a generated one, so a timed out placement
+   * can be looked up instead of blindly resubmitted
+   * @param {Object} order - Order object (symbol, side, type, quantity, price, stopPrice, ...)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - Order response
+   * @throws {OrderValidationError} - If the order is invalid or violates a symbol filter
+   */
+  async placeOrder(order, options = {}) {
+    const resolved = await this.preflightOrder(await this.withPositionSide(order, options), '/fapi/v1/order', options);
+    const body = toOrderParams(this.withClientOrderId(resolved));
+    const response = await this.submitOrder(body, options);
+    this.logger.info('Order placed', {
+      symbol: body.symbol,
+      side: body.side,
+      type: body.type,
+      orderId: response?.orderId,
+      clientOrderId: response?.clientOrderId ?? body.newClientOrderId,
+      status: response?.status
+    });
+    return response;
+  }
+
+  /**
+   * Check an order against its symbol filters without sending it
+   * @param {Object} order - Order object
+   * @param {Object} options - Validation options
+   * @param {boolean} options.autoCorrect - Round quantity and prices instead of reporting them
+   *   (default: the orderValidation setting)
+   * @param {boolean} options.roundPrices - Round prices to the tick size (default: the orderValidation setting)
+   * @param {number} options.markPrice - Mark price for PERCENT_PRICE (default: fetched when the order has a price)
+   * @param {AbortSignal} options.signal - Cancels the exchange info and mark price lookups
+   * @param {number} options.timeout - HTTP timeout in ms (default: the client timeout)
+   * @returns {Promise<Object>} - { valid, order, violations, corrections }
+   */
+  async validateOrder(order, options = {}) {
+    const symbolInfo = await this.symbolRegistry.get(order.symbol, { signal: options.signal, timeout: options.timeout });
+    if (!symbolInfo) {
+      const violations = [{ field: 'symbol', message: `symbol ${order.symbol} is not listed` }];
+      return { valid: false, order, violations, corrections: [] };
+    }
+
+    let markPrice = options.markPrice ?? null;
+    if (markPrice === null && order.price !== undefined && order.price !== null) {
+      markPrice = await this.getMarkPrice(order.symbol, { signal: options.signal, timeout: options.timeout });
+    }
+    return validateOrder(order, symbolInfo, {
+      autoCorrect: options.autoCorrect ?? this.orderValidation.autoCorrect,
+      roundPrices: options.roundPrices ?? this.orderValidation.roundPrices,
+      markPrice
+    });
+  }
+
+  /**
+   * Round a price to the symbol's tick size from the cached exchange info
+   * @param {string} symbol - Trading symbol
+   * @param {number|string} price - Price
+   * @param {string} direction - 'down' or 'up', see getPriceRounding() (default: 'down')
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms), used when exchange info is loaded
+   * @returns {Promise<string>} - Rounded price, unchanged if the tick size is unknown
+   */
+  async roundPrice(symbol, price, direction = 'down', options = {}) {
+    const filters = await this.symbolRegistry.get(symbol, options);
+    return roundPriceToTick(price, filters?.priceFilter?.tickSize, direction);
+  }
+
+  /**
+   * Apply the orderValidation setting to an order about to be sent
+   * Only filters loaded from the exchange are enforced; with database fallback data, or while
+   * exchange info is unavailable, the order is sent unchecked
+   * @param {Object} order - Order object
+   * @param {string} endpoint - Endpoint reported on errors
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - Order object with rounded prices, corrected when autoCorrect is set
+   * @throws {OrderValidationError} - If the order violates a symbol filter
+   */
+  async preflightOrder(order, endpoint = '/fapi/v1/order', options = {}) {
+    if (!this.orderValidation.enabled || !order || typeof order.symbol !== 'string') return order;
+
+    const symbolInfo = await this.symbolRegistry.get(order.symbol, options);
+    let result;
+    if (symbolInfo && symbolInfo.source === 'exchange') {
+      const checkPrice = this.orderValidation.percentPrice && order.price !== undefined && order.price !== null;
+      result = validateOrder(order, symbolInfo, {
+        autoCorrect: this.orderValidation.autoCorrect,
+        roundPrices: this.orderValidation.roundPrices,
+        markPrice: checkPrice ? await this.getMarkPrice(order.symbol, options) : null
+      });
+    } else if (!symbolInfo && this.symbolRegistry.getStatus().loaded) {
+      result = { valid: false, violations: [{ field: 'symbol', message: `symbol ${order.symbol} is not listed` }] };
+    } else {
+      return order;
+    }
+
+    if (!result.valid) {
+      throw new OrderValidationError(`Invalid order: ${result.violations.map(v => v.message).join('; ')}`, {
+        method: 'POST',
+        endpoint,
+        params: order,
+        violations: result.violations
+      });
+    }
+    return result.order;
+  }
+
+  /**
+   * Fill in the position side for the account's position mode
+   * In hedge mode an order without positionSide opens LONG on BUY and SHORT on SELL, or closes
+   * the opposite leg when reduceOnly/closePosition is set; reduceOnly is dropped for LONG/SHORT
+   * orders since the exchange rejects it there
+   * @param {Object} order - Order object
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - Order object with positionSide
+   */
+  async withPositionSide(order, options = {}) {
+    if (!order || typeof order !== 'object') return order;
+
+    const { positionSide = null, ...rest } = order;
+    let resolved = positionSide;
+
+    if (!resolved) {
+      if (!(await this.isHedgeMode(options))) {
+        return { ...rest, positionSide: 'BOTH' };
+      }
+      const closing = order.reduceOnly === true || order.closePosition === true;
+      resolved = (order.side === 'BUY') !== closing ? 'LONG' : 'SHORT';
+    }
+
+    if (resolved === 'LONG' || resolved === 'SHORT') {
+      delete rest.reduceOnly;
+    }
+    return { ...rest, positionSide: resolved };
+  }
+
+  /**
+   * Attach a client order ID unless the order has one or generation is disabled
+   * @param {Object} order - Order object
+   * @returns {Object} - Order object with newClientOrderId
+   */
+  withClientOrderId(order) {
+    if (!this.clientOrderIds.enabled || !order || order.newClientOrderId) {
+      return order;
+    }
+    const { generate, prefix } = this.clientOrderIds;
+    const newClientOrderId = generate ? generate(order) : generateClientOrderId(prefix);
+    return { ...order, newClientOrderId };
+  }
+
+  /**
+   * Send an order, resolving ambiguous failures through its client order ID
+   * After a timeout, 5xx or duplicate ID error the order is looked up: if it exists it is
+   * returned, otherwise the order is resubmitted once under the same ID
+   * @param {Object} params - Serialized order parameters
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - Order response
+   */
+  async submitOrder(params, options = {}) {
+    const clientOrderId = params.newClientOrderId;
+
+    for (let round = 1; ; round++) {
+      try {
+        return await this.signedRequest('POST', '/fapi/v1/order', {}, params, options);
+      } catch (error) {
+        // Cancelled by the caller: the order may exist, error.params carries its client order ID
+        if (error instanceof AbortError) throw error;
+        const duplicate = error.code === DUPLICATE_CLIENT_ORDER_ID;
+        if (!clientOrderId || !(duplicate || isAmbiguousOrderError(error))) {
+          throw error;
+        }
+
+        const fields = { symbol: params.symbol, clientOrderId, error };
+        this.logger.warn('Order outcome unknown, looking it up', fields);
+
+        let existing;
+        try {
+          existing = await this.findOrderByClientId(params.symbol, clientOrderId, options);
+        } catch (lookupError) {
+          // Still unknown, report the original failure
+          throw error;
+        }
+
+        if (existing) {
+          this.logger.info('Order found after failed placement', { ...fields, orderId: existing.orderId });
+          return existing;
+        }
+        if (duplicate || round >= 2) throw error;
+        this.logger.warn('Order not found, resubmitting', fields);
+      }
+    }
   }
 
   /**
@@ -326,20 +1099,12 @@ export class AsterdexClient {
    * @param {string} side - 'BUY' or 'SELL'
    * @param {number} quantity - Order quantity
    * @param {boolean} reduceOnly - Whether this is a reduce-only order
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (default: derived from the position mode)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Order response with filledQty
    */
-  async placeMarketOrder(symbol, side, quantity, reduceOnly = false) {
-    const body = {
-      symbol,
-      side,
-      type: 'MARKET',
-      positionSide: 'BOTH',
-      quantity: quantity.toString(),
-      reduceOnly: reduceOnly ? 'true' : 'false',
-      newOrderRespType: 'RESULT',
-    };
-    
-    const response = await this.signedRequest('POST', '/fapi/v1/order', {}, body);
+  async placeMarketOrder(symbol, side, quantity, reduceOnly = false, positionSide = null, options = {}) {
+    const response = await this.placeOrder(buildMarketOrder(symbol, side, quantity, { reduceOnly, positionSide }), options);
     
     // Extract filled quantity
     const filledQty = parseFloat(
@@ -355,39 +1120,46 @@ export class AsterdexClient {
    * @param {string} side - 'BUY' or 'SELL'
    * @param {number} quantity - Order quantity
    * @param {boolean} reduceOnly - Whether this is a reduce-only order
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (default: derived from the position mode)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Order response with filledQty
    */
-  async placeMarketOrderSmart(symbol, side, quantity, reduceOnly = false) {
+  async placeMarketOrderSmart(symbol, side, quantity, reduceOnly = false, positionSide = null, options = {}) {
+    await this.precisionManager.loadPrecisionCache();
     try {
       // First try with smart precision
-      const smartQuantity = precisionManager.getSmartQuantity(symbol, quantity);
-      console.log(`🎯 Using smart precision for ${symbol}: ${smartQuantity}`);
-      return await this.placeMarketOrder(symbol, side, smartQuantity, reduceOnly);
+      const filters = await this.symbolRegistry.get(symbol, options).catch(error => {
+        if (options.signal?.aborted) throw error;
+        return null;
+      });
+      const smartQuantity = this.precisionManager.getSmartQuantity(symbol, quantity, filters);
+      this.logger.debug('Using smart precision', { symbol, quantity: smartQuantity });
+      return await this.placeMarketOrder(symbol, side, smartQuantity, reduceOnly, positionSide, options);
     } catch (error) {
       // If precision error, handle it automatically
-      if (error.response && error.response.data && 
-          error.response.data.code === -1111 && 
-          error.response.data.msg.includes('Precision is over the maximum')) {
+      if (error instanceof PrecisionError) {
         
-        console.log(`🔧 Precision error detected for ${symbol}, trying different precisions...`);
+        this.logger.warn('Precision error, trying different precisions', { symbol, quantity, error });
         
-        // Try to auto-detect precision from exchange info first
+        // Try to auto-detect precision from fresh exchange info first
         try {
-          const exchangeInfo = await this.getExchangeInfo();
-          const detectedPrecision = precisionManager.detectPrecisionFromExchangeInfo(exchangeInfo, symbol);
-          console.log(`🔍 Auto-detected precision for ${symbol}: ${detectedPrecision} decimal places`);
-          precisionManager.setPrecision(symbol, detectedPrecision);
+          await this.symbolRegistry.load(options);
+          const filters = this.symbolRegistry.getCached(symbol);
+          if (!filters) {
+            throw new Error(`Symbol not found: ${symbol}`);
+          }
+          this.logger.info('Auto-detected step size', { symbol, stepSize: (filters.marketLotSize || filters.lotSize)?.stepSize });
           
           // Try with detected precision
-          const detectedQuantity = precisionManager.getSmartQuantity(symbol, quantity);
-          console.log(`🎯 Trying with detected precision: ${detectedQuantity}`);
-          return await this.placeMarketOrder(symbol, side, detectedQuantity, reduceOnly);
+          const detectedQuantity = this.precisionManager.getSmartQuantity(symbol, quantity, filters);
+          this.logger.debug('Trying with detected precision', { symbol, quantity: detectedQuantity });
+          return await this.placeMarketOrder(symbol, side, detectedQuantity, reduceOnly, positionSide, options);
         } catch (detectionError) {
-          console.log(`⚠️  Auto-detection failed, falling back to precision trial...`);
+          this.logger.warn('Auto-detection failed, falling back to precision trial', { symbol, error: detectionError });
         }
         
-        return await precisionManager.handlePrecisionError(symbol, quantity, async (roundedQuantity) => {
-          return await this.placeMarketOrder(symbol, side, roundedQuantity, reduceOnly);
+        return await this.precisionManager.handlePrecisionError(symbol, quantity, async (roundedQuantity) => {
+          return await this.placeMarketOrder(symbol, side, roundedQuantity, reduceOnly, positionSide, options);
         });
       }
       
@@ -401,25 +1173,98 @@ export class AsterdexClient {
    * @param {string} symbol - Trading symbol
    * @param {string} side - 'BUY' or 'SELL'
    * @param {number} quantity - Order quantity
-   * @param {number} price - Order price
+   * @param {number} price - Order price, rounded to the tick size (down for BUY, up for SELL)
    * @param {string} timeInForce - 'GTC', 'IOC', or 'FOK'
    * @param {boolean} reduceOnly - Whether this is a reduce-only order
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT' (default: derived from the position mode)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Order response
    */
-  async placeLimitOrder(symbol, side, quantity, price, timeInForce = 'GTC', reduceOnly = false) {
-    const body = {
-      symbol,
-      side,
-      type: 'LIMIT',
-      positionSide: 'BOTH',
-      quantity: quantity.toString(),
-      price: price.toString(),
-      timeInForce,
-      reduceOnly: reduceOnly ? 'true' : 'false',
-      newOrderRespType: 'RESULT',
+  async placeLimitOrder(symbol, side, quantity, price, timeInForce = 'GTC', reduceOnly = false, positionSide = null, options = {}) {
+    return this.placeOrder(buildLimitOrder(symbol, side, quantity, price, { timeInForce, reduceOnly, positionSide }), options);
+  }
+
+  /**
+   * Open a position with attached stop-loss and take-profit orders
+   * The exits are sized to the filled quantity; when one fills the other is cancelled
+   * @param {Object} params - Bracket parameters (symbol, side, quantity, entryPrice, stopLoss, takeProfit, workingType)
+   * @param {Object} options - Monitoring options (userDataStream, pollIntervalMs, fillTimeoutMs, closeOnFailure)
+   *   and call options (signal, timeout), see BracketOrder
+   * @returns {Promise<BracketOrder>} - Bracket monitoring its exits
+   */
+  async placeBracketOrder(params, options = {}) {
+    const bracket = new BracketOrder(this, params, options);
+    return bracket.place();
+  }
+
+  /**
+   * Place several orders through the batch endpoint
+   * Orders are checked as in placeOrder() first; invalid orders are not sent.
+   * The rest go out in batches of 5, and each order gets its own result
+   * @param {Array} orders - Order objects, see placeOrder()
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - { results, successful, failed } where each result is
+   *   { index, order, success, response } or { index, order, success, error }, in input order
+   */
+  async placeBatchOrders(orders, options = {}) {
+    const results = new Array(orders.length);
+    const pending = [];
+    const resolved = await Promise.all(orders.map(order => this.withPositionSide(order, options)));
+
+    for (const [index, order] of resolved.entries()) {
+      try {
+        const checked = this.withClientOrderId(await this.preflightOrder(order, '/fapi/v1/batchOrders', options));
+        pending.push({ index, order: checked, params: toOrderParams(checked) });
+      } catch (error) {
+        results[index] = { index, order, success: false, error };
+      }
+    }
+
+    for (let i = 0; i < pending.length; i += MAX_BATCH_ORDERS) {
+      const chunk = pending.slice(i, i + MAX_BATCH_ORDERS);
+      const batchOrders = JSON.stringify(chunk.map(item => item.params));
+
+      let responses;
+      try {
+        responses = await this.signedRequest('POST', '/fapi/v1/batchOrders', {}, { batchOrders }, options);
+      } catch (error) {
+        chunk.forEach(({ index, order }) => {
+          results[index] = { index, order, success: false, error };
+        });
+        continue;
+      }
+
+      chunk.forEach(({ index, order, params }, position) => {
+        results[index] = this.toBatchResult(index, order, responses[position], 'POST', params);
+      });
+    }
+
+    return {
+      results,
+      successful: results.filter(result => result.success),
+      failed: results.filter(result => !result.success)
     };
-    
-    return this.signedRequest('POST', '/fapi/v1/order', {}, body);
+  }
+
+  /**
+   * Turn one entry of a batch response into a result, converting { code, msg } into a typed error
+   * @param {number} index - Position in the caller's input
+   * @param {*} input - Order object or ID the entry belongs to
+   * @param {Object} response - Batch response entry
+   * @param {string} method - HTTP method of the batch request
+   * @param {Object} params - Parameters of this entry
+   * @returns {Object} - Batch result
+   */
+  toBatchResult(index, input, response, method, params) {
+    const key = method === 'POST' ? 'order' : 'id';
+    if (!response || (response.code !== undefined && response.orderId === undefined)) {
+      const error = createApiError(
+        { status: 200, data: response },
+        { method, endpoint: '/fapi/v1/batchOrders', params }
+      );
+      return { index, [key]: input, success: false, error };
+    }
+    return { index, [key]: input, success: true, response };
   }
 
   /**
@@ -427,17 +1272,27 @@ export class AsterdexClient {
    * @param {string} symbol - Trading symbol
    * @param {number} quantity - Quantity to close (optional, will use current position if not provided)
    * @param {string} side - 'BUY' or 'SELL' (optional, will auto-detect if not provided)
+   * @param {string} positionSide - 'LONG' or 'SHORT' leg to close in hedge mode (optional, auto-detected
+   *   when only one leg is open or side picks one)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Order response
    */
-  async closePosition(symbol, quantity = null, side = null) {
+  async closePosition(symbol, quantity = null, side = null, positionSide = null, options = {}) {
     let closeQuantity = quantity;
     let closeSide = side;
+    let closePositionSide = positionSide;
 
     if (!closeQuantity || !closeSide) {
-      const positionAmount = await this.getPositionAmount(symbol);
-      if (positionAmount === 0) {
+      const positions = await this.findOpenPositions(symbol, side, positionSide, options);
+      if (positions.length === 0) {
         throw new Error('No position to close');
       }
+      if (positions.length > 1) {
+        throw new Error(`AsterdexClient: both LONG and SHORT positions are open for ${symbol}, pass positionSide or side`);
+      }
+
+      const positionAmount = parseFloat(positions[0].positionAmt);
+      closePositionSide = positions[0].positionSide || closePositionSide;
       
       if (!closeQuantity) {
         closeQuantity = Math.abs(positionAmount);
@@ -448,7 +1303,7 @@ export class AsterdexClient {
       }
     }
 
-    return this.placeMarketOrder(symbol, closeSide, closeQuantity, true);
+    return this.placeMarketOrder(symbol, closeSide, closeQuantity, true, closePositionSide, options);
   }
 
   /**
@@ -456,49 +1311,168 @@ export class AsterdexClient {
    * @param {string} symbol - Trading symbol
    * @param {number} exactQuantity - Exact quantity to close
    * @param {string} side - 'BUY' or 'SELL'
+   * @param {string} positionSide - 'LONG' or 'SHORT' leg in hedge mode (default: the leg this side closes)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Order response
    */
-  async closePositionExact(symbol, exactQuantity, side) {
-    return this.placeMarketOrder(symbol, side, exactQuantity, true);
+  async closePositionExact(symbol, exactQuantity, side, positionSide = null, options = {}) {
+    return this.placeMarketOrder(symbol, side, exactQuantity, true, positionSide, options);
   }
 
   /**
    * Cancel an order
    * @param {string} symbol - Trading symbol
    * @param {number} orderId - Order ID to cancel
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - API response
    */
-  async cancelOrder(symbol, orderId) {
-    return this.signedRequest('DELETE', '/fapi/v1/order', {}, { symbol, orderId });
+  async cancelOrder(symbol, orderId, options = {}) {
+    return this.signedRequest('DELETE', '/fapi/v1/order', {}, { symbol, orderId }, options);
   }
 
   /**
    * Cancel all open orders for a symbol
    * @param {string} symbol - Trading symbol
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - API response
    */
-  async cancelAllOrders(symbol) {
-    return this.signedRequest('DELETE', '/fapi/v1/allOpenOrders', {}, { symbol });
+  async cancelAllOrders(symbol, options = {}) {
+    return this.signedRequest('DELETE', '/fapi/v1/allOpenOrders', {}, { symbol }, options);
+  }
+
+  /**
+   * Cancel several orders through the batch endpoint, in batches of 10
+   * @param {string} symbol - Trading symbol
+   * @param {Object} ids - Orders to cancel
+   * @param {Array<number>} ids.orderIds - Exchange order IDs
+   * @param {Array<string>} ids.clientOrderIds - Client order IDs
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - { results, successful, failed } where each result is
+   *   { index, id, success, response } or { index, id, success, error }, orderIds first
+   */
+  async cancelBatchOrders(symbol, { orderIds = [], clientOrderIds = [] } = {}, options = {}) {
+    const lists = [
+      { field: 'orderIdList', ids: orderIds },
+      { field: 'origClientOrderIdList', ids: clientOrderIds }
+    ];
+    const results = [];
+
+    for (const { field, ids } of lists) {
+      for (let i = 0; i < ids.length; i += MAX_BATCH_CANCELS) {
+        const chunk = ids.slice(i, i + MAX_BATCH_CANCELS);
+        const offset = results.length;
+        const params = { symbol, [field]: JSON.stringify(chunk) };
+
+        let responses;
+        try {
+          responses = await this.signedRequest('DELETE', '/fapi/v1/batchOrders', {}, params, options);
+        } catch (error) {
+          chunk.forEach((id, position) => {
+            results.push({ index: offset + position, id, success: false, error });
+          });
+          continue;
+        }
+
+        chunk.forEach((id, position) => {
+          results.push(this.toBatchResult(offset + position, id, responses[position], 'DELETE', { symbol, [field]: [id] }));
+        });
+      }
+    }
+
+    return {
+      results,
+      successful: results.filter(result => result.success),
+      failed: results.filter(result => !result.success)
+    };
   }
 
   /**
    * Get open orders
    * @param {string} symbol - Trading symbol (optional)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Array>} - Array of open orders
    */
-  async getOpenOrders(symbol = null) {
+  async getOpenOrders(symbol = null, options = {}) {
     const params = symbol ? { symbol } : {};
-    return this.signedRequest('GET', '/fapi/v1/openOrders', params);
+    return this.signedRequest('GET', '/fapi/v1/openOrders', params, {}, options);
   }
 
   /**
    * Get order by ID
    * @param {string} symbol - Trading symbol
    * @param {number} orderId - Order ID
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - Order information
+   */
+  async getOrder(symbol, orderId, options = {}) {
+    return this.signedRequest('GET', '/fapi/v1/order', { symbol, orderId }, {}, options);
+  }
+
+  /**
+   * Get order by client order ID
+   * @param {string} symbol - Trading symbol
+   * @param {string} clientOrderId - Client order ID the order was placed with
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Order information
    */
-  async getOrder(symbol, orderId) {
-    return this.signedRequest('GET', '/fapi/v1/order', { symbol, orderId });
+  async getOrderByClientId(symbol, clientOrderId, options = {}) {
+    return this.signedRequest('GET', '/fapi/v1/order', { symbol, origClientOrderId: clientOrderId }, {}, options);
+  }
+
+  /**
+   * Look up an order by client order ID, returning null if the exchange does not know it
+   * @param {string} symbol - Trading symbol
+   * @param {string} clientOrderId - Client order ID
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object|null>} - Order information or null
+   */
+  async findOrderByClientId(symbol, clientOrderId, options = {}) {
+    try {
+      return await this.getOrderByClientId(symbol, clientOrderId, options);
+    } catch (error) {
+      if (error.code === ORDER_NOT_FOUND) return null;
+      throw error;
+    }
+  }
+
+  // ===== User Data Stream Methods =====
+
+  /**
+   * Create a listenKey for the user data stream
+   * Returns the current key if one is still valid
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<string>} - listenKey
+   */
+  async createListenKey(options = {}) {
+    const response = await this.apiKeyRequest('POST', '/fapi/v1/listenKey', {}, options);
+    return response.listenKey;
+  }
+
+  /**
+   * Extend the validity of the listenKey by 60 minutes
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - API response
+   */
+  async keepAliveListenKey(options = {}) {
+    return this.apiKeyRequest('PUT', '/fapi/v1/listenKey', {}, options);
+  }
+
+  /**
+   * Close the listenKey
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
+   * @returns {Promise<Object>} - API response
+   */
+  async closeListenKey(options = {}) {
+    return this.apiKeyRequest('DELETE', '/fapi/v1/listenKey', {}, options);
+  }
+
+  /**
+   * Create a managed user data stream (call start() to connect)
+   * @param {Object} options - Stream options (wsURL, keepAliveIntervalMs, reconnect settings)
+   * @returns {AsterdexUserDataStream} - User data stream
+   */
+  createUserDataStream(options = {}) {
+    return new AsterdexUserDataStream(this, options);
   }
 
   // ===== Utility Methods =====
@@ -508,24 +1482,24 @@ export class AsterdexClient {
    * @param {string} symbol - Trading symbol
    * @param {number} leverage - Leverage to use
    * @param {number} safetyBuffer - Safety buffer (0-1, default 0.98)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Calculated position info
    */
-  async calculateMaxPosition(symbol, leverage, safetyBuffer = 0.98) {
-    const [exchangeInfo, balance, price] = await Promise.all([
-      this.getExchangeInfo(),
-      this.getAvailableBalance('USDT'), // Always use USDT available for trading
-      this.getLastPrice(symbol)
+  async calculateMaxPosition(symbol, leverage, safetyBuffer = 0.98, options = {}) {
+    const [filters, balance, price] = await Promise.all([
+      this.symbolRegistry.get(symbol, options),
+      this.getAvailableBalance('USDT', options), // Always use USDT available for trading
+      this.getLastPrice(symbol, options)
     ]);
 
-    const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === symbol);
-    if (!symbolInfo) {
+    if (!filters) {
       throw new Error(`Symbol not found: ${symbol}`);
     }
 
-    const { stepSize, minNotional } = extractFilters(symbolInfo);
+    const { stepSize, minNotional } = extractFilters(filters);
     const targetNotional = balance * leverage * safetyBuffer;
     const quantity = qtyFromNotional(targetNotional, price, stepSize, minNotional);
-    const effectiveNotional = quantity * price;
+    const effectiveNotional = parseFloat(multiplyDecimals(quantity, price));
 
     return {
       balance,
@@ -541,21 +1515,24 @@ export class AsterdexClient {
 
   /**
    * Execute a full balance trade (open and close after delay)
+   * Aborting before the position is opened throws an AbortError; aborting during the hold
+   * closes the position right away and the result has aborted: true
    * @param {string} symbol - Trading symbol
    * @param {string} side - 'BUY' or 'SELL'
    * @param {number} leverage - Leverage to use
    * @param {number} holdMs - Time to hold position in milliseconds
    * @param {number} safetyBuffer - Safety buffer (0-1)
+   * @param {Object} options - Call options: signal (AbortSignal) and timeout (ms)
    * @returns {Promise<Object>} - Trade results
    */
-  async executeFullBalanceTrade(symbol, side, leverage, holdMs, safetyBuffer = 0.98) {
+  async executeFullBalanceTrade(symbol, side, leverage, holdMs, safetyBuffer = 0.98, options = {}) {
     // Set leverage first
-    await this.setLeverage(symbol, leverage);
+    await this.setLeverage(symbol, leverage, options);
 
     // Calculate position size
-    const positionInfo = await this.calculateMaxPosition(symbol, leverage, safetyBuffer);
+    const positionInfo = await this.calculateMaxPosition(symbol, leverage, safetyBuffer, options);
     
-    if (positionInfo.quantity <= 0) {
+    if (!(parseFloat(positionInfo.quantity) > 0)) {
       throw new Error('Calculated quantity is <= 0');
     }
     
@@ -564,24 +1541,30 @@ export class AsterdexClient {
     }
 
     // Open position
-    const openResult = await this.placeMarketOrder(symbol, side, positionInfo.quantity, false);
+    const openResult = await this.placeMarketOrder(symbol, side, positionInfo.quantity, false, null, options);
     
-    // Wait
-    console.log(`Holding position for ${holdMs / 1000} seconds...`);
-    await sleep(holdMs);
+    // Wait, cut short by an abort
+    this.logger.info('Holding position', { symbol, orderId: openResult.orderId, holdMs });
+    await sleep(holdMs, options.signal);
+    const aborted = options.signal?.aborted === true;
+    if (aborted) {
+      this.logger.warn('Hold aborted, closing position', { symbol, orderId: openResult.orderId });
+    }
 
-    // Close position with exact quantity
+    // Close position with exact quantity; the close itself is never cancelled
+    const closeOptions = { timeout: options.timeout };
     const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
-    const closeResult = await this.closePositionExact(symbol, openResult.filledQty, closeSide);
+    const closeResult = await this.closePositionExact(symbol, openResult.filledQty, closeSide, openResult.positionSide, closeOptions);
 
     // Check remaining position
-    const remainingPosition = await this.getPositionAmount(symbol);
+    const remainingPosition = await this.getPositionAmount(symbol, openResult.positionSide, closeOptions);
 
     return {
       open: openResult,
       close: closeResult,
       remainingPosition,
-      positionInfo
+      positionInfo,
+      aborted
     };
   }
 }
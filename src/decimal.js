@@ -0,0 +1,233 @@
+/**
+ * Exact decimal arithmetic for AsterDEX quantities and prices
+ * Values are handled as scaled BigInts, so step and tick rounding has no float error for any
+ * step size (0.001, 0.5, 5, ...). Inputs may be numbers or numeric strings; results are
+ * canonical decimal strings without exponent or trailing zeros
+ */
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Parse a number or numeric string into a scaled integer
+ * @param {number|string} value - Value to parse
+ * @returns {Object} - { units, scale } where value = units / 10^scale
+ */
+function parse(value) {
+  const text = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (match[2] === '' && (match[3] ?? '') === '')) {
+    throw new Error(`Invalid decimal: ${value}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  let digits = `${whole}${fraction}`;
+  let scale = fraction.length - parseInt(exponent, 10);
+  if (scale < 0) {
+    digits += '0'.repeat(-scale);
+    scale = 0;
+  }
+
+  const units = BigInt(digits || '0');
+  return { units: sign === '-' ? -units : units, scale };
+}
+
+/**
+ * Bring a parsed value to a larger scale
+ * @param {Object} decimal - Parsed value
+ * @param {number} scale - Target scale (>= decimal.scale)
+ * @returns {bigint} - Units at the target scale
+ */
+function rescale(decimal, scale) {
+  return decimal.units * 10n ** BigInt(scale - decimal.scale);
+}
+
+/**
+ * Format a scaled integer as a canonical decimal string
+ * @param {bigint} units - Scaled integer
+ * @param {number} scale - Number of decimals in units
+ * @returns {string} - Decimal string, e.g. '0.3'
+ */
+function format(units, scale) {
+  const negative = units < 0n;
+  let digits = (negative ? -units : units).toString();
+  if (scale > 0) {
+    digits = digits.padStart(scale + 1, '0');
+    const whole = digits.slice(0, -scale);
+    const fraction = digits.slice(-scale).replace(/0+$/, '');
+    digits = fraction ? `${whole}.${fraction}` : whole;
+  }
+  return negative && digits !== '0' ? `-${digits}` : digits;
+}
+
+/**
+ * Integer division rounding toward negative or positive infinity
+ * @param {bigint} numerator - Dividend
+ * @param {bigint} denominator - Divisor (positive)
+ * @param {boolean} up - Round up instead of down
+ * @returns {bigint} - Quotient
+ */
+function divide(numerator, denominator, up) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+  if (up) return remainder > 0n ? quotient + 1n : quotient;
+  return remainder < 0n ? quotient - 1n : quotient;
+}
+
+/**
+ * Parse a step or tick size, which must be positive
+ * @param {number|string} step - Step size
+ * @returns {Object} - Parsed step
+ */
+function parseStep(step) {
+  const parsed = parse(step);
+  if (parsed.units <= 0n) {
+    throw new Error(`Invalid step size: ${step}`);
+  }
+  return parsed;
+}
+
+/**
+ * Convert a number or numeric string into a canonical decimal string
+ * @param {number|string} value - Value to convert
+ * @returns {string} - Decimal string, e.g. 1e-7 -> '0.0000001'
+ */
+export function toDecimalString(value) {
+  const { units, scale } = parse(value);
+  return format(units, scale);
+}
+
+/**
+ * Compare two decimals
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {number} - -1, 0 or 1
+ */
+export function compareDecimals(a, b) {
+  const x = parse(a);
+  const y = parse(b);
+  const scale = Math.max(x.scale, y.scale);
+  const left = rescale(x, scale);
+  const right = rescale(y, scale);
+  return left === right ? 0 : left < right ? -1 : 1;
+}
+
+/**
+ * Add two decimals exactly
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {string} - Sum
+ */
+export function addDecimals(a, b) {
+  const x = parse(a);
+  const y = parse(b);
+  const scale = Math.max(x.scale, y.scale);
+  return format(rescale(x, scale) + rescale(y, scale), scale);
+}
+
+/**
+ * Subtract two decimals exactly
+ * @param {number|string} a - Minuend
+ * @param {number|string} b - Subtrahend
+ * @returns {string} - Difference
+ */
+export function subtractDecimals(a, b) {
+  const x = parse(a);
+  const y = parse(b);
+  const scale = Math.max(x.scale, y.scale);
+  return format(rescale(x, scale) - rescale(y, scale), scale);
+}
+
+/**
+ * Multiply two decimals exactly
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {string} - Product
+ */
+export function multiplyDecimals(a, b) {
+  const x = parse(a);
+  const y = parse(b);
+  return format(x.units * y.units, x.scale + y.scale);
+}
+
+/**
+ * Count the significant decimals of a value
+ * @param {number|string} value - Value, typically a step or tick size
+ * @returns {number} - Decimal places, e.g. '0.0010' -> 3, '5' -> 0
+ */
+export function decimalPlaces(value) {
+  const [, fraction = ''] = toDecimalString(value).split('.');
+  return fraction.length;
+}
+
+/**
+ * Round a value down to a multiple of a step
+ * @param {number|string} value - Value to round
+ * @param {number|string} step - Step or tick size
+ * @returns {string} - Rounded value
+ */
+export function floorToStep(value, step) {
+  return roundToMultiple(value, step, false);
+}
+
+/**
+ * Round a value up to a multiple of a step
+ * @param {number|string} value - Value to round
+ * @param {number|string} step - Step or tick size
+ * @returns {string} - Rounded value
+ */
+export function ceilToStep(value, step) {
+  return roundToMultiple(value, step, true);
+}
+
+/**
+ * Round a value to a multiple of a step
+ * @param {number|string} value - Value to round
+ * @param {number|string} step - Step or tick size
+ * @param {boolean} up - Round up instead of down
+ * @returns {string} - Rounded value
+ */
+function roundToMultiple(value, step, up) {
+  const x = parse(value);
+  const s = parseStep(step);
+  const scale = Math.max(x.scale, s.scale);
+  const stepUnits = rescale(s, scale);
+  return format(divide(rescale(x, scale), stepUnits, up) * stepUnits, scale);
+}
+
+/**
+ * Check whether a value is an exact multiple of a step
+ * @param {number|string} value - Value to check
+ * @param {number|string} step - Step or tick size
+ * @returns {boolean} - True if aligned
+ */
+export function isStepMultiple(value, step) {
+  const x = parse(value);
+  const s = parseStep(step);
+  const scale = Math.max(x.scale, s.scale);
+  return rescale(x, scale) % rescale(s, scale) === 0n;
+}
+
+/**
+ * Divide a notional by a price and round the quantity to a step
+ * Exact: the result q satisfies q * price <= notional (floor) or q * price >= notional (ceil)
+ * @param {number|string} notional - Quote amount
+ * @param {number|string} price - Price per unit (positive)
+ * @param {number|string} step - Quantity step size
+ * @param {boolean} up - Round up instead of down
+ * @returns {string} - Quantity
+ */
+export function divideToStep(notional, price, step, up = false) {
+  const n = parse(notional);
+  const p = parse(price);
+  const s = parseStep(step);
+  if (p.units <= 0n) {
+    throw new Error(`Invalid price: ${price}`);
+  }
+
+  // steps = notional / (price * step), computed on a common scale
+  const denominator = { units: p.units * s.units, scale: p.scale + s.scale };
+  const scale = Math.max(n.scale, denominator.scale);
+  const steps = divide(rescale(n, scale), rescale(denominator, scale), up);
+  return format(steps * s.units, s.scale);
+}
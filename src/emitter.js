@@ -0,0 +1,138 @@
+/**
+ * Minimal event emitter
+ * Covers the subset of Node's EventEmitter the client uses, without depending on Node's
+ * events module, so streams and bracket orders load in Deno, Bun, Workers and browsers.
+ * Like Node's, emitting 'error' without a listener throws the error
+ */
+export class EventEmitter {
+  constructor() {
+    this.listenersByEvent = new Map();
+  }
+
+  /**
+   * Add a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {EventEmitter} - This emitter
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('EventEmitter: listener must be a function');
+    }
+    const listeners = this.listenersByEvent.get(event) || [];
+    this.listenersByEvent.set(event, [...listeners, listener]);
+    return this;
+  }
+
+  /**
+   * Add a listener (alias of on)
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {EventEmitter} - This emitter
+   */
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  /**
+   * Add a listener removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {EventEmitter} - This emitter
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener added with on or once
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   * @returns {EventEmitter} - This emitter
+   */
+  off(event, listener) {
+    const listeners = this.listenersByEvent.get(event);
+    if (!listeners) return this;
+
+    // Remove the most recently added match, like Node
+    const index = listeners.findLastIndex(entry => entry === listener || entry.listener === listener);
+    if (index === -1) return this;
+
+    const remaining = listeners.filter((_, i) => i !== index);
+    if (remaining.length) {
+      this.listenersByEvent.set(event, remaining);
+    } else {
+      this.listenersByEvent.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Remove a listener (alias of off)
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   * @returns {EventEmitter} - This emitter
+   */
+  removeListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  /**
+   * Remove every listener of an event, or of all events
+   * @param {string} event - Event name (optional)
+   * @returns {EventEmitter} - This emitter
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.listenersByEvent.clear();
+    } else {
+      this.listenersByEvent.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener of an event
+   * @param {string} event - Event name
+   * @param {...*} args - Event arguments
+   * @returns {boolean} - True if the event had listeners
+   * @throws {Error} - The error of an 'error' event nobody listens to
+   */
+  emit(event, ...args) {
+    const listeners = this.listenersByEvent.get(event);
+    if (!listeners) {
+      if (event === 'error') {
+        throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error event: ${args[0]}`);
+      }
+      return false;
+    }
+    // Listeners added or removed while emitting apply from the next emit
+    for (const listener of listeners) {
+      listener.apply(this, args);
+    }
+    return true;
+  }
+
+  /**
+   * Get the listeners of an event
+   * @param {string} event - Event name
+   * @returns {Function[]} - Listeners, once listeners unwrapped
+   */
+  listeners(event) {
+    return (this.listenersByEvent.get(event) || []).map(entry => entry.listener || entry);
+  }
+
+  /**
+   * Count the listeners of an event
+   * @param {string} event - Event name
+   * @returns {number} - Number of listeners
+   */
+  listenerCount(event) {
+    return this.listenersByEvent.get(event)?.length ?? 0;
+  }
+}
@@ -0,0 +1,224 @@
+import { parseRetryAfter } from './retry.js';
+
+/**
+ * Error hierarchy for AsterDEX API
+ * Transport and exchange failures are converted into typed errors carrying
+ * the exchange code, HTTP status, endpoint and request parameters
+ */
+
+/**
+ * Base class for every error thrown by the client
+ */
+export class AsterdexError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.method = options.method;
+    this.endpoint = options.endpoint;
+    this.params = options.params;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * The exchange answered with an error response
+ * `response` keeps the raw { status, data, headers } for callers that inspect it directly
+ */
+export class AsterdexApiError extends AsterdexError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = options.code;
+    this.status = options.status;
+    this.exchangeMessage = options.exchangeMessage;
+    this.response = options.response;
+  }
+}
+
+/**
+ * Too many requests (429), IP banned (418) or -1003
+ */
+export class RateLimitError extends AsterdexApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/**
+ * Timestamp outside recvWindow (-1021)
+ */
+export class TimestampError extends AsterdexApiError {}
+
+/**
+ * Invalid API key, signature or permissions (-1022, -2014, -2015)
+ */
+export class AuthenticationError extends AsterdexApiError {}
+
+/**
+ * Margin or balance is insufficient for the order (-2018, -2019)
+ */
+export class InsufficientMarginError extends AsterdexApiError {}
+
+/**
+ * Quantity or price precision is over the maximum for the symbol (-1111)
+ */
+export class PrecisionError extends AsterdexApiError {}
+
+/**
+ * No response was received (timeout, connection reset, DNS failure)
+ */
+export class NetworkError extends AsterdexError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = options.code;
+    this.timedOut = options.code === 'ECONNABORTED' || options.code === 'ETIMEDOUT';
+  }
+}
+
+/**
+ * The call was cancelled through its AbortSignal
+ * `reason` is the signal's abort reason
+ */
+export class AbortError extends AsterdexError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.reason = options.reason;
+  }
+}
+
+/**
+ * An order failed client-side validation and was not sent
+ * `violations` lists every problem found
+ */
+export class OrderValidationError extends AsterdexError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.violations = options.violations || [];
+  }
+}
+
+/**
+ * A call replayed from a traffic fixture has no matching recorded response, or the fixture is invalid
+ * `reason` is 'invalidFixture', 'exhausted' (no response left for the call) or 'mismatch'
+ * (the next recorded call is a different one, kept in `expected`)
+ */
+export class TrafficReplayError extends AsterdexError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.reason = options.reason;
+    this.expected = options.expected ?? null;
+  }
+}
+
+/**
+ * Exchange error codes mapped to error classes
+ */
+export const ERROR_CODE_MAP = {
+  [-1003]: RateLimitError,
+  [-1021]: TimestampError,
+  [-1022]: AuthenticationError,
+  [-2014]: AuthenticationError,
+  [-2015]: AuthenticationError,
+  [-1111]: PrecisionError,
+  [-2018]: InsufficientMarginError,
+  [-2019]: InsufficientMarginError
+};
+
+/**
+ * HTTP statuses mapped to error classes when the exchange code is not mapped
+ */
+export const HTTP_STATUS_MAP = {
+  418: RateLimitError,
+  429: RateLimitError
+};
+
+/**
+ * Convert a transport error into a typed AsterDEX error
+ * @param {Error} error - Error thrown by the HTTP client
+ * @param {Object} context - Request context
+ * @param {string} context.method - HTTP method
+ * @param {string} context.endpoint - API endpoint path
+ * @param {Object} context.params - Request parameters (without timestamp or signature)
+ * @returns {AsterdexError} - Typed error
+ */
+export function toAsterdexError(error, context = {}) {
+  if (error instanceof AsterdexError) return error;
+
+  const base = { method: context.method, endpoint: context.endpoint, params: context.params, cause: error };
+  const where = context.endpoint ? ` (${context.method} ${context.endpoint})` : '';
+
+  if (!error?.response) {
+    return new NetworkError(`${error?.message || 'Network error'}${where}`, { ...base, code: error?.code });
+  }
+
+  return createApiError(error.response, context, error);
+}
+
+/**
+ * Build the error thrown when a call is cancelled
+ * @param {AbortSignal} signal - Aborted signal
+ * @param {Object} context - Request context (method, endpoint, params)
+ * @returns {AbortError} - Error carrying the abort reason
+ */
+export function createAbortError(signal, context = {}) {
+  const where = context.endpoint ? ` (${context.method} ${context.endpoint})` : '';
+  return new AbortError(`Aborted${where}`, {
+    method: context.method,
+    endpoint: context.endpoint,
+    params: context.params,
+    reason: signal?.reason,
+    cause: signal?.reason
+  });
+}
+
+/**
+ * Wait for a promise unless the signal aborts first
+ * Lets one caller give up its wait on work shared with other callers
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Gives up the wait (optional)
+ * @param {Object} context - Request context reported on the AbortError (method, endpoint)
+ * @returns {Promise<*>} - Result of the promise
+ */
+export function untilAborted(promise, signal, context = {}) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError(signal, context));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal, context));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Build a typed error from an exchange error payload
+ * Used for per-item failures inside batch responses, which arrive with HTTP 200
+ * @param {Object} response - { status, data, headers } where data is { code, msg }
+ * @param {Object} context - Request context (method, endpoint, params)
+ * @param {Error} cause - Original error, if any
+ * @returns {AsterdexApiError} - Typed error
+ */
+export function createApiError(response, context = {}, cause = undefined) {
+  const { status, data, headers } = response;
+  const base = { method: context.method, endpoint: context.endpoint, params: context.params, cause };
+  const where = context.endpoint ? ` (${context.method} ${context.endpoint})` : '';
+  const code = typeof data?.code === 'number' ? data.code : undefined;
+  const exchangeMessage = data?.msg || (typeof data === 'string' && data.slice(0, 200)) || cause?.message;
+  const ErrorClass = ERROR_CODE_MAP[code] || HTTP_STATUS_MAP[status] || AsterdexApiError;
+
+  const options = {
+    ...base,
+    code,
+    status,
+    exchangeMessage,
+    response: { status, data, headers }
+  };
+
+  if (ErrorClass === RateLimitError) {
+    options.retryAfter = parseRetryAfter(headers?.['retry-after']);
+  }
+
+  const label = code !== undefined ? `${code}` : `HTTP ${status}`;
+  return new ErrorClass(`AsterDEX API error ${label}: ${exchangeMessage}${where}`, options);
+}
@@ -0,0 +1,217 @@
+/**
+ * Structured logging for AsterDEX clients
+ * Log calls carry a message and fields ({ symbol, orderId, endpoint, latencyMs, ... }) and go
+ * to a sink, a function receiving one entry per call. Without a sink nothing is logged.
+ * Secrets are redacted before an entry reaches the sink
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_FIELDS = /^(api[-_]?key|api[-_]?secret|secret|secret[-_]?key|signature|x-mbx-apikey|authorization|password)$/i;
+
+// Signatures inside URLs and form bodies
+const SIGNATURE_PARAM = /(signature=)[^&\s"]+/gi;
+
+/**
+ * Console sink
+ * @param {Object} target - Object with debug/info/warn/error methods (default: console)
+ * @returns {Function} - Log sink
+ */
+export function consoleSink(target = console) {
+  return ({ level, message, time, ...fields }) => {
+    target[level](`[asterdex] ${message}`, fields);
+  };
+}
+
+/**
+ * JSON lines sink, one JSON object per entry
+ * @param {Object} stream - Writable stream (default: process.stdout)
+ * @returns {Function} - Log sink
+ */
+export function jsonSink(stream = process.stdout) {
+  return (entry) => {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+}
+
+/**
+ * Sink for pino and bunyan style loggers, which take fields first: logger.info(fields, message)
+ * @param {Object} logger - pino or bunyan logger
+ * @returns {Function} - Log sink
+ */
+export function pinoSink(logger) {
+  return ({ level, message, time, ...fields }) => {
+    logger[level](fields, message);
+  };
+}
+
+/**
+ * Sink for winston style loggers: logger.log(level, message, fields)
+ * @param {Object} logger - winston logger
+ * @returns {Function} - Log sink
+ */
+export function winstonSink(logger) {
+  return ({ level, message, time, ...fields }) => {
+    logger.log(level, message, fields);
+  };
+}
+
+/**
+ * Turn the logger client option into a sink
+ * @param {Function|Object|boolean} logger - Sink function, object with level methods taking
+ *   (message, fields), or false/undefined for silence
+ * @returns {Function|null} - Log sink or null
+ */
+export function toLogSink(logger) {
+  if (!logger) return null;
+  if (typeof logger === 'function') return logger;
+  if (LOG_LEVELS.every(level => typeof logger[level] === 'function')) {
+    return ({ level, message, time, ...fields }) => logger[level](message, fields);
+  }
+  throw new Error('AsterdexClient: logger must be a function or an object with debug, info, warn and error methods');
+}
+
+/**
+ * Replace secrets in a value
+ * Secret fields are masked by name, signatures in strings by pattern and the given secret
+ * values wherever they appear
+ * @param {*} value - Value to redact
+ * @param {Array} secrets - Literal secrets such as the API key
+ * @returns {*} - Redacted copy
+ */
+export function redact(value, secrets = []) {
+  const seen = new WeakSet();
+
+  const visit = (current) => {
+    if (typeof current === 'string') {
+      let text = current.replace(SIGNATURE_PARAM, `$1${REDACTED}`);
+      for (const secret of secrets) {
+        if (secret) text = text.split(secret).join(REDACTED);
+      }
+      return text;
+    }
+    if (current instanceof Error) {
+      return {
+        name: current.name,
+        message: visit(current.message),
+        ...(current.code !== undefined && { code: current.code }),
+        ...(current.status !== undefined && { status: current.status })
+      };
+    }
+    if (!current || typeof current !== 'object') return current;
+    if (seen.has(current)) return '[Circular]';
+    seen.add(current);
+
+    if (Array.isArray(current)) return current.map(visit);
+    const copy = {};
+    for (const [key, item] of Object.entries(current)) {
+      copy[key] = SECRET_FIELDS.test(key) ? REDACTED : visit(item);
+    }
+    return copy;
+  };
+
+  return visit(value);
+}
+
+export class Logger {
+  /**
+   * @param {Function|null} sink - Receives { level, message, time, ...fields }; null logs nothing
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Minimum level (default: 'info')
+   * @param {Object} options.fields - Fields added to every entry
+   * @param {Array} options.secrets - Literal values to redact, e.g. the API key and secret
+   */
+  constructor(sink = null, options = {}) {
+    const level = options.level || 'info';
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`AsterdexClient: logLevel must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    this.sink = sink;
+    this.level = level;
+    this.fields = options.fields || {};
+    this.secrets = (options.secrets || []).filter(Boolean);
+  }
+
+  /**
+   * Check whether entries of a level reach the sink
+   * @param {string} level - Log level
+   * @returns {boolean} - True if logged
+   */
+  isEnabled(level) {
+    return this.sink !== null && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Log an entry
+   * A failing sink never breaks the caller
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const entry = redact({ ...this.fields, ...fields }, this.secrets);
+    try {
+      this.sink({ level, message: redact(message, this.secrets), time: new Date().toISOString(), ...entry });
+    } catch (error) {
+      // Logging is best effort
+    }
+  }
+
+  /**
+   * Log at debug level
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Log at info level
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Log at warn level
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Log at error level
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Create a logger that adds fields to every entry
+   * @param {Object} fields - Fields such as { component: 'precision' }
+   * @returns {Logger} - Child logger sharing the sink, level and secrets
+   */
+  child(fields) {
+    return new Logger(this.sink, {
+      level: this.level,
+      fields: { ...this.fields, ...fields },
+      secrets: this.secrets
+    });
+  }
+}
+
+/**
+ * Logger that drops everything, the default
+ */
+export const silentLogger = new Logger(null);
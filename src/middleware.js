@@ -0,0 +1,181 @@
+/**
+ * Request middleware for AsterDEX clients
+ * A middleware is an object with any of these hooks, each sync or async:
+ * - beforeRequest(context): runs once per call before throttling and signing. It may change
+ *   context.query, context.body and context.headers, or return a value to short-circuit the
+ *   call with that value as the response
+ * - afterResponse(context, data): runs after a successful call, including short-circuited
+ *   ones. A returned value replaces the response data
+ * - onError(context, error): runs after a call failed for good (retries exhausted). A returned
+ *   value is used as the response instead; throwing replaces the error
+ * Hooks run in registration order
+ */
+
+export const MIDDLEWARE_HOOKS = ['beforeRequest', 'afterResponse', 'onError'];
+
+/**
+ * Create the context shared by the hooks of one call
+ * @param {string} security - 'public', 'apiKey' or 'signed'
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} query - Query parameters
+ * @param {Object} body - Form body parameters
+ * @param {Object} options - Call options ({ signal, timeout })
+ * @returns {Object} - Request context
+ */
+export function createRequestContext(security, method, endpoint, query = {}, body = {}, options = {}) {
+  const context = {
+    security,
+    method: method.toUpperCase(),
+    endpoint,
+    query: { ...query },
+    body: { ...body },
+    headers: {},
+    params: null,
+    signal: options.signal ?? null,
+    timeout: options.timeout ?? null,
+    attempt: 0,
+    startedAt: Date.now(),
+    latencyMs: null,
+    durationMs: null,
+    status: null,
+    responseHeaders: null,
+    rateLimitHeaders: null,
+    shortCircuited: false
+  };
+  return syncRequestParams(context);
+}
+
+/**
+ * Point context.params at the parameters that describe the call (query for GET and
+ * unsigned calls, the form body otherwise), after middleware may have replaced them
+ * @param {Object} context - Request context
+ * @returns {Object} - The same context
+ */
+export function syncRequestParams(context) {
+  context.params = context.security === 'signed' && context.method !== 'GET' ? context.body : context.query;
+  return context;
+}
+
+export class MiddlewarePipeline {
+  /**
+   * @param {Array} middleware - Initial middleware
+   */
+  constructor(middleware = []) {
+    this.middleware = [];
+    for (const item of middleware) {
+      this.use(item);
+    }
+  }
+
+  /**
+   * Number of registered middleware
+   * @returns {number} - Middleware count
+   */
+  get size() {
+    return this.middleware.length;
+  }
+
+  /**
+   * Register a middleware
+   * @param {Object} middleware - Object with beforeRequest, afterResponse and/or onError
+   * @returns {Function} - Removes the middleware again
+   */
+  use(middleware) {
+    if (!middleware || !MIDDLEWARE_HOOKS.some(hook => typeof middleware[hook] === 'function')) {
+      throw new Error(`AsterdexClient: middleware must define at least one of ${MIDDLEWARE_HOOKS.join(', ')}`);
+    }
+    this.middleware.push(middleware);
+    return () => this.remove(middleware);
+  }
+
+  /**
+   * Unregister a middleware
+   * @param {Object} middleware - Middleware passed to use()
+   * @returns {boolean} - True if it was registered
+   */
+  remove(middleware) {
+    const index = this.middleware.indexOf(middleware);
+    if (index === -1) return false;
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Run a call through the hooks
+   * @param {Object} context - Request context
+   * @param {Function} execute - Performs the call (throttling, signing, retries)
+   * @returns {Promise<*>} - Response data
+   */
+  async run(context, execute) {
+    let data;
+    try {
+      data = await this.beforeRequest(context);
+      if (context.shortCircuited) {
+        context.durationMs = Date.now() - context.startedAt;
+      } else {
+        syncRequestParams(context);
+        data = await execute(context);
+        context.durationMs = Date.now() - context.startedAt;
+      }
+    } catch (error) {
+      context.durationMs = Date.now() - context.startedAt;
+      data = await this.onError(context, error);
+    }
+    return this.afterResponse(context, data);
+  }
+
+  /**
+   * Run beforeRequest hooks until one returns a response
+   * @param {Object} context - Request context
+   * @returns {Promise<*>} - Short-circuit response, if any (context.shortCircuited is set)
+   */
+  async beforeRequest(context) {
+    for (const middleware of [...this.middleware]) {
+      if (typeof middleware.beforeRequest !== 'function') continue;
+      const result = await middleware.beforeRequest(context);
+      if (result !== undefined) {
+        context.shortCircuited = true;
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Run afterResponse hooks, each receiving the data returned by the previous one
+   * @param {Object} context - Request context
+   * @param {*} data - Response data
+   * @returns {Promise<*>} - Final response data
+   */
+  async afterResponse(context, data) {
+    let current = data;
+    for (const middleware of [...this.middleware]) {
+      if (typeof middleware.afterResponse !== 'function') continue;
+      const result = await middleware.afterResponse(context, current);
+      if (result !== undefined) current = result;
+    }
+    return current;
+  }
+
+  /**
+   * Run onError hooks until one recovers
+   * @param {Object} context - Request context
+   * @param {Error} error - Final error of the call
+   * @returns {Promise<*>} - Replacement response
+   * @throws {Error} - The error when no hook recovers
+   */
+  async onError(context, error) {
+    let current = error;
+    for (const middleware of [...this.middleware]) {
+      if (typeof middleware.onError !== 'function') continue;
+      try {
+        const result = await middleware.onError(context, current);
+        if (result !== undefined) return result;
+      } catch (replacement) {
+        current = replacement;
+      }
+    }
+    throw current;
+  }
+}
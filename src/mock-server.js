@@ -0,0 +1,560 @@
+import http from 'http';
+import qs from 'querystring';
+import crypto from 'crypto';
+import { createHmacSignature } from './signature.js';
+import { createApiError } from './errors.js';
+import { decimalPlaces } from './decimal.js';
+import { DEFAULT_RATE_LIMITS, getRequestWeight, getOrderCount } from './rate-limiter.js';
+import { PaperExchange } from './paper-trading.js';
+
+/**
+ * In-process mock of the AsterDEX futures REST API
+ * Serves market data from configurable prices, checks API keys, HMAC signatures and
+ * recvWindow like the exchange and runs signed endpoints on a PaperExchange account, so the
+ * client and bots can be tested offline. Errors can be injected per endpoint
+ */
+
+/**
+ * Symbols listed by default
+ */
+export const DEFAULT_MOCK_SYMBOLS = [
+  { symbol: 'BTCUSDT', price: 60000, tickSize: '0.1', stepSize: '0.001', minQty: '0.001', maxQty: '1000', minNotional: '5' },
+  { symbol: 'ETHUSDT', price: 3000, tickSize: '0.01', stepSize: '0.001', minQty: '0.001', maxQty: '10000', minNotional: '5' },
+  { symbol: 'DOGEUSDT', price: 0.15, tickSize: '0.00001', stepSize: '1', minQty: '1', maxQty: '10000000', minNotional: '5' }
+];
+
+// Default messages of injectable exchange errors
+const ERROR_MESSAGES = {
+  [-1000]: 'An unknown error occured while processing the request.',
+  [-1001]: 'Internal error; unable to process your request. Please try again.',
+  [-1003]: 'Too many requests; current limit is 2400 requests per minute.',
+  [-1007]: 'Timeout waiting for response from backend server. Send status unknown; execution status unknown.',
+  [-1021]: 'Timestamp for this request is outside of the recvWindow.',
+  [-1022]: 'Signature for this request is not valid.',
+  [-1111]: 'Precision is over the maximum defined for this asset.',
+  [-2015]: 'Invalid API-key, IP, or permissions for action.',
+  [-2019]: 'Margin is insufficient.'
+};
+
+const MAX_RECV_WINDOW = 60000;
+const SIGNED_PATHS = /^\/fapi\/v[12]\/(order|batchOrders|allOpenOrders|openOrders|balance|account|positionRisk|positionSide\/dual|leverage|marginType|positionMargin)/;
+
+const INTERVAL_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000, M: 2592000000 };
+
+/**
+ * Convert a kline interval into milliseconds
+ * @param {string} interval - Interval such as '1m', '4h' or '1d'
+ * @returns {number} - Interval length
+ */
+function intervalToMs(interval) {
+  const match = /^(\d+)([mhdwM])$/.exec(interval || '');
+  if (!match) return null;
+  return Number(match[1]) * INTERVAL_MS[match[2]];
+}
+
+/**
+ * Remove the signature parameter from a raw query or form string
+ * @param {string} raw - Raw parameter string
+ * @returns {Object} - { payload, signature }
+ */
+function splitSignature(raw) {
+  let signature = null;
+  const parts = raw.split('&').filter(part => {
+    if (part.startsWith('signature=')) {
+      signature = decodeURIComponent(part.slice('signature='.length));
+      return false;
+    }
+    return part !== '';
+  });
+  return { payload: parts.join('&'), signature };
+}
+
+export class MockAsterdexServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.apiKey - Accepted API key (default: 'mock-api-key')
+   * @param {string} options.apiSecret - Secret signatures are checked against (default: 'mock-api-secret')
+   * @param {Array} options.symbols - Listed symbols as { symbol, price, tickSize, stepSize, minQty, maxQty, minNotional } (default: DEFAULT_MOCK_SYMBOLS)
+   * @param {Object} options.account - Paper trading settings of the simulated account (balance, leverage, fees, ...)
+   * @param {number} options.clockOffsetMs - Server clock offset from the local clock (default: 0)
+   * @param {number} options.depthQuantity - Quantity on each synthetic order book level (default: 10 times minQty)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || 'mock-api-key';
+    this.apiSecret = options.apiSecret || 'mock-api-secret';
+    this.clockOffsetMs = options.clockOffsetMs || 0;
+    this.depthQuantity = options.depthQuantity || null;
+    this.symbols = new Map();
+    for (const definition of options.symbols || DEFAULT_MOCK_SYMBOLS) {
+      this.addSymbol(definition);
+    }
+
+    this.exchange = new PaperExchange({
+      getLastPrice: (symbol) => this.getSymbol(symbol).price,
+      getOrderBook: (symbol, limit) => this.getOrderBook(symbol, limit)
+    }, { ...options.account, priceTtlMs: 0 });
+
+    this.faults = [];
+    this.requests = [];
+    this.usage = new Map();
+    this.server = null;
+    this.baseURL = null;
+  }
+
+  // ===== Setup =====
+
+  /**
+   * List a symbol or replace its definition
+   * @param {Object} definition - { symbol, price, tickSize, stepSize, minQty, maxQty, minNotional }
+   */
+  addSymbol(definition) {
+    this.symbols.set(definition.symbol, {
+      maxQty: '1000000',
+      minNotional: '5',
+      ...definition,
+      price: Number(definition.price)
+    });
+  }
+
+  /**
+   * Set the last price of a symbol
+   * Resting orders are matched against it on the next signed request
+   * @param {string} symbol - Trading symbol
+   * @param {number} price - New price
+   */
+  setPrice(symbol, price) {
+    this.getSymbol(symbol).price = Number(price);
+  }
+
+  /**
+   * Get a listed symbol
+   * @param {string} symbol - Trading symbol
+   * @returns {Object} - Symbol definition
+   * @throws {AsterdexApiError} - -1121 for unknown symbols
+   */
+  getSymbol(symbol) {
+    const definition = this.symbols.get(symbol);
+    if (!definition) {
+      throw createApiError({ status: 400, data: { code: -1121, msg: 'Invalid symbol.' } });
+    }
+    return definition;
+  }
+
+  /**
+   * Make matching requests fail
+   * @param {Object} fault - Fault definition
+   * @param {string} fault.endpoint - Path to match (default: any)
+   * @param {string} fault.method - HTTP method to match (default: any)
+   * @param {number} fault.code - Exchange error code, e.g. -1111, -2019 or -1003
+   * @param {number} fault.status - HTTP status (default: 429 for -1003, 400 otherwise)
+   * @param {string} fault.msg - Error message (default: the exchange's message for the code)
+   * @param {number} fault.retryAfter - Retry-After header in seconds, for 429 and 418
+   * @param {number} fault.delayMs - Delay before responding, to provoke client timeouts
+   * @param {number} fault.times - Number of requests to fail (default: 1, Infinity for all)
+   * @returns {Object} - The fault, with a `remaining` counter
+   */
+  injectError(fault) {
+    const code = fault.code ?? -1000;
+    const entry = {
+      method: null,
+      endpoint: null,
+      status: code === -1003 ? 429 : 400,
+      msg: ERROR_MESSAGES[code] || 'Injected error',
+      ...fault,
+      code,
+      remaining: fault.times ?? 1
+    };
+    this.faults.push(entry);
+    return entry;
+  }
+
+  /**
+   * Remove all injected errors
+   */
+  clearErrors() {
+    this.faults = [];
+  }
+
+  /**
+   * Current server time
+   * @returns {number} - Milliseconds since the epoch, including clockOffsetMs
+   */
+  now() {
+    return Date.now() + this.clockOffsetMs;
+  }
+
+  /**
+   * Client settings for this server
+   * @returns {Object} - { apiKey, apiSecret, baseURL }
+   */
+  clientConfig() {
+    return { apiKey: this.apiKey, apiSecret: this.apiSecret, baseURL: this.baseURL };
+  }
+
+  // ===== Lifecycle =====
+
+  /**
+   * Start listening on 127.0.0.1
+   * @param {number} port - Port (default: a free port)
+   * @returns {Promise<string>} - Base URL, e.g. 'http://127.0.0.1:54321'
+   */
+  async start(port = 0) {
+    if (this.server) return this.baseURL;
+
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.baseURL = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseURL;
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    this.baseURL = null;
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Read a Node.js request and write the response
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleHttp(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const response = await this.dispatch({
+        method: req.method,
+        path: url.pathname,
+        rawQuery: url.search.slice(1),
+        rawBody: Buffer.concat(chunks).toString('utf8'),
+        headers: req.headers
+      });
+
+      if (res.destroyed) return;
+      res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+      res.end(JSON.stringify(response.data));
+    });
+  }
+
+  // ===== Request Handling =====
+
+  /**
+   * Handle one request
+   * @param {Object} request - { method, path, rawQuery, rawBody, headers }
+   * @returns {Promise<Object>} - { status, headers, data }
+   */
+  async dispatch(request) {
+    const method = request.method.toUpperCase();
+    const { path } = request;
+    const query = qs.parse(request.rawQuery || '');
+    const body = qs.parse(request.rawBody || '');
+    const params = method === 'GET' ? query : { ...query, ...body };
+    const headers = this.recordUsage(method, path, params);
+
+    let response;
+    try {
+      const fault = this.takeFault(method, path);
+      if (fault) {
+        if (fault.delayMs) await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+        if (fault.retryAfter !== undefined) headers['Retry-After'] = String(fault.retryAfter);
+        response = { status: fault.status, data: { code: fault.code, msg: fault.msg } };
+      } else {
+        response = { status: 200, data: await this.route(method, path, request, query, body) };
+      }
+    } catch (error) {
+      response = error.code !== undefined && error.status !== undefined
+        ? { status: error.status, data: { code: error.code, msg: error.exchangeMessage } }
+        : { status: 500, data: { code: -1000, msg: error.message } };
+    }
+
+    this.requests.push({ method, path, params, status: response.status, code: response.data?.code ?? null, time: this.now() });
+    return { ...response, headers };
+  }
+
+  /**
+   * Find and consume an injected fault matching a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {Object|null} - Fault or null
+   */
+  takeFault(method, path) {
+    const fault = this.faults.find(entry =>
+      entry.remaining > 0 &&
+      (!entry.endpoint || entry.endpoint === path) &&
+      (!entry.method || entry.method.toUpperCase() === method)
+    );
+    if (!fault) return null;
+    fault.remaining -= 1;
+    return fault;
+  }
+
+  /**
+   * Count request weight and orders, returning the usage headers the exchange sends
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Object} params - Request parameters
+   * @returns {Object} - x-mbx-used-weight-1m and x-mbx-order-count-* headers
+   */
+  recordUsage(method, path, params) {
+    const now = this.now();
+    const add = (name, windowMs, amount) => {
+      const counter = this.usage.get(name);
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const used = (counter && counter.windowStart === windowStart ? counter.used : 0) + amount;
+      this.usage.set(name, { windowStart, used });
+      return String(used);
+    };
+
+    const orders = getOrderCount(method, path, params);
+    return {
+      'x-mbx-used-weight-1m': add('x-mbx-used-weight-1m', 60000, getRequestWeight(method, path, params)),
+      'x-mbx-order-count-10s': add('x-mbx-order-count-10s', 10000, orders),
+      'x-mbx-order-count-1m': add('x-mbx-order-count-1m', 60000, orders)
+    };
+  }
+
+  /**
+   * Route a request to market data, listen key or signed account handlers
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Object} request - Raw request
+   * @param {Object} query - Parsed query
+   * @param {Object} body - Parsed form body
+   * @returns {Promise<*>} - Response data
+   */
+  async route(method, path, request, query, body) {
+    if (SIGNED_PATHS.test(path)) {
+      return this.handleSigned(method, path, request, query, body);
+    }
+
+    if (path === '/fapi/v1/listenKey') {
+      this.authenticate(request.headers);
+      return method === 'POST' ? { listenKey: crypto.randomBytes(32).toString('hex') } : {};
+    }
+
+    if (method !== 'GET') {
+      throw createApiError({ status: 404, data: { code: -1000, msg: `Unknown endpoint ${method} ${path}` } });
+    }
+
+    switch (path) {
+      case '/fapi/v1/ping':
+        return {};
+      case '/fapi/v1/time':
+        return { serverTime: this.now() };
+      case '/fapi/v1/exchangeInfo':
+        return this.getExchangeInfo();
+      case '/fapi/v1/ticker/price':
+        return this.forSymbols(query.symbol, ({ symbol, price }) => ({ symbol, price: String(price), time: this.now() }));
+      case '/fapi/v1/premiumIndex':
+        return this.forSymbols(query.symbol, ({ symbol, price }) => ({
+          symbol,
+          markPrice: String(price),
+          indexPrice: String(price),
+          lastFundingRate: '0.0001',
+          nextFundingTime: Math.ceil(this.now() / 28800000) * 28800000,
+          time: this.now()
+        }));
+      case '/fapi/v1/ticker/24hr':
+        return this.forSymbols(query.symbol, ({ symbol, price }) => ({
+          symbol,
+          priceChange: '0',
+          priceChangePercent: '0',
+          lastPrice: String(price),
+          openPrice: String(price),
+          highPrice: String(price),
+          lowPrice: String(price),
+          volume: '0',
+          quoteVolume: '0',
+          openTime: this.now() - 86400000,
+          closeTime: this.now(),
+          count: 0
+        }));
+      case '/fapi/v1/depth':
+        return { lastUpdateId: this.now(), E: this.now(), T: this.now(), ...this.getOrderBook(query.symbol, Number(query.limit || 500)) };
+      case '/fapi/v1/klines':
+        return this.getKlines(query);
+      default:
+        throw createApiError({ status: 404, data: { code: -1000, msg: `Unknown endpoint ${method} ${path}` } });
+    }
+  }
+
+  /**
+   * Answer for one symbol, or all symbols when none is given
+   * @param {string} symbol - Trading symbol (optional)
+   * @param {Function} describe - Builds the entry of a symbol
+   * @returns {Object|Array} - Entry or list of entries
+   */
+  forSymbols(symbol, describe) {
+    return symbol ? describe(this.getSymbol(symbol)) : Array.from(this.symbols.values()).map(describe);
+  }
+
+  /**
+   * Check the API key header
+   * @param {Object} headers - Request headers
+   * @throws {AsterdexApiError} - -2015 for a missing or wrong key
+   */
+  authenticate(headers) {
+    if (headers['x-mbx-apikey'] !== this.apiKey) {
+      throw createApiError({ status: 401, data: { code: -2015, msg: ERROR_MESSAGES[-2015] } });
+    }
+  }
+
+  /**
+   * Verify and run a signed request on the simulated account
+   * The signature covers the query string followed by the form body, like the exchange
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Object} request - Raw request
+   * @param {Object} query - Parsed query
+   * @param {Object} body - Parsed form body
+   * @returns {Promise<*>} - Response data
+   */
+  async handleSigned(method, path, request, query, body) {
+    this.authenticate(request.headers);
+
+    const fromQuery = splitSignature(request.rawQuery || '');
+    const fromBody = splitSignature(request.rawBody || '');
+    const signature = fromQuery.signature || fromBody.signature;
+    const expected = createHmacSignature(this.apiSecret, `${fromQuery.payload}${fromBody.payload}`);
+    if (!signature || signature !== expected) {
+      throw createApiError({ status: 400, data: { code: -1022, msg: ERROR_MESSAGES[-1022] } });
+    }
+
+    const params = method === 'GET' ? { ...query } : { ...query, ...body };
+    const { timestamp, recvWindow = '5000' } = params;
+    delete params.timestamp;
+    delete params.recvWindow;
+    delete params.signature;
+
+    const window = Number(recvWindow);
+    if (!timestamp) {
+      throw createApiError({ status: 400, data: { code: -1102, msg: "Mandatory parameter 'timestamp' was not sent, was empty/null, or malformed." } });
+    }
+    if (!(window > 0) || window > MAX_RECV_WINDOW) {
+      throw createApiError({ status: 400, data: { code: -1131, msg: `recvWindow must be less than ${MAX_RECV_WINDOW}.` } });
+    }
+    const now = this.now();
+    if (Number(timestamp) > now + 1000 || now - Number(timestamp) > window) {
+      throw createApiError({ status: 400, data: { code: -1021, msg: ERROR_MESSAGES[-1021] } });
+    }
+
+    const context = { security: 'signed', method, endpoint: path, params };
+    if (method === 'POST' && path === '/fapi/v1/order') {
+      this.checkOrder(context, params);
+    }
+    if (method === 'POST' && path === '/fapi/v1/batchOrders') {
+      await this.exchange.matchOpenOrders();
+      return this.exchange.forEachBatchItem(JSON.parse(params.batchOrders), item => {
+        this.checkOrder(context, item);
+        return this.exchange.placeOrder(context, item);
+      });
+    }
+    return this.exchange.handle(context);
+  }
+
+  /**
+   * Reject orders for unknown symbols or with more decimals than the symbol allows
+   * @param {Object} context - Request context
+   * @param {Object} params - Order parameters
+   * @throws {AsterdexApiError} - -1121 or -1111
+   */
+  checkOrder(context, params) {
+    const definition = this.getSymbol(params.symbol);
+    const tooPrecise = (value, step) => value !== undefined && decimalPlaces(value) > decimalPlaces(step);
+    if (tooPrecise(params.quantity, definition.stepSize) ||
+        ['price', 'stopPrice', 'activationPrice'].some(field => tooPrecise(params[field], definition.tickSize))) {
+      throw createApiError({ status: 400, data: { code: -1111, msg: ERROR_MESSAGES[-1111] } }, context);
+    }
+  }
+
+  // ===== Market Data =====
+
+  /**
+   * Build exchange info for the listed symbols
+   * @returns {Object} - Exchange info
+   */
+  getExchangeInfo() {
+    return {
+      timezone: 'UTC',
+      serverTime: this.now(),
+      rateLimits: DEFAULT_RATE_LIMITS,
+      exchangeFilters: [],
+      symbols: Array.from(this.symbols.values()).map(definition => ({
+        symbol: definition.symbol,
+        pair: definition.symbol,
+        contractType: 'PERPETUAL',
+        status: 'TRADING',
+        baseAsset: definition.symbol.replace(/USDT$/, ''),
+        quoteAsset: 'USDT',
+        marginAsset: 'USDT',
+        pricePrecision: decimalPlaces(definition.tickSize),
+        quantityPrecision: decimalPlaces(definition.stepSize),
+        orderTypes: ['LIMIT', 'MARKET', 'STOP', 'STOP_MARKET', 'TAKE_PROFIT', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET'],
+        timeInForce: ['GTC', 'IOC', 'FOK', 'GTX'],
+        filters: [
+          { filterType: 'PRICE_FILTER', minPrice: definition.tickSize, maxPrice: '10000000', tickSize: definition.tickSize },
+          { filterType: 'LOT_SIZE', minQty: definition.minQty, maxQty: definition.maxQty, stepSize: definition.stepSize },
+          { filterType: 'MARKET_LOT_SIZE', minQty: definition.minQty, maxQty: definition.maxQty, stepSize: definition.stepSize },
+          { filterType: 'MIN_NOTIONAL', notional: definition.minNotional },
+          { filterType: 'PERCENT_PRICE', multiplierUp: '1.1500', multiplierDown: '0.8500', multiplierDecimal: '4' },
+          { filterType: 'MAX_NUM_ORDERS', limit: 200 },
+          { filterType: 'MAX_NUM_ALGO_ORDERS', limit: 10 }
+        ]
+      }))
+    };
+  }
+
+  /**
+   * Build a synthetic order book one tick apart around the last price
+   * @param {string} symbol - Trading symbol
+   * @param {number} limit - Levels per side
+   * @returns {Object} - { bids, asks } as [price, quantity] strings
+   */
+  getOrderBook(symbol, limit = 100) {
+    const definition = this.getSymbol(symbol);
+    const tick = Number(definition.tickSize);
+    const decimals = decimalPlaces(definition.tickSize);
+    const quantity = String(this.depthQuantity ?? Number(definition.minQty) * 10);
+    const levels = Math.min(Number(limit) || 100, 1000);
+    const level = (offset) => [(definition.price + offset * tick).toFixed(decimals), quantity];
+
+    return {
+      bids: Array.from({ length: levels }, (_, i) => level(-(i + 1))).filter(([price]) => Number(price) > 0),
+      asks: Array.from({ length: levels }, (_, i) => level(i + 1))
+    };
+  }
+
+  /**
+   * Build flat klines at the last price
+   * @param {Object} query - { symbol, interval, limit, endTime }
+   * @returns {Array} - Klines in exchange format
+   */
+  getKlines(query) {
+    const definition = this.getSymbol(query.symbol);
+    const intervalMs = intervalToMs(query.interval);
+    if (!intervalMs) {
+      throw createApiError({ status: 400, data: { code: -1120, msg: 'Invalid interval.' } });
+    }
+
+    const limit = Math.min(Number(query.limit || 500), 1500);
+    const end = Math.floor(Number(query.endTime || this.now()) / intervalMs) * intervalMs;
+    const price = String(definition.price);
+    return Array.from({ length: limit }, (_, i) => {
+      const openTime = end - (limit - 1 - i) * intervalMs;
+      return [openTime, price, price, price, price, '0', openTime + intervalMs - 1, '0', 0, '0', '0', '0'];
+    });
+  }
+}
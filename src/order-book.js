@@ -0,0 +1,448 @@
+import { EventEmitter } from './emitter.js';
+import { AsterdexWebSocketClient, streamNames } from './websocket-client.js';
+import { sleep } from './utils.js';
+
+/**
+ * Local Order Book for AsterDEX futures
+ * Price levels are kept in maps keyed by price; queries sort on demand
+ */
+export class OrderBook {
+  /**
+   * @param {string} symbol - Trading symbol
+   */
+  constructor(symbol) {
+    this.symbol = symbol;
+    this.bids = new Map();
+    this.asks = new Map();
+    this.lastUpdateId = 0;
+    this.awaitingFirst = true;
+  }
+
+  /**
+   * Replace the book with a REST snapshot
+   * @param {Object} snapshot - Response of getOrderBook()
+   */
+  loadSnapshot(snapshot) {
+    this.bids = new Map(snapshot.bids.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]));
+    this.asks = new Map(snapshot.asks.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]));
+    this.lastUpdateId = snapshot.lastUpdateId;
+    this.awaitingFirst = true;
+  }
+
+  /**
+   * Apply a depth diff event after checking its sequence
+   * The first event after a snapshot must straddle lastUpdateId (U <= lastUpdateId <= u),
+   * every later event must continue the previous one (pu === previous u)
+   * @param {Object} event - Parsed 'depth' event
+   * @returns {string} - 'applied', 'stale' (already in the snapshot) or 'gap' (resync required)
+   */
+  applyDiff(event) {
+    if (event.finalUpdateId < this.lastUpdateId) {
+      return 'stale';
+    }
+
+    if (this.awaitingFirst) {
+      if (event.firstUpdateId > this.lastUpdateId) return 'gap';
+    } else if (event.prevFinalUpdateId !== this.lastUpdateId) {
+      return 'gap';
+    }
+
+    this.applyLevels(this.bids, event.bids);
+    this.applyLevels(this.asks, event.asks);
+    this.lastUpdateId = event.finalUpdateId;
+    this.awaitingFirst = false;
+    return 'applied';
+  }
+
+  /**
+   * Apply level changes to one side, removing levels with zero quantity
+   * @param {Map} side - Bids or asks
+   * @param {Array} levels - [price, qty] pairs
+   */
+  applyLevels(side, levels) {
+    for (const [price, qty] of levels) {
+      if (qty === 0) {
+        side.delete(price);
+      } else {
+        side.set(price, qty);
+      }
+    }
+  }
+
+  /**
+   * Get bid levels, best first
+   * @param {number} limit - Maximum number of levels
+   * @returns {Array} - [price, qty] pairs
+   */
+  getBids(limit = Infinity) {
+    return Array.from(this.bids.entries()).sort((a, b) => b[0] - a[0]).slice(0, limit);
+  }
+
+  /**
+   * Get ask levels, best first
+   * @param {number} limit - Maximum number of levels
+   * @returns {Array} - [price, qty] pairs
+   */
+  getAsks(limit = Infinity) {
+    return Array.from(this.asks.entries()).sort((a, b) => a[0] - b[0]).slice(0, limit);
+  }
+
+  /**
+   * Get the best bid
+   * @returns {Array|null} - [price, qty] or null if the side is empty
+   */
+  getBestBid() {
+    let best = null;
+    for (const [price, qty] of this.bids) {
+      if (!best || price > best[0]) best = [price, qty];
+    }
+    return best;
+  }
+
+  /**
+   * Get the best ask
+   * @returns {Array|null} - [price, qty] or null if the side is empty
+   */
+  getBestAsk() {
+    let best = null;
+    for (const [price, qty] of this.asks) {
+      if (!best || price < best[0]) best = [price, qty];
+    }
+    return best;
+  }
+
+  /**
+   * Get spread and mid price
+   * @returns {Object|null} - { bestBid, bestAsk, spread, midPrice, spreadBps } or null if a side is empty
+   */
+  getSpread() {
+    const bid = this.getBestBid();
+    const ask = this.getBestAsk();
+    if (!bid || !ask) return null;
+
+    const midPrice = (bid[0] + ask[0]) / 2;
+    const spread = ask[0] - bid[0];
+    return {
+      bestBid: bid[0],
+      bestAsk: ask[0],
+      spread,
+      midPrice,
+      spreadBps: (spread / midPrice) * 10000
+    };
+  }
+
+  /**
+   * Sum liquidity within N basis points of the mid price
+   * @param {number} bps - Distance from mid in basis points
+   * @returns {Object|null} - Quantities and notionals per side, or null if a side is empty
+   */
+  getDepthWithin(bps) {
+    const spread = this.getSpread();
+    if (!spread) return null;
+
+    const bidFloor = spread.midPrice * (1 - bps / 10000);
+    const askCeiling = spread.midPrice * (1 + bps / 10000);
+    const result = { bps, midPrice: spread.midPrice, bidQty: 0, askQty: 0, bidNotional: 0, askNotional: 0 };
+
+    for (const [price, qty] of this.bids) {
+      if (price >= bidFloor) {
+        result.bidQty += qty;
+        result.bidNotional += price * qty;
+      }
+    }
+    for (const [price, qty] of this.asks) {
+      if (price <= askCeiling) {
+        result.askQty += qty;
+        result.askNotional += price * qty;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Estimate the volume-weighted average price of a market order
+   * @param {string} side - 'BUY' walks the asks, 'SELL' walks the bids
+   * @param {number} quantity - Quantity to fill
+   * @returns {Object} - { averagePrice, filledQty, notional, worstPrice, fullyFilled, slippageBps }
+   */
+  getVwap(side, quantity) {
+    const levels = side === 'BUY' ? this.getAsks() : this.getBids();
+    let remaining = quantity;
+    let notional = 0;
+    let worstPrice = null;
+
+    for (const [price, qty] of levels) {
+      if (remaining <= 0) break;
+      const take = Math.min(remaining, qty);
+      notional += take * price;
+      remaining -= take;
+      worstPrice = price;
+    }
+
+    const filledQty = quantity - Math.max(0, remaining);
+    const averagePrice = filledQty > 0 ? notional / filledQty : null;
+    const bestPrice = levels.length ? levels[0][0] : null;
+
+    return {
+      side,
+      requestedQty: quantity,
+      filledQty,
+      averagePrice,
+      notional,
+      worstPrice,
+      fullyFilled: remaining <= 0,
+      slippageBps: averagePrice !== null ? (Math.abs(averagePrice - bestPrice) / bestPrice) * 10000 : null
+    };
+  }
+}
+
+/**
+ * Keeps an OrderBook in sync from a REST snapshot plus the depth diff stream
+ * Emits 'synced', 'update', 'gap' and 'error'
+ */
+export class OrderBookManager extends EventEmitter {
+  /**
+   * @param {AsterdexClient} client - REST client used for snapshots
+   * @param {string} symbol - Trading symbol
+   * @param {Object} options - Manager options
+   * @param {AsterdexWebSocketClient} options.ws - Shared stream client (default: a dedicated one)
+   * @param {Object} options.wsOptions - Options for the dedicated stream client
+   * @param {number} options.depthLimit - Snapshot depth (default: 1000)
+   * @param {string} options.updateSpeed - Diff stream speed: '100ms', '250ms' or '500ms' (default: '100ms')
+   * @param {number} options.maxSyncAttempts - Snapshot attempts per resync (default: 5)
+   * @param {number} options.syncRetryDelayMs - Wait before the second snapshot, doubled per attempt and
+   *   per failed resync (default: 1000)
+   * @param {number} options.maxSyncRetryDelayMs - Cap of the wait between snapshots (default: 30000)
+   * @param {number} options.maxBufferedEvents - Events kept while syncing (default: 1000)
+   */
+  constructor(client, symbol, options = {}) {
+    super();
+    if (!client || !symbol) {
+      throw new Error('OrderBookManager: client and symbol are required');
+    }
+
+    this.client = client;
+    this.symbol = symbol.toUpperCase();
+    this.depthLimit = options.depthLimit ?? 1000;
+    this.updateSpeed = options.updateSpeed ?? '100ms';
+    this.maxSyncAttempts = options.maxSyncAttempts ?? 5;
+    this.syncRetryDelayMs = options.syncRetryDelayMs ?? 1000;
+    this.maxSyncRetryDelayMs = options.maxSyncRetryDelayMs ?? 30000;
+    this.maxBufferedEvents = options.maxBufferedEvents ?? 1000;
+    this.ownsSocket = !options.ws;
+    this.ws = options.ws || new AsterdexWebSocketClient(options.wsOptions);
+
+    this.book = new OrderBook(this.symbol);
+    this.buffer = [];
+    this.synced = false;
+    this.syncing = null;
+    this.running = false;
+    this.stopController = null;
+    this.failedSyncs = 0;
+    this.nextSyncAt = 0;
+
+    this.onDepth = (event) => this.handleDepth(event);
+    this.onReconnected = () => this.resync().catch(error => this.emitError(error));
+  }
+
+  /**
+   * Subscribe to the diff stream and bootstrap from a snapshot
+   * @returns {Promise<void>} - Resolves once the book is synced
+   */
+  async start() {
+    this.running = true;
+    this.stopController = new AbortController();
+    this.ws.on('depth', this.onDepth);
+    this.ws.on('reconnected', this.onReconnected);
+    this.ws.subscribeDepth(this.symbol, { updateSpeed: this.updateSpeed });
+
+    if (this.ownsSocket) {
+      await this.ws.connect();
+    }
+    await this.resync();
+  }
+
+  /**
+   * Stop listening and close the dedicated stream client
+   * Cuts short a wait between snapshots, so a pending start() returns right away
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    this.stopController?.abort();
+    this.ws.off('depth', this.onDepth);
+    this.ws.off('reconnected', this.onReconnected);
+    this.ws.unsubscribe(streamNames.depth(this.symbol, { updateSpeed: this.updateSpeed }));
+    this.synced = false;
+
+    if (this.ownsSocket) {
+      await this.ws.close();
+    }
+  }
+
+  /**
+   * Emit an error only when someone is listening
+   * @param {Error} error - Error to emit
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Route a depth event to the book, buffering while a snapshot is loading
+   * An event arriving after a failed resync starts the next one once its backoff has passed
+   * @param {Object} event - Parsed 'depth' event
+   */
+  handleDepth(event) {
+    if (event.symbol !== this.symbol) return;
+
+    if (!this.synced) {
+      this.bufferEvent(event);
+      if (!this.syncing && this.failedSyncs > 0 && Date.now() >= this.nextSyncAt) {
+        this.resync().catch(error => this.emitError(error));
+      }
+      return;
+    }
+
+    const status = this.book.applyDiff(event);
+    if (status === 'gap') {
+      this.emit('gap', { expected: this.book.lastUpdateId, received: event.prevFinalUpdateId });
+      this.synced = false;
+      this.bufferEvent(event);
+      this.resync().catch(error => this.emitError(error));
+    } else if (status === 'applied') {
+      this.emit('update', this.book);
+    }
+  }
+
+  /**
+   * Buffer an event, dropping the oldest once the buffer is full
+   * @param {Object} event - Parsed 'depth' event
+   */
+  bufferEvent(event) {
+    this.buffer.push(event);
+    if (this.buffer.length > this.maxBufferedEvents) {
+      this.buffer.shift();
+    }
+  }
+
+  /**
+   * Reload the snapshot and replay buffered events
+   * Concurrent callers share one resync. After a failure the next depth event retries,
+   * no earlier than the backoff allows
+   * @returns {Promise<void>}
+   */
+  resync() {
+    if (!this.syncing) {
+      this.syncing = this.bootstrap()
+        .then(() => {
+          this.failedSyncs = 0;
+          this.nextSyncAt = 0;
+        }, (error) => {
+          this.failedSyncs += 1;
+          this.nextSyncAt = Date.now() + this.getSyncRetryDelay(this.failedSyncs);
+          throw error;
+        })
+        .finally(() => {
+          this.syncing = null;
+        });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Get the wait before a snapshot attempt
+   * @param {number} attempt - Number of attempts or resyncs already made
+   * @returns {number} - Delay in milliseconds
+   */
+  getSyncRetryDelay(attempt) {
+    return Math.min(this.syncRetryDelayMs * 2 ** (attempt - 1), this.maxSyncRetryDelayMs);
+  }
+
+  /**
+   * Fetch snapshots until the buffered events line up with one
+   * Snapshots are weighty, so attempts are spaced with an exponential backoff
+   * @returns {Promise<void>}
+   */
+  async bootstrap() {
+    this.synced = false;
+
+    for (let attempt = 1; attempt <= this.maxSyncAttempts; attempt++) {
+      if (attempt > 1) {
+        await sleep(this.getSyncRetryDelay(attempt - 1), this.stopController?.signal);
+        if (!this.running) return;
+      }
+
+      const snapshot = await this.client.getOrderBook(this.symbol, this.depthLimit);
+      this.book.loadSnapshot(snapshot);
+
+      const buffered = this.buffer;
+      this.buffer = [];
+      const gapIndex = buffered.findIndex(event => this.book.applyDiff(event) === 'gap');
+
+      if (gapIndex === -1) {
+        this.synced = true;
+        this.emit('synced', this.book);
+        return;
+      }
+
+      // The snapshot is older than the stream, keep the unapplied events for the next one
+      this.buffer = buffered.slice(gapIndex).concat(this.buffer);
+    }
+
+    throw new Error(`OrderBookManager: could not sync ${this.symbol} after ${this.maxSyncAttempts} snapshots`);
+  }
+
+  /**
+   * Check whether the book is in sync with the exchange
+   * @returns {boolean} - True if synced
+   */
+  isSynced() {
+    return this.synced;
+  }
+
+  /**
+   * Get the best bid
+   * @returns {Array|null} - [price, qty]
+   */
+  getBestBid() {
+    return this.book.getBestBid();
+  }
+
+  /**
+   * Get the best ask
+   * @returns {Array|null} - [price, qty]
+   */
+  getBestAsk() {
+    return this.book.getBestAsk();
+  }
+
+  /**
+   * Get spread and mid price
+   * @returns {Object|null} - { bestBid, bestAsk, spread, midPrice, spreadBps }
+   */
+  getSpread() {
+    return this.book.getSpread();
+  }
+
+  /**
+   * Sum liquidity within N basis points of the mid price
+   * @param {number} bps - Distance from mid in basis points
+   * @returns {Object|null} - Quantities and notionals per side
+   */
+  getDepthWithin(bps) {
+    return this.book.getDepthWithin(bps);
+  }
+
+  /**
+   * Estimate the volume-weighted average price of a market order
+   * @param {string} side - 'BUY' or 'SELL'
+   * @param {number} quantity - Quantity to fill
+   * @returns {Object} - VWAP estimate
+   */
+  getVwap(side, quantity) {
+    return this.book.getVwap(side, quantity);
+  }
+}
@@ -0,0 +1,561 @@
+import { OrderValidationError } from './errors.js';
+import { roundToStepFloor, roundToStepCeil, randomHex } from './utils.js';
+import { toDecimalString, compareDecimals, multiplyDecimals, isStepMultiple, divideToStep } from './decimal.js';
+
+/**
+ * Order builders for AsterDEX futures
+ * Builders return plain order objects that placeOrder() validates and serializes
+ */
+
+export const ORDER_TYPES = [
+  'MARKET',
+  'LIMIT',
+  'STOP',
+  'STOP_MARKET',
+  'TAKE_PROFIT',
+  'TAKE_PROFIT_MARKET',
+  'TRAILING_STOP_MARKET'
+];
+
+export const ORDER_SIDES = ['BUY', 'SELL'];
+export const POSITION_SIDES = ['BOTH', 'LONG', 'SHORT'];
+export const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK', 'GTX'];
+export const WORKING_TYPES = ['MARK_PRICE', 'CONTRACT_PRICE'];
+
+// Fields each order type must carry
+const REQUIRED_FIELDS = {
+  MARKET: ['quantity'],
+  LIMIT: ['quantity', 'price'],
+  STOP: ['quantity', 'price', 'stopPrice'],
+  STOP_MARKET: ['stopPrice'],
+  TAKE_PROFIT: ['quantity', 'price', 'stopPrice'],
+  TAKE_PROFIT_MARKET: ['stopPrice'],
+  TRAILING_STOP_MARKET: ['quantity', 'callbackRate']
+};
+
+const PRICED_TYPES = ['LIMIT', 'STOP', 'TAKE_PROFIT'];
+const STOP_TYPES = ['STOP', 'STOP_MARKET'];
+const TRIGGERED_TYPES = ['STOP', 'STOP_MARKET', 'TAKE_PROFIT', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET'];
+const CLOSE_POSITION_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+
+const PRICE_FIELDS = ['price', 'stopPrice', 'activationPrice'];
+
+const CLIENT_ORDER_ID_PATTERN = /^[.A-Z:/a-z0-9_-]{1,36}$/;
+
+/**
+ * Default client order ID settings
+ */
+export const DEFAULT_CLIENT_ORDER_ID_OPTIONS = {
+  enabled: true,
+  prefix: 'adx',
+  generate: null
+};
+
+/**
+ * Generate a unique client order ID
+ * Time plus random bytes, e.g. 'adx-m2k1x9qz-3f9a1c0b7e2d' (25 characters with the default prefix)
+ * @param {string} prefix - Identifies orders placed by this client (max 16 characters)
+ * @returns {string} - Client order ID
+ */
+export function generateClientOrderId(prefix = DEFAULT_CLIENT_ORDER_ID_OPTIONS.prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${randomHex(6)}`;
+}
+
+/**
+ * Merge user supplied client order ID settings with the defaults
+ * @param {Object|boolean} options - Settings, or false to leave orders without an ID
+ * @param {boolean} options.enabled - Attach an ID to orders that have none (default: true)
+ * @param {string} options.prefix - Prefix for generated IDs (default: 'adx')
+ * @param {Function} options.generate - Custom generator, called with the order (e.g. for deterministic IDs)
+ * @returns {Object} - Resolved settings
+ */
+export function resolveClientOrderIdOptions(options) {
+  if (options === false) {
+    return { ...DEFAULT_CLIENT_ORDER_ID_OPTIONS, enabled: false };
+  }
+
+  const resolved = { ...DEFAULT_CLIENT_ORDER_ID_OPTIONS, ...(options || {}) };
+  if (!/^[.A-Z:/a-z0-9_-]{1,16}$/.test(resolved.prefix)) {
+    throw new Error('AsterdexClient: clientOrderIds.prefix must be 1-16 characters of [.A-Z:/a-z0-9_-]');
+  }
+  return resolved;
+}
+
+/**
+ * Default pre-flight validation settings
+ */
+export const DEFAULT_ORDER_VALIDATION_OPTIONS = {
+  enabled: true,
+  autoCorrect: false,
+  roundPrices: true,
+  percentPrice: false
+};
+
+/**
+ * Merge user supplied pre-flight validation settings with the defaults
+ * @param {Object|boolean} options - Settings, or false to send orders without checking filters
+ * @param {boolean} options.enabled - Check orders against the symbol filters before sending (default: true)
+ * @param {boolean} options.autoCorrect - Round quantity to the step and prices to the tick instead of rejecting (default: false)
+ * @param {boolean} options.roundPrices - Round price, stopPrice and activationPrice to the tick (default: true)
+ * @param {boolean} options.percentPrice - Fetch the mark price to check PERCENT_PRICE bounds (default: false)
+ * @returns {Object} - Resolved settings
+ */
+export function resolveOrderValidationOptions(options) {
+  if (options === false) {
+    return { ...DEFAULT_ORDER_VALIDATION_OPTIONS, enabled: false };
+  }
+  return { ...DEFAULT_ORDER_VALIDATION_OPTIONS, ...(options || {}) };
+}
+
+/**
+ * Check that a value is a positive finite number (numbers or numeric strings)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if positive
+ */
+function isPositive(value) {
+  const n = Number(value);
+  return value !== '' && value !== null && Number.isFinite(n) && n > 0;
+}
+
+/**
+ * Check an order for missing or conflicting parameters
+ * @param {Object} order - Order object
+ * @returns {Array} - Violations as { field, message }, empty when valid
+ */
+export function getOrderViolations(order) {
+  const violations = [];
+  const add = (field, message) => violations.push({ field, message });
+
+  if (!order || typeof order !== 'object') {
+    return [{ field: 'order', message: 'order must be an object' }];
+  }
+
+  if (!order.symbol || typeof order.symbol !== 'string') add('symbol', 'symbol is required');
+  if (!ORDER_SIDES.includes(order.side)) add('side', `side must be one of ${ORDER_SIDES.join(', ')}`);
+  if (!ORDER_TYPES.includes(order.type)) {
+    add('type', `type must be one of ${ORDER_TYPES.join(', ')}`);
+    return violations;
+  }
+
+  const type = order.type;
+  const closePosition = order.closePosition === true;
+
+  for (const field of REQUIRED_FIELDS[type]) {
+    if (order[field] === undefined || order[field] === null) {
+      add(field, `${field} is required for ${type} orders`);
+    } else if (!isPositive(order[field])) {
+      add(field, `${field} must be a positive number`);
+    }
+  }
+
+  if (CLOSE_POSITION_TYPES.includes(type) && !closePosition) {
+    if (order.quantity === undefined || order.quantity === null) {
+      add('quantity', `quantity is required for ${type} orders unless closePosition is true`);
+    } else if (!isPositive(order.quantity)) {
+      add('quantity', 'quantity must be a positive number');
+    }
+  }
+
+  if (closePosition) {
+    if (!CLOSE_POSITION_TYPES.includes(type)) add('closePosition', `closePosition is only allowed for ${CLOSE_POSITION_TYPES.join(', ')}`);
+    if (order.quantity !== undefined && order.quantity !== null) add('quantity', 'quantity cannot be sent with closePosition');
+    if (order.reduceOnly === true) add('reduceOnly', 'reduceOnly cannot be sent with closePosition');
+  }
+
+  if (order.price !== undefined && order.price !== null && !PRICED_TYPES.includes(type)) {
+    add('price', `price is not used by ${type} orders`);
+  }
+  if (order.stopPrice !== undefined && order.stopPrice !== null && !TRIGGERED_TYPES.includes(type)) {
+    add('stopPrice', `stopPrice is not used by ${type} orders`);
+  }
+
+  if (order.positionSide !== undefined && !POSITION_SIDES.includes(order.positionSide)) {
+    add('positionSide', `positionSide must be one of ${POSITION_SIDES.join(', ')}`);
+  }
+  if (order.reduceOnly === true && (order.positionSide === 'LONG' || order.positionSide === 'SHORT')) {
+    add('reduceOnly', 'reduceOnly cannot be sent in hedge mode (positionSide LONG/SHORT)');
+  }
+
+  if (order.timeInForce !== undefined) {
+    if (!TIME_IN_FORCE.includes(order.timeInForce)) add('timeInForce', `timeInForce must be one of ${TIME_IN_FORCE.join(', ')}`);
+    else if (!PRICED_TYPES.includes(type)) add('timeInForce', `timeInForce is not used by ${type} orders`);
+  }
+
+  if (order.workingType !== undefined) {
+    if (!WORKING_TYPES.includes(order.workingType)) add('workingType', `workingType must be one of ${WORKING_TYPES.join(', ')}`);
+    else if (!TRIGGERED_TYPES.includes(type)) add('workingType', `workingType is only used by conditional orders`);
+  }
+
+  if (order.priceProtect !== undefined && !TRIGGERED_TYPES.includes(type)) {
+    add('priceProtect', 'priceProtect is only used by conditional orders');
+  }
+
+  if (type === 'TRAILING_STOP_MARKET') {
+    const rate = Number(order.callbackRate);
+    if (isPositive(order.callbackRate) && (rate < 0.1 || rate > 5)) {
+      add('callbackRate', 'callbackRate must be between 0.1 and 5 (percent)');
+    }
+    if (order.activationPrice !== undefined && order.activationPrice !== null && !isPositive(order.activationPrice)) {
+      add('activationPrice', 'activationPrice must be a positive number');
+    }
+  } else {
+    if (order.callbackRate !== undefined) add('callbackRate', 'callbackRate is only used by TRAILING_STOP_MARKET orders');
+    if (order.activationPrice !== undefined) add('activationPrice', 'activationPrice is only used by TRAILING_STOP_MARKET orders');
+  }
+
+  if (order.newClientOrderId !== undefined && !CLIENT_ORDER_ID_PATTERN.test(order.newClientOrderId)) {
+    add('newClientOrderId', 'newClientOrderId must be 1-36 characters of [.A-Z:/a-z0-9_-]');
+  }
+
+  return violations;
+}
+
+/**
+ * Validate an order, throwing with every violation attached
+ * @param {Object} order - Order object
+ * @throws {OrderValidationError} - If the order is invalid
+ */
+export function validateOrderParams(order) {
+  const violations = getOrderViolations(order);
+  if (violations.length) {
+    const summary = violations.map(v => v.message).join('; ');
+    throw new OrderValidationError(`Invalid order: ${summary}`, {
+      endpoint: '/fapi/v1/order',
+      method: 'POST',
+      params: order,
+      violations
+    });
+  }
+}
+
+/**
+ * Find a filter of a symbol by type
+ * @param {Object} symbolInfo - Symbol entry with a filters array
+ * @param {string} type - Filter type, e.g. 'PRICE_FILTER'
+ * @returns {Object|null} - Filter or null
+ */
+function findFilter(symbolInfo, type) {
+  return (symbolInfo?.filters || []).find(f => f.filterType === type) || null;
+}
+
+/**
+ * Find the lot size filter that applies to an order
+ * Market orders use MARKET_LOT_SIZE when the symbol has one
+ * @param {Object} order - Order object
+ * @param {Object} symbolInfo - Symbol entry with a filters array
+ * @returns {Object|null} - Filter or null
+ */
+function findLotFilter(order, symbolInfo) {
+  const type = String(order.type || '');
+  const isMarket = type === 'MARKET' || type.endsWith('_MARKET');
+  return (isMarket && findFilter(symbolInfo, 'MARKET_LOT_SIZE')) || findFilter(symbolInfo, 'LOT_SIZE');
+}
+
+/**
+ * Check whether an order only closes a position
+ * In hedge mode a SELL on the LONG leg (or BUY on SHORT) closes without reduceOnly
+ * @param {Object} order - Order object
+ * @returns {boolean} - True if closing
+ */
+function isClosingOrder(order) {
+  return order.reduceOnly === true ||
+    order.closePosition === true ||
+    (order.positionSide === 'LONG' && order.side === 'SELL') ||
+    (order.positionSide === 'SHORT' && order.side === 'BUY');
+}
+
+/**
+ * Check a value against a filter's bounds and step, adding a violation for each breach
+ * Unset bounds and steps ('0') are skipped
+ * @param {Function} add - Violation collector
+ * @param {string} field - Order field
+ * @param {string} value - Decimal value
+ * @param {Object} filter - Exchange filter
+ * @param {Array} keys - Filter keys of the lower bound, upper bound and step, e.g. ['minQty', 'maxQty', 'stepSize']
+ */
+function checkRange(add, field, value, filter, [minKey, maxKey, stepKey]) {
+  const { [minKey]: min, [maxKey]: max, [stepKey]: step } = filter;
+  if (parseFloat(min) > 0 && compareDecimals(value, min) < 0) add(field, `${field} ${value} is below ${minKey} ${min}`);
+  if (parseFloat(max) > 0 && compareDecimals(value, max) > 0) add(field, `${field} ${value} is above ${maxKey} ${max}`);
+  if (parseFloat(step) > 0 && !isStepMultiple(value, step)) add(field, `${field} ${value} is not a multiple of ${stepKey} ${step}`);
+}
+
+/**
+ * Check an order against a symbol's exchange filters
+ * Covers LOT_SIZE / MARKET_LOT_SIZE, PRICE_FILTER, MIN_NOTIONAL and PERCENT_PRICE. Notional is
+ * checked against the order price, stopPrice or markPrice and skipped for orders that close a
+ * position; PERCENT_PRICE needs markPrice. All comparisons use exact decimal arithmetic
+ * @param {Object} order - Order object
+ * @param {Object} symbolInfo - Symbol entry from getExchangeInfo() or SymbolRegistry
+ * @param {Object} options - Check options
+ * @param {number} options.markPrice - Current mark price (optional)
+ * @returns {Array} - Violations as { field, message }, empty when valid
+ */
+export function getFilterViolations(order, symbolInfo, options = {}) {
+  const violations = [];
+  const add = (field, message) => violations.push({ field, message });
+  const decimal = (value) => (isPositive(value) ? toDecimalString(value) : null);
+  const markPrice = decimal(options.markPrice);
+
+  const lot = findLotFilter(order, symbolInfo);
+  // A quantity floored to zero by autoCorrect must still fail minQty
+  const floored = order.quantity !== undefined && order.quantity !== null && order.quantity !== '' && Number(order.quantity) === 0;
+  const quantity = floored ? '0' : decimal(order.quantity);
+
+  if (lot && quantity !== null) {
+    checkRange(add, 'quantity', quantity, lot, ['minQty', 'maxQty', 'stepSize']);
+  }
+
+  const priceFilter = findFilter(symbolInfo, 'PRICE_FILTER');
+  if (priceFilter) {
+    for (const field of PRICE_FIELDS) {
+      const value = decimal(order[field]);
+      if (value === null) continue;
+      checkRange(add, field, value, priceFilter, ['minPrice', 'maxPrice', 'tickSize']);
+    }
+  }
+
+  const percentPrice = findFilter(symbolInfo, 'PERCENT_PRICE');
+  const price = decimal(order.price);
+  if (percentPrice && markPrice && price !== null) {
+    const upper = multiplyDecimals(markPrice, percentPrice.multiplierUp);
+    const lower = multiplyDecimals(markPrice, percentPrice.multiplierDown);
+    if (compareDecimals(price, upper) > 0) add('price', `price ${price} is above ${upper} (markPrice x multiplierUp ${percentPrice.multiplierUp})`);
+    if (compareDecimals(price, lower) < 0) add('price', `price ${price} is below ${lower} (markPrice x multiplierDown ${percentPrice.multiplierDown})`);
+  }
+
+  const minNotionalFilter = findFilter(symbolInfo, 'MIN_NOTIONAL');
+  const referencePrice = price ?? decimal(order.stopPrice) ?? markPrice;
+  const minNotional = minNotionalFilter ? (minNotionalFilter.notional || minNotionalFilter.minNotional || '0') : '0';
+  if (parseFloat(minNotional) > 0 && quantity !== null && referencePrice !== null && !isClosingOrder(order)) {
+    const notional = multiplyDecimals(quantity, referencePrice);
+    if (compareDecimals(notional, minNotional) < 0) {
+      const needed = lot && parseFloat(lot.stepSize) > 0
+        ? ` (minimum quantity ${divideToStep(minNotional, referencePrice, lot.stepSize, true)})`
+        : '';
+      add('quantity', `notional ${notional} is below minNotional ${minNotional}${needed}`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Get the direction a price field of an order is rounded to the tick size
+ * Limit prices round away from the market so the fill is never worse (BUY down, SELL up).
+ * Trigger prices round toward the market so they fire no later than requested: STOP triggers
+ * above the market for BUY, TAKE_PROFIT and trailing activation below it
+ * @param {Object} order - Order object
+ * @param {string} field - 'price', 'stopPrice' or 'activationPrice'
+ * @returns {string} - 'down' or 'up'
+ */
+export function getPriceRounding(order, field) {
+  const buy = order.side === 'BUY';
+  if (field === 'price') return buy ? 'down' : 'up';
+  const triggersAbove = STOP_TYPES.includes(order.type) ? buy : !buy;
+  return triggersAbove ? 'down' : 'up';
+}
+
+/**
+ * Round a price to a tick size
+ * @param {number|string} price - Price
+ * @param {string} tickSize - Tick size from PRICE_FILTER
+ * @param {string} direction - 'down' or 'up' (default: 'down')
+ * @returns {string} - Rounded price as a decimal string
+ */
+export function roundPriceToTick(price, tickSize, direction = 'down') {
+  return direction === 'up' ? roundToStepCeil(price, tickSize) : roundToStepFloor(price, tickSize);
+}
+
+/**
+ * Round price, stopPrice and activationPrice of an order to a tick size, see getPriceRounding()
+ * @param {Object} order - Order object
+ * @param {string} tickSize - Tick size from PRICE_FILTER
+ * @returns {Object} - Copy of the order with rounded prices
+ */
+export function roundOrderPrices(order, tickSize) {
+  const rounded = { ...order };
+  for (const field of PRICE_FIELDS) {
+    if (isPositive(rounded[field])) {
+      rounded[field] = roundPriceToTick(rounded[field], tickSize, getPriceRounding(order, field));
+    }
+  }
+  return rounded;
+}
+
+/**
+ * Check an order against its own rules and the symbol's exchange filters
+ * With roundPrices the prices are rounded to the tick size (see getPriceRounding()); autoCorrect
+ * also floors the quantity to the step size. Whatever cannot be corrected is reported as a violation
+ * @param {Object} order - Order object
+ * @param {Object} symbolInfo - Symbol entry from getExchangeInfo() or SymbolRegistry
+ * @param {Object} options - Validation options
+ * @param {boolean} options.autoCorrect - Round quantity and prices instead of reporting them (default: false)
+ * @param {boolean} options.roundPrices - Round prices to the tick size (default: false)
+ * @param {number} options.markPrice - Current mark price for PERCENT_PRICE and market order notional (optional)
+ * @returns {Object} - { valid, order, violations, corrections }
+ */
+export function validateOrder(order, symbolInfo, options = {}) {
+  const violations = getOrderViolations(order);
+  if (violations.length) {
+    return { valid: false, order, violations, corrections: [] };
+  }
+
+  const corrected = { ...order };
+  const corrections = [];
+  const correct = (field, value) => {
+    if (compareDecimals(value, corrected[field]) === 0) return;
+    corrections.push({ field, from: corrected[field], to: value });
+    corrected[field] = value;
+  };
+
+  if (options.autoCorrect) {
+    const lot = findLotFilter(order, symbolInfo);
+    if (lot && corrected.quantity !== undefined && corrected.quantity !== null) {
+      correct('quantity', roundToStepFloor(corrected.quantity, lot.stepSize));
+    }
+  }
+
+  const priceFilter = findFilter(symbolInfo, 'PRICE_FILTER');
+  if ((options.autoCorrect || options.roundPrices) && priceFilter) {
+    const rounded = roundOrderPrices(corrected, priceFilter.tickSize);
+    for (const field of PRICE_FIELDS) {
+      if (rounded[field] !== corrected[field]) correct(field, rounded[field]);
+    }
+  }
+
+  violations.push(...getFilterViolations(corrected, symbolInfo, options));
+  return { valid: violations.length === 0, order: corrected, violations, corrections };
+}
+
+/**
+ * Validate an order and convert it into request parameters
+ * @param {Object} order - Order object
+ * @returns {Object} - Form parameters for POST /fapi/v1/order
+ */
+export function toOrderParams(order) {
+  validateOrderParams(order);
+
+  const params = {
+    symbol: order.symbol,
+    side: order.side,
+    type: order.type,
+    positionSide: order.positionSide || 'BOTH'
+  };
+
+  if (order.type === 'LIMIT') params.timeInForce = order.timeInForce || 'GTC';
+  else if (order.timeInForce) params.timeInForce = order.timeInForce;
+
+  for (const field of ['quantity', 'price', 'stopPrice', 'activationPrice', 'callbackRate']) {
+    if (order[field] !== undefined && order[field] !== null) {
+      params[field] = order[field].toString();
+    }
+  }
+
+  if (order.reduceOnly !== undefined) params.reduceOnly = order.reduceOnly ? 'true' : 'false';
+  if (order.closePosition) params.closePosition = 'true';
+  if (order.workingType) params.workingType = order.workingType;
+  if (order.priceProtect !== undefined) params.priceProtect = order.priceProtect ? 'TRUE' : 'FALSE';
+  if (order.newClientOrderId) params.newClientOrderId = order.newClientOrderId;
+  params.newOrderRespType = order.newOrderRespType || 'RESULT';
+
+  return params;
+}
+
+/**
+ * Build a MARKET order
+ * @param {string} symbol - Trading symbol
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {number|string} quantity - Order quantity
+ * @param {Object} options - Extra order fields (reduceOnly, positionSide, newClientOrderId)
+ * @returns {Object} - Order object
+ */
+export function buildMarketOrder(symbol, side, quantity, options = {}) {
+  return { ...options, symbol, side, type: 'MARKET', quantity };
+}
+
+/**
+ * Build a LIMIT order
+ * @param {string} symbol - Trading symbol
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {number|string} quantity - Order quantity
+ * @param {number|string} price - Limit price
+ * @param {Object} options - Extra order fields (timeInForce, reduceOnly, positionSide, newClientOrderId)
+ * @returns {Object} - Order object
+ */
+export function buildLimitOrder(symbol, side, quantity, price, options = {}) {
+  return { timeInForce: 'GTC', ...options, symbol, side, type: 'LIMIT', quantity, price };
+}
+
+/**
+ * Build a STOP (stop-limit) order
+ * @param {string} symbol - Trading symbol
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {number|string} quantity - Order quantity
+ * @param {number|string} price - Limit price once triggered
+ * @param {number|string} stopPrice - Trigger price
+ * @param {Object} options - Extra order fields (workingType, priceProtect, reduceOnly, timeInForce, ...)
+ * @returns {Object} - Order object
+ */
+export function buildStopOrder(symbol, side, quantity, price, stopPrice, options = {}) {
+  return { ...options, symbol, side, type: 'STOP', quantity, price, stopPrice };
+}
+
+/**
+ * Build a STOP_MARKET order
+ * Pass { closePosition: true } and a null quantity to close the whole position when triggered
+ * @param {string} symbol - Trading symbol
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {number|string|null} quantity - Order quantity
+ * @param {number|string} stopPrice - Trigger price
+ * @param {Object} options - Extra order fields (workingType, priceProtect, reduceOnly, closePosition, ...)
+ * @returns {Object} - Order object
+ */
+export function buildStopMarketOrder(symbol, side, quantity, stopPrice, options = {}) {
+  const order = { ...options, symbol, side, type: 'STOP_MARKET', stopPrice };
+  if (quantity !== null && quantity !== undefined) order.quantity = quantity;
+  return order;
+}
+
+/**
+ * Build a TAKE_PROFIT (take-profit limit) order
+ * @param {string} symbol - Trading symbol
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {number|string} quantity - Order quantity
+ * @param {number|string} price - Limit price once triggered
+ * @param {number|string} stopPrice - Trigger price
+ * @param {Object} options - Extra order fields (workingType, priceProtect, reduceOnly, timeInForce, ...)
+ * @returns {Object} - Order object
+ */
+export function buildTakeProfitOrder(symbol, side, quantity, price, stopPrice, options = {}) {
+  return { ...options, symbol, side, type: 'TAKE_PROFIT', quantity, price, stopPrice };
+}
+
+/**
+ * Build a TAKE_PROFIT_MARKET order
+ * Pass { closePosition: true } and a null quantity to close the whole position when triggered
+ * @param {string} symbol - Trading symbol
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {number|string|null} quantity - Order quantity
+ * @param {number|string} stopPrice - Trigger price
+ * @param {Object} options - Extra order fields (workingType, priceProtect, reduceOnly, closePosition, ...)
+ * @returns {Object} - Order object
+ */
+export function buildTakeProfitMarketOrder(symbol, side, quantity, stopPrice, options = {}) {
+  const order = { ...options, symbol, side, type: 'TAKE_PROFIT_MARKET', stopPrice };
+  if (quantity !== null && quantity !== undefined) order.quantity = quantity;
+  return order;
+}
+
+/**
+ * Build a TRAILING_STOP_MARKET order
+ * @param {string} symbol - Trading symbol
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {number|string} quantity - Order quantity
+ * @param {number|string} callbackRate - Trailing distance in percent (0.1 - 5)
+ * @param {Object} options - Extra order fields (activationPrice, workingType, reduceOnly, ...)
+ * @returns {Object} - Order object
+ */
+export function buildTrailingStopMarketOrder(symbol, side, quantity, callbackRate, options = {}) {
+  return { ...options, symbol, side, type: 'TRAILING_STOP_MARKET', quantity, callbackRate };
+}
@@ -0,0 +1,1010 @@
+import { createApiError } from './errors.js';
+import { addDecimals, subtractDecimals, compareDecimals, toDecimalString } from './decimal.js';
+import { silentLogger } from './logger.js';
+
+/**
+ * Paper trading for AsterDEX clients
+ * Signed requests are answered by a simulated account instead of the exchange. Market orders
+ * fill against the live order book, resting and conditional orders against the last price
+ * whenever the simulated account is queried, and responses have the exchange's shape.
+ * Market data requests still go to the exchange. Funding, liquidations and partial fills
+ * are not simulated
+ */
+
+/**
+ * Default paper trading settings
+ */
+export const DEFAULT_PAPER_TRADING_OPTIONS = {
+  enabled: false,
+  balance: 10000,
+  asset: 'USDT',
+  leverage: 20,
+  hedgeMode: false,
+  takerFeeRate: 0.0004,
+  makerFeeRate: 0.0002,
+  useOrderBook: true,
+  priceTtlMs: 1000
+};
+
+/**
+ * Merge user supplied paper trading settings with the defaults
+ * @param {Object|boolean} options - Settings, true for the defaults, or false/undefined to trade for real
+ * @param {number} options.balance - Starting wallet balance (default: 10000)
+ * @param {string} options.asset - Margin asset (default: 'USDT')
+ * @param {number} options.leverage - Leverage of symbols without setLeverage() (default: 20)
+ * @param {boolean} options.hedgeMode - Start in hedge mode (default: false)
+ * @param {number} options.takerFeeRate - Fee rate of market and marketable orders (default: 0.0004)
+ * @param {number} options.makerFeeRate - Fee rate of resting limit orders (default: 0.0002)
+ * @param {boolean} options.useOrderBook - Fill market orders against the order book instead of the last price (default: true)
+ * @param {number} options.priceTtlMs - How long a fetched last price is reused (default: 1000)
+ * @returns {Object} - Resolved settings
+ */
+export function resolvePaperTradingOptions(options) {
+  if (!options) {
+    return { ...DEFAULT_PAPER_TRADING_OPTIONS };
+  }
+  if (options === true) {
+    return { ...DEFAULT_PAPER_TRADING_OPTIONS, enabled: true };
+  }
+  return { ...DEFAULT_PAPER_TRADING_OPTIONS, enabled: true, ...options };
+}
+
+const MAX_LEVERAGE = 125;
+const MAX_NOTIONAL = '1000000';
+const ORDER_BOOK_LIMIT = 50;
+
+// Exchange errors reproduced by the simulation, as [code, message]
+const NOT_SIMULATED = -1000;
+const MARGIN_INSUFFICIENT = [-2019, 'Margin is insufficient.'];
+const WOULD_IMMEDIATELY_TRIGGER = [-2021, 'Order would immediately trigger.'];
+const REDUCE_ONLY_REJECTED = [-2022, 'ReduceOnly Order is rejected.'];
+const UNKNOWN_ORDER = [-2011, 'Unknown order sent.'];
+const ORDER_NOT_FOUND = [-2013, 'Order does not exist.'];
+const MARGIN_TYPE_UNCHANGED = [-4046, 'No need to change margin type.'];
+const MARGIN_TYPE_OPEN_ORDERS = [-4047, 'Margin type cannot be changed if there exists open orders.'];
+const MARGIN_TYPE_POSITION = [-4048, 'Margin type cannot be changed if there exists position.'];
+const POSITION_MODE_UNCHANGED = [-4059, 'No need to change position side.'];
+const POSITION_SIDE_MISMATCH = [-4061, "Order's position side does not match user's setting."];
+const POSITION_MODE_OPEN_ORDERS = [-4067, 'Position side cannot be changed if there exists open orders.'];
+const POSITION_MODE_POSITION = [-4068, 'Position side cannot be changed if there exists position.'];
+const DUPLICATE_CLIENT_ORDER_ID = [-4116, 'ClientOrderId is duplicated.'];
+
+/**
+ * Format an amount of quote currency
+ * @param {number} value - Amount
+ * @returns {string} - Decimal string with at most 8 decimals
+ */
+function money(value) {
+  return toDecimalString(value.toFixed(8));
+}
+
+/**
+ * Read a boolean request parameter
+ * @param {*} value - true, 'true' or 'TRUE'
+ * @returns {boolean} - Parsed value
+ */
+function isTrue(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Absolute value of a decimal string
+ * @param {string} value - Decimal string
+ * @returns {string} - Value without sign
+ */
+function absolute(value) {
+  return value.startsWith('-') ? value.slice(1) : value;
+}
+
+export class PaperExchange {
+  /**
+   * @param {Object} market - Live market data
+   * @param {Function} market.getLastPrice - Async function (symbol) => last price
+   * @param {Function} market.getOrderBook - Async function (symbol, limit) => { bids, asks } (optional)
+   * @param {Object} options - Paper trading settings (see resolvePaperTradingOptions)
+   * @param {Logger} options.logger - Structured logger (default: silent)
+   */
+  constructor(market, options = {}) {
+    const settings = resolvePaperTradingOptions(options);
+    this.market = market;
+    this.logger = options.logger || silentLogger;
+    this.asset = settings.asset;
+    this.defaultLeverage = settings.leverage;
+    this.takerFeeRate = settings.takerFeeRate;
+    this.makerFeeRate = settings.makerFeeRate;
+    this.useOrderBook = settings.useOrderBook;
+    this.priceTtlMs = settings.priceTtlMs;
+    this.walletBalance = Number(settings.balance);
+    this.dualSidePosition = settings.hedgeMode === true;
+    this.positions = new Map();
+    this.orders = new Map();
+    this.symbolSettings = new Map();
+    this.triggered = new Set();
+    this.trailing = new Map();
+    this.prices = new Map();
+    this.trades = [];
+    this.marginHistory = [];
+    this.nextOrderId = 1;
+  }
+
+  /**
+   * Middleware answering signed requests from the simulated account
+   * @returns {Object} - Request middleware
+   */
+  middleware() {
+    return { beforeRequest: (context) => this.handle(context) };
+  }
+
+  /**
+   * Answer a signed request
+   * Open orders are matched against current prices first
+   * @param {Object} context - Request context
+   * @returns {Promise<*>} - Simulated response, or undefined for unsigned requests
+   * @throws {AsterdexApiError} - Simulated exchange rejection, -1000 for endpoints that are not simulated
+   */
+  async handle(context) {
+    if (context.security !== 'signed') return undefined;
+
+    const params = context.params;
+    await this.matchOpenOrders();
+
+    switch (`${context.method} ${context.endpoint}`) {
+      case 'GET /fapi/v2/balance':
+        return this.getBalance();
+      case 'GET /fapi/v2/account':
+        return this.getAccount();
+      case 'GET /fapi/v2/positionRisk':
+        return this.getPositionRisk(params.symbol);
+      case 'GET /fapi/v1/positionSide/dual':
+        return { dualSidePosition: this.dualSidePosition };
+      case 'POST /fapi/v1/positionSide/dual':
+        return this.setPositionMode(context, isTrue(params.dualSidePosition));
+      case 'POST /fapi/v1/leverage':
+        return this.setLeverage(context, params.symbol, params.leverage);
+      case 'POST /fapi/v1/marginType':
+        return this.setMarginType(context, params.symbol, params.marginType);
+      case 'POST /fapi/v1/positionMargin':
+        return this.modifyPositionMargin(context, params);
+      case 'GET /fapi/v1/positionMargin/history':
+        return this.marginHistory.filter(entry => entry.symbol === params.symbol);
+      case 'POST /fapi/v1/order':
+        return this.placeOrder(context, params);
+      case 'POST /fapi/v1/batchOrders':
+        return this.forEachBatchItem(JSON.parse(params.batchOrders), item => this.placeOrder(context, item));
+      case 'GET /fapi/v1/order':
+        return { ...this.requireOrder(context, params, ORDER_NOT_FOUND) };
+      case 'DELETE /fapi/v1/order':
+        return this.cancelOrder(context, params);
+      case 'DELETE /fapi/v1/batchOrders':
+        return this.forEachBatchItem(
+          params.orderIdList
+            ? JSON.parse(params.orderIdList).map(orderId => ({ symbol: params.symbol, orderId }))
+            : JSON.parse(params.origClientOrderIdList).map(origClientOrderId => ({ symbol: params.symbol, origClientOrderId })),
+          item => this.cancelOrder(context, item)
+        );
+      case 'GET /fapi/v1/openOrders':
+        return this.getOpenOrders(params.symbol).map(order => ({ ...order }));
+      case 'DELETE /fapi/v1/allOpenOrders':
+        for (const order of this.getOpenOrders(params.symbol)) {
+          this.closeOrder(order, 'CANCELED');
+        }
+        return { code: 200, msg: 'The operation of cancel all open order is done.' };
+      default:
+        throw this.reject(context, [NOT_SIMULATED, `${context.method} ${context.endpoint} is not simulated in paper trading mode.`]);
+    }
+  }
+
+  /**
+   * Build a simulated exchange rejection
+   * @param {Object} context - Request context
+   * @param {Array} error - [code, message]
+   * @returns {AsterdexApiError} - Typed error
+   */
+  reject(context, [code, msg]) {
+    return createApiError({ status: 400, data: { code, msg } }, context);
+  }
+
+  /**
+   * Run a batch, turning rejections into { code, msg } entries like the exchange
+   * @param {Array} items - Batch items
+   * @param {Function} handle - Async function handling one item
+   * @returns {Promise<Array>} - Responses in item order
+   */
+  async forEachBatchItem(items, handle) {
+    const responses = [];
+    for (const item of items) {
+      try {
+        responses.push(await handle(item));
+      } catch (error) {
+        if (error.code === undefined) throw error;
+        responses.push({ code: error.code, msg: error.exchangeMessage });
+      }
+    }
+    return responses;
+  }
+
+  // ===== Market Data =====
+
+  /**
+   * Get the last price, reused for priceTtlMs
+   * @param {string} symbol - Trading symbol
+   * @returns {Promise<number>} - Last price
+   */
+  async getPrice(symbol) {
+    const cached = this.prices.get(symbol);
+    if (cached && Date.now() - cached.at < this.priceTtlMs) {
+      return cached.price;
+    }
+    const price = Number(await this.market.getLastPrice(symbol));
+    if (!(price > 0)) {
+      throw new Error(`PaperExchange: no price for ${symbol}`);
+    }
+    this.prices.set(symbol, { price, at: Date.now() });
+    return price;
+  }
+
+  /**
+   * Get the average fill price of a market order by walking the order book
+   * Quantity beyond the fetched depth fills at the deepest level
+   * @param {string} symbol - Trading symbol
+   * @param {string} side - 'BUY' or 'SELL'
+   * @param {string} quantity - Order quantity
+   * @returns {Promise<number>} - Average fill price
+   */
+  async getMarketFillPrice(symbol, side, quantity) {
+    if (this.useOrderBook && typeof this.market.getOrderBook === 'function') {
+      try {
+        const book = await this.market.getOrderBook(symbol, ORDER_BOOK_LIMIT);
+        const levels = (side === 'BUY' ? book?.asks : book?.bids) || [];
+        const size = Number(quantity);
+        let remaining = size;
+        let cost = 0;
+        let lastLevel = null;
+
+        for (const [price, available] of levels) {
+          if (remaining <= 0) break;
+          const taken = Math.min(remaining, Number(available));
+          cost += taken * Number(price);
+          remaining -= taken;
+          lastLevel = Number(price);
+        }
+
+        if (lastLevel !== null) {
+          return (cost + Math.max(remaining, 0) * lastLevel) / size;
+        }
+      } catch (error) {
+        this.logger.warn('Order book unavailable, filling at last price', { symbol, error });
+      }
+    }
+    return this.getPrice(symbol);
+  }
+
+  // ===== Account State =====
+
+  /**
+   * Get leverage and margin type of a symbol
+   * @param {string} symbol - Trading symbol
+   * @returns {Object} - { leverage, marginType }
+   */
+  getSymbolSettings(symbol) {
+    if (!this.symbolSettings.has(symbol)) {
+      this.symbolSettings.set(symbol, { leverage: this.defaultLeverage, marginType: 'CROSSED' });
+    }
+    return this.symbolSettings.get(symbol);
+  }
+
+  /**
+   * Get a position, creating an empty one
+   * @param {string} symbol - Trading symbol
+   * @param {string} positionSide - 'BOTH', 'LONG' or 'SHORT'
+   * @returns {Object} - Position state
+   */
+  getPosition(symbol, positionSide) {
+    const key = `${symbol}:${positionSide}`;
+    if (!this.positions.has(key)) {
+      this.positions.set(key, { symbol, positionSide, positionAmt: '0', entryPrice: 0, isolatedMargin: 0, updateTime: 0 });
+    }
+    return this.positions.get(key);
+  }
+
+  /**
+   * Get positions with a non-zero amount
+   * @param {string} symbol - Trading symbol (optional)
+   * @returns {Array} - Position states
+   */
+  getOpenPositions(symbol = null) {
+    return Array.from(this.positions.values())
+      .filter(position => (!symbol || position.symbol === symbol) && compareDecimals(position.positionAmt, '0') !== 0);
+  }
+
+  /**
+   * Get orders still working
+   * @param {string} symbol - Trading symbol (optional)
+   * @returns {Array} - Orders
+   */
+  getOpenOrders(symbol = null) {
+    return Array.from(this.orders.values())
+      .filter(order => order.status === 'NEW' && (!symbol || order.symbol === symbol));
+  }
+
+  /**
+   * Check whether an order can only shrink a position
+   * @param {Object} order - Order
+   * @returns {boolean} - True for reduceOnly, closePosition and hedge mode closing legs
+   */
+  isReducing(order) {
+    return order.reduceOnly || order.closePosition ||
+      (order.positionSide === 'LONG' && order.side === 'SELL') ||
+      (order.positionSide === 'SHORT' && order.side === 'BUY');
+  }
+
+  /**
+   * Get the initial margin an open order reserves
+   * @param {Object} order - Order
+   * @returns {Promise<number>} - Reserved margin
+   */
+  async getOrderMargin(order) {
+    if (this.isReducing(order)) return 0;
+    const reference = Number(order.price) || Number(order.stopPrice) || Number(order.activatePrice) ||
+      await this.getPrice(order.symbol);
+    return Number(order.origQty) * reference / this.getSymbolSettings(order.symbol).leverage;
+  }
+
+  /**
+   * Value the account at current prices
+   * @returns {Promise<Object>} - Positions with unrealized PnL and margin totals
+   */
+  async getAccountState() {
+    const positions = [];
+    let crossUnPnl = 0;
+    let totalUnPnl = 0;
+    let positionMargin = 0;
+    let isolatedMargin = 0;
+    let orderMargin = 0;
+
+    for (const position of this.getOpenPositions()) {
+      const markPrice = await this.getPrice(position.symbol);
+      const amount = Number(position.positionAmt);
+      const { leverage, marginType } = this.getSymbolSettings(position.symbol);
+      const unrealizedProfit = amount * (markPrice - position.entryPrice);
+      const initialMargin = marginType === 'ISOLATED' ? position.isolatedMargin : Math.abs(amount) * markPrice / leverage;
+
+      totalUnPnl += unrealizedProfit;
+      if (marginType === 'ISOLATED') {
+        isolatedMargin += position.isolatedMargin;
+      } else {
+        crossUnPnl += unrealizedProfit;
+        positionMargin += initialMargin;
+      }
+      positions.push({ position, markPrice, unrealizedProfit, initialMargin, leverage, marginType });
+    }
+
+    for (const order of this.getOpenOrders()) {
+      orderMargin += await this.getOrderMargin(order);
+    }
+
+    const crossWalletBalance = this.walletBalance - isolatedMargin;
+    const availableBalance = Math.max(crossWalletBalance + crossUnPnl - positionMargin - orderMargin, 0);
+    return {
+      positions,
+      crossUnPnl,
+      totalUnPnl,
+      positionMargin,
+      isolatedMargin,
+      orderMargin,
+      crossWalletBalance,
+      availableBalance,
+      maxWithdrawAmount: Math.min(availableBalance, Math.max(crossWalletBalance, 0))
+    };
+  }
+
+  /**
+   * GET /fapi/v2/balance
+   * @returns {Promise<Array>} - Balance of the margin asset
+   */
+  async getBalance() {
+    const state = await this.getAccountState();
+    return [{
+      accountAlias: 'paper',
+      asset: this.asset,
+      balance: money(this.walletBalance),
+      crossWalletBalance: money(state.crossWalletBalance),
+      crossUnPnl: money(state.crossUnPnl),
+      availableBalance: money(state.availableBalance),
+      maxWithdrawAmount: money(state.maxWithdrawAmount),
+      marginAvailable: true,
+      updateTime: Date.now()
+    }];
+  }
+
+  /**
+   * GET /fapi/v2/account
+   * @returns {Promise<Object>} - Account information
+   */
+  async getAccount() {
+    const state = await this.getAccountState();
+    const updateTime = Date.now();
+    const positionInitialMargin = state.positionMargin + state.isolatedMargin;
+    const asset = {
+      asset: this.asset,
+      walletBalance: money(this.walletBalance),
+      unrealizedProfit: money(state.totalUnPnl),
+      marginBalance: money(this.walletBalance + state.totalUnPnl),
+      maintMargin: '0',
+      initialMargin: money(positionInitialMargin + state.orderMargin),
+      positionInitialMargin: money(positionInitialMargin),
+      openOrderInitialMargin: money(state.orderMargin),
+      crossWalletBalance: money(state.crossWalletBalance),
+      crossUnPnl: money(state.crossUnPnl),
+      availableBalance: money(state.availableBalance),
+      maxWithdrawAmount: money(state.maxWithdrawAmount),
+      marginAvailable: true,
+      updateTime
+    };
+
+    return {
+      feeTier: 0,
+      canTrade: true,
+      canDeposit: false,
+      canWithdraw: false,
+      updateTime,
+      totalInitialMargin: asset.initialMargin,
+      totalMaintMargin: '0',
+      totalWalletBalance: asset.walletBalance,
+      totalUnrealizedProfit: asset.unrealizedProfit,
+      totalMarginBalance: asset.marginBalance,
+      totalPositionInitialMargin: asset.positionInitialMargin,
+      totalOpenOrderInitialMargin: asset.openOrderInitialMargin,
+      totalCrossWalletBalance: asset.crossWalletBalance,
+      totalCrossUnPnl: asset.crossUnPnl,
+      availableBalance: asset.availableBalance,
+      maxWithdrawAmount: asset.maxWithdrawAmount,
+      assets: [asset],
+      positions: state.positions.map(({ position, unrealizedProfit, initialMargin, leverage, marginType }) => ({
+        symbol: position.symbol,
+        initialMargin: money(initialMargin),
+        maintMargin: '0',
+        unrealizedProfit: money(unrealizedProfit),
+        positionInitialMargin: money(initialMargin),
+        openOrderInitialMargin: '0',
+        leverage: String(leverage),
+        isolated: marginType === 'ISOLATED',
+        entryPrice: money(position.entryPrice),
+        maxNotional: MAX_NOTIONAL,
+        positionSide: position.positionSide,
+        positionAmt: position.positionAmt,
+        isolatedWallet: money(position.isolatedMargin),
+        updateTime: position.updateTime
+      }))
+    };
+  }
+
+  /**
+   * GET /fapi/v2/positionRisk
+   * A requested symbol without a position is reported with zero amounts, like the exchange
+   * @param {string} symbol - Trading symbol (optional)
+   * @returns {Promise<Array>} - Positions
+   */
+  async getPositionRisk(symbol = null) {
+    const positions = this.getOpenPositions(symbol);
+    if (symbol && positions.length === 0) {
+      const sides = this.dualSidePosition ? ['LONG', 'SHORT'] : ['BOTH'];
+      positions.push(...sides.map(positionSide => this.getPosition(symbol, positionSide)));
+    }
+
+    const result = [];
+    for (const position of positions) {
+      const markPrice = await this.getPrice(position.symbol);
+      const amount = Number(position.positionAmt);
+      const { leverage, marginType } = this.getSymbolSettings(position.symbol);
+      const unrealizedProfit = amount * (markPrice - position.entryPrice);
+      const isolated = marginType === 'ISOLATED';
+
+      result.push({
+        symbol: position.symbol,
+        positionAmt: position.positionAmt,
+        entryPrice: money(position.entryPrice),
+        markPrice: money(markPrice),
+        unRealizedProfit: money(unrealizedProfit),
+        liquidationPrice: '0',
+        leverage: String(leverage),
+        maxNotionalValue: MAX_NOTIONAL,
+        marginType: isolated ? 'isolated' : 'cross',
+        isolatedMargin: money(isolated ? position.isolatedMargin + unrealizedProfit : 0),
+        isAutoAddMargin: 'false',
+        positionSide: position.positionSide,
+        notional: money(amount * markPrice),
+        isolatedWallet: money(isolated ? position.isolatedMargin : 0),
+        updateTime: position.updateTime
+      });
+    }
+    return result;
+  }
+
+  // ===== Account Settings =====
+
+  /**
+   * POST /fapi/v1/positionSide/dual
+   * @param {Object} context - Request context
+   * @param {boolean} dualSidePosition - True for hedge mode
+   * @returns {Object} - Exchange acknowledgement
+   */
+  setPositionMode(context, dualSidePosition) {
+    if (dualSidePosition === this.dualSidePosition) throw this.reject(context, POSITION_MODE_UNCHANGED);
+    if (this.getOpenPositions().length > 0) throw this.reject(context, POSITION_MODE_POSITION);
+    if (this.getOpenOrders().length > 0) throw this.reject(context, POSITION_MODE_OPEN_ORDERS);
+    this.dualSidePosition = dualSidePosition;
+    return { code: 200, msg: 'success' };
+  }
+
+  /**
+   * POST /fapi/v1/leverage
+   * @param {Object} context - Request context
+   * @param {string} symbol - Trading symbol
+   * @param {number|string} leverage - Leverage from 1 to 125
+   * @returns {Object} - { leverage, maxNotionalValue, symbol }
+   */
+  setLeverage(context, symbol, leverage) {
+    const value = Number(leverage);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LEVERAGE) {
+      throw this.reject(context, [-4028, `Leverage ${leverage} is not valid`]);
+    }
+    this.getSymbolSettings(symbol).leverage = value;
+    return { leverage: value, maxNotionalValue: MAX_NOTIONAL, symbol };
+  }
+
+  /**
+   * POST /fapi/v1/marginType
+   * @param {Object} context - Request context
+   * @param {string} symbol - Trading symbol
+   * @param {string} marginType - 'ISOLATED' or 'CROSSED'
+   * @returns {Object} - Exchange acknowledgement
+   */
+  setMarginType(context, symbol, marginType) {
+    const settings = this.getSymbolSettings(symbol);
+    if (settings.marginType === marginType) throw this.reject(context, MARGIN_TYPE_UNCHANGED);
+    if (this.getOpenPositions(symbol).length > 0) throw this.reject(context, MARGIN_TYPE_POSITION);
+    if (this.getOpenOrders(symbol).length > 0) throw this.reject(context, MARGIN_TYPE_OPEN_ORDERS);
+    settings.marginType = marginType;
+    return { code: 200, msg: 'success' };
+  }
+
+  /**
+   * POST /fapi/v1/positionMargin
+   * Margin can be removed down to the initial margin of the position
+   * @param {Object} context - Request context
+   * @param {Object} params - { symbol, positionSide, amount, type } with type 1 (add) or 2 (reduce)
+   * @returns {Promise<Object>} - Exchange acknowledgement
+   */
+  async modifyPositionMargin(context, params) {
+    const { symbol, positionSide = 'BOTH' } = params;
+    const amount = Number(params.amount);
+    const type = Number(params.type);
+    const position = this.getPosition(symbol, positionSide);
+
+    if (this.getSymbolSettings(symbol).marginType !== 'ISOLATED' || compareDecimals(position.positionAmt, '0') === 0) {
+      throw this.reject(context, [-1000, 'Margin can only be changed on an open isolated position.']);
+    }
+
+    if (type === 1) {
+      const { availableBalance } = await this.getAccountState();
+      if (amount > availableBalance) throw this.reject(context, MARGIN_INSUFFICIENT);
+      position.isolatedMargin += amount;
+    } else {
+      const markPrice = await this.getPrice(symbol);
+      const amountHeld = Math.abs(Number(position.positionAmt));
+      const unrealizedProfit = Number(position.positionAmt) * (markPrice - position.entryPrice);
+      const required = amountHeld * markPrice / this.getSymbolSettings(symbol).leverage;
+      if (amount > position.isolatedMargin + Math.min(unrealizedProfit, 0) - required) {
+        throw this.reject(context, MARGIN_INSUFFICIENT);
+      }
+      position.isolatedMargin -= amount;
+    }
+
+    this.marginHistory.push({ amount: String(amount), asset: this.asset, symbol, time: Date.now(), type, positionSide });
+    return { amount, code: 200, msg: 'Successfully modify position margin.', type };
+  }
+
+  // ===== Orders =====
+
+  /**
+   * POST /fapi/v1/order
+   * @param {Object} context - Request context
+   * @param {Object} params - Serialized order parameters
+   * @returns {Promise<Object>} - Order response
+   * @throws {AsterdexApiError} - Simulated exchange rejection
+   */
+  async placeOrder(context, params) {
+    for (const field of ['symbol', 'side', 'type']) {
+      if (!params[field]) {
+        throw this.reject(context, [-1102, `Mandatory parameter '${field}' was not sent, was empty/null, or malformed.`]);
+      }
+    }
+
+    const closePosition = isTrue(params.closePosition);
+    if (!closePosition && !params.quantity) {
+      throw this.reject(context, [-1102, "Mandatory parameter 'quantity' was not sent, was empty/null, or malformed."]);
+    }
+
+    const positionSide = params.positionSide || 'BOTH';
+    if ((positionSide === 'BOTH') === this.dualSidePosition) {
+      throw this.reject(context, POSITION_SIDE_MISMATCH);
+    }
+    if (params.newClientOrderId && this.findOrder(params.symbol, { origClientOrderId: params.newClientOrderId })) {
+      throw this.reject(context, DUPLICATE_CLIENT_ORDER_ID);
+    }
+
+    const now = Date.now();
+    const orderId = this.nextOrderId++;
+    const order = {
+      orderId,
+      symbol: params.symbol,
+      status: 'NEW',
+      clientOrderId: params.newClientOrderId || `paper_${orderId}`,
+      price: params.price ? toDecimalString(params.price) : '0',
+      avgPrice: '0',
+      origQty: params.quantity ? toDecimalString(params.quantity) : '0',
+      executedQty: '0',
+      cumQty: '0',
+      cumQuote: '0',
+      timeInForce: params.timeInForce || 'GTC',
+      type: params.type,
+      reduceOnly: isTrue(params.reduceOnly),
+      closePosition,
+      side: params.side,
+      positionSide,
+      stopPrice: params.stopPrice ? toDecimalString(params.stopPrice) : '0',
+      workingType: params.workingType || 'CONTRACT_PRICE',
+      priceProtect: isTrue(params.priceProtect),
+      origType: params.type,
+      time: now,
+      updateTime: now
+    };
+    if (order.type === 'TRAILING_STOP_MARKET') {
+      if (params.activationPrice) order.activatePrice = toDecimalString(params.activationPrice);
+      order.priceRate = String(params.callbackRate);
+    }
+
+    const lastPrice = await this.getPrice(order.symbol);
+    if (this.isReducing(order)) {
+      if (['MARKET', 'LIMIT'].includes(order.type) && this.getFillQuantity(order) === null) {
+        throw this.reject(context, REDUCE_ONLY_REJECTED);
+      }
+    } else {
+      const required = order.type === 'MARKET'
+        ? Number(order.origQty) * lastPrice / this.getSymbolSettings(order.symbol).leverage
+        : await this.getOrderMargin(order);
+      const { availableBalance } = await this.getAccountState();
+      if (required > availableBalance) {
+        throw this.reject(context, MARGIN_INSUFFICIENT);
+      }
+    }
+
+    switch (order.type) {
+      case 'MARKET':
+        this.orders.set(orderId, order);
+        await this.fillAtMarket(order);
+        break;
+      case 'LIMIT':
+        this.orders.set(orderId, order);
+        if (this.isMarketable(order, lastPrice)) {
+          if (order.timeInForce === 'GTX') {
+            this.closeOrder(order, 'EXPIRED');
+          } else {
+            await this.fillAtMarket(order, Number(order.price));
+          }
+        } else if (order.timeInForce === 'IOC' || order.timeInForce === 'FOK') {
+          this.closeOrder(order, 'EXPIRED');
+        }
+        break;
+      case 'STOP':
+      case 'STOP_MARKET':
+      case 'TAKE_PROFIT':
+      case 'TAKE_PROFIT_MARKET':
+        if (this.isTriggered(order, lastPrice)) {
+          throw this.reject(context, WOULD_IMMEDIATELY_TRIGGER);
+        }
+        this.orders.set(orderId, order);
+        break;
+      case 'TRAILING_STOP_MARKET':
+        this.orders.set(orderId, order);
+        this.trailing.set(orderId, { active: false, extreme: null });
+        await this.matchOrder(order, lastPrice);
+        break;
+      default:
+        throw this.reject(context, [-1116, 'Invalid orderType.']);
+    }
+
+    this.logger.info('Paper order accepted', {
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      orderId,
+      status: order.status
+    });
+    return { ...order };
+  }
+
+  /**
+   * DELETE /fapi/v1/order
+   * @param {Object} context - Request context
+   * @param {Object} params - { symbol, orderId } or { symbol, origClientOrderId }
+   * @returns {Object} - Cancelled order
+   */
+  cancelOrder(context, params) {
+    const order = this.requireOrder(context, params, UNKNOWN_ORDER);
+    if (order.status !== 'NEW') {
+      throw this.reject(context, UNKNOWN_ORDER);
+    }
+    this.closeOrder(order, 'CANCELED');
+    return { ...order };
+  }
+
+  /**
+   * Find an order by orderId or client order ID
+   * @param {string} symbol - Trading symbol
+   * @param {Object} params - { orderId } or { origClientOrderId }
+   * @returns {Object|null} - Order or null
+   */
+  findOrder(symbol, params) {
+    if (params.orderId !== undefined && params.orderId !== null) {
+      const order = this.orders.get(Number(params.orderId));
+      return order && order.symbol === symbol ? order : null;
+    }
+    for (const order of this.orders.values()) {
+      if (order.symbol === symbol && order.clientOrderId === params.origClientOrderId) return order;
+    }
+    return null;
+  }
+
+  /**
+   * Find an order or reject the request
+   * @param {Object} context - Request context
+   * @param {Object} params - { symbol, orderId } or { symbol, origClientOrderId }
+   * @param {Array} error - Rejection used when the order does not exist
+   * @returns {Object} - Order
+   */
+  requireOrder(context, params, error) {
+    const order = this.findOrder(params.symbol, params);
+    if (!order) throw this.reject(context, error);
+    return order;
+  }
+
+  /**
+   * Finish an order without a fill
+   * @param {Object} order - Order
+   * @param {string} status - 'CANCELED' or 'EXPIRED'
+   */
+  closeOrder(order, status) {
+    order.status = status;
+    order.updateTime = Date.now();
+    this.triggered.delete(order.orderId);
+    this.trailing.delete(order.orderId);
+  }
+
+  // ===== Matching =====
+
+  /**
+   * Check whether a limit price is reached
+   * @param {Object} order - Order with a price
+   * @param {number} price - Last price
+   * @returns {boolean} - True if the order would fill
+   */
+  isMarketable(order, price) {
+    return order.side === 'BUY' ? price <= Number(order.price) : price >= Number(order.price);
+  }
+
+  /**
+   * Check whether a stop or take-profit trigger is reached
+   * @param {Object} order - Conditional order
+   * @param {number} price - Last price
+   * @returns {boolean} - True if triggered
+   */
+  isTriggered(order, price) {
+    const stopPrice = Number(order.stopPrice);
+    const buy = order.side === 'BUY';
+    if (order.type === 'STOP' || order.type === 'STOP_MARKET') {
+      return buy ? price >= stopPrice : price <= stopPrice;
+    }
+    return buy ? price <= stopPrice : price >= stopPrice;
+  }
+
+  /**
+   * Track a trailing stop and check whether it fires
+   * @param {Object} order - TRAILING_STOP_MARKET order
+   * @param {number} price - Last price
+   * @returns {boolean} - True if the price retraced by the callback rate
+   */
+  isTrailingTriggered(order, price) {
+    const state = this.trailing.get(order.orderId);
+    const sell = order.side === 'SELL';
+
+    if (!state.active) {
+      const activation = order.activatePrice ? Number(order.activatePrice) : null;
+      if (activation !== null && (sell ? price < activation : price > activation)) return false;
+      state.active = true;
+      state.extreme = price;
+    }
+
+    state.extreme = sell ? Math.max(state.extreme, price) : Math.min(state.extreme, price);
+    const rate = Number(order.priceRate) / 100;
+    return sell ? price <= state.extreme * (1 - rate) : price >= state.extreme * (1 + rate);
+  }
+
+  /**
+   * Match every open order against current prices
+   * @returns {Promise<void>}
+   */
+  async matchOpenOrders() {
+    for (const order of this.getOpenOrders()) {
+      if (order.status !== 'NEW') continue;
+      await this.matchOrder(order, await this.getPrice(order.symbol));
+    }
+  }
+
+  /**
+   * Fill or trigger an open order if the price allows it
+   * @param {Object} order - Open order
+   * @param {number} price - Last price
+   * @returns {Promise<void>}
+   */
+  async matchOrder(order, price) {
+    switch (order.type) {
+      case 'LIMIT':
+        if (this.isMarketable(order, price)) await this.fill(order, Number(order.price), true);
+        return;
+      case 'STOP':
+      case 'TAKE_PROFIT':
+        if (!this.triggered.has(order.orderId)) {
+          if (!this.isTriggered(order, price)) return;
+          this.triggered.add(order.orderId);
+        }
+        if (this.isMarketable(order, price)) await this.fill(order, Number(order.price), false);
+        return;
+      case 'STOP_MARKET':
+      case 'TAKE_PROFIT_MARKET':
+        if (this.isTriggered(order, price)) await this.fillAtMarket(order);
+        return;
+      case 'TRAILING_STOP_MARKET':
+        if (this.isTrailingTriggered(order, price)) await this.fillAtMarket(order);
+    }
+  }
+
+  /**
+   * Get the quantity an order fills now
+   * Reducing orders are capped at the position they close
+   * @param {Object} order - Order
+   * @returns {string|null} - Quantity, or null if a reducing order has nothing to reduce
+   */
+  getFillQuantity(order) {
+    const amount = this.getPosition(order.symbol, order.positionSide).positionAmt;
+    const sign = compareDecimals(amount, '0');
+    const closing = order.side === 'BUY' ? sign < 0 : sign > 0;
+
+    if (order.closePosition) return closing ? absolute(amount) : null;
+    if (!this.isReducing(order)) return order.origQty;
+    if (!closing) return null;
+    return compareDecimals(order.origQty, absolute(amount)) > 0 ? absolute(amount) : order.origQty;
+  }
+
+  /**
+   * Fill an order as taker against the order book
+   * @param {Object} order - Order
+   * @param {number} limitPrice - Worst acceptable price for marketable limit orders (optional)
+   * @returns {Promise<void>}
+   */
+  async fillAtMarket(order, limitPrice = null) {
+    const quantity = this.getFillQuantity(order);
+    if (quantity === null) {
+      this.closeOrder(order, 'EXPIRED');
+      return;
+    }
+
+    let price = await this.getMarketFillPrice(order.symbol, order.side, quantity);
+    if (limitPrice !== null) {
+      price = order.side === 'BUY' ? Math.min(price, limitPrice) : Math.max(price, limitPrice);
+    }
+    await this.fill(order, price, false, quantity);
+  }
+
+  /**
+   * Fill an order completely, updating the position and wallet
+   * @param {Object} order - Order
+   * @param {number} price - Fill price
+   * @param {boolean} maker - Charge the maker fee instead of the taker fee
+   * @param {string} quantity - Fill quantity (default: from getFillQuantity)
+   * @returns {Promise<void>}
+   */
+  async fill(order, price, maker, quantity = this.getFillQuantity(order)) {
+    if (quantity === null || compareDecimals(quantity, '0') === 0) {
+      this.closeOrder(order, 'EXPIRED');
+      return;
+    }
+
+    const position = this.getPosition(order.symbol, order.positionSide);
+    const { leverage, marginType } = this.getSymbolSettings(order.symbol);
+    const realizedPnl = this.applyFill(position, order.side, quantity, price, marginType === 'ISOLATED' ? leverage : null);
+    const notional = Number(quantity) * price;
+    const commission = notional * (maker ? this.makerFeeRate : this.takerFeeRate);
+    this.walletBalance += realizedPnl - commission;
+
+    Object.assign(order, {
+      status: 'FILLED',
+      avgPrice: money(price),
+      executedQty: quantity,
+      cumQty: quantity,
+      cumQuote: money(notional),
+      updateTime: Date.now()
+    });
+    if (order.closePosition) order.origQty = quantity;
+    this.triggered.delete(order.orderId);
+    this.trailing.delete(order.orderId);
+
+    this.trades.push({
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: order.side,
+      positionSide: order.positionSide,
+      price: order.avgPrice,
+      qty: quantity,
+      quoteQty: order.cumQuote,
+      realizedPnl: money(realizedPnl),
+      commission: money(commission),
+      commissionAsset: this.asset,
+      maker,
+      time: order.updateTime
+    });
+
+    this.logger.info('Paper order filled', {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: order.side,
+      type: order.type,
+      quantity,
+      price: order.avgPrice,
+      realizedPnl: money(realizedPnl),
+      commission: money(commission)
+    });
+  }
+
+  /**
+   * Apply a fill to a position
+   * @param {Object} position - Position state
+   * @param {string} side - 'BUY' or 'SELL'
+   * @param {string} quantity - Filled quantity
+   * @param {number} price - Fill price
+   * @param {number|null} isolatedLeverage - Leverage for isolated margin bookkeeping, null for cross
+   * @returns {number} - Realized PnL
+   */
+  applyFill(position, side, quantity, price, isolatedLeverage) {
+    const current = Number(position.positionAmt);
+    const size = Number(quantity);
+    const delta = side === 'BUY' ? size : -size;
+    let realizedPnl = 0;
+
+    if (current === 0 || Math.sign(current) === Math.sign(delta)) {
+      position.entryPrice = (Math.abs(current) * position.entryPrice + size * price) / (Math.abs(current) + size);
+      if (isolatedLeverage) position.isolatedMargin += size * price / isolatedLeverage;
+    } else {
+      const closed = Math.min(Math.abs(current), size);
+      realizedPnl = closed * (price - position.entryPrice) * Math.sign(current);
+      if (isolatedLeverage) position.isolatedMargin *= 1 - closed / Math.abs(current);
+
+      // Flipped through zero: the remainder opens at the fill price
+      if (size > Math.abs(current)) {
+        position.entryPrice = price;
+        if (isolatedLeverage) position.isolatedMargin = (size - closed) * price / isolatedLeverage;
+      }
+    }
+
+    position.positionAmt = side === 'BUY'
+      ? addDecimals(position.positionAmt, quantity)
+      : subtractDecimals(position.positionAmt, quantity);
+    if (compareDecimals(position.positionAmt, '0') === 0) {
+      position.entryPrice = 0;
+      position.isolatedMargin = 0;
+    }
+    position.updateTime = Date.now();
+    return realizedPnl;
+  }
+}
@@ -1,98 +1,129 @@
-import fs from 'fs';
-import path from 'path';
+import { PrecisionError } from './errors.js';
 import { getPrecisionFromDatabase, getStepSizeFromDatabase, isSymbolInDatabase } from './step-size-database.js';
+import { roundToStepFloor } from './utils.js';
+import { floorToStep, decimalPlaces } from './decimal.js';
+import { MemoryPrecisionStorage } from './precision-storage.js';
+import { silentLogger } from './logger.js';
 
 /**
  * Precision Manager for AsterDEX API
  * Automatically handles quantity precision errors and saves working values
+ * Storage is only touched by loadPrecisionCache() and setPrecision(), never on construction
  */
 export class PrecisionManager {
-  constructor() {
-    this.precisionFile = path.join(process.cwd(), '.precision-cache.json');
-    this.precisionCache = this.loadPrecisionCache();
+  /**
+   * @param {Object} options - Cache options
+   * @param {Object} options.storage - Adapter with load(namespace) and save(namespace, cache) (default: in memory)
+   * @param {string} options.namespace - Separates caches of different exchanges (default: 'default')
+   * @param {Logger} options.logger - Structured logger (default: silent)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryPrecisionStorage();
+    this.logger = options.logger || silentLogger;
+    this.namespace = options.namespace || 'default';
+    this.precisionCache = {};
+    this.loaded = false;
+    this.loading = null;
+    this.saving = Promise.resolve();
   }
 
   /**
-   * Load precision cache from file
-   * @returns {Object} - Precision cache object
+   * Load the precision cache from storage once
+   * Concurrent callers share one load; values set before loading finished win
+   * @returns {Promise<Object>} - Precision cache object
    */
   loadPrecisionCache() {
-    try {
-      if (fs.existsSync(this.precisionFile)) {
-        const data = fs.readFileSync(this.precisionFile, 'utf8');
-        return JSON.parse(data);
-      }
-    } catch (error) {
-      console.log('No precision cache found, starting fresh');
+    if (this.loaded) return Promise.resolve(this.precisionCache);
+    if (!this.loading) {
+      this.loading = Promise.resolve()
+        .then(() => this.storage.load(this.namespace))
+        .then(cache => {
+          this.precisionCache = { ...(cache || {}), ...this.precisionCache };
+        })
+        .catch(error => {
+          this.logger.error('Failed to load precision cache', { namespace: this.namespace, error });
+        })
+        .then(() => {
+          this.loaded = true;
+          this.loading = null;
+          return this.precisionCache;
+        });
     }
-    return {};
+    return this.loading;
   }
 
   /**
-   * Save precision cache to file
+   * Save the precision cache to storage
+   * Saves run one after another so an older snapshot never overwrites a newer one
    * @param {Object} cache - Precision cache object
+   * @returns {Promise<void>}
    */
-  savePrecisionCache(cache) {
-    try {
-      fs.writeFileSync(this.precisionFile, JSON.stringify(cache, null, 2));
-      console.log(`💾 Saved precision cache for future use`);
-    } catch (error) {
-      console.error('Failed to save precision cache:', error.message);
-    }
+  savePrecisionCache(cache = this.precisionCache) {
+    const snapshot = { ...cache };
+    this.saving = this.saving
+      .then(() => this.storage.save(this.namespace, snapshot))
+      .then(() => this.logger.debug('Saved precision cache', { namespace: this.namespace }))
+      .catch(error => this.logger.error('Failed to save precision cache', { namespace: this.namespace, error }));
+    return this.saving;
   }
 
   /**
    * Get precision for a symbol
+   * Exchange filters win over learned values; the static database is the offline fallback
    * @param {string} symbol - Trading symbol (e.g., 'BTCUSDT')
+   * @param {Object} filters - Symbol filters from SymbolRegistry (optional)
    * @returns {number} - Precision value (0-4)
    */
-  getPrecision(symbol) {
+  getPrecision(symbol, filters = null) {
+    const stepSize = this.getExchangeStepSize(filters);
+    if (stepSize) {
+      return this.calculatePrecisionFromStepSize(stepSize);
+    }
+
     // Return cached precision if available
-    if (this.precisionCache[symbol]) {
+    if (this.precisionCache[symbol] !== undefined) {
       return this.precisionCache[symbol];
     }
     
-    // Try database first
+    // Offline fallback
     if (isSymbolInDatabase(symbol)) {
       const dbPrecision = getPrecisionFromDatabase(symbol);
-      console.log(`📊 Using database precision for ${symbol}: ${dbPrecision} decimal places`);
+      this.logger.debug('Using database precision', { symbol, precision: dbPrecision });
       return dbPrecision;
     }
     
-    // Fallback to pattern matching for unknown symbols
-    const symbolUpper = symbol.toUpperCase();
-    if (symbolUpper.includes('BTC') || symbolUpper.includes('ETH')) {
-      return 3; // BTC, ETH use 3 decimal places
-    } else if (symbolUpper.includes('ASTER') || symbolUpper.includes('SOL') || symbolUpper.includes('BNB')) {
-      return 2; // ASTER, SOL, BNB use 2 decimal places
-    } else if (symbolUpper.includes('XRP')) {
-      return 1; // XRP uses 1 decimal place
-    } else if (symbolUpper.includes('ADA') || symbolUpper.includes('DOGE') || symbolUpper.includes('AVAX')) {
-      return 0; // ADA, DOGE, AVAX use whole numbers
-    }
-    
     return 2; // Default to 2 decimal places for unknown symbols
   }
 
+  /**
+   * Get the market order step size from exchange filters
+   * @param {Object} filters - Symbol filters from SymbolRegistry
+   * @returns {string|null} - Step size, or null without exchange data
+   */
+  getExchangeStepSize(filters) {
+    if (!filters || filters.source !== 'exchange') return null;
+    return (filters.marketLotSize || filters.lotSize)?.stepSize || null;
+  }
+
   /**
    * Set precision for a symbol
    * @param {string} symbol - Trading symbol
    * @param {number} precision - Precision value (0-4)
+   * @returns {Promise<void>} - Resolves once saved
    */
   setPrecision(symbol, precision) {
     this.precisionCache[symbol] = precision;
-    this.savePrecisionCache(this.precisionCache);
+    return this.savePrecisionCache(this.precisionCache);
   }
 
   /**
    * Round quantity to specified precision
-   * @param {number} quantity - Raw quantity
+   * @param {number|string} quantity - Raw quantity
    * @param {number} precision - Number of decimal places
-   * @returns {number} - Rounded quantity
+   * @returns {string} - Rounded quantity as a decimal string
    */
   roundQuantity(quantity, precision) {
-    const multiplier = Math.pow(10, precision);
-    return Math.floor(quantity * multiplier) / multiplier;
+    return floorToStep(quantity, `1e-${precision}`);
   }
 
   /**
@@ -104,30 +135,25 @@ export class PrecisionManager {
    */
   async handlePrecisionError(symbol, quantity, tradeFunction) {
     const startPrecision = this.getPrecision(symbol);
-    console.log(`🔧 Handling precision error for ${symbol}, starting with precision ${startPrecision}`);
+    this.logger.info('Handling precision error', { symbol, startPrecision });
 
     // Try precision values from cached value down to 0
     for (let precision = startPrecision; precision >= 0; precision--) {
       try {
-        console.log(`🔄 Trying precision ${precision} for ${symbol}...`);
         const roundedQuantity = this.roundQuantity(quantity, precision);
-        
-        console.log(`  Original: ${quantity.toFixed(8)}`);
-        console.log(`  Rounded:  ${roundedQuantity.toFixed(precision)} (precision ${precision})`);
+        this.logger.debug('Trying precision', { symbol, precision, quantity, roundedQuantity });
         
         // Try the trade with rounded quantity
         const result = await tradeFunction(roundedQuantity);
         
         // If successful, save this precision for future use
         this.setPrecision(symbol, precision);
-        console.log(`✅ Success with precision ${precision} for ${symbol}`);
+        this.logger.info('Precision accepted', { symbol, precision });
         return result;
         
       } catch (error) {
-        if (error.response && error.response.data && 
-            error.response.data.code === -1111 && 
-            error.response.data.msg.includes('Precision is over the maximum')) {
-          console.log(`❌ Precision ${precision} failed, trying ${precision - 1}...`);
+        if (error instanceof PrecisionError) {
+          this.logger.debug('Precision rejected', { symbol, precision });
           continue;
         } else {
           // Different error, re-throw
@@ -141,11 +167,17 @@ export class PrecisionManager {
 
   /**
    * Get quantity with smart precision handling
+   * With exchange filters the quantity is floored to the step size itself
    * @param {string} symbol - Trading symbol
    * @param {number} quantity - Raw quantity
-   * @returns {number} - Properly rounded quantity
+   * @param {Object} filters - Symbol filters from SymbolRegistry (optional)
+   * @returns {string} - Properly rounded quantity as a decimal string
    */
-  getSmartQuantity(symbol, quantity) {
+  getSmartQuantity(symbol, quantity, filters = null) {
+    const stepSize = this.getExchangeStepSize(filters);
+    if (stepSize) {
+      return roundToStepFloor(quantity, stepSize);
+    }
     const precision = this.getPrecision(symbol);
     return this.roundQuantity(quantity, precision);
   }
@@ -156,9 +188,8 @@ export class PrecisionManager {
    * @returns {number} - Precision value
    */
   calculatePrecisionFromStepSize(stepSize) {
-    const stepSizeNum = parseFloat(stepSize);
-    if (stepSizeNum <= 0) return 3; // Default to 3 if invalid
-    return Math.max(0, Math.round(-Math.log10(stepSizeNum)));
+    if (!(parseFloat(stepSize) > 0)) return 3; // Default to 3 if invalid
+    return decimalPlaces(stepSize);
   }
 
   /**
@@ -182,5 +213,5 @@ export class PrecisionManager {
   }
 }
 
-// Export singleton instance
+// Shared in-memory instance for standalone use; each client has its own
 export const precisionManager = new PrecisionManager();
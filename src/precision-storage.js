@@ -0,0 +1,178 @@
+import { randomHex, sleep } from './utils.js';
+
+/**
+ * Storage adapters for the precision cache
+ * An adapter has load(namespace) and save(namespace, cache), sync or async. The namespace
+ * separates caches of different exchanges (the client uses its baseURL)
+ */
+
+/**
+ * In-memory storage, the default
+ * Nothing survives the process
+ */
+export class MemoryPrecisionStorage {
+  constructor() {
+    this.caches = new Map();
+  }
+
+  /**
+   * @param {string} namespace - Cache namespace
+   * @returns {Object} - Cached precisions by symbol
+   */
+  load(namespace) {
+    return { ...(this.caches.get(namespace) || {}) };
+  }
+
+  /**
+   * @param {string} namespace - Cache namespace
+   * @param {Object} cache - Precisions by symbol
+   */
+  save(namespace, cache) {
+    this.caches.set(namespace, { ...cache });
+  }
+}
+
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Load the Node modules used by file storage
+ * Imported on first use so the client also loads in runtimes without a file system
+ * @returns {Promise<Object>} - { fs, path }
+ */
+async function loadFileSystem() {
+  const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+  return { fs: fs.default || fs, path: path.default || path };
+}
+
+/**
+ * JSON file storage (Node only)
+ * Several clients and processes may share one file. Each save takes a lock file next to it
+ * (`<file>.lock`), rereads the file and merges its cache into the namespace, so no writer's
+ * namespace or symbols are lost. The file itself is replaced through a temporary file and a
+ * rename, so readers never see a partial file. A file that is not valid JSON is left alone
+ * and fails loads and saves until it is fixed or removed
+ */
+export class JsonFilePrecisionStorage {
+  /**
+   * @param {string} filePath - Cache file, created on the first save
+   * @param {Object} options - Locking options
+   * @param {number} options.lockTimeoutMs - How long a save waits for the lock (default: 5000)
+   * @param {number} options.staleLockMs - Age after which a lock left by a crashed writer is taken over (default: 30000)
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('JsonFilePrecisionStorage: filePath is required');
+    }
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 5000;
+    this.staleLockMs = options.staleLockMs ?? 30000;
+  }
+
+  /**
+   * Read every namespace from the file
+   * @returns {Promise<Object>} - File contents, empty if the file does not exist
+   * @throws {Error} - If the file is not valid JSON
+   */
+  async readAll() {
+    const { fs } = await loadFileSystem();
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JsonFilePrecisionStorage: ${this.filePath} is not valid JSON, fix or delete it`, { cause: error });
+    }
+  }
+
+  /**
+   * @param {string} namespace - Cache namespace
+   * @returns {Promise<Object>} - Cached precisions by symbol
+   */
+  async load(namespace) {
+    const data = await this.readAll();
+    return data[namespace] || {};
+  }
+
+  /**
+   * Merge a cache into its namespace under the file lock
+   * @param {string} namespace - Cache namespace
+   * @param {Object} cache - Precisions by symbol
+   * @returns {Promise<void>}
+   * @throws {Error} - If the lock is not acquired within lockTimeoutMs or the file is not valid JSON
+   */
+  async save(namespace, cache) {
+    const { fs, path } = await loadFileSystem();
+    await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+
+    await this.lock(fs);
+    try {
+      const data = await this.readAll();
+      data[namespace] = { ...(data[namespace] || {}), ...cache };
+
+      const tempFile = `${this.filePath}.${process.pid}.${randomHex(4)}.tmp`;
+      try {
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, this.filePath);
+      } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+      }
+    } finally {
+      await fs.unlink(this.lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Create the lock file, waiting while another writer holds it
+   * @param {Object} fs - fs/promises module
+   * @returns {Promise<void>}
+   * @throws {Error} - If the lock is not acquired within lockTimeoutMs
+   */
+  async lock(fs) {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stats = await fs.stat(this.lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > this.staleLockMs) {
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`JsonFilePrecisionStorage: timed out waiting for the lock on ${this.filePath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+}
+
+/**
+ * Turn the precisionCache client option into a storage adapter
+ * @param {string|Object} options - 'memory' (default), { file: path, lockTimeoutMs, staleLockMs } or an
+ *   adapter with load() and save()
+ * @returns {Object} - Storage adapter
+ */
+export function resolvePrecisionStorage(options) {
+  if (options === undefined || options === null || options === 'memory') {
+    return new MemoryPrecisionStorage();
+  }
+  if (typeof options.load === 'function' && typeof options.save === 'function') {
+    return options;
+  }
+  if (typeof options.file === 'string') {
+    return new JsonFilePrecisionStorage(options.file, options);
+  }
+  throw new Error("AsterdexClient: precisionCache must be 'memory', { file } or an object with load() and save()");
+}
@@ -0,0 +1,363 @@
+import { parseRetryAfter } from './retry.js';
+import { createAbortError } from './errors.js';
+
+/**
+ * Rate Limiter for AsterDEX API
+ * Tracks request weight and order counts from response headers and delays
+ * outgoing calls before an exchange limit would be crossed
+ */
+
+/**
+ * Limits applied until exchange info has been loaded
+ */
+export const DEFAULT_RATE_LIMITS = [
+  { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 2400 },
+  { rateLimitType: 'ORDERS', interval: 'MINUTE', intervalNum: 1, limit: 1200 },
+  { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 300 }
+];
+
+const INTERVAL_MS = { SECOND: 1000, MINUTE: 60000, HOUR: 3600000, DAY: 86400000 };
+const INTERVAL_LETTERS = { SECOND: 's', MINUTE: 'm', HOUR: 'h', DAY: 'd' };
+const LETTER_INTERVALS = { s: 'SECOND', m: 'MINUTE', h: 'HOUR', d: 'DAY' };
+
+const HEADER_PATTERN = /^x-mbx-(used-weight|order-count)-(\d+)([smhd])$/i;
+
+/**
+ * Estimate the request weight of an endpoint
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {Object} params - Request parameters
+ * @returns {number} - Estimated weight
+ */
+export function getRequestWeight(method, path, params = {}) {
+  switch (path) {
+    case '/fapi/v1/depth': {
+      const limit = Number(params.limit || 500);
+      if (limit <= 50) return 2;
+      if (limit <= 100) return 5;
+      if (limit <= 500) return 10;
+      return 20;
+    }
+    case '/fapi/v1/klines': {
+      const limit = Number(params.limit || 500);
+      if (limit < 100) return 1;
+      if (limit < 500) return 2;
+      if (limit <= 1000) return 5;
+      return 10;
+    }
+    case '/fapi/v1/ticker/24hr':
+      return params.symbol ? 1 : 40;
+    case '/fapi/v1/ticker/price':
+      return params.symbol ? 1 : 2;
+    case '/fapi/v1/openOrders':
+      return params.symbol ? 1 : 40;
+    case '/fapi/v2/balance':
+    case '/fapi/v2/account':
+    case '/fapi/v2/positionRisk':
+    case '/fapi/v1/batchOrders':
+      return 5;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Pick the weight and order count headers from a response
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Matching headers by lowercase name, e.g. { 'x-mbx-used-weight-1m': '12' }
+ */
+export function getRateLimitHeaders(headers) {
+  const picked = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (HEADER_PATTERN.test(name)) picked[name.toLowerCase()] = value;
+  }
+  return picked;
+}
+
+/**
+ * Count how many orders a request submits
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {Object} params - Request parameters
+ * @returns {number} - Number of orders counted against the order limits
+ */
+export function getOrderCount(method, path, params = {}) {
+  if (method.toUpperCase() !== 'POST') return 0;
+  if (path === '/fapi/v1/order') return 1;
+  if (path === '/fapi/v1/batchOrders') {
+    try {
+      const orders = typeof params.batchOrders === 'string' ? JSON.parse(params.batchOrders) : params.batchOrders;
+      return Array.isArray(orders) ? orders.length : 1;
+    } catch (error) {
+      return 1;
+    }
+  }
+  return 0;
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object|boolean} options - Limiter options, or false to only track usage
+   * @param {boolean} options.enabled - Whether to delay calls near a limit (default: true)
+   * @param {number} options.threshold - Fraction of each limit to stay under (default: 0.9)
+   * @param {Array} options.limits - Initial limits in exchange info format
+   * @param {Function} options.onThrottle - Called with { key, waitMs } before a delay
+   */
+  constructor(options = {}) {
+    const config = options === false ? { enabled: false } : (options || {});
+
+    this.enabled = config.enabled !== false;
+    this.threshold = config.threshold ?? 0.9;
+    this.onThrottle = config.onThrottle || null;
+    this.pausedUntil = 0;
+    this.counters = new Map();
+    this.waiters = [];
+    this.timer = null;
+
+    if (!(this.threshold > 0 && this.threshold <= 1)) {
+      throw new Error('RateLimiter: threshold must be between 0 and 1');
+    }
+
+    this.loadLimits(config.limits || DEFAULT_RATE_LIMITS);
+  }
+
+  /**
+   * Load limits from exchange info, keeping usage already recorded
+   * @param {Array} rateLimits - The rateLimits array from getExchangeInfo()
+   */
+  loadLimits(rateLimits) {
+    if (!Array.isArray(rateLimits)) return;
+
+    const counters = new Map();
+    for (const rl of rateLimits) {
+      const intervalMs = INTERVAL_MS[rl.interval];
+      if (!intervalMs || !['REQUEST_WEIGHT', 'ORDERS'].includes(rl.rateLimitType)) continue;
+
+      const key = this.getKey(rl.rateLimitType, rl.intervalNum, rl.interval);
+      const existing = this.counters.get(key);
+      counters.set(key, {
+        key,
+        type: rl.rateLimitType,
+        interval: rl.interval,
+        intervalNum: rl.intervalNum,
+        windowMs: intervalMs * rl.intervalNum,
+        limit: Number(rl.limit),
+        used: existing ? existing.used : 0,
+        windowStart: existing ? existing.windowStart : 0
+      });
+    }
+    this.counters = counters;
+  }
+
+  /**
+   * Build the counter key for a limit (e.g. 'REQUEST_WEIGHT:1m')
+   * @param {string} type - REQUEST_WEIGHT or ORDERS
+   * @param {number} intervalNum - Interval multiplier
+   * @param {string} interval - SECOND, MINUTE, HOUR or DAY
+   * @returns {string} - Counter key
+   */
+  getKey(type, intervalNum, interval) {
+    return `${type}:${intervalNum}${INTERVAL_LETTERS[interval]}`;
+  }
+
+  /**
+   * Get the counter's usage in the current window
+   * @param {Object} counter - Counter entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - Used weight or order count
+   */
+  getUsed(counter, now) {
+    return this.getWindowStart(counter, now) === counter.windowStart ? counter.used : 0;
+  }
+
+  /**
+   * Get the start of the fixed window containing now
+   * @param {Object} counter - Counter entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - Window start in milliseconds
+   */
+  getWindowStart(counter, now) {
+    return Math.floor(now / counter.windowMs) * counter.windowMs;
+  }
+
+  /**
+   * Record usage reported by response headers
+   * @param {Object} headers - Response headers
+   * @param {number} now - Current time in milliseconds
+   */
+  recordHeaders(headers, now = Date.now()) {
+    if (!headers) return;
+
+    for (const [name, value] of Object.entries(headers)) {
+      const match = HEADER_PATTERN.exec(name);
+      if (!match) continue;
+
+      const type = match[1].toLowerCase() === 'used-weight' ? 'REQUEST_WEIGHT' : 'ORDERS';
+      const counter = this.counters.get(this.getKey(type, Number(match[2]), LETTER_INTERVALS[match[3].toLowerCase()]));
+      const reported = Number(value);
+      if (!counter || isNaN(reported)) continue;
+
+      // Keep local reservations for requests still in flight
+      counter.used = Math.max(this.getUsed(counter, now), reported);
+      counter.windowStart = this.getWindowStart(counter, now);
+    }
+  }
+
+  /**
+   * Record an error response, pausing all calls on 429/418 until Retry-After
+   * @param {Object} response - Error response with status and headers
+   * @param {number} now - Current time in milliseconds
+   */
+  recordErrorResponse(response, now = Date.now()) {
+    if (!response) return;
+    this.recordHeaders(response.headers, now);
+
+    if (response.status === 429 || response.status === 418) {
+      const retryAfter = parseRetryAfter(response.headers?.['retry-after'], now);
+      if (retryAfter !== null) {
+        this.pausedUntil = Math.max(this.pausedUntil, now + retryAfter);
+      }
+    }
+  }
+
+  /**
+   * Calculate how long a call must wait before it fits under every limit
+   * @param {number} weight - Request weight
+   * @param {number} orders - Number of orders submitted
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { waitMs, key, keys } where key names the counter limiting longest and
+   *   keys lists every counter that is full
+   */
+  getWaitTime(weight, orders, now = Date.now()) {
+    let waitMs = Math.max(0, this.pausedUntil - now);
+    let key = waitMs > 0 ? 'RETRY_AFTER' : null;
+    const keys = [];
+
+    for (const counter of this.counters.values()) {
+      const cost = counter.type === 'REQUEST_WEIGHT' ? weight : orders;
+      if (!cost) continue;
+
+      const used = this.getUsed(counter, now);
+      const cap = counter.limit * this.threshold;
+      if (used > 0 && used + cost > cap) {
+        keys.push(counter.key);
+        const resetIn = this.getWindowStart(counter, now) + counter.windowMs - now;
+        if (resetIn > waitMs) {
+          waitMs = resetIn;
+          key = counter.key;
+        }
+      }
+    }
+
+    return { waitMs, key, keys };
+  }
+
+  /**
+   * Wait until a call fits under every limit, then reserve its cost
+   * Calls waiting on the same limit are released in the order they were made; a call
+   * waiting for order capacity does not hold up calls that only need request weight
+   * @param {Object} cost - { weight, orders, signal }
+   * @returns {Promise<void>}
+   * @throws {AbortError} - If the signal aborts while waiting
+   */
+  acquire({ weight = 1, orders = 0, signal = null } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError(signal));
+    }
+    if (!this.enabled) {
+      this.reserve(weight, orders);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { weight, orders, signal, resolve, reject, onAbort: null, notifiedUntil: 0 };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiters = this.waiters.filter(entry => entry !== waiter);
+          reject(createAbortError(signal));
+          this.drain();
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.waiters.push(waiter);
+      this.drain();
+    });
+  }
+
+  /**
+   * Release every waiting call that fits, then schedule the next check
+   * A call is held while an earlier call waits on one of the limits it counts against
+   * @param {number} now - Current time in milliseconds
+   */
+  drain(now = Date.now()) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const held = new Set();
+    let nextCheckMs = Infinity;
+
+    this.waiters = this.waiters.filter(waiter => {
+      const uses = Array.from(this.counters.values())
+        .filter(counter => (counter.type === 'REQUEST_WEIGHT' ? waiter.weight : waiter.orders) > 0)
+        .map(counter => counter.key);
+      if (uses.some(key => held.has(key))) return true;
+
+      const { waitMs, key, keys } = this.getWaitTime(waiter.weight, waiter.orders, now);
+      if (waitMs > 0) {
+        keys.forEach(full => held.add(full));
+        nextCheckMs = Math.min(nextCheckMs, waitMs);
+        if (now >= waiter.notifiedUntil && typeof this.onThrottle === 'function') {
+          this.onThrottle({ key, waitMs });
+        }
+        waiter.notifiedUntil = now + waitMs;
+        return true;
+      }
+
+      this.reserve(waiter.weight, waiter.orders, now);
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      waiter.resolve();
+      return false;
+    });
+
+    if (this.waiters.length > 0) {
+      // Held calls are checked again together with the calls ahead of them
+      this.timer = setTimeout(() => this.drain(), nextCheckMs === Infinity ? 0 : nextCheckMs);
+    }
+  }
+
+  /**
+   * Reserve a call's cost in every counter it uses
+   * @param {number} weight - Request weight
+   * @param {number} orders - Number of orders submitted
+   * @param {number} now - Current time in milliseconds
+   */
+  reserve(weight, orders, now = Date.now()) {
+    for (const counter of this.counters.values()) {
+      const cost = counter.type === 'REQUEST_WEIGHT' ? weight : orders;
+      if (!cost) continue;
+      counter.used = this.getUsed(counter, now) + cost;
+      counter.windowStart = this.getWindowStart(counter, now);
+    }
+  }
+
+  /**
+   * Get current usage for every tracked limit
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array} - Usage entries with limit, used, remaining and resetAt
+   */
+  getUsage(now = Date.now()) {
+    return Array.from(this.counters.values()).map(counter => {
+      const used = this.getUsed(counter, now);
+      return {
+        key: counter.key,
+        rateLimitType: counter.type,
+        interval: counter.interval,
+        intervalNum: counter.intervalNum,
+        limit: counter.limit,
+        used,
+        remaining: Math.max(0, counter.limit - used),
+        resetAt: this.getWindowStart(counter, now) + counter.windowMs
+      };
+    });
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Retry policy for AsterDEX REST requests
+ * Exponential backoff with jitter, honouring Retry-After, with guards against
+ * resubmitting orders whose outcome is unknown
+ */
+
+/**
+ * Default retry policy
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  factor: 2,
+  jitter: 'full', // 'full', 'equal' or 'none'
+  maxRetryAfterMs: 60000,
+  retryableStatuses: [408, 418, 429, 500, 502, 503, 504],
+  retryableCodes: [-1001, -1003, -1007],
+  retryOnNetworkError: true,
+  onRetry: null
+};
+
+// HTTP statuses and exchange codes that mean the request was rejected before
+// reaching the matching engine, so even an order POST is safe to resend
+const REJECTED_STATUSES = [418, 429];
+const REJECTED_CODES = [-1003];
+
+// Exchange codes meaning the request reached the backend but its outcome is unknown
+const UNKNOWN_STATUS_CODES = [-1006, -1007];
+
+// Socket-level failures worth another attempt
+const NETWORK_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+// Endpoints that create orders and must not be blindly resubmitted
+const ORDER_PLACEMENT_PATHS = ['/fapi/v1/order', '/fapi/v1/batchOrders'];
+
+/**
+ * Merge a user supplied retry config with the defaults
+ * @param {Object|boolean} retry - Retry config, or false to disable retries
+ * @returns {Object} - Resolved retry policy
+ */
+export function resolveRetryPolicy(retry) {
+  if (retry === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  if (retry === undefined || retry === null || retry === true) {
+    return { ...DEFAULT_RETRY_POLICY };
+  }
+  if (typeof retry !== 'object') {
+    throw new Error('AsterdexClient: retry must be an object or false');
+  }
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error('AsterdexClient: retry.maxAttempts must be a positive integer');
+  }
+  if (!['full', 'equal', 'none'].includes(policy.jitter)) {
+    throw new Error(`AsterdexClient: unknown retry.jitter '${policy.jitter}'`);
+  }
+  return policy;
+}
+
+/**
+ * Calculate the exponential backoff delay for an attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Resolved retry policy
+ * @param {Function} random - Random source (0-1), injectable for tests
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, policy, random = Math.random) {
+  const exponential = policy.baseDelayMs * Math.pow(policy.factor, attempt - 1);
+  const capped = Math.min(policy.maxDelayMs, exponential);
+
+  if (policy.jitter === 'full') {
+    return Math.floor(random() * capped);
+  }
+  if (policy.jitter === 'equal') {
+    return Math.floor(capped / 2 + random() * (capped / 2));
+  }
+  return capped;
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number} value - Header value (seconds or HTTP date)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Check whether a request may be resent after an ambiguous failure
+ * Order placements are only safe when every order carries a client order ID,
+ * since the exchange rejects duplicates instead of opening a second position
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {Object} params - Request parameters
+ * @returns {boolean} - True if resending cannot duplicate side effects
+ */
+export function isIdempotentRequest(method, path, params = {}) {
+  if (method.toUpperCase() !== 'POST' || !ORDER_PLACEMENT_PATHS.includes(path)) {
+    return true;
+  }
+
+  if (params.batchOrders) {
+    try {
+      const orders = typeof params.batchOrders === 'string' ? JSON.parse(params.batchOrders) : params.batchOrders;
+      return Array.isArray(orders) && orders.length > 0 && orders.every(o => o && o.newClientOrderId);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return Boolean(params.newClientOrderId);
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {Error} error - Error thrown by the transport
+ * @param {Object} policy - Resolved retry policy
+ * @param {boolean} idempotent - Whether the request is safe to resend
+ * @returns {boolean} - True if the request should be retried
+ */
+export function isRetryableError(error, policy, idempotent = true) {
+  const response = error?.response;
+
+  if (!response) {
+    if (!policy.retryOnNetworkError || !NETWORK_ERROR_CODES.includes(error?.code)) return false;
+    // A refused connection never reached the server
+    return idempotent || error.code === 'ECONNREFUSED';
+  }
+
+  const status = response.status;
+  const code = response.data?.code;
+
+  if (!idempotent) {
+    return (REJECTED_STATUSES.includes(status) && policy.retryableStatuses.includes(status)) ||
+      (REJECTED_CODES.includes(code) && policy.retryableCodes.includes(code));
+  }
+
+  return policy.retryableStatuses.includes(status) ||
+    (code !== undefined && policy.retryableCodes.includes(code));
+}
+
+/**
+ * Decide whether a failed order placement may have been accepted anyway
+ * Timeouts, dropped connections, 5xx responses and the exchange's "execution status unknown"
+ * codes leave the order's fate open until it is looked up
+ * @param {Error} error - Error thrown by the transport
+ * @returns {boolean} - True if the order may exist on the exchange
+ */
+export function isAmbiguousOrderError(error) {
+  const response = error?.response;
+
+  if (!response) {
+    return error?.code !== 'ECONNREFUSED';
+  }
+
+  return response.status === 408 || response.status >= 500 || UNKNOWN_STATUS_CODES.includes(response.data?.code);
+}
+
+/**
+ * Get the delay before the next attempt, preferring the server's Retry-After
+ * @param {Error} error - Error thrown by the transport
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Resolved retry policy
+ * @returns {number|null} - Delay in milliseconds, or null if Retry-After exceeds maxRetryAfterMs
+ */
+export function getRetryDelay(error, attempt, policy) {
+  const backoff = computeBackoffDelay(attempt, policy);
+  const retryAfter = parseRetryAfter(error?.response?.headers?.['retry-after']);
+
+  if (retryAfter === null) return backoff;
+  if (retryAfter > policy.maxRetryAfterMs) return null;
+  return Math.max(backoff, retryAfter);
+}
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+/**
+ * Synchronous request signing (Node.js only)
+ * Exported from 'asterdex-client/node'. The portable client signs with importHmacKey/signHmac
+ */
+
+/**
+ * Create HMAC SHA256 signature for signed endpoints
+ * @param {string} secret - API secret
+ * @param {string} payload - String to sign
+ * @returns {string} - Hex signature
+ */
+export function createHmacSignature(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
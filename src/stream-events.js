@@ -0,0 +1,228 @@
+/**
+ * Stream Event Parsers for AsterDEX WebSocket API
+ * Convert the exchange's abbreviated payloads into readable objects with numeric fields
+ */
+
+/**
+ * Parse a [price, quantity] level list
+ * @param {Array} levels - Levels as string pairs
+ * @returns {Array} - Levels as number pairs
+ */
+function parseLevels(levels = []) {
+  return levels.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]);
+}
+
+/**
+ * Parse a position entry from ACCOUNT_UPDATE
+ * @param {Object} p - Raw position
+ * @returns {Object} - Parsed position
+ */
+function parseAccountPosition(p) {
+  return {
+    symbol: p.s,
+    positionAmt: parseFloat(p.pa),
+    entryPrice: parseFloat(p.ep),
+    accumulatedRealized: parseFloat(p.cr),
+    unrealizedPnl: parseFloat(p.up),
+    marginType: p.mt,
+    isolatedWallet: parseFloat(p.iw),
+    positionSide: p.ps
+  };
+}
+
+/**
+ * Parsers keyed by the payload's `e` field
+ * Each entry gives the emitted event name and a parse function
+ */
+export const STREAM_EVENT_PARSERS = {
+  aggTrade: {
+    event: 'aggTrade',
+    parse: (d) => ({
+      eventTime: d.E,
+      symbol: d.s,
+      aggTradeId: d.a,
+      price: parseFloat(d.p),
+      quantity: parseFloat(d.q),
+      firstTradeId: d.f,
+      lastTradeId: d.l,
+      tradeTime: d.T,
+      isBuyerMaker: d.m
+    })
+  },
+  markPriceUpdate: {
+    event: 'markPrice',
+    parse: (d) => ({
+      eventTime: d.E,
+      symbol: d.s,
+      markPrice: parseFloat(d.p),
+      indexPrice: parseFloat(d.i),
+      estimatedSettlePrice: parseFloat(d.P),
+      fundingRate: parseFloat(d.r),
+      nextFundingTime: d.T
+    })
+  },
+  kline: {
+    event: 'kline',
+    parse: (d) => ({
+      eventTime: d.E,
+      symbol: d.s,
+      interval: d.k.i,
+      openTime: d.k.t,
+      closeTime: d.k.T,
+      open: parseFloat(d.k.o),
+      high: parseFloat(d.k.h),
+      low: parseFloat(d.k.l),
+      close: parseFloat(d.k.c),
+      volume: parseFloat(d.k.v),
+      quoteVolume: parseFloat(d.k.q),
+      takerBuyVolume: parseFloat(d.k.V),
+      takerBuyQuoteVolume: parseFloat(d.k.Q),
+      trades: d.k.n,
+      isClosed: d.k.x
+    })
+  },
+  bookTicker: {
+    event: 'bookTicker',
+    parse: (d) => ({
+      eventTime: d.E,
+      transactionTime: d.T,
+      updateId: d.u,
+      symbol: d.s,
+      bidPrice: parseFloat(d.b),
+      bidQty: parseFloat(d.B),
+      askPrice: parseFloat(d.a),
+      askQty: parseFloat(d.A)
+    })
+  },
+  depthUpdate: {
+    event: 'depth',
+    parse: (d) => ({
+      eventTime: d.E,
+      transactionTime: d.T,
+      symbol: d.s,
+      firstUpdateId: d.U,
+      finalUpdateId: d.u,
+      prevFinalUpdateId: d.pu,
+      bids: parseLevels(d.b),
+      asks: parseLevels(d.a)
+    })
+  },
+  '24hrMiniTicker': {
+    event: 'miniTicker',
+    parse: (d) => ({
+      eventTime: d.E,
+      symbol: d.s,
+      close: parseFloat(d.c),
+      open: parseFloat(d.o),
+      high: parseFloat(d.h),
+      low: parseFloat(d.l),
+      volume: parseFloat(d.v),
+      quoteVolume: parseFloat(d.q)
+    })
+  },
+
+  // User data stream events
+  ORDER_TRADE_UPDATE: {
+    event: 'orderUpdate',
+    parse: (d) => ({
+      eventTime: d.E,
+      transactionTime: d.T,
+      symbol: d.o.s,
+      clientOrderId: d.o.c,
+      side: d.o.S,
+      orderType: d.o.o,
+      timeInForce: d.o.f,
+      quantity: parseFloat(d.o.q),
+      price: parseFloat(d.o.p),
+      averagePrice: parseFloat(d.o.ap),
+      stopPrice: parseFloat(d.o.sp),
+      executionType: d.o.x,
+      orderStatus: d.o.X,
+      orderId: d.o.i,
+      lastFilledQty: parseFloat(d.o.l),
+      filledQty: parseFloat(d.o.z),
+      lastFilledPrice: parseFloat(d.o.L),
+      commissionAsset: d.o.N,
+      commission: parseFloat(d.o.n || '0'),
+      tradeTime: d.o.T,
+      tradeId: d.o.t,
+      isMaker: d.o.m,
+      reduceOnly: d.o.R,
+      workingType: d.o.wt,
+      originalType: d.o.ot,
+      positionSide: d.o.ps,
+      closePosition: d.o.cp,
+      activationPrice: d.o.AP !== undefined ? parseFloat(d.o.AP) : undefined,
+      callbackRate: d.o.cr !== undefined ? parseFloat(d.o.cr) : undefined,
+      realizedProfit: parseFloat(d.o.rp || '0')
+    })
+  },
+  ACCOUNT_UPDATE: {
+    event: 'accountUpdate',
+    parse: (d) => ({
+      eventTime: d.E,
+      transactionTime: d.T,
+      reason: d.a.m,
+      balances: (d.a.B || []).map(b => ({
+        asset: b.a,
+        walletBalance: parseFloat(b.wb),
+        crossWalletBalance: parseFloat(b.cw),
+        balanceChange: parseFloat(b.bc || '0')
+      })),
+      positions: (d.a.P || []).map(parseAccountPosition)
+    })
+  },
+  MARGIN_CALL: {
+    event: 'marginCall',
+    parse: (d) => ({
+      eventTime: d.E,
+      crossWalletBalance: parseFloat(d.cw || '0'),
+      positions: (d.p || []).map(p => ({
+        symbol: p.s,
+        positionSide: p.ps,
+        positionAmt: parseFloat(p.pa),
+        marginType: p.mt,
+        isolatedWallet: parseFloat(p.iw || '0'),
+        markPrice: parseFloat(p.mp),
+        unrealizedPnl: parseFloat(p.up),
+        maintenanceMargin: parseFloat(p.mm)
+      }))
+    })
+  },
+  ACCOUNT_CONFIG_UPDATE: {
+    event: 'accountConfigUpdate',
+    parse: (d) => ({
+      eventTime: d.E,
+      transactionTime: d.T,
+      symbol: d.ac?.s,
+      leverage: d.ac?.l,
+      multiAssetsMode: d.ai?.j
+    })
+  },
+  listenKeyExpired: {
+    event: 'listenKeyExpired',
+    parse: (d) => ({
+      eventTime: d.E
+    })
+  }
+};
+
+/**
+ * Parse a stream payload into events
+ * Handles combined stream wrappers ({ stream, data }) and array payloads of all-market streams
+ * @param {Object|Array} message - Decoded JSON message
+ * @returns {Array} - Parsed events as { event, stream, data, raw }
+ */
+export function parseStreamMessage(message) {
+  const stream = message && message.stream && message.data !== undefined ? message.stream : null;
+  const payload = stream ? message.data : message;
+  const items = Array.isArray(payload) ? payload : [payload];
+
+  const events = [];
+  for (const raw of items) {
+    const parser = raw && STREAM_EVENT_PARSERS[raw.e];
+    if (!parser) continue;
+    events.push({ event: parser.event, stream, data: parser.parse(raw), raw });
+  }
+  return events;
+}
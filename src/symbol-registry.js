@@ -0,0 +1,252 @@
+import { getStepSizeInfo } from './step-size-database.js';
+import { decimalPlaces } from './decimal.js';
+import { createAbortError, untilAborted } from './errors.js';
+
+/**
+ * Symbol Registry for AsterDEX futures
+ * Caches exchange info per symbol and exposes its trading filters; the static
+ * step size database is only consulted when exchange info cannot be loaded
+ */
+
+/**
+ * Convert a symbol entry from exchange info into filter values
+ * Filter values stay strings as sent by the exchange
+ * @param {Object} symbolInfo - Entry of exchangeInfo.symbols
+ * @returns {Object} - Symbol filters
+ */
+export function parseSymbolInfo(symbolInfo) {
+  const filters = symbolInfo.filters || [];
+  const find = (type) => filters.find(f => f.filterType === type) || null;
+
+  const lot = find('LOT_SIZE');
+  const marketLot = find('MARKET_LOT_SIZE');
+  const price = find('PRICE_FILTER');
+  const notional = find('MIN_NOTIONAL');
+  const percent = find('PERCENT_PRICE');
+  const maxOrders = find('MAX_NUM_ORDERS');
+  const maxAlgoOrders = find('MAX_NUM_ALGO_ORDERS');
+
+  const lotSize = lot ? { minQty: lot.minQty, maxQty: lot.maxQty, stepSize: lot.stepSize } : null;
+  const marketLotSize = marketLot
+    ? { minQty: marketLot.minQty, maxQty: marketLot.maxQty, stepSize: marketLot.stepSize }
+    : null;
+  const priceFilter = price ? { minPrice: price.minPrice, maxPrice: price.maxPrice, tickSize: price.tickSize } : null;
+
+  return {
+    symbol: symbolInfo.symbol,
+    status: symbolInfo.status,
+    baseAsset: symbolInfo.baseAsset,
+    quoteAsset: symbolInfo.quoteAsset,
+    lotSize,
+    marketLotSize,
+    priceFilter,
+    minNotional: notional ? (notional.notional || notional.minNotional) : null,
+    percentPrice: percent
+      ? { multiplierUp: percent.multiplierUp, multiplierDown: percent.multiplierDown, multiplierDecimal: percent.multiplierDecimal }
+      : null,
+    maxNumOrders: maxOrders ? Number(maxOrders.limit) : null,
+    maxNumAlgoOrders: maxAlgoOrders ? Number(maxAlgoOrders.limit) : null,
+    quantityPrecision: symbolInfo.quantityPrecision ?? (lotSize ? decimalPlaces(lotSize.stepSize) : null),
+    pricePrecision: symbolInfo.pricePrecision ?? (priceFilter ? decimalPlaces(priceFilter.tickSize) : null),
+    orderTypes: symbolInfo.orderTypes || [],
+    timeInForce: symbolInfo.timeInForce || [],
+    filters,
+    source: 'exchange'
+  };
+}
+
+/**
+ * Build symbol filters from the static step size database
+ * Only lot sizes are known there
+ * @param {string} symbol - Trading symbol
+ * @returns {Object|null} - Symbol filters or null if the symbol is not in the database
+ */
+export function symbolFiltersFromDatabase(symbol) {
+  const info = getStepSizeInfo(symbol);
+  if (!info) return null;
+
+  const lotSize = { minQty: info.minQty, maxQty: info.maxQty, stepSize: info.stepSize };
+  return {
+    symbol: symbol.toUpperCase(),
+    status: null,
+    baseAsset: null,
+    quoteAsset: null,
+    lotSize,
+    marketLotSize: null,
+    priceFilter: null,
+    minNotional: null,
+    percentPrice: null,
+    maxNumOrders: null,
+    maxNumAlgoOrders: null,
+    quantityPrecision: info.precision,
+    pricePrecision: null,
+    orderTypes: [],
+    timeInForce: [],
+    filters: [{ filterType: 'LOT_SIZE', ...lotSize }],
+    source: 'database'
+  };
+}
+
+const EXCHANGE_INFO_ENDPOINT = { method: 'GET', endpoint: '/fapi/v1/exchangeInfo' };
+
+export class SymbolRegistry {
+  /**
+   * @param {Function} fetchExchangeInfo - Async function taking call options ({ signal, timeout }) and returning exchange info
+   * @param {Object} options - Registry options
+   * @param {number} options.ttlMs - Maximum age of the cached exchange info (default: 1 hour)
+   * @param {boolean} options.fallback - Use the static database when exchange info is unavailable (default: true)
+   * @param {number} options.failureBackoffMs - Wait after a failed load, doubled per consecutive failure (default: 5 seconds)
+   * @param {number} options.maxFailureBackoffMs - Cap of the wait after failures (default: 5 minutes)
+   */
+  constructor(fetchExchangeInfo, options = {}) {
+    this.fetchExchangeInfo = fetchExchangeInfo;
+    this.ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+    this.fallback = options.fallback !== false;
+    this.failureBackoffMs = options.failureBackoffMs ?? 5000;
+    this.maxFailureBackoffMs = options.maxFailureBackoffMs ?? 5 * 60 * 1000;
+    this.symbols = new Map();
+    this.loadedAt = 0;
+    this.lastError = null;
+    this.lastFailure = 0;
+    this.failures = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Replace the cache with a fresh exchange info response
+   * @param {Object} exchangeInfo - Response of getExchangeInfo()
+   */
+  update(exchangeInfo) {
+    if (!Array.isArray(exchangeInfo?.symbols)) return;
+    this.symbols = new Map(exchangeInfo.symbols.map(info => [info.symbol, parseSymbolInfo(info)]));
+    this.loadedAt = Date.now();
+    this.lastError = null;
+    this.lastFailure = 0;
+    this.failures = 0;
+  }
+
+  /**
+   * Check whether the cache is missing or older than the TTL
+   * @returns {boolean} - True if a reload is due
+   */
+  isStale() {
+    return this.loadedAt === 0 || Date.now() - this.loadedAt >= this.ttlMs;
+  }
+
+  /**
+   * Check whether the last load failed recently enough that the next attempt must wait
+   * @returns {boolean} - True while backing off
+   */
+  isBackingOff() {
+    if (this.failures === 0) return false;
+    const delay = Math.min(this.failureBackoffMs * 2 ** (this.failures - 1), this.maxFailureBackoffMs);
+    return Date.now() - this.lastFailure < delay;
+  }
+
+  /**
+   * Load exchange info
+   * Concurrent callers share one request, made with the first caller's options;
+   * each caller's signal only gives up its own wait
+   * @param {Object} options - Call options ({ signal, timeout })
+   * @returns {Promise<void>}
+   * @throws {AbortError} - If the signal aborts
+   */
+  load(options = {}) {
+    if (!this.pending) {
+      const { signal, timeout } = options;
+      this.pending = Promise.resolve()
+        .then(() => this.fetchExchangeInfo({ signal, timeout }))
+        .then(exchangeInfo => this.update(exchangeInfo))
+        .catch(error => {
+          // A cancelled load says nothing about the exchange
+          if (!signal?.aborted) {
+            this.lastError = error;
+            this.lastFailure = Date.now();
+            this.failures += 1;
+          }
+          throw error;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return untilAborted(this.pending, options.signal, EXCHANGE_INFO_ENDPOINT);
+  }
+
+  /**
+   * Load exchange info if the cache is stale
+   * A failed refresh keeps the previous data; without any data the error is thrown
+   * unless the static database fallback is enabled. After a failure no load is attempted
+   * until the backoff has passed, so an outage does not add an exchange info request to every order
+   * @param {Object} options - Call options ({ signal, timeout })
+   * @returns {Promise<void>}
+   * @throws {AbortError} - If the signal aborts
+   */
+  async ensureLoaded(options = {}) {
+    if (!this.isStale()) return;
+    if (this.isBackingOff()) {
+      if (this.symbols.size === 0 && !this.fallback) throw this.lastError;
+      return;
+    }
+    try {
+      await this.load(options);
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw createAbortError(options.signal, EXCHANGE_INFO_ENDPOINT);
+      }
+      if (this.symbols.size === 0 && !this.fallback) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get filters for a symbol, loading exchange info when needed
+   * @param {string} symbol - Trading symbol
+   * @param {Object} options - Call options ({ signal, timeout })
+   * @returns {Promise<Object|null>} - Symbol filters or null if the symbol is unknown
+   * @throws {AbortError} - If the signal aborts
+   */
+  async get(symbol, options = {}) {
+    await this.ensureLoaded(options);
+    return this.getCached(symbol);
+  }
+
+  /**
+   * Get filters for a symbol from the cache without loading
+   * Falls back to the static database only while no exchange info has been loaded
+   * @param {string} symbol - Trading symbol
+   * @returns {Object|null} - Symbol filters or null if the symbol is unknown
+   */
+  getCached(symbol) {
+    const key = symbol.toUpperCase();
+    if (this.symbols.size > 0) {
+      return this.symbols.get(key) || null;
+    }
+    return this.fallback ? symbolFiltersFromDatabase(key) : null;
+  }
+
+  /**
+   * Get every cached symbol
+   * @returns {string[]} - Symbols from the last exchange info
+   */
+  getSymbols() {
+    return Array.from(this.symbols.keys());
+  }
+
+  /**
+   * Get the registry state
+   * @returns {Object} - { loaded, loadedAt, stale, symbols, lastError, lastFailure, failures }
+   */
+  getStatus() {
+    return {
+      loaded: this.symbols.size > 0,
+      loadedAt: this.loadedAt || null,
+      stale: this.isStale(),
+      symbols: this.symbols.size,
+      lastError: this.lastError ? this.lastError.message : null,
+      lastFailure: this.lastFailure,
+      failures: this.failures
+    };
+  }
+}
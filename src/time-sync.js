@@ -0,0 +1,167 @@
+import { createAbortError, untilAborted } from './errors.js';
+
+/**
+ * Server Time Synchronisation for AsterDEX API
+ * Maintains the offset between the local clock and exchange time so signed
+ * requests stay inside recvWindow on hosts with clock drift
+ */
+
+const TIME_ENDPOINT = { method: 'GET', endpoint: '/fapi/v1/time' };
+
+export class TimeSync {
+  /**
+   * @param {Function} fetchServerTime - Async function taking call options ({ signal, timeout }) and returning { serverTime }
+   * @param {Object|boolean} options - Sync options, or false to use the local clock
+   * @param {boolean} options.enabled - Whether to sync with the server (default: true)
+   * @param {number} options.resyncIntervalMs - Maximum age of the offset (default: 30 minutes)
+   * @param {number} options.samples - Measurements per sync, lowest RTT wins (default: 3)
+   * @param {number} options.failureBackoffMs - Wait after a failed sync, doubled per consecutive failure (default: 5 seconds)
+   * @param {number} options.maxFailureBackoffMs - Cap of the wait after failures (default: 5 minutes)
+   */
+  constructor(fetchServerTime, options = {}) {
+    const config = options === false ? { enabled: false } : (options || {});
+
+    this.fetchServerTime = fetchServerTime;
+    this.enabled = config.enabled !== false;
+    this.resyncIntervalMs = config.resyncIntervalMs ?? 30 * 60 * 1000;
+    this.samples = config.samples ?? 3;
+    this.failureBackoffMs = config.failureBackoffMs ?? 5000;
+    this.maxFailureBackoffMs = config.maxFailureBackoffMs ?? 5 * 60 * 1000;
+    this.offset = 0;
+    this.rtt = null;
+    this.lastSync = 0;
+    this.lastError = null;
+    this.lastFailure = 0;
+    this.failures = 0;
+    this.pending = null;
+
+    if (!Number.isInteger(this.samples) || this.samples < 1) {
+      throw new Error('TimeSync: samples must be a positive integer');
+    }
+  }
+
+  /**
+   * Get the current time on the exchange clock
+   * @returns {number} - Estimated server time in milliseconds
+   */
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  /**
+   * Check whether the offset is missing or older than the resync interval
+   * @returns {boolean} - True if a sync is due
+   */
+  isStale() {
+    return this.lastSync === 0 || Date.now() - this.lastSync >= this.resyncIntervalMs;
+  }
+
+  /**
+   * Check whether the last sync failed recently enough that the next attempt must wait
+   * @returns {boolean} - True while backing off
+   */
+  isBackingOff() {
+    if (this.failures === 0) return false;
+    const delay = Math.min(this.failureBackoffMs * 2 ** (this.failures - 1), this.maxFailureBackoffMs);
+    return Date.now() - this.lastFailure < delay;
+  }
+
+  /**
+   * Sync if the offset is stale; failures fall back to the previous offset
+   * After a failure no sync is attempted until the backoff has passed, so an outage does not
+   * add server time requests to every signed call
+   * @param {Object} options - Call options of the signed request
+   * @param {AbortSignal} options.signal - Cancels the sync
+   * @param {number} options.timeout - HTTP timeout in ms of each server time request
+   * @returns {Promise<void>}
+   * @throws {AbortError} - If the signal aborts
+   */
+  async ensureSynced(options = {}) {
+    if (!this.enabled || !this.isStale() || this.isBackingOff()) return;
+    try {
+      await this.sync(options);
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw createAbortError(options.signal, TIME_ENDPOINT);
+      }
+      // Keep signing with the last known offset, the signed call surfaces any real outage
+    }
+  }
+
+  /**
+   * Measure the clock offset against the server
+   * Concurrent callers share one measurement, made with the first caller's options;
+   * each caller's signal only gives up its own wait
+   * @param {Object} options - Call options ({ signal, timeout })
+   * @returns {Promise<number>} - Offset in milliseconds (server - local)
+   * @throws {AbortError} - If the signal aborts
+   */
+  sync(options = {}) {
+    if (!this.pending) {
+      this.pending = this.measure(options).finally(() => {
+        this.pending = null;
+      });
+    }
+    return untilAborted(this.pending, options.signal, TIME_ENDPOINT);
+  }
+
+  /**
+   * Take the configured number of samples and keep the one with the lowest RTT
+   * @param {Object} options - Call options passed to fetchServerTime ({ signal, timeout })
+   * @returns {Promise<number>} - Offset in milliseconds
+   */
+  async measure({ signal, timeout } = {}) {
+    let best = null;
+
+    try {
+      for (let i = 0; i < this.samples; i++) {
+        const sentAt = Date.now();
+        const { serverTime } = await this.fetchServerTime({ signal, timeout });
+        const receivedAt = Date.now();
+        const rtt = receivedAt - sentAt;
+
+        if (typeof serverTime !== 'number') {
+          throw new Error('TimeSync: server time response is missing serverTime');
+        }
+
+        // Assume the server stamped the response halfway through the round trip
+        const offset = serverTime + rtt / 2 - receivedAt;
+        if (!best || rtt < best.rtt) {
+          best = { offset, rtt };
+        }
+      }
+    } catch (error) {
+      // A cancelled sync says nothing about the server
+      if (!signal?.aborted) {
+        this.lastError = error;
+        this.lastFailure = Date.now();
+        this.failures += 1;
+      }
+      throw error;
+    }
+
+    this.offset = Math.round(best.offset);
+    this.rtt = best.rtt;
+    this.lastSync = Date.now();
+    this.lastError = null;
+    this.lastFailure = 0;
+    this.failures = 0;
+    return this.offset;
+  }
+
+  /**
+   * Get the state of the last synchronisation
+   * @returns {Object} - { enabled, offset, rtt, lastSync, lastError, lastFailure, failures }
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      offset: this.offset,
+      rtt: this.rtt,
+      lastSync: this.lastSync,
+      lastError: this.lastError ? this.lastError.message : null,
+      lastFailure: this.lastFailure,
+      failures: this.failures
+    };
+  }
+}
@@ -0,0 +1,32 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { TrafficRecorder as BaseTrafficRecorder, TrafficReplayer as BaseTrafficReplayer } from './traffic-recorder.js';
+
+/**
+ * Traffic recorder and replayer with fixture files (Node.js only)
+ * Exported from 'asterdex-client/node' under the names of the portable classes
+ */
+
+export class TrafficRecorder extends BaseTrafficRecorder {
+  /**
+   * Write the recorded entries to a fixture file
+   * @param {string} filePath - Fixture file, parent directories are created
+   * @returns {Promise<void>}
+   */
+  async save(filePath) {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+}
+
+export class TrafficReplayer extends BaseTrafficReplayer {
+  /**
+   * Load a replayer from a fixture file
+   * @param {string} filePath - Fixture written by TrafficRecorder.save()
+   * @param {Object} options - Replay options
+   * @returns {Promise<TrafficReplayer>} - Replayer
+   */
+  static async fromFile(filePath, options = {}) {
+    return new TrafficReplayer(JSON.parse(await fs.readFile(filePath, 'utf8')), options);
+  }
+}
@@ -0,0 +1,226 @@
+import { redact } from './logger.js';
+import { createApiError, NetworkError, TrafficReplayError } from './errors.js';
+
+/**
+ * Record and replay of REST traffic
+ * TrafficRecorder captures every client call (request, response or error) through request
+ * middleware, with secrets and signatures redacted, as a JSON fixture document.
+ * TrafficReplayer answers calls from such a fixture in recorded order without touching the
+ * network. One entry is stored per client call: retries inside a call are not replayed, only
+ * their final outcome. Saving and loading fixture files is Node-only, see traffic-files.js
+ */
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * Describe a failed call for a fixture
+ * @param {Error} error - Final error of the call
+ * @returns {Object} - { name, message, status, code, msg, retryAfter }
+ */
+function describeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.status ?? null,
+    code: error.code ?? null,
+    msg: error.exchangeMessage ?? null,
+    ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter })
+  };
+}
+
+export class TrafficRecorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {Array} options.secrets - Literal values to redact, e.g. the API key and secret
+   */
+  constructor(options = {}) {
+    this.secrets = (options.secrets || []).filter(Boolean);
+    this.entries = [];
+  }
+
+  /**
+   * Middleware recording every call
+   * @returns {Object} - Request middleware
+   */
+  middleware() {
+    return {
+      afterResponse: (context, data) => {
+        this.record(context, { status: context.status ?? 200, data: data ?? null });
+      },
+      onError: (context, error) => {
+        this.record(context, { status: error.status ?? null, error: describeError(error) });
+      }
+    };
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} context - Request context
+   * @param {Object} outcome - { status, data } or { status, error }
+   */
+  record(context, outcome) {
+    this.entries.push(redact({
+      method: context.method,
+      endpoint: context.endpoint,
+      security: context.security,
+      query: context.query,
+      body: context.body,
+      attempts: context.attempt,
+      durationMs: context.durationMs,
+      time: context.startedAt,
+      ...outcome
+    }, this.secrets));
+  }
+
+  /**
+   * Drop the recorded entries
+   */
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * Build the fixture document
+   * @returns {Object} - { version, recordedAt, entries }
+   */
+  toJSON() {
+    return { version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), entries: this.entries };
+  }
+}
+
+export class TrafficReplayer {
+  /**
+   * @param {Object|Array} fixture - Fixture document or its entries
+   * @param {Object} options - Replay options
+   * @param {boolean} options.strict - Require calls in recorded order; otherwise the next entry
+   *   with the same method and endpoint is used (default: true)
+   * @param {boolean} options.matchParams - Also require equal query and body (default: false)
+   * @param {Array} options.ignoreParams - Parameters skipped by matchParams (default: ['newClientOrderId'])
+   * @param {Array} options.optionalEndpoints - Recorded calls that may be missing on replay, skipped in
+   *   strict mode (default: ['/fapi/v1/time'], as time sync runs inside signing, which replay bypasses)
+   */
+  constructor(fixture, options = {}) {
+    const entries = Array.isArray(fixture) ? fixture : fixture?.entries;
+    if (!Array.isArray(entries)) {
+      throw new TrafficReplayError('TrafficReplayer: fixture must be an array of entries or { entries }', {
+        reason: 'invalidFixture'
+      });
+    }
+    this.entries = entries.map(entry => ({ ...entry, used: false }));
+    this.strict = options.strict !== false;
+    this.matchParams = options.matchParams === true;
+    this.ignoreParams = options.ignoreParams || ['newClientOrderId'];
+    this.optionalEndpoints = options.optionalEndpoints || ['/fapi/v1/time'];
+  }
+
+  /**
+   * Middleware answering every call from the fixture
+   * @returns {Object} - Request middleware
+   */
+  middleware() {
+    return { beforeRequest: (context) => this.replay(context) };
+  }
+
+  /**
+   * Number of entries not replayed yet
+   * @returns {number} - Remaining entries
+   */
+  get remaining() {
+    return this.entries.filter(entry => !entry.used).length;
+  }
+
+  /**
+   * Compare the parameters of a call with an entry
+   * @param {Object} entry - Recorded entry
+   * @param {Object} context - Request context
+   * @returns {boolean} - True if equal, ignoring ignoreParams
+   */
+  paramsMatch(entry, context) {
+    const normalize = (params) => JSON.stringify(Object.keys(params || {})
+      .filter(key => !this.ignoreParams.includes(key))
+      .sort()
+      .map(key => [key, String(params[key])]));
+    return normalize(entry.query) === normalize(context.query) && normalize(entry.body) === normalize(context.body);
+  }
+
+  /**
+   * Find the entry answering a call
+   * @param {Object} context - Request context
+   * @returns {Object} - Entry
+   * @throws {TrafficReplayError} - When the call was not recorded
+   */
+  next(context) {
+    const call = `${context.method} ${context.endpoint}`;
+    const matches = (entry) => entry.method === context.method && entry.endpoint === context.endpoint &&
+      (!this.matchParams || this.paramsMatch(entry, context));
+
+    let entry;
+    if (this.strict) {
+      entry = this.entries.find(candidate => !candidate.used &&
+        (matches(candidate) || !this.optionalEndpoints.includes(candidate.endpoint)));
+      // Optional calls recorded before the match were not made this time
+      if (entry) {
+        for (const skipped of this.entries) {
+          if (skipped === entry) break;
+          skipped.used = true;
+        }
+      }
+    } else {
+      entry = this.entries.find(candidate => !candidate.used && matches(candidate));
+    }
+
+    const where = { method: context.method, endpoint: context.endpoint, params: context.params };
+    if (!entry) {
+      throw new TrafficReplayError(`TrafficReplayer: no recorded response left for ${call}`, {
+        ...where,
+        reason: 'exhausted'
+      });
+    }
+    if (!matches(entry)) {
+      const sameCall = entry.method === context.method && entry.endpoint === context.endpoint;
+      const detail = sameCall ? ' with different parameters' : '';
+      throw new TrafficReplayError(`TrafficReplayer: expected ${entry.method} ${entry.endpoint}, got ${call}${detail}`, {
+        ...where,
+        reason: 'mismatch',
+        expected: { method: entry.method, endpoint: entry.endpoint, query: entry.query, body: entry.body }
+      });
+    }
+    entry.used = true;
+    return entry;
+  }
+
+  /**
+   * Answer a call with its recorded response or error
+   * @param {Object} context - Request context
+   * @returns {*} - Recorded response data
+   * @throws {AsterdexError} - Recorded error, or TrafficReplayError when the call was not recorded
+   */
+  replay(context) {
+    const entry = this.next(context);
+    context.status = entry.status;
+    context.attempt = entry.attempts ?? 1;
+
+    if (!entry.error) {
+      return entry.data ?? null;
+    }
+
+    const { error } = entry;
+    if (error.status === null || error.status === undefined) {
+      throw new NetworkError(error.message, {
+        method: context.method,
+        endpoint: context.endpoint,
+        params: context.params,
+        code: error.code ?? undefined
+      });
+    }
+
+    const headers = error.retryAfter !== undefined && error.retryAfter !== null
+      ? { 'retry-after': String(Math.ceil(error.retryAfter / 1000)) }
+      : {};
+    throw createApiError({
+      status: error.status,
+      data: typeof error.code === 'number' ? { code: error.code, msg: error.msg } : (error.msg ?? error.message),
+      headers
+    }, context);
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * HTTP transports for the REST client
+ * A transport has request({ method, url, headers, body, timeout, signal }) and resolves with
+ * { status, headers, data } for every HTTP status, headers keyed by lower-case name and
+ * data parsed from JSON where possible. It rejects only when no response arrived, with
+ * error.code set to a socket error code ('ETIMEDOUT', 'ECONNRESET', ...) where known.
+ * An aborted signal cancels the request
+ */
+
+// undici (Node's fetch) failures mapped to the socket codes the retry policy knows
+const UNDICI_ERROR_CODES = {
+  UND_ERR_CONNECT_TIMEOUT: 'ETIMEDOUT',
+  UND_ERR_HEADERS_TIMEOUT: 'ETIMEDOUT',
+  UND_ERR_BODY_TIMEOUT: 'ETIMEDOUT',
+  UND_ERR_SOCKET: 'ECONNRESET',
+  UND_ERR_CLOSED: 'ECONNRESET'
+};
+
+/**
+ * Build the error thrown when no response arrived
+ * @param {string} message - Error message
+ * @param {string} code - Socket error code
+ * @param {Error} cause - Original error
+ * @returns {Error} - Error with code and cause
+ */
+function createTransportError(message, code, cause) {
+  const error = new Error(message);
+  error.code = code;
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Parse a response body the way axios does: JSON where possible, the raw text otherwise
+ * @param {string} text - Response body
+ * @returns {*} - Parsed body
+ */
+function parseBody(text) {
+  if (!text) return text;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Transport on the standard fetch API, the default
+ * Runs on Node 20+, Deno, Bun, Cloudflare Workers and browsers. In Node, keep-alive and
+ * proxies are configured through an undici dispatcher (Agent or ProxyAgent)
+ */
+export class FetchTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Function} options.fetch - fetch implementation (default: globalThis.fetch)
+   * @param {Object} options.dispatcher - undici dispatcher, e.g. new ProxyAgent(url) (Node only)
+   * @param {Object} options.init - Extra fetch init options merged into every request
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || null;
+    this.dispatcher = options.dispatcher || null;
+    this.init = options.init || {};
+  }
+
+  /**
+   * Send a request
+   * @param {Object} request - { method, url, headers, body, timeout, signal }
+   * @returns {Promise<Object>} - { status, headers, data }
+   */
+  async request({ method, url, headers = {}, body, timeout, signal }) {
+    const fetchImpl = this.fetch || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') {
+      throw new Error('FetchTransport: fetch is not available, pass options.fetch or use AxiosTransport');
+    }
+
+    // One controller for both the timeout and the caller's signal
+    const controller = new AbortController();
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+    if (signal?.aborted) cancel();
+
+    try {
+      const response = await fetchImpl(url, {
+        ...this.init,
+        method,
+        headers,
+        body,
+        signal: controller.signal,
+        ...(this.dispatcher && { dispatcher: this.dispatcher })
+      });
+      const text = await response.text();
+      return {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        data: parseBody(text)
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw createTransportError('Request aborted', 'ABORT_ERR', error);
+      }
+      if (controller.signal.aborted) {
+        throw createTransportError(`timeout of ${timeout}ms exceeded`, 'ETIMEDOUT', error);
+      }
+      // undici reports the socket failure as the cause of a generic 'fetch failed'
+      const cause = error?.cause || error;
+      const code = UNDICI_ERROR_CODES[cause?.code] || cause?.code || error?.code || 'ERR_NETWORK';
+      throw createTransportError(cause?.message || error?.message || 'Network error', code, error);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Transport on an axios instance, for projects that already configure axios
+ * In Node, keep-alive and proxies come from the httpAgent, httpsAgent and proxy options
+ */
+export class AxiosTransport {
+  /**
+   * @param {Function} axios - axios or an instance from axios.create()
+   * @param {Object} options - Extra axios request config merged into every request,
+   *   e.g. { httpsAgent: new https.Agent({ keepAlive: true }), proxy: { host, port } }
+   */
+  constructor(axios, options = {}) {
+    if (typeof axios !== 'function') {
+      throw new Error('AxiosTransport: an axios instance is required');
+    }
+    this.axios = axios;
+    this.options = options;
+  }
+
+  /**
+   * Send a request
+   * @param {Object} request - { method, url, headers, body, timeout, signal }
+   * @returns {Promise<Object>} - { status, headers, data }
+   */
+  async request({ method, url, headers = {}, body, timeout, signal }) {
+    const response = await this.axios({
+      ...this.options,
+      method,
+      url,
+      headers,
+      data: body,
+      timeout,
+      ...(signal && { signal }),
+      // Error statuses are turned into typed errors by the client
+      validateStatus: () => true
+    });
+    return { status: response.status, headers: { ...response.headers }, data: response.data };
+  }
+}
+
+/**
+ * Turn the transport client option into a transport
+ * @param {Object|Function} transport - Object with request(), an axios instance, or undefined for fetch
+ * @returns {Object} - Transport
+ */
+export function resolveTransport(transport) {
+  if (transport === undefined || transport === null) {
+    return new FetchTransport();
+  }
+  // axios instances also have request(), but with a different contract
+  if (typeof transport === 'function' && transport.defaults && transport.interceptors) {
+    return new AxiosTransport(transport);
+  }
+  if (typeof transport.request === 'function') {
+    return transport;
+  }
+  throw new Error('AsterdexClient: transport must be an object with request() or an axios instance');
+}
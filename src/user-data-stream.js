@@ -0,0 +1,174 @@
+import { EventEmitter } from './emitter.js';
+import { AsterdexWebSocketClient } from './websocket-client.js';
+
+// listenKey does not exist (expired or closed)
+const LISTEN_KEY_MISSING = -1125;
+
+/**
+ * Managed user data stream for AsterDEX futures
+ * Creates a listenKey, keeps it alive, renews it on expiry and emits account events:
+ * 'orderUpdate', 'fill', 'accountUpdate', 'balanceUpdate', 'positionUpdate', 'marginCall',
+ * 'accountConfigUpdate', plus 'listenKeyRenewed', 'reconnecting', 'close' and 'error'
+ */
+export class AsterdexUserDataStream extends EventEmitter {
+  /**
+   * @param {AsterdexClient} client - REST client used for listenKey management
+   * @param {Object} options - Stream options, passed through to AsterdexWebSocketClient
+   * @param {number} options.keepAliveIntervalMs - listenKey keepalive interval (default: 30 minutes)
+   */
+  constructor(client, options = {}) {
+    super();
+    if (!client) {
+      throw new Error('AsterdexUserDataStream: client is required');
+    }
+
+    const { keepAliveIntervalMs, ...wsOptions } = options;
+    this.client = client;
+    this.keepAliveIntervalMs = keepAliveIntervalMs ?? 30 * 60 * 1000;
+    this.listenKey = null;
+    this.keepAliveTimer = null;
+    this.renewing = null;
+
+    this.ws = new AsterdexWebSocketClient(wsOptions);
+    this.forwardEvents();
+  }
+
+  /**
+   * Wire WebSocket events to this emitter, deriving fill/balance/position events
+   */
+  forwardEvents() {
+    this.ws.on('orderUpdate', (order) => {
+      this.emit('orderUpdate', order);
+      if (order.executionType === 'TRADE') {
+        this.emit('fill', order);
+      }
+    });
+
+    this.ws.on('accountUpdate', (update) => {
+      this.emit('accountUpdate', update);
+      update.balances.forEach(balance => this.emit('balanceUpdate', balance, update));
+      update.positions.forEach(position => this.emit('positionUpdate', position, update));
+    });
+
+    this.ws.on('marginCall', (call) => this.emit('marginCall', call));
+    this.ws.on('accountConfigUpdate', (config) => this.emit('accountConfigUpdate', config));
+    this.ws.on('listenKeyExpired', () => this.renewListenKey());
+
+    // The key may have expired while disconnected
+    this.ws.on('reconnected', () => this.keepAlive());
+
+    this.ws.on('reconnecting', (info) => this.emit('reconnecting', info));
+    this.ws.on('close', (code, reason) => this.emit('close', code, reason));
+    this.ws.on('error', (error) => this.emitError(error));
+  }
+
+  /**
+   * Emit an error only when someone is listening
+   * @param {Error} error - Error to emit
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Create a listenKey, connect and start the keepalive timer
+   * If connecting fails the listenKey is closed again, so start() can simply be retried
+   * @returns {Promise<string>} - The listenKey in use
+   */
+  async start() {
+    if (this.listenKey) return this.listenKey;
+
+    const listenKey = await this.client.createListenKey();
+    this.listenKey = listenKey;
+    try {
+      this.ws.subscribe(listenKey);
+      await this.ws.connect();
+    } catch (error) {
+      this.listenKey = null;
+      this.ws.unsubscribe(listenKey);
+      try {
+        await this.ws.close();
+        await this.client.closeListenKey();
+      } catch (cleanupError) {
+        this.emitError(cleanupError);
+      }
+      throw error;
+    }
+
+    this.keepAliveTimer = setInterval(() => this.keepAlive(), this.keepAliveIntervalMs);
+    return this.listenKey;
+  }
+
+  /**
+   * Extend the listenKey validity, renewing it if the exchange no longer knows it
+   * @returns {Promise<void>}
+   */
+  async keepAlive() {
+    if (!this.listenKey) return;
+    try {
+      await this.client.keepAliveListenKey();
+    } catch (error) {
+      if (error.code === LISTEN_KEY_MISSING) {
+        await this.renewListenKey();
+      } else {
+        this.emitError(error);
+      }
+    }
+  }
+
+  /**
+   * Obtain a fresh listenKey and move the subscription over to it
+   * Concurrent callers share one renewal
+   * @returns {Promise<void>}
+   */
+  renewListenKey() {
+    if (!this.renewing) {
+      this.renewing = this.renew().finally(() => {
+        this.renewing = null;
+      });
+    }
+    return this.renewing;
+  }
+
+  /**
+   * Replace the listenKey subscription
+   * @returns {Promise<void>}
+   */
+  async renew() {
+    if (!this.listenKey) return;
+    try {
+      const previous = this.listenKey;
+      const listenKey = await this.client.createListenKey();
+      // Resubscribe even when the exchange hands back the same key
+      this.ws.unsubscribe(previous);
+      this.ws.subscribe(listenKey);
+      this.listenKey = listenKey;
+      this.emit('listenKeyRenewed', { previous, listenKey });
+    } catch (error) {
+      this.emitError(error);
+    }
+  }
+
+  /**
+   * Stop the stream and close the listenKey
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+    await this.ws.close();
+
+    if (this.listenKey) {
+      const listenKey = this.listenKey;
+      this.listenKey = null;
+      this.ws.unsubscribe(listenKey);
+      try {
+        await this.client.closeListenKey();
+      } catch (error) {
+        this.emitError(error);
+      }
+    }
+  }
+}
@@ -1,60 +1,133 @@
-import crypto from 'crypto';
-import qs from 'querystring';
+import { toDecimalString, compareDecimals, multiplyDecimals, floorToStep, ceilToStep, divideToStep } from './decimal.js';
 
 /**
- * Create HMAC SHA256 signature for signed endpoints
+ * Encode bytes as lower-case hex
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Hex string
+ */
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Import an API secret as a WebCrypto HMAC SHA256 key
+ * WebCrypto is available in Node 20+, Deno, Bun, Cloudflare Workers and browsers
  * @param {string} secret - API secret
+ * @returns {Promise<CryptoKey>} - Key for signHmac
+ */
+export function importHmacKey(secret) {
+  return globalThis.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+}
+
+/**
+ * Create HMAC SHA256 signature with a WebCrypto key
+ * @param {CryptoKey} key - Key from importHmacKey
  * @param {string} payload - String to sign
- * @returns {string} - Hex signature
+ * @returns {Promise<string>} - Hex signature
  */
-export function createHmacSignature(secret, payload) {
-  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+export async function signHmac(key, payload) {
+  return toHex(await globalThis.crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload)));
+}
+
+/**
+ * Generate random hex characters
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex string of twice that length
+ */
+export function randomHex(bytes) {
+  return toHex(globalThis.crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+/**
+ * Encode parameters as a query string or form body
+ * Same output as Node's querystring.stringify: arrays repeat the key, values that are
+ * not strings, finite numbers, bigints or booleans are sent empty
+ * @param {Object} params - Parameters
+ * @returns {string} - Encoded string, e.g. 'symbol=BTCUSDT&limit=5'
+ */
+export function encodeParams(params = {}) {
+  const encodeValue = (value) => {
+    if (typeof value === 'string') return encodeURIComponent(value);
+    if ((typeof value === 'number' && isFinite(value)) || typeof value === 'bigint' || typeof value === 'boolean') {
+      return encodeURIComponent(String(value));
+    }
+    return '';
+  };
+
+  return Object.keys(params).flatMap((key) => {
+    const name = encodeURIComponent(key);
+    const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+    return values.map(value => `${name}=${encodeValue(value)}`);
+  }).join('&');
+}
+
+/**
+ * Check whether a step size can be used for rounding
+ * @param {number|string} stepSize - Step size from exchange filters
+ * @returns {boolean} - True if positive
+ */
+function hasStep(stepSize) {
+  return parseFloat(stepSize) > 0;
 }
 
 /**
  * Floors a quantity to the nearest allowed step
- * @param {number} qty - Quantity to round
+ * @param {number|string} qty - Quantity to round
  * @param {string} stepSize - Step size from exchange filters
- * @returns {number} - Rounded quantity
+ * @returns {string} - Rounded quantity as a decimal string
  */
 export function roundToStepFloor(qty, stepSize) {
-  const s = parseFloat(stepSize);
-  if (!s || s <= 0) return qty;
-  const precision = Math.max(0, Math.round(-Math.log10(s)));
-  const stepped = Math.floor(qty / s) * s;
-  return parseFloat(stepped.toFixed(precision));
+  return hasStep(stepSize) ? floorToStep(qty, stepSize) : toDecimalString(qty);
+}
+
+/**
+ * Ceils a value to the nearest allowed step
+ * @param {number|string} value - Value to round
+ * @param {string} stepSize - Step or tick size from exchange filters
+ * @returns {string} - Rounded value as a decimal string
+ */
+export function roundToStepCeil(value, stepSize) {
+  return hasStep(stepSize) ? ceilToStep(value, stepSize) : toDecimalString(value);
 }
 
 /**
  * Ensures quantity meets minimum notional value
- * @param {number} qty - Quantity
- * @param {number} price - Current price
+ * A quantity below it is raised to the smallest step multiple that reaches minNotional
+ * @param {number|string} qty - Quantity
+ * @param {number|string} price - Current price
  * @param {string} minNotional - Minimum notional value
  * @param {string} stepSize - Step size for rounding
- * @returns {number} - Adjusted quantity
+ * @returns {string} - Adjusted quantity as a decimal string
  */
 export function ensureMinNotional(qty, price, minNotional, stepSize) {
-  const mn = parseFloat(minNotional || '0');
-  if (!mn || mn <= 0) return qty;
-  const notional = qty * price;
-  if (notional >= mn) return qty;
-  const need = mn / price;
-  return roundToStepFloor(need, stepSize);
+  if (!(parseFloat(minNotional) > 0) || !(parseFloat(price) > 0)) return toDecimalString(qty);
+  if (compareDecimals(multiplyDecimals(qty, price), minNotional) >= 0) return toDecimalString(qty);
+  return hasStep(stepSize)
+    ? divideToStep(minNotional, price, stepSize, true)
+    : toDecimalString(parseFloat(minNotional) / parseFloat(price));
 }
 
 /**
  * Converts target notional (USD) to a valid quantity
- * @param {number} notionalUsd - Target notional value in USD
- * @param {number} price - Current price
+ * @param {number|string} notionalUsd - Target notional value in USD
+ * @param {number|string} price - Current price
  * @param {string} stepSize - Step size from filters
  * @param {string} minNotional - Minimum notional value
- * @returns {number} - Valid quantity
+ * @returns {string} - Valid quantity as a decimal string
  */
 export function qtyFromNotional(notionalUsd, price, stepSize, minNotional) {
-  if (!price || price <= 0) return 0;
-  let q = notionalUsd / price;
+  if (!price || price <= 0) return '0';
+  let q = hasStep(stepSize)
+    ? divideToStep(notionalUsd, price, stepSize)
+    : toDecimalString(notionalUsd / price);
   q = ensureMinNotional(q, price, minNotional, stepSize);
-  return Math.max(0.00000001, roundToStepFloor(q, stepSize));
+  return compareDecimals(q, '0.00000001') > 0 ? q : '0.00000001';
 }
 
 /**
@@ -78,11 +151,28 @@ export function extractFilters(symbolInfo) {
 
 /**
  * Sleep utility function
+ * Resolves early when the signal aborts; callers check signal.aborted afterwards
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Cuts the sleep short (optional)
  * @returns {Promise} - Promise that resolves after delay
  */
-export function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal = null) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  return new Promise((resolve) => {
+    if (signal.aborted) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal.addEventListener('abort', done, { once: true });
+  });
 }
 
 /**
@@ -0,0 +1,373 @@
+import { EventEmitter } from './emitter.js';
+import { parseStreamMessage } from './stream-events.js';
+
+// Standard WebSocket readyState values
+const OPEN = 1;
+const CLOSED = 3;
+
+/**
+ * Stream name builders for AsterDEX market streams
+ */
+export const streamNames = {
+  aggTrade: (symbol) => `${symbol.toLowerCase()}@aggTrade`,
+  markPrice: (symbol, updateSpeed = '3s') => {
+    const suffix = updateSpeed === '1s' ? '@1s' : '';
+    return symbol ? `${symbol.toLowerCase()}@markPrice${suffix}` : `!markPrice@arr${suffix}`;
+  },
+  kline: (symbol, interval) => `${symbol.toLowerCase()}@kline_${interval}`,
+  bookTicker: (symbol) => (symbol ? `${symbol.toLowerCase()}@bookTicker` : '!bookTicker'),
+  depth: (symbol, { levels, updateSpeed } = {}) =>
+    `${symbol.toLowerCase()}@depth${levels || ''}${updateSpeed ? `@${updateSpeed}` : ''}`,
+  miniTicker: (symbol) => (symbol ? `${symbol.toLowerCase()}@miniTicker` : '!miniTicker@arr')
+};
+
+/**
+ * AsterDEX WebSocket Client for market data streams
+ * Emits parsed events named after the stream type ('aggTrade', 'markPrice', 'kline',
+ * 'bookTicker', 'depth', 'miniTicker'), plus 'open', 'close', 'reconnecting', 'reconnected',
+ * 'message', 'response' and 'error'
+ */
+export class AsterdexWebSocketClient extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.wsURL - WebSocket base URL (default: 'wss://fstream.asterdex.com')
+   * @param {boolean} options.combined - Use the combined stream endpoint (default: true)
+   * @param {boolean} options.reconnect - Reconnect and resubscribe after a drop (default: true)
+   * @param {number} options.reconnectDelayMs - First reconnect delay (default: 1000)
+   * @param {number} options.maxReconnectDelayMs - Reconnect delay cap (default: 30000)
+   * @param {number} options.pingIntervalMs - Heartbeat interval, 0 disables it (default: 30000)
+   * @param {number} options.pongTimeoutMs - Time to wait for a pong before reconnecting (default: 10000)
+   * @param {Function} options.WebSocket - WebSocket implementation with the `ws` API (default: the `ws`
+   *   package, loaded on the first connect)
+   */
+  constructor(options = {}) {
+    super();
+    this.wsURL = (options.wsURL || 'wss://fstream.asterdex.com').replace(/\/+$/, '');
+    this.combined = options.combined !== false;
+    this.reconnect = options.reconnect !== false;
+    this.reconnectDelayMs = options.reconnectDelayMs ?? 1000;
+    this.maxReconnectDelayMs = options.maxReconnectDelayMs ?? 30000;
+    this.pingIntervalMs = options.pingIntervalMs ?? 30000;
+    this.pongTimeoutMs = options.pongTimeoutMs ?? 10000;
+    this.WebSocket = options.WebSocket || null;
+
+    this.streams = new Set();
+    this.ws = null;
+    this.requestId = 0;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.pongTimer = null;
+    this.closedByUser = false;
+    this.hasConnected = false;
+  }
+
+  /**
+   * Get the URL for the configured endpoint
+   * @returns {string} - WebSocket URL
+   */
+  getURL() {
+    return `${this.wsURL}${this.combined ? '/stream' : '/ws'}`;
+  }
+
+  /**
+   * Check whether the socket is open
+   * @returns {boolean} - True if connected
+   */
+  isConnected() {
+    return Boolean(this.ws) && this.ws.readyState === OPEN;
+  }
+
+  /**
+   * Open the connection and subscribe to every registered stream
+   * @returns {Promise<void>} - Resolves once the socket is open
+   */
+  connect() {
+    this.closedByUser = false;
+    return this.open();
+  }
+
+  /**
+   * Get the WebSocket implementation, importing the `ws` package on first use
+   * Loading it lazily keeps the module free of Node-only imports
+   * @returns {Promise<Function>} - WebSocket constructor
+   */
+  async loadWebSocket() {
+    if (!this.WebSocket) {
+      try {
+        this.WebSocket = (await import('ws')).default;
+      } catch (error) {
+        throw Object.assign(
+          new Error('AsterdexWebSocketClient: the ws package is not available, pass options.WebSocket'),
+          { cause: error }
+        );
+      }
+    }
+    return this.WebSocket;
+  }
+
+  /**
+   * Open a socket and wire up its handlers
+   * A close() while the socket is being opened wins: no socket is created, or the new one is
+   * terminated as soon as it opens, and the promise resolves without connecting
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const WebSocket = await this.loadWebSocket();
+    if (this.closedByUser) return undefined;
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.getURL());
+      let opened = false;
+      this.ws = ws;
+
+      ws.on('open', () => {
+        opened = true;
+        if (this.closedByUser) {
+          ws.terminate();
+          resolve();
+          return;
+        }
+        const reconnected = this.hasConnected;
+        this.hasConnected = true;
+        this.reconnectAttempts = 0;
+        this.sendRequest('SUBSCRIBE', Array.from(this.streams));
+        this.startHeartbeat();
+        this.emit(reconnected ? 'reconnected' : 'open');
+        resolve();
+      });
+
+      ws.on('message', (data) => this.handleMessage(data));
+
+      ws.on('pong', () => {
+        clearTimeout(this.pongTimer);
+        this.pongTimer = null;
+      });
+
+      ws.on('error', (error) => {
+        if (!opened) {
+          reject(error);
+        }
+        this.emitError(error);
+      });
+
+      ws.on('close', (code, reason) => {
+        this.stopHeartbeat();
+        if (this.ws === ws) {
+          this.ws = null;
+        }
+        this.emit('close', code, reason?.toString());
+
+        // Initial failures reject connect(), drops after the first open are reconnected
+        if (this.hasConnected && !this.closedByUser && this.reconnect) {
+          this.scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  /**
+   * Schedule a reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(this.maxReconnectDelayMs, this.reconnectDelayMs * Math.pow(2, this.reconnectAttempts));
+    this.reconnectAttempts++;
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // Failures are retried from the close handler
+      this.open().catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * Send pings and drop the connection if a pong does not arrive in time
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (!this.pingIntervalMs) return;
+
+    this.pingTimer = setInterval(() => {
+      if (!this.isConnected() || this.pongTimer) return;
+      this.pongTimer = setTimeout(() => {
+        this.pongTimer = null;
+        this.ws?.terminate();
+      }, this.pongTimeoutMs);
+      this.ws.ping();
+    }, this.pingIntervalMs);
+  }
+
+  /**
+   * Stop heartbeat timers
+   */
+  stopHeartbeat() {
+    clearInterval(this.pingTimer);
+    clearTimeout(this.pongTimer);
+    this.pingTimer = null;
+    this.pongTimer = null;
+  }
+
+  /**
+   * Decode a message and emit parsed events
+   * @param {Buffer|string} data - Raw message
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.emitError(new Error(`AsterdexWebSocketClient: invalid JSON message: ${data.toString().slice(0, 200)}`));
+      return;
+    }
+
+    // Replies to SUBSCRIBE/UNSUBSCRIBE requests
+    if (message && message.id !== undefined && ('result' in message || 'error' in message)) {
+      if (message.error) {
+        this.emitError(new Error(`AsterdexWebSocketClient: request ${message.id} failed: ${message.error.msg || JSON.stringify(message.error)}`));
+      }
+      this.emit('response', message);
+      return;
+    }
+
+    this.emit('message', message);
+    for (const { event, stream, data: parsed } of parseStreamMessage(message)) {
+      this.emit(event, parsed, stream);
+    }
+  }
+
+  /**
+   * Emit an error only when someone is listening, so a reconnecting client never crashes the process
+   * @param {Error} error - Error to emit
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Send a SUBSCRIBE/UNSUBSCRIBE request if connected
+   * @param {string} method - Request method
+   * @param {string[]} params - Stream names
+   * @returns {number|null} - Request ID or null if nothing was sent
+   */
+  sendRequest(method, params) {
+    if (!params.length || !this.isConnected()) return null;
+    const id = ++this.requestId;
+    this.ws.send(JSON.stringify({ method, params, id }));
+    return id;
+  }
+
+  /**
+   * Subscribe to one or more streams
+   * Streams are remembered and resubscribed after every reconnect
+   * @param {string|string[]} streams - Stream names (e.g. 'btcusdt@aggTrade')
+   * @returns {string[]} - Subscribed stream names
+   */
+  subscribe(streams) {
+    const list = Array.isArray(streams) ? streams : [streams];
+    const added = list.filter(stream => !this.streams.has(stream));
+    added.forEach(stream => this.streams.add(stream));
+    this.sendRequest('SUBSCRIBE', added);
+    return list;
+  }
+
+  /**
+   * Unsubscribe from one or more streams
+   * @param {string|string[]} streams - Stream names
+   */
+  unsubscribe(streams) {
+    const list = Array.isArray(streams) ? streams : [streams];
+    const removed = list.filter(stream => this.streams.delete(stream));
+    this.sendRequest('UNSUBSCRIBE', removed);
+  }
+
+  /**
+   * Get the currently registered streams
+   * @returns {string[]} - Stream names
+   */
+  getSubscriptions() {
+    return Array.from(this.streams);
+  }
+
+  /**
+   * Subscribe to aggregate trades
+   * @param {string} symbol - Trading symbol
+   * @returns {string[]} - Subscribed stream names
+   */
+  subscribeAggTrade(symbol) {
+    return this.subscribe(streamNames.aggTrade(symbol));
+  }
+
+  /**
+   * Subscribe to mark price and funding rate updates
+   * @param {string|null} symbol - Trading symbol, or null for all symbols
+   * @param {string} updateSpeed - '1s' or '3s' (default: '3s')
+   * @returns {string[]} - Subscribed stream names
+   */
+  subscribeMarkPrice(symbol, updateSpeed = '3s') {
+    return this.subscribe(streamNames.markPrice(symbol, updateSpeed));
+  }
+
+  /**
+   * Subscribe to klines
+   * @param {string} symbol - Trading symbol
+   * @param {string} interval - Kline interval (1m, 5m, 1h, ...)
+   * @returns {string[]} - Subscribed stream names
+   */
+  subscribeKline(symbol, interval) {
+    return this.subscribe(streamNames.kline(symbol, interval));
+  }
+
+  /**
+   * Subscribe to best bid/ask updates
+   * @param {string|null} symbol - Trading symbol, or null for all symbols
+   * @returns {string[]} - Subscribed stream names
+   */
+  subscribeBookTicker(symbol) {
+    return this.subscribe(streamNames.bookTicker(symbol));
+  }
+
+  /**
+   * Subscribe to order book depth
+   * @param {string} symbol - Trading symbol
+   * @param {Object} options - Depth options
+   * @param {number} options.levels - Partial book levels (5, 10 or 20), omit for diff stream
+   * @param {string} options.updateSpeed - '100ms', '250ms' or '500ms'
+   * @returns {string[]} - Subscribed stream names
+   */
+  subscribeDepth(symbol, options = {}) {
+    return this.subscribe(streamNames.depth(symbol, options));
+  }
+
+  /**
+   * Subscribe to 24hr mini tickers
+   * @param {string|null} symbol - Trading symbol, or null for all symbols
+   * @returns {string[]} - Subscribed stream names
+   */
+  subscribeMiniTicker(symbol) {
+    return this.subscribe(streamNames.miniTicker(symbol));
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   * @returns {Promise<void>} - Resolves once the socket is closed
+   */
+  close() {
+    this.closedByUser = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
+
+    const ws = this.ws;
+    if (!ws || ws.readyState === CLOSED) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      ws.once('close', () => resolve());
+      ws.close();
+    });
+  }
+}
@@ -0,0 +1,107 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, AsterdexApiError, OrderValidationError, MockAsterdexServer } from '../node.js';
+
+/**
+ * Build a resting limit order below the mock price
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Order object
+ */
+const restingBuy = (fields = {}) => ({
+  symbol: 'BTCUSDT',
+  side: 'BUY',
+  type: 'LIMIT',
+  quantity: 0.001,
+  price: 55000,
+  timeInForce: 'GTC',
+  ...fields
+});
+
+describe('batch orders', () => {
+  const server = new MockAsterdexServer({ account: { balance: 100000 } });
+  let client;
+
+  /**
+   * List the batch requests the server received since a point in the request log
+   * @param {number} since - Request log length before the calls
+   * @param {string} method - HTTP method
+   * @returns {Array<Object>} - Recorded requests
+   */
+  const batchCalls = (since, method) => server.requests
+    .slice(since)
+    .filter(request => request.path === '/fapi/v1/batchOrders' && request.method === method);
+
+  before(() => server.start());
+  after(() => server.stop());
+  beforeEach(async () => {
+    client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    await client.cancelAllOrders('BTCUSDT');
+  });
+
+  it('sends orders in batches of 5 and keeps results in input order', async () => {
+    const seen = server.requests.length;
+    const orders = Array.from({ length: 12 }, (_, i) => restingBuy({ price: 55000 + i }));
+    const { results, successful, failed } = await client.placeBatchOrders(orders);
+
+    assert.deepEqual(batchCalls(seen, 'POST').map(request => JSON.parse(request.params.batchOrders).length), [5, 5, 2]);
+    assert.equal(successful.length, 12);
+    assert.equal(failed.length, 0);
+    assert.deepEqual(results.map(result => result.index), [...orders.keys()]);
+    assert.deepEqual(results.map(result => Number(result.response.price)), orders.map(order => order.price));
+  });
+
+  it('reports orders rejected before sending without a request', async () => {
+    const seen = server.requests.length;
+    const orders = [restingBuy(), restingBuy({ quantity: 0.0001 }), restingBuy({ symbol: 'NOPEUSDT' }), restingBuy()];
+    const { results, failed } = await client.placeBatchOrders(orders);
+
+    const sent = batchCalls(seen, 'POST');
+    assert.equal(sent.length, 1);
+    assert.equal(JSON.parse(sent[0].params.batchOrders).length, 2);
+    assert.deepEqual(failed.map(result => result.index), [1, 2]);
+    assert.ok(results[1].error instanceof OrderValidationError);
+    assert.equal(results[1].order.quantity, 0.0001);
+    assert.ok(results[2].error instanceof OrderValidationError);
+    assert.equal(results[3].success, true);
+  });
+
+  it('keeps per-order exchange failures apart from successes', async () => {
+    const orders = [restingBuy(), { ...restingBuy({ side: 'SELL', price: 65000 }), reduceOnly: true }, restingBuy()];
+    const { results, successful } = await client.placeBatchOrders(orders);
+
+    assert.deepEqual(successful.map(result => result.index), [0, 2]);
+    assert.ok(results[1].error instanceof AsterdexApiError);
+    assert.equal(results[1].error.code, -2022);
+    assert.equal(results[1].error.endpoint, '/fapi/v1/batchOrders');
+  });
+
+  it('fails only the orders of a batch request that failed', async () => {
+    server.injectError({ endpoint: '/fapi/v1/batchOrders', method: 'POST', code: -1001, status: 503 });
+    const orders = Array.from({ length: 7 }, () => restingBuy());
+    const { results } = await client.placeBatchOrders(orders);
+
+    assert.deepEqual(results.map(result => result.success), [false, false, false, false, false, true, true]);
+    assert.equal(results[0].error.code, -1001);
+    assert.equal(results[0].error, results[4].error);
+  });
+
+  it('cancels in batches of 10 and reports unknown orders as failures', async () => {
+    const placed = await client.placeBatchOrders(Array.from({ length: 11 }, () => restingBuy()));
+    const orderIds = placed.successful.slice(0, 10).map(result => result.response.orderId);
+    const clientOrderIds = [placed.successful[10].response.clientOrderId];
+    const seen = server.requests.length;
+
+    const { results, successful, failed } = await client.cancelBatchOrders('BTCUSDT', {
+      orderIds: [...orderIds, 987654321],
+      clientOrderIds
+    });
+
+    const lists = batchCalls(seen, 'DELETE').map(request => JSON.parse(request.params.orderIdList || request.params.origClientOrderIdList));
+    assert.deepEqual(lists.map(list => list.length), [10, 1, 1]);
+    assert.equal(results.length, 12);
+    assert.deepEqual(failed.map(result => [result.index, result.id, result.error.code]), [[10, 987654321, -2011]]);
+    assert.equal(successful.length, 11);
+    assert.equal(results[11].id, clientOrderIds[0]);
+    assert.deepEqual(await client.getOpenOrders('BTCUSDT'), []);
+  });
+});
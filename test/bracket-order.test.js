@@ -0,0 +1,122 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, BracketOrder, getBracketViolations, OrderValidationError, MockAsterdexServer } from '../node.js';
+
+const BRACKET = { symbol: 'BTCUSDT', side: 'BUY', quantity: 0.01, stopLoss: 59000, takeProfit: 61000 };
+
+/**
+ * Wait for an event of a bracket
+ * @param {BracketOrder} bracket - Bracket
+ * @param {string} event - Event name
+ * @param {number} timeoutMs - Time to wait before failing (default: 2000)
+ * @returns {Promise<*>} - Event payload
+ */
+function waitFor(bracket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event} event within ${timeoutMs}ms`)), timeoutMs);
+    bracket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+describe('getBracketViolations', () => {
+  it('accepts a consistent bracket', () => {
+    assert.deepEqual(getBracketViolations({ ...BRACKET, entryPrice: 60000 }), []);
+  });
+
+  it('reports inverted and missing prices', () => {
+    const fields = (params) => getBracketViolations(params).map(violation => violation.field);
+
+    assert.deepEqual(fields({ ...BRACKET, stopLoss: 62000 }), ['stopLoss']);
+    assert.deepEqual(fields({ ...BRACKET, side: 'SELL' }), ['stopLoss']);
+    assert.deepEqual(fields({ ...BRACKET, entryPrice: 61500 }), ['takeProfit']);
+    assert.deepEqual(fields({ symbol: 'BTCUSDT', side: 'HOLD', quantity: 0 }), ['side', 'quantity', 'stopLoss']);
+  });
+});
+
+describe('BracketOrder', () => {
+  const server = new MockAsterdexServer({ account: { balance: 10000 } });
+  let client;
+
+  before(() => server.start());
+  after(() => server.stop());
+  beforeEach(() => {
+    server.setPrice('BTCUSDT', 60000);
+    client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+  });
+
+  it('rejects an inconsistent bracket before placing anything', async () => {
+    const seen = server.requests.length;
+    await assert.rejects(client.placeBracketOrder({ ...BRACKET, stopLoss: 62000 }), OrderValidationError);
+    assert.equal(server.requests.slice(seen).some(request => request.method === 'POST'), false);
+  });
+
+  it('places both exits for the filled entry and closes on a fill', async () => {
+    const bracket = await client.placeBracketOrder(BRACKET, { pollIntervalMs: 20 });
+    assert.equal(bracket.getStatus().status, 'open');
+    assert.equal(bracket.stopLossOrder.type, 'STOP_MARKET');
+    assert.equal(bracket.takeProfitOrder.type, 'TAKE_PROFIT_MARKET');
+
+    const closed = waitFor(bracket, 'closed');
+    server.setPrice('BTCUSDT', 61500);
+    const { leg } = await closed;
+
+    assert.equal(leg, 'takeProfit');
+    assert.equal(bracket.getStatus().exitLeg, 'takeProfit');
+    const stopLoss = await client.getOrder('BTCUSDT', bracket.stopLossOrder.orderId);
+    assert.equal(stopLoss.status, 'CANCELED');
+    assert.equal(await client.getPositionAmount('BTCUSDT'), 0);
+  });
+
+  it('closes the position when an exit is cancelled on the exchange', async () => {
+    const bracket = await client.placeBracketOrder(BRACKET, { pollIntervalMs: 20 });
+    const cancelled = waitFor(bracket, 'exitCancelled');
+    await client.cancelOrder('BTCUSDT', bracket.stopLossOrder.orderId);
+    const { leg, status, closeOrder } = await cancelled;
+
+    assert.equal(leg, 'stopLoss');
+    assert.equal(status, 'CANCELED');
+    assert.equal(closeOrder.status, 'FILLED');
+    assert.equal(bracket.getStatus().status, 'cancelled');
+    const takeProfit = await client.getOrder('BTCUSDT', bracket.takeProfitOrder.orderId);
+    assert.equal(takeProfit.status, 'CANCELED');
+    assert.equal(await client.getPositionAmount('BTCUSDT'), 0);
+  });
+
+  it('leaves the position open without closeOnFailure', async () => {
+    const bracket = await client.placeBracketOrder(BRACKET, { pollIntervalMs: 20, closeOnFailure: false });
+    const cancelled = waitFor(bracket, 'exitCancelled');
+    await client.cancelOrder('BTCUSDT', bracket.takeProfitOrder.orderId);
+    const { leg, closeOrder } = await cancelled;
+
+    assert.equal(leg, 'takeProfit');
+    assert.equal(closeOrder, null);
+    assert.equal(await client.getPositionAmount('BTCUSDT'), 0.01);
+    await client.closePositionExact('BTCUSDT', 0.01, 'SELL');
+  });
+
+  it('attaches a failed cleanup to the placement error', async () => {
+    const calls = [];
+    const stub = {
+      placeOrder: async (order) => {
+        calls.push(`place ${order.type}`);
+        if (order.type === 'TAKE_PROFIT_MARKET') throw new Error('tp failed');
+        return { orderId: calls.length, type: order.type };
+      },
+      cancelOrder: async (symbol, orderId) => { calls.push(`cancel ${orderId}`); },
+      closePositionExact: async () => { throw new Error('close failed'); }
+    };
+    const bracket = new BracketOrder(stub, { ...BRACKET, quantity: 1, stopLoss: 1, takeProfit: 3 });
+    bracket.filledQty = 1;
+
+    await assert.rejects(bracket.placeExits(), (error) => {
+      assert.equal(error.message, 'tp failed');
+      assert.equal(error.cleanupError.message, 'close failed');
+      return true;
+    });
+    assert.deepEqual(calls, ['place STOP_MARKET', 'place TAKE_PROFIT_MARKET', 'cancel 1']);
+    assert.equal(bracket.getStatus().status, 'failed');
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AsterdexClient,
+  MockAsterdexServer,
+  FetchTransport,
+  InsufficientMarginError,
+  AsterdexApiError,
+  buildMarketOrder,
+  generateClientOrderId,
+  resolveClientOrderIdOptions,
+  isAmbiguousOrderError
+} from '../node.js';
+
+describe('client order IDs', () => {
+  it('generates unique IDs with the prefix', () => {
+    const ids = new Set(Array.from({ length: 100 }, () => generateClientOrderId('grid')));
+    assert.equal(ids.size, 100);
+    for (const id of ids) {
+      assert.match(id, /^grid-[0-9a-z]+-[0-9a-f]{12}$/);
+    }
+  });
+
+  it('rejects prefixes the exchange would refuse', () => {
+    assert.throws(() => resolveClientOrderIdOptions({ prefix: 'has space' }), /clientOrderIds.prefix/);
+    assert.throws(() => resolveClientOrderIdOptions({ prefix: 'x'.repeat(17) }), /clientOrderIds.prefix/);
+    assert.equal(resolveClientOrderIdOptions(false).enabled, false);
+  });
+
+  it('treats lost responses as ambiguous and refused connections as not sent', () => {
+    assert.equal(isAmbiguousOrderError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })), true);
+    assert.equal(isAmbiguousOrderError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), false);
+    assert.equal(isAmbiguousOrderError({ response: { status: 503, data: {} } }), true);
+    assert.equal(isAmbiguousOrderError({ response: { status: 400, data: { code: -1007 } } }), true);
+    assert.equal(isAmbiguousOrderError({ response: { status: 400, data: { code: -2019 } } }), false);
+  });
+});
+
+describe('order placement with client order IDs', () => {
+  const server = new MockAsterdexServer({ account: { balance: 10000 } });
+
+  /**
+   * Create a client for the mock server
+   * @param {Object} options - Extra client options
+   * @returns {AsterdexClient} - Client
+   */
+  const createClient = (options = {}) => new AsterdexClient({ ...server.clientConfig(), retry: false, ...options });
+
+  /**
+   * Get the requests made to the order endpoint since a point in the request log
+   * @param {number} since - Request log length before the call
+   * @returns {Array} - [method, status, client order ID] per request
+   */
+  const orderCalls = (since) => server.requests
+    .slice(since)
+    .filter(request => request.path === '/fapi/v1/order')
+    .map(request => [request.method, request.status, request.params.newClientOrderId || request.params.origClientOrderId]);
+
+  before(() => server.start());
+  after(() => server.stop());
+  afterEach(() => server.clearErrors());
+
+  it('sends a generated ID with every order', async () => {
+    const client = createClient({ clientOrderIds: { prefix: 'test' } });
+    const order = await client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001));
+
+    assert.match(order.clientOrderId, /^test-/);
+    assert.equal((await client.getOrderByClientId('BTCUSDT', order.clientOrderId)).orderId, order.orderId);
+  });
+
+  it('keeps an ID set by the caller and uses a custom generator otherwise', async () => {
+    const client = createClient({ clientOrderIds: { generate: (order) => `sig-${order.side}-${Date.now()}` } });
+
+    const own = await client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001, { newClientOrderId: `own-${Date.now()}` }));
+    const generated = await client.placeOrder(buildMarketOrder('BTCUSDT', 'SELL', 0.001));
+    assert.match(own.clientOrderId, /^own-/);
+    assert.match(generated.clientOrderId, /^sig-SELL-/);
+  });
+
+  it('sends no ID when disabled', async () => {
+    const seen = server.requests.length;
+    await createClient({ clientOrderIds: false }).placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001));
+    assert.deepEqual(orderCalls(seen), [['POST', 200, undefined]]);
+  });
+
+  it('returns the existing order when the response to an accepted order is lost', async () => {
+    const fetchTransport = new FetchTransport();
+    let dropped = false;
+    const client = createClient({
+      transport: {
+        request: async (request) => {
+          const response = await fetchTransport.request(request);
+          if (request.method === 'POST' && !dropped) {
+            dropped = true;
+            throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+          }
+          return response;
+        }
+      }
+    });
+    const seen = server.requests.length;
+
+    const order = await client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001));
+    assert.equal(order.status, 'FILLED');
+    assert.deepEqual(orderCalls(seen), [
+      ['POST', 200, order.clientOrderId],
+      ['GET', 200, order.clientOrderId]
+    ]);
+  });
+
+  it('resubmits once under the same ID when the order does not exist', async () => {
+    const client = createClient();
+    server.injectError({ endpoint: '/fapi/v1/order', method: 'POST', code: -1001, status: 503 });
+    const seen = server.requests.length;
+
+    const order = await client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001));
+    const id = order.clientOrderId;
+    assert.deepEqual(orderCalls(seen), [['POST', 503, id], ['GET', 400, id], ['POST', 200, id]]);
+  });
+
+  it('gives up with the original error after the resubmission fails too', async () => {
+    const client = createClient();
+    server.injectError({ endpoint: '/fapi/v1/order', method: 'POST', code: -1001, status: 503, times: 2 });
+
+    await assert.rejects(client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001)), (error) => {
+      assert.ok(error instanceof AsterdexApiError);
+      assert.equal(error.status, 503);
+      return true;
+    });
+  });
+
+  it('returns the original order for a duplicate ID', async () => {
+    const client = createClient();
+    const newClientOrderId = `dup-${Date.now()}`;
+    const first = await client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001, { newClientOrderId }));
+    const seen = server.requests.length;
+
+    const second = await client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001, { newClientOrderId }));
+    assert.equal(second.orderId, first.orderId);
+    assert.deepEqual(orderCalls(seen), [['POST', 400, newClientOrderId], ['GET', 200, newClientOrderId]]);
+  });
+
+  it('does not look up orders the exchange rejected', async () => {
+    const client = createClient();
+    server.injectError({ endpoint: '/fapi/v1/order', method: 'POST', code: -2019 });
+    const seen = server.requests.length;
+
+    await assert.rejects(client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.001)), InsufficientMarginError);
+    assert.equal(orderCalls(seen).length, 1);
+  });
+});
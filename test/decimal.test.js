@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toDecimalString,
+  compareDecimals,
+  addDecimals,
+  subtractDecimals,
+  multiplyDecimals,
+  decimalPlaces,
+  floorToStep,
+  ceilToStep,
+  isStepMultiple,
+  divideToStep,
+  roundToStepFloor,
+  ensureMinNotional,
+  qtyFromNotional
+} from '../index.js';
+
+describe('decimal conversion', () => {
+  it('writes numbers without exponents or padding', () => {
+    assert.equal(toDecimalString(1e-7), '0.0000001');
+    assert.equal(toDecimalString(1.5e21), '1500000000000000000000');
+    assert.equal(toDecimalString('-0.00100'), '-0.001');
+    assert.equal(toDecimalString('007.50'), '7.5');
+  });
+
+  it('rejects values that are not numbers', () => {
+    assert.throws(() => toDecimalString('abc'), /Invalid decimal: abc/);
+    assert.throws(() => toDecimalString(NaN), /Invalid decimal: NaN/);
+  });
+
+  it('counts significant decimals', () => {
+    assert.equal(decimalPlaces('0.0010'), 3);
+    assert.equal(decimalPlaces('5'), 0);
+    assert.equal(decimalPlaces(1e-8), 8);
+  });
+});
+
+describe('decimal arithmetic', () => {
+  it('adds, subtracts and multiplies without float error', () => {
+    assert.equal(addDecimals(0.1, 0.2), '0.3');
+    assert.equal(subtractDecimals('0.3', '0.1'), '0.2');
+    assert.equal(multiplyDecimals(0.1, 3), '0.3');
+    assert.equal(multiplyDecimals('-1.5', '0.02'), '-0.03');
+    assert.equal(multiplyDecimals('1e-7', '3'), '0.0000003');
+  });
+
+  it('compares by value', () => {
+    assert.equal(compareDecimals('0.30', '0.3'), 0);
+    assert.equal(compareDecimals(0.1, '0.09999'), 1);
+    assert.equal(compareDecimals('-1', '0.5'), -1);
+  });
+});
+
+describe('step rounding', () => {
+  it('keeps values already on the step where float division would not', () => {
+    // Math.floor(0.29 / 0.01) is 28
+    assert.equal(floorToStep(0.29, '0.01'), '0.29');
+    assert.equal(floorToStep(1.005, '0.001'), '1.005');
+    assert.equal(ceilToStep(0.28, '0.01'), '0.28');
+    assert.equal(floorToStep(0.3, 0.1), '0.3');
+  });
+
+  it('rounds down and up to the step', () => {
+    assert.equal(floorToStep('0.0127', '0.001'), '0.012');
+    assert.equal(ceilToStep(0.281, '0.01'), '0.29');
+    assert.equal(floorToStep(123, '5'), '120');
+    assert.equal(floorToStep(-0.015, '0.01'), '-0.02');
+    assert.equal(ceilToStep(-0.015, '0.01'), '-0.01');
+  });
+
+  it('rejects a zero step', () => {
+    assert.throws(() => floorToStep(1, '0'), /Invalid step size: 0/);
+  });
+
+  it('checks step alignment exactly', () => {
+    assert.equal(isStepMultiple(0.3, '0.1'), true);
+    assert.equal(isStepMultiple('0.35', '0.1'), false);
+  });
+
+  it('divides a notional into a quantity on the step', () => {
+    assert.equal(divideToStep(100, '60000.1', '0.001'), '0.001');
+    assert.equal(divideToStep(5, '60000', '0.001', true), '0.001');
+    assert.equal(divideToStep(10, '3', '0.01'), '3.33');
+    assert.equal(divideToStep(10, '3', '0.01', true), '3.34');
+    assert.throws(() => divideToStep(1, 0, '0.1'), /Invalid price: 0/);
+  });
+});
+
+describe('quantity helpers', () => {
+  it('leave quantities unrounded without a step size', () => {
+    assert.equal(roundToStepFloor(0.29, '0.01'), '0.29');
+    assert.equal(roundToStepFloor(0.29, null), '0.29');
+  });
+
+  it('raise a quantity to the minimum notional', () => {
+    assert.equal(ensureMinNotional(0.001, 60000, 5, '0.001'), '0.001');
+    assert.equal(ensureMinNotional(10, 0.15, 5, '1'), '34');
+  });
+
+  it('size a quantity from a notional', () => {
+    assert.equal(qtyFromNotional(100, 60000, '0.001', 5), '0.001');
+    assert.equal(qtyFromNotional(100, 0, '0.001', 5), '0');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, AsterdexApiError, MockAsterdexServer } from '../node.js';
+
+describe('hedge mode', () => {
+  const server = new MockAsterdexServer({ account: { balance: 100000 } });
+  let client;
+
+  /**
+   * List the exchange codes of the position mode changes since a point in the request log
+   * @param {number} since - Request log length before the calls
+   * @returns {Array<number|null>} - Error code per request, null on success
+   */
+  const positionModeCodes = (since) => server.requests
+    .slice(since)
+    .filter(request => request.method === 'POST' && request.path === '/fapi/v1/positionSide/dual')
+    .map(request => (request.status === 200 ? null : request.code));
+
+  before(async () => {
+    await server.start();
+    client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+  });
+  after(() => server.stop());
+
+  it('switches to hedge mode and tolerates a change that is already made', async () => {
+    const seen = server.requests.length;
+    assert.deepEqual(await client.setPositionMode(true), { dualSidePosition: true });
+    assert.deepEqual(await client.setPositionMode(true), { dualSidePosition: true });
+
+    assert.deepEqual(positionModeCodes(seen), [null, -4059]);
+    assert.equal(client.hedgeMode, true);
+  });
+
+  it('detects the mode from the exchange in a new client', async () => {
+    const other = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    assert.equal(other.hedgeMode, null);
+    assert.equal(await other.isHedgeMode(), true);
+  });
+
+  it('opens a LONG and a SHORT leg side by side', async () => {
+    const long = await client.placeMarketOrder('BTCUSDT', 'BUY', 0.01);
+    const short = await client.placeMarketOrder('BTCUSDT', 'SELL', 0.02);
+
+    assert.equal(long.positionSide, 'LONG');
+    assert.equal(short.positionSide, 'SHORT');
+    assert.equal(await client.getPositionAmount('BTCUSDT', 'LONG'), 0.01);
+    assert.equal(await client.getPositionAmount('BTCUSDT', 'SHORT'), -0.02);
+    assert.equal(await client.getPositionAmount('BTCUSDT'), -0.01);
+    assert.equal((await client.getOpenPositions('BTCUSDT')).length, 2);
+  });
+
+  it('reports both legs in checkTrade, the larger one first', async () => {
+    const trade = await client.checkTrade('BTCUSDT');
+    assert.equal(trade.positionSide, 'SHORT');
+    assert.deepEqual(trade.legs.map(leg => [leg.positionSide, leg.positionAmt]), [['SHORT', -0.02], ['LONG', 0.01]]);
+
+    const long = await client.checkTrade('BTCUSDT', 'LONG');
+    assert.equal(long.side, 'BUY');
+    assert.equal(long.legs, undefined);
+  });
+
+  it('refuses to change the mode while positions are open', async () => {
+    await assert.rejects(client.setPositionMode(false), (error) => {
+      assert.ok(error instanceof AsterdexApiError);
+      assert.equal(error.code, -4068);
+      return true;
+    });
+    assert.equal(client.hedgeMode, true);
+  });
+
+  it('refuses to guess which leg to close, then closes the one named', async () => {
+    await assert.rejects(client.closePosition('BTCUSDT'), /both LONG and SHORT positions are open for BTCUSDT/);
+
+    const closed = await client.closePosition('BTCUSDT', null, null, 'LONG');
+    assert.equal(closed.positionSide, 'LONG');
+    assert.equal(await client.getPositionAmount('BTCUSDT', 'LONG'), 0);
+    assert.equal(await client.getPositionAmount('BTCUSDT', 'SHORT'), -0.02);
+
+    // One leg left, so it is picked without positionSide
+    const rest = await client.closePosition('BTCUSDT');
+    assert.equal(rest.positionSide, 'SHORT');
+    assert.equal(rest.side, 'BUY');
+    assert.deepEqual(await client.getOpenPositions('BTCUSDT'), []);
+  });
+
+  it('switches back to one-way mode once flat', async () => {
+    assert.deepEqual(await client.setPositionMode(false), { dualSidePosition: false });
+    const order = await client.placeMarketOrder('BTCUSDT', 'BUY', 0.01);
+    assert.equal(order.positionSide, 'BOTH');
+    await client.closePosition('BTCUSDT');
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, Logger, silentLogger, redact, toLogSink, MockAsterdexServer } from '../node.js';
+
+const API_KEY = 'k3yK3yK3yK3yK3yK3yK3yK3y';
+const API_SECRET = 's3cr3tS3cr3tS3cr3tS3cr3t';
+const SIGNATURE = 'c8db56825ae71d6d79447849e617115f4a920fa2acdcab2b053c4b2838bd6b71';
+
+/**
+ * Sink collecting entries
+ * @returns {Function} - Sink with an entries array
+ */
+function createSink() {
+  const sink = (entry) => sink.entries.push(entry);
+  sink.entries = [];
+  return sink;
+}
+
+describe('redaction', () => {
+  it('masks secret fields by name at any depth', () => {
+    const redacted = redact({
+      headers: { 'X-MBX-APIKEY': API_KEY, 'Content-Type': 'application/x-www-form-urlencoded' },
+      params: { symbol: 'BTCUSDT', signature: SIGNATURE },
+      account: [{ apiKey: 'a', secretKey: 'b', secret_key: 'c', api_secret: 'd', Authorization: 'Bearer e' }]
+    });
+
+    assert.deepEqual(redacted, {
+      headers: { 'X-MBX-APIKEY': '[REDACTED]', 'Content-Type': 'application/x-www-form-urlencoded' },
+      params: { symbol: 'BTCUSDT', signature: '[REDACTED]' },
+      account: [{ apiKey: '[REDACTED]', secretKey: '[REDACTED]', secret_key: '[REDACTED]', api_secret: '[REDACTED]', Authorization: '[REDACTED]' }]
+    });
+  });
+
+  it('masks signatures in URLs and bodies and literal secrets anywhere', () => {
+    const redacted = redact({
+      url: `https://fapi.asterdex.com/fapi/v2/balance?timestamp=1&signature=${SIGNATURE}`,
+      body: `symbol=BTCUSDT&signature=${SIGNATURE}&recvWindow=5000`,
+      note: `key ${API_KEY} and secret ${API_SECRET}`,
+      error: Object.assign(new Error(`rejected key ${API_KEY}`), { code: -2015 })
+    }, [API_KEY, API_SECRET]);
+
+    assert.equal(redacted.url, 'https://fapi.asterdex.com/fapi/v2/balance?timestamp=1&signature=[REDACTED]');
+    assert.equal(redacted.body, 'symbol=BTCUSDT&signature=[REDACTED]&recvWindow=5000');
+    assert.equal(redacted.note, 'key [REDACTED] and secret [REDACTED]');
+    assert.deepEqual(redacted.error, { name: 'Error', message: 'rejected key [REDACTED]', code: -2015 });
+  });
+
+  it('copies values and survives cycles', () => {
+    const value = { symbol: 'BTCUSDT' };
+    value.self = value;
+    const redacted = redact(value);
+    assert.equal(redacted.self, '[Circular]');
+    assert.notEqual(redacted, value);
+  });
+});
+
+describe('Logger', () => {
+  it('never hands secrets to a sink, including from child loggers', () => {
+    const sink = createSink();
+    const logger = new Logger(sink, { level: 'debug', secrets: [API_KEY, API_SECRET] });
+    logger.child({ component: 'test' }).warn(`Request failed for ${API_KEY}`, {
+      headers: { 'X-MBX-APIKEY': API_KEY },
+      query: `timestamp=1&signature=${SIGNATURE}`,
+      secretKey: API_SECRET
+    });
+
+    const written = JSON.stringify(sink.entries);
+    for (const secret of [API_KEY, API_SECRET, SIGNATURE]) {
+      assert.equal(written.includes(secret), false);
+    }
+    assert.equal(sink.entries[0].component, 'test');
+    assert.equal(sink.entries[0].message, 'Request failed for [REDACTED]');
+  });
+
+  it('filters by level and ignores a throwing sink', () => {
+    const sink = createSink();
+    const logger = new Logger(sink, { level: 'warn' });
+    logger.info('skipped');
+    logger.error('kept', { symbol: 'BTCUSDT' });
+    assert.deepEqual(sink.entries.map(entry => [entry.level, entry.message, entry.symbol]), [['error', 'kept', 'BTCUSDT']]);
+
+    const throwing = new Logger(() => { throw new Error('sink down'); });
+    assert.doesNotThrow(() => throwing.error('dropped'));
+    assert.throws(() => new Logger(sink, { level: 'trace' }), /logLevel must be one of debug, info, warn, error/);
+  });
+
+  it('adapts objects with level methods', () => {
+    const calls = [];
+    const sink = toLogSink({ debug() {}, info: (message, fields) => calls.push([message, fields]), warn() {}, error() {} });
+    new Logger(sink).info('Order placed', { orderId: 1 });
+    assert.deepEqual(calls, [['Order placed', { orderId: 1 }]]);
+    assert.throws(() => toLogSink({ info() {} }), /logger must be a function or an object with debug, info, warn and error methods/);
+  });
+});
+
+describe('client logging', () => {
+  const server = new MockAsterdexServer({ apiKey: API_KEY, apiSecret: API_SECRET });
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  it('keeps the API key, secret and signatures out of every entry', async () => {
+    const sink = createSink();
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: { maxAttempts: 2, baseDelayMs: 1 }, logger: sink, logLevel: 'debug' });
+    server.injectError({ endpoint: '/fapi/v2/balance', code: -1001, status: 503 });
+    server.injectError({ endpoint: '/fapi/v1/order', code: -2015, msg: `Invalid API-key ${API_KEY}` });
+
+    await client.getBalance();
+    await assert.rejects(client.placeMarketOrder('BTCUSDT', 'BUY', 0.001));
+    await client.createListenKey();
+
+    const written = JSON.stringify(sink.entries);
+    assert.ok(sink.entries.some(entry => entry.message === 'Retrying request'));
+    assert.ok(sink.entries.some(entry => entry.message === 'Request failed' && entry.code === -2015));
+    for (const secret of [API_KEY, API_SECRET]) {
+      assert.equal(written.includes(secret), false);
+    }
+    assert.equal(/signature=(?!\[REDACTED\])/.test(written), false);
+  });
+
+  it('writes nothing without a logger', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false, logLevel: 'debug' });
+    const written = [];
+    const original = {};
+    for (const level of ['log', 'debug', 'info', 'warn', 'error']) {
+      original[level] = console[level];
+      console[level] = (...args) => written.push(args);
+    }
+
+    try {
+      server.injectError({ endpoint: '/fapi/v2/balance', code: -1001, status: 503 });
+      await assert.rejects(client.getBalance());
+      await client.getBalance();
+    } finally {
+      Object.assign(console, original);
+    }
+
+    assert.deepEqual(written, []);
+    assert.equal(client.logger.isEnabled('error'), false);
+    assert.equal(silentLogger.isEnabled('error'), false);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, AsterdexApiError, InsufficientMarginError, MockAsterdexServer } from '../node.js';
+
+describe('isolated margin', () => {
+  const server = new MockAsterdexServer({ account: { balance: 10000 } });
+  let client;
+
+  /**
+   * List the exchange codes of the margin type changes since a point in the request log
+   * @param {number} since - Request log length before the calls
+   * @returns {Array<number|null>} - Error code per request, null on success
+   */
+  const marginTypeCodes = (since) => server.requests
+    .slice(since)
+    .filter(request => request.path === '/fapi/v1/marginType')
+    .map(request => (request.status === 200 ? null : request.code));
+
+  before(async () => {
+    await server.start();
+    client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    await client.setLeverage('BTCUSDT', 10);
+  });
+  after(() => server.stop());
+
+  it('sets the margin type and tolerates one that is already set', async () => {
+    const seen = server.requests.length;
+    assert.deepEqual(await client.setMarginType('BTCUSDT', 'isolated'), { symbol: 'BTCUSDT', marginType: 'ISOLATED' });
+    assert.deepEqual(await client.setMarginType('BTCUSDT', 'ISOLATED'), { symbol: 'BTCUSDT', marginType: 'ISOLATED' });
+    assert.deepEqual(marginTypeCodes(seen), [null, -4046]);
+  });
+
+  it('checks the margin type and direction before sending', async () => {
+    const seen = server.requests.length;
+    await assert.rejects(client.setMarginType('BTCUSDT', 'PORTFOLIO'), /marginType must be ISOLATED or CROSSED, got PORTFOLIO/);
+    await assert.rejects(client.modifyPositionMargin('BTCUSDT', 10, 'MOVE'), /direction must be ADD or REDUCE, got MOVE/);
+    await assert.rejects(client.addPositionMargin('BTCUSDT', 0), /amount must be a positive number/);
+    assert.equal(server.requests.length, seen);
+  });
+
+  it('reports the isolated margin of a position in checkTrade', async () => {
+    await client.placeMarketOrder('BTCUSDT', 'BUY', 0.01);
+    const trade = await client.checkTrade('BTCUSDT');
+
+    assert.equal(trade.marginType, 'ISOLATED');
+    // Notional / leverage, at the fill price just above the last price
+    assert.equal(trade.isolatedWallet.toFixed(2), '60.00');
+    assert.equal(trade.margin, '60.00 USDT (Isolated)');
+    assert.equal(trade.leverage, '10x');
+  });
+
+  it('adds and removes isolated margin and lists the changes', async () => {
+    await client.addPositionMargin('BTCUSDT', 15);
+    await client.reducePositionMargin('BTCUSDT', 5);
+    assert.equal((await client.checkTrade('BTCUSDT')).isolatedWallet.toFixed(2), '70.00');
+
+    // Only 10 USDT above the initial margin is left
+    await assert.rejects(client.reducePositionMargin('BTCUSDT', 20), InsufficientMarginError);
+
+    const history = await client.getPositionMarginHistory('BTCUSDT');
+    assert.deepEqual(history.map(entry => [entry.type, Number(entry.amount)]), [[1, 15], [2, 5]]);
+    await client.getPositionMarginHistory('BTCUSDT', { direction: 'ADD', limit: 10 });
+    const [request] = server.requests.slice(-1);
+    assert.equal(request.path, '/fapi/v1/positionMargin/history');
+    assert.deepEqual({ type: request.params.type, limit: request.params.limit }, { type: '1', limit: '10' });
+  });
+
+  it('refuses to change the margin type of an open position', async () => {
+    await assert.rejects(client.setMarginType('BTCUSDT', 'CROSSED'), (error) => {
+      assert.ok(error instanceof AsterdexApiError);
+      assert.equal(error.code, -4048);
+      return true;
+    });
+
+    await client.closePosition('BTCUSDT');
+    assert.deepEqual(await client.setMarginType('BTCUSDT', 'CROSSED'), { symbol: 'BTCUSDT', marginType: 'CROSSED' });
+  });
+});
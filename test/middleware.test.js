@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AsterdexClient,
+  FetchTransport,
+  MiddlewarePipeline,
+  createRequestContext,
+  MockAsterdexServer
+} from '../node.js';
+
+/**
+ * Transport stand-in answering every request with the same data
+ * @param {*} data - Response data
+ * @returns {Object} - Transport with the requests it received
+ */
+function createTransport(data) {
+  const transport = {
+    requests: [],
+    request: async (request) => {
+      transport.requests.push(request);
+      return { status: 200, headers: {}, data };
+    }
+  };
+  return transport;
+}
+
+describe('MiddlewarePipeline', () => {
+  const context = () => createRequestContext('public', 'get', '/fapi/v1/ticker/price', { symbol: 'BTCUSDT' });
+
+  it('requires at least one hook and can remove middleware again', () => {
+    const pipeline = new MiddlewarePipeline();
+    assert.throws(() => pipeline.use({ before: () => {} }), /middleware must define at least one of beforeRequest, afterResponse, onError/);
+
+    const remove = pipeline.use({ afterResponse: () => {} });
+    assert.equal(pipeline.size, 1);
+    assert.equal(remove(), true);
+    assert.equal(remove(), false);
+    assert.equal(pipeline.size, 0);
+  });
+
+  it('skips the call when beforeRequest returns a response, still running afterResponse', async () => {
+    const calls = [];
+    const pipeline = new MiddlewarePipeline([
+      { beforeRequest: () => { calls.push('first'); } },
+      { beforeRequest: () => ({ price: '1' }) },
+      { beforeRequest: () => { calls.push('third'); } },
+      { afterResponse: (ctx, data) => { calls.push(['after', ctx.shortCircuited, data]); } }
+    ]);
+
+    const data = await pipeline.run(context(), async () => { calls.push('execute'); });
+    assert.deepEqual(data, { price: '1' });
+    assert.deepEqual(calls, ['first', ['after', true, { price: '1' }]]);
+  });
+
+  it('chains afterResponse return values, keeping the data when a hook returns nothing', async () => {
+    const pipeline = new MiddlewarePipeline([
+      { afterResponse: (ctx, data) => ({ ...data, first: true }) },
+      { afterResponse: () => undefined },
+      { afterResponse: async (ctx, data) => ({ ...data, second: true }) }
+    ]);
+
+    assert.deepEqual(await pipeline.run(context(), async () => ({ price: '1' })), { price: '1', first: true, second: true });
+  });
+
+  it('recovers from an error when onError returns a value', async () => {
+    const seen = [];
+    const pipeline = new MiddlewarePipeline([
+      { onError: (ctx, error) => { seen.push(error.message); } },
+      { onError: () => ({ price: 'cached' }) },
+      { onError: () => { seen.push('not reached'); } },
+      { afterResponse: (ctx, data) => ({ ...data, after: true }) }
+    ]);
+
+    const data = await pipeline.run(context(), async () => { throw new Error('down'); });
+    assert.deepEqual(data, { price: 'cached', after: true });
+    assert.deepEqual(seen, ['down']);
+  });
+
+  it('replaces the error when onError throws', async () => {
+    const seen = [];
+    const pipeline = new MiddlewarePipeline([
+      { onError: (ctx, error) => { throw new Error(`wrapped: ${error.message}`); } },
+      { onError: (ctx, error) => { seen.push(error.message); } }
+    ]);
+
+    await assert.rejects(pipeline.run(context(), async () => { throw new Error('down'); }), /^Error: wrapped: down$/);
+    assert.deepEqual(seen, ['wrapped: down']);
+  });
+
+  it('runs onError for a failing beforeRequest', async () => {
+    const pipeline = new MiddlewarePipeline([
+      { beforeRequest: () => { throw new Error('refused'); } },
+      { onError: (ctx, error) => ({ recovered: error.message }) }
+    ]);
+    assert.deepEqual(await pipeline.run(context(), async () => ({})), { recovered: 'refused' });
+  });
+});
+
+describe('middleware in the client', () => {
+  const server = new MockAsterdexServer();
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  it('does not reach the transport when short-circuited', async () => {
+    const transport = createTransport({ symbol: 'BTCUSDT', price: '2' });
+    const client = new AsterdexClient({
+      apiKey: 'key',
+      apiSecret: 'secret',
+      transport,
+      middleware: [{ beforeRequest: (ctx) => (ctx.endpoint === '/fapi/v1/ticker/price' ? { symbol: 'BTCUSDT', price: '1' } : undefined) }]
+    });
+
+    assert.equal(await client.getLastPrice('BTCUSDT'), 1);
+    assert.equal(transport.requests.length, 0);
+  });
+
+  it('signs headers, query and body changed in beforeRequest', async () => {
+    const sent = [];
+    const fetchTransport = new FetchTransport();
+    const client = new AsterdexClient({
+      ...server.clientConfig(),
+      retry: false,
+      transport: { request: (request) => { sent.push(request); return fetchTransport.request(request); } },
+      middleware: [{
+        beforeRequest: (ctx) => {
+          ctx.headers['X-Trace-Id'] = 'trace-1';
+          if (ctx.endpoint === '/fapi/v2/positionRisk') ctx.query.symbol = 'ETHUSDT';
+          if (ctx.endpoint === '/fapi/v1/leverage') ctx.body.leverage = 7;
+        }
+      }]
+    });
+
+    const positions = await client.getPositions('BTCUSDT');
+    assert.ok(positions.every(position => position.symbol === 'ETHUSDT'));
+    assert.deepEqual(await client.setLeverage('BTCUSDT', 5), { leverage: 7, maxNotionalValue: '1000000', symbol: 'BTCUSDT' });
+
+    const received = server.requests.slice(-2);
+    assert.deepEqual(received.map(request => [request.path, request.status]), [['/fapi/v2/positionRisk', 200], ['/fapi/v1/leverage', 200]]);
+    assert.equal(received[0].params.symbol, 'ETHUSDT');
+    assert.equal(received[1].params.leverage, '7');
+    assert.ok(sent.every(request => request.headers['X-Trace-Id'] === 'trace-1'));
+  });
+
+  it('reports the final error of a call to onError after retries', async () => {
+    const errors = [];
+    const client = new AsterdexClient({
+      ...server.clientConfig(),
+      retry: { maxAttempts: 2, baseDelayMs: 1 },
+      middleware: [{ onError: (ctx, error) => { errors.push([ctx.attempt, error.code]); } }]
+    });
+    server.injectError({ endpoint: '/fapi/v1/ticker/price', code: -1001, status: 503, times: 2 });
+
+    await assert.rejects(client.getLastPrice('BTCUSDT'), { code: -1001 });
+    assert.deepEqual(errors, [[2, -1001]]);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AsterdexClient,
+  MockAsterdexServer,
+  createHmacSignature,
+  TimestampError,
+  AuthenticationError,
+  PrecisionError,
+  InsufficientMarginError,
+  RateLimitError
+} from '../node.js';
+
+// Example from the exchange's signed endpoint documentation
+const DOC_SECRET = 'NhqPtmdSJYdKjVHjA7PZj4Mge3R5YNiP1e3UZjInClVN65XAbvqqM6A7H5fATj0j';
+const DOC_QUERY = 'symbol=LTCBTC&side=BUY&type=LIMIT&timeInForce=GTC&quantity=1&price=0.1&recvWindow=5000&timestamp=1499827319559';
+const DOC_SIGNATURE = 'c8db56825ae71d6d79447849e617115f4a920fa2acdcab2b053c4b2838bd6b71';
+
+describe('AsterdexClient against MockAsterdexServer', () => {
+  const server = new MockAsterdexServer({ account: { balance: 1000 } });
+
+  /**
+   * Create a client for the mock server
+   * @param {Object} options - Extra client options
+   * @returns {AsterdexClient} - Client
+   */
+  const createClient = (options = {}) => new AsterdexClient({ ...server.clientConfig(), retry: false, ...options });
+
+  before(() => server.start());
+  after(() => server.stop());
+  afterEach(() => server.clearErrors());
+
+  describe('signing', () => {
+    it('matches the documented HMAC-SHA256 signature', () => {
+      assert.equal(createHmacSignature(DOC_SECRET, DOC_QUERY), DOC_SIGNATURE);
+    });
+
+    it('signs requests the same way with WebCrypto', async () => {
+      const client = new AsterdexClient({ apiKey: 'key', apiSecret: DOC_SECRET });
+      assert.equal(await client.sign(DOC_QUERY), DOC_SIGNATURE);
+    });
+
+    it('is accepted by the server', async () => {
+      const balances = await createClient().getBalance();
+      assert.equal(balances.find(balance => balance.asset === 'USDT').balance, '1000');
+    });
+
+    it('is rejected when made with the wrong secret', async () => {
+      const client = createClient({ apiSecret: 'wrong-secret' });
+      await assert.rejects(client.getBalance(), (error) => {
+        assert.ok(error instanceof AuthenticationError);
+        assert.equal(error.code, -1022);
+        return true;
+      });
+    });
+  });
+
+  describe('recvWindow', () => {
+    const skewed = new MockAsterdexServer({ clockOffsetMs: -20000 });
+
+    before(() => skewed.start());
+    after(() => skewed.stop());
+
+    it('rejects timestamps outside recvWindow with a TimestampError', async () => {
+      const client = new AsterdexClient({ ...skewed.clientConfig(), retry: false, timeSync: false });
+      await assert.rejects(client.getBalance(), (error) => {
+        assert.ok(error instanceof TimestampError);
+        assert.equal(error.code, -1021);
+        assert.equal(error.status, 400);
+        return true;
+      });
+    });
+
+    it('accepts requests once the clock offset is synchronised', async () => {
+      const client = new AsterdexClient({ ...skewed.clientConfig(), retry: false });
+      await client.getBalance();
+      assert.ok(Math.abs(client.timeSync.offset + 20000) < 1000);
+    });
+  });
+
+  describe('injected errors', () => {
+    it('throws a PrecisionError for -1111', async () => {
+      server.injectError({ endpoint: '/fapi/v1/order', code: -1111 });
+      await assert.rejects(createClient().placeMarketOrder('BTCUSDT', 'BUY', 0.001), (error) => {
+        assert.ok(error instanceof PrecisionError);
+        assert.equal(error.code, -1111);
+        assert.equal(error.endpoint, '/fapi/v1/order');
+        return true;
+      });
+    });
+
+    it('throws an InsufficientMarginError for -2019', async () => {
+      server.injectError({ endpoint: '/fapi/v1/order', code: -2019 });
+      await assert.rejects(createClient().placeMarketOrder('BTCUSDT', 'BUY', 0.001), (error) => {
+        assert.ok(error instanceof InsufficientMarginError);
+        assert.equal(error.code, -2019);
+        return true;
+      });
+    });
+
+    it('throws a RateLimitError with Retry-After for 429', async () => {
+      server.injectError({ endpoint: '/fapi/v1/ticker/price', code: -1003, retryAfter: 1 });
+      await assert.rejects(createClient().getLastPrice('BTCUSDT'), (error) => {
+        assert.ok(error instanceof RateLimitError);
+        assert.equal(error.status, 429);
+        assert.equal(error.code, -1003);
+        assert.equal(error.retryAfter, 1000);
+        return true;
+      });
+    });
+  });
+
+  describe('retries', () => {
+    const retry = { baseDelayMs: 1, maxDelayMs: 5 };
+
+    it('retries a 429 and returns the later response', async () => {
+      const attempts = [];
+      const client = createClient({ retry: { ...retry, onRetry: (info) => attempts.push(info.attempt) } });
+      server.injectError({ endpoint: '/fapi/v1/ticker/price', code: -1003, retryAfter: 0, times: 2 });
+
+      assert.equal(await client.getLastPrice('BTCUSDT'), 60000);
+      assert.deepEqual(attempts, [1, 2]);
+    });
+
+    it('retries a transient error on a signed request', async () => {
+      const client = createClient({ retry });
+      const fault = server.injectError({ endpoint: '/fapi/v2/balance', code: -1001, status: 503 });
+      const seen = server.requests.length;
+
+      await client.getBalance();
+      const calls = server.requests.slice(seen).filter(request => request.path === '/fapi/v2/balance');
+      assert.equal(fault.remaining, 0);
+      assert.deepEqual(calls.map(request => request.status), [503, 200]);
+    });
+
+    it('gives up after maxAttempts with the last error', async () => {
+      const client = createClient({ retry: { ...retry, maxAttempts: 3 } });
+      server.injectError({ endpoint: '/fapi/v1/ticker/price', code: -1003, retryAfter: 0, times: Infinity });
+      const seen = server.requests.length;
+
+      await assert.rejects(client.getLastPrice('BTCUSDT'), RateLimitError);
+      const calls = server.requests.slice(seen).filter(request => request.path === '/fapi/v1/ticker/price');
+      assert.deepEqual(calls.map(request => request.status), [429, 429, 429]);
+    });
+
+    it('does not retry errors that will not go away', async () => {
+      const client = createClient({ retry });
+      const fault = server.injectError({ endpoint: '/fapi/v1/order', code: -2019, times: 2 });
+
+      await assert.rejects(client.placeMarketOrder('BTCUSDT', 'BUY', 0.001), InsufficientMarginError);
+      assert.equal(fault.remaining, 1);
+    });
+  });
+});
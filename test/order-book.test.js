@@ -0,0 +1,185 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { OrderBook } from '../index.js';
+import { OrderBookManager } from '../node.js';
+
+/**
+ * Build a parsed depth event
+ * @param {number} first - First update ID (U)
+ * @param {number} final - Final update ID (u)
+ * @param {number} prev - Final update ID of the previous event (pu)
+ * @param {Object} levels - { bids, asks } as [price, qty] pairs
+ * @returns {Object} - Depth event
+ */
+const depth = (first, final, prev, { bids = [], asks = [] } = {}) => ({
+  symbol: 'BTCUSDT',
+  firstUpdateId: first,
+  finalUpdateId: final,
+  prevFinalUpdateId: prev,
+  bids,
+  asks
+});
+
+/**
+ * Stream client stand-in that only routes events
+ */
+class FakeStream extends EventEmitter {
+  subscribeDepth() {}
+  unsubscribe() {}
+}
+
+/**
+ * REST client stand-in serving snapshots, failing while down is set
+ * @param {Object} snapshot - Snapshot returned by getOrderBook()
+ * @returns {Object} - Client with calls, down and snapshot fields
+ */
+function createSnapshotClient(snapshot) {
+  const client = {
+    calls: 0,
+    down: false,
+    snapshot,
+    getOrderBook: async () => {
+      client.calls++;
+      if (client.down) throw new Error('snapshot unavailable');
+      return client.snapshot;
+    }
+  };
+  return client;
+}
+
+const SNAPSHOT = { lastUpdateId: 100, bids: [['59999', '1'], ['59998', '2']], asks: [['60001', '1'], ['60002', '2']] };
+
+describe('OrderBook', () => {
+  it('applies the first event straddling the snapshot, then continuous events', () => {
+    const book = new OrderBook('BTCUSDT');
+    book.loadSnapshot(SNAPSHOT);
+
+    assert.equal(book.applyDiff(depth(90, 99, 89)), 'stale');
+    assert.equal(book.applyDiff(depth(95, 105, 94, { bids: [[59999, 0], [60000, 3]] })), 'applied');
+    assert.equal(book.applyDiff(depth(106, 110, 105, { asks: [[60001, 4]] })), 'applied');
+    assert.deepEqual(book.getBids(), [[60000, 3], [59998, 2]]);
+    assert.deepEqual(book.getAsks(1), [[60001, 4]]);
+    assert.equal(book.lastUpdateId, 110);
+  });
+
+  it('reports gaps in the sequence', () => {
+    const book = new OrderBook('BTCUSDT');
+    book.loadSnapshot(SNAPSHOT);
+    assert.equal(book.applyDiff(depth(102, 105, 101)), 'gap');
+
+    assert.equal(book.applyDiff(depth(99, 105, 98)), 'applied');
+    assert.equal(book.applyDiff(depth(107, 108, 106)), 'gap');
+  });
+});
+
+describe('OrderBookManager', () => {
+  it('syncs from a snapshot and replays buffered events', async () => {
+    const ws = new FakeStream();
+    const manager = new OrderBookManager(createSnapshotClient(SNAPSHOT), 'BTCUSDT', { ws });
+
+    const starting = manager.start();
+    ws.emit('depth', depth(99, 101, 98, { bids: [[60000, 1]] }));
+    await starting;
+    assert.equal(manager.isSynced(), true);
+    assert.equal(manager.book.lastUpdateId, 101);
+    assert.deepEqual(manager.getBestBid(), [60000, 1]);
+    await manager.stop();
+  });
+
+  it('resyncs after a gap', async () => {
+    const ws = new FakeStream();
+    const client = createSnapshotClient(SNAPSHOT);
+    const manager = new OrderBookManager(client, 'BTCUSDT', { ws });
+    const gaps = [];
+    manager.on('gap', (gap) => gaps.push(gap));
+    await manager.start();
+
+    ws.emit('depth', depth(99, 102, 98));
+    client.snapshot = { ...SNAPSHOT, lastUpdateId: 104 };
+    ws.emit('depth', depth(104, 105, 103));
+    assert.deepEqual(gaps, [{ expected: 102, received: 103 }]);
+    await manager.syncing;
+    assert.equal(client.calls, 2);
+    assert.equal(manager.isSynced(), true);
+    assert.equal(manager.book.lastUpdateId, 105);
+    await manager.stop();
+  });
+
+  it('waits between snapshots that are older than the stream', async () => {
+    const ws = new FakeStream();
+    const client = createSnapshotClient({ ...SNAPSHOT, lastUpdateId: 50 });
+    const manager = new OrderBookManager(client, 'BTCUSDT', { ws, maxSyncAttempts: 3, syncRetryDelayMs: 20 });
+
+    const started = Date.now();
+    const starting = manager.start();
+    ws.emit('depth', depth(99, 101, 98));
+    await assert.rejects(starting, /could not sync BTCUSDT after 3 snapshots/);
+    assert.equal(client.calls, 3);
+    // 20ms, then 40ms
+    assert.ok(Date.now() - started >= 55);
+    await manager.stop();
+  });
+
+  it('retries a failed resync on a later event once the backoff has passed', async () => {
+    const ws = new FakeStream();
+    const client = createSnapshotClient(SNAPSHOT);
+    client.down = true;
+    const manager = new OrderBookManager(client, 'BTCUSDT', { ws, maxSyncAttempts: 1, syncRetryDelayMs: 30 });
+    manager.on('error', () => {});
+
+    await assert.rejects(manager.start(), /snapshot unavailable/);
+    assert.equal(manager.failedSyncs, 1);
+
+    ws.emit('depth', depth(99, 101, 98));
+    assert.equal(client.calls, 1);
+
+    client.down = false;
+    await new Promise(resolve => setTimeout(resolve, 40));
+    ws.emit('depth', depth(102, 103, 101));
+    await manager.syncing;
+
+    assert.equal(client.calls, 2);
+    assert.equal(manager.isSynced(), true);
+    assert.equal(manager.book.lastUpdateId, 103);
+    assert.equal(manager.failedSyncs, 0);
+    await manager.stop();
+  });
+
+  it('doubles the backoff per failed resync up to the cap', () => {
+    const manager = new OrderBookManager(createSnapshotClient(SNAPSHOT), 'BTCUSDT', {
+      ws: new FakeStream(),
+      syncRetryDelayMs: 100,
+      maxSyncRetryDelayMs: 300
+    });
+    assert.deepEqual([1, 2, 3, 4].map(attempt => manager.getSyncRetryDelay(attempt)), [100, 200, 300, 300]);
+  });
+
+  it('stops retrying snapshots once stopped', async () => {
+    const ws = new FakeStream();
+    const client = createSnapshotClient({ ...SNAPSHOT, lastUpdateId: 50 });
+    const manager = new OrderBookManager(client, 'BTCUSDT', { ws, syncRetryDelayMs: 20 });
+
+    const starting = manager.start();
+    ws.emit('depth', depth(99, 101, 98));
+    await manager.stop();
+    await starting;
+    assert.equal(client.calls, 1);
+    assert.equal(manager.isSynced(), false);
+  });
+
+  it('cuts the wait between snapshots short when stopped', async () => {
+    const ws = new FakeStream();
+    const client = createSnapshotClient({ ...SNAPSHOT, lastUpdateId: 50 });
+    const manager = new OrderBookManager(client, 'BTCUSDT', { ws, syncRetryDelayMs: 10000 });
+
+    const starting = manager.start();
+    ws.emit('depth', depth(99, 101, 98));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const stoppedAt = Date.now();
+    await manager.stop();
+    await starting;
+    assert.ok(Date.now() - stoppedAt < 1000);
+    assert.equal(client.calls, 1);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AsterdexClient,
+  MockAsterdexServer,
+  OrderValidationError,
+  PrecisionError,
+  validateOrder,
+  getFilterViolations,
+  getPriceRounding,
+  roundPriceToTick,
+  buildMarketOrder,
+  buildLimitOrder,
+  buildStopMarketOrder,
+  buildTakeProfitMarketOrder
+} from '../node.js';
+
+const SYMBOL = {
+  symbol: 'BTCUSDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '0.1', maxPrice: '1000000', tickSize: '0.1' },
+    { filterType: 'LOT_SIZE', minQty: '0.001', maxQty: '1000', stepSize: '0.001' },
+    { filterType: 'MARKET_LOT_SIZE', minQty: '0.001', maxQty: '120', stepSize: '0.001' },
+    { filterType: 'MIN_NOTIONAL', notional: '5' },
+    { filterType: 'PERCENT_PRICE', multiplierUp: '1.05', multiplierDown: '0.95', multiplierDecimal: '4' }
+  ]
+};
+
+/**
+ * Get the fields of an order's violations
+ * @param {Object} order - Order object
+ * @param {Object} options - Check options
+ * @returns {Array<string>} - Violated fields
+ */
+const violatedFields = (order, options) => getFilterViolations(order, SYMBOL, options).map(violation => violation.field);
+
+describe('getFilterViolations', () => {
+  it('accepts an order within every filter', () => {
+    assert.deepEqual(violatedFields(buildLimitOrder('BTCUSDT', 'BUY', 0.01, 60000), { markPrice: 60000 }), []);
+  });
+
+  it('checks quantity against the lot size', () => {
+    assert.deepEqual(violatedFields(buildLimitOrder('BTCUSDT', 'BUY', 0.0005, 60000)), ['quantity', 'quantity']);
+    assert.deepEqual(violatedFields(buildLimitOrder('BTCUSDT', 'BUY', 0.0105, 60000)), ['quantity']);
+    assert.deepEqual(violatedFields(buildLimitOrder('BTCUSDT', 'BUY', 2000, 60000)), ['quantity']);
+  });
+
+  it('uses MARKET_LOT_SIZE for market orders', () => {
+    assert.deepEqual(violatedFields(buildLimitOrder('BTCUSDT', 'BUY', 500, 60000)), []);
+    assert.deepEqual(violatedFields(buildMarketOrder('BTCUSDT', 'BUY', 500)), ['quantity']);
+  });
+
+  it('checks every price field against the tick size', () => {
+    assert.deepEqual(violatedFields(buildLimitOrder('BTCUSDT', 'BUY', 0.01, 60000.05)), ['price']);
+    assert.deepEqual(violatedFields(buildStopMarketOrder('BTCUSDT', 'SELL', 0.01, 59000.01)), ['stopPrice']);
+  });
+
+  it('reports the minimum quantity for a notional below MIN_NOTIONAL', () => {
+    const violations = getFilterViolations(buildLimitOrder('BTCUSDT', 'BUY', 0.001, 1000), SYMBOL);
+    assert.deepEqual(violations, [{ field: 'quantity', message: 'notional 1 is below minNotional 5 (minimum quantity 0.005)' }]);
+  });
+
+  it('skips MIN_NOTIONAL for orders that close a position', () => {
+    const order = buildLimitOrder('BTCUSDT', 'SELL', 0.001, 1000, { reduceOnly: true });
+    assert.deepEqual(violatedFields(order), []);
+  });
+
+  it('checks PERCENT_PRICE only with a mark price', () => {
+    const order = buildLimitOrder('BTCUSDT', 'BUY', 0.01, 70000);
+    assert.deepEqual(violatedFields(order), []);
+    assert.deepEqual(violatedFields(order, { markPrice: 60000 }), ['price']);
+  });
+});
+
+describe('validateOrder', () => {
+  it('reports malformed orders before the filters', () => {
+    const { valid, violations } = validateOrder({ symbol: 'BTCUSDT', side: 'HOLD', type: 'MARKET', quantity: 1 }, SYMBOL);
+    assert.equal(valid, false);
+    assert.deepEqual(violations.map(violation => violation.field), ['side']);
+  });
+
+  it('rounds prices in the safe direction with roundPrices', () => {
+    const buy = validateOrder(buildLimitOrder('BTCUSDT', 'BUY', 0.01, 60000.06), SYMBOL, { roundPrices: true });
+    const sell = validateOrder(buildLimitOrder('BTCUSDT', 'SELL', 0.01, 60000.04), SYMBOL, { roundPrices: true });
+
+    assert.equal(buy.order.price, '60000');
+    assert.equal(sell.order.price, '60000.1');
+    assert.deepEqual(buy.corrections, [{ field: 'price', from: 60000.06, to: '60000' }]);
+    assert.equal(buy.valid && sell.valid, true);
+  });
+
+  it('floors the quantity to the step size with autoCorrect', () => {
+    const result = validateOrder(buildLimitOrder('BTCUSDT', 'BUY', 0.0127, 64123.456), SYMBOL, { autoCorrect: true });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.corrections, [
+      { field: 'quantity', from: 0.0127, to: '0.012' },
+      { field: 'price', from: 64123.456, to: '64123.4' }
+    ]);
+  });
+
+  it('still reports what rounding cannot fix', () => {
+    const result = validateOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.0004), SYMBOL, { autoCorrect: true });
+    assert.equal(result.valid, false);
+    assert.match(result.violations[0].message, /below minQty 0.001/);
+  });
+});
+
+describe('price rounding', () => {
+  it('rounds limit prices away from the market and triggers toward it', () => {
+    assert.equal(getPriceRounding({ side: 'BUY', type: 'LIMIT' }, 'price'), 'down');
+    assert.equal(getPriceRounding({ side: 'SELL', type: 'LIMIT' }, 'price'), 'up');
+    assert.equal(getPriceRounding(buildStopMarketOrder('BTCUSDT', 'SELL', 1, 1), 'stopPrice'), 'up');
+    assert.equal(getPriceRounding(buildTakeProfitMarketOrder('BTCUSDT', 'SELL', 1, 1), 'stopPrice'), 'down');
+  });
+
+  it('rounds to the tick size', () => {
+    assert.equal(roundPriceToTick(64123.41, '0.1', 'up'), '64123.5');
+    assert.equal(roundPriceToTick(64123.49, '0.1', 'down'), '64123.4');
+    assert.equal(roundPriceToTick('0.150009', '0.00001'), '0.15');
+  });
+});
+
+describe('AsterdexClient pre-flight validation', () => {
+  const server = new MockAsterdexServer({ account: { balance: 10000 } });
+
+  /**
+   * Count the orders the server received
+   * @returns {number} - POST /fapi/v1/order requests so far
+   */
+  const orderCount = () => server.requests.filter(request => request.method === 'POST' && request.path === '/fapi/v1/order').length;
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  it('throws an OrderValidationError and sends nothing', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    const sent = orderCount();
+
+    await assert.rejects(client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.0015)), (error) => {
+      assert.ok(error instanceof OrderValidationError);
+      assert.equal(error.endpoint, '/fapi/v1/order');
+      assert.deepEqual(error.violations, [{ field: 'quantity', message: 'quantity 0.0015 is not a multiple of stepSize 0.001' }]);
+      return true;
+    });
+    assert.equal(orderCount(), sent);
+  });
+
+  it('rejects symbols the exchange does not list', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    await client.getExchangeInfo();
+
+    await assert.rejects(client.placeOrder(buildMarketOrder('NOPEUSDT', 'BUY', 1)), /symbol NOPEUSDT is not listed/);
+  });
+
+  it('corrects the order before sending with autoCorrect', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false, orderValidation: { autoCorrect: true } });
+    const order = await client.placeOrder(buildLimitOrder('BTCUSDT', 'BUY', 0.0127, 50000.06));
+
+    assert.equal(order.origQty, '0.012');
+    assert.equal(order.price, '50000');
+  });
+
+  it('validates without sending', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    const sent = orderCount();
+
+    const result = await client.validateOrder(buildLimitOrder('BTCUSDT', 'BUY', 0.01, 90000));
+    assert.equal(result.valid, false);
+    assert.match(result.violations[0].message, /price 90000 is above/);
+    assert.equal(orderCount(), sent);
+  });
+
+  it('leaves the check to the exchange when disabled', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false, orderValidation: false });
+    await assert.rejects(client.placeOrder(buildMarketOrder('BTCUSDT', 'BUY', 0.0015)), PrecisionError);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, AsterdexApiError, PaperExchange, MockAsterdexServer } from '../node.js';
+
+describe('paper trading', () => {
+  const server = new MockAsterdexServer();
+  let client;
+
+  before(async () => {
+    await server.start();
+    client = new AsterdexClient({ ...server.clientConfig(), retry: false, paperTrading: { balance: 1000 } });
+  });
+  after(() => server.stop());
+
+  /**
+   * Count the signed requests that reached the exchange since a point in the request log
+   * @param {number} since - Request log length before the calls
+   * @returns {number} - Requests other than market data
+   */
+  const signedCalls = (since) => server.requests
+    .slice(since)
+    .filter(request => !/^\/fapi\/v1\/(ticker|depth|exchangeInfo|time)/.test(request.path))
+    .length;
+
+  it('fills orders from the simulated account using live prices', async () => {
+    const seen = server.requests.length;
+    const order = await client.placeMarketOrder('BTCUSDT', 'BUY', 0.01);
+
+    assert.equal(order.status, 'FILLED');
+    assert.equal(await client.getPositionAmount('BTCUSDT'), 0.01);
+    assert.ok(await client.getUsdtBalance() < 1000);
+    assert.equal(signedCalls(seen), 0);
+  });
+
+  it('rejects endpoints it does not simulate with a typed error', async () => {
+    const seen = server.requests.length;
+    await assert.rejects(client.signedRequest('GET', '/fapi/v1/userTrades', { symbol: 'BTCUSDT' }), (error) => {
+      assert.ok(error instanceof AsterdexApiError);
+      assert.equal(error.code, -1000);
+      assert.equal(error.status, 400);
+      assert.equal(error.endpoint, '/fapi/v1/userTrades');
+      assert.match(error.message, /GET \/fapi\/v1\/userTrades is not simulated in paper trading mode/);
+      return true;
+    });
+    assert.equal(signedCalls(seen), 0);
+  });
+
+  it('leaves unsigned requests to the exchange', async () => {
+    const exchange = new PaperExchange({ getLastPrice: async () => 1 });
+    assert.equal(await exchange.handle({ security: 'public', method: 'GET', endpoint: '/fapi/v1/ticker/price', params: {} }), undefined);
+  });
+});
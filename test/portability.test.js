@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { AsterdexClient, importHmacKey, signHmac } from '../index.js';
+import { createHmacSignature } from '../node.js';
+import { EventEmitter } from '../src/emitter.js';
+
+// Module hooks failing every import of a Node builtin or the ws package
+const BLOCKING_HOOKS = `
+import { builtinModules } from 'module';
+const blocked = new Set([...builtinModules, ...builtinModules.map(name => 'node:' + name), 'ws']);
+export async function resolve(specifier, context, next) {
+  if (blocked.has(specifier)) throw new Error('blocked import of ' + specifier);
+  return next(specifier, context);
+}`;
+
+/**
+ * Run a module script in a Node process that cannot load Node builtins or ws
+ * @param {string} script - Module source, run with --input-type=module
+ * @returns {Promise<Object>} - { error, stdout, stderr }
+ */
+function runWithoutNodeModules(script) {
+  const toDataURL = (source) => `data:text/javascript,${encodeURIComponent(source)}`;
+  const register = `import { register } from 'module'; register(${JSON.stringify(toDataURL(BLOCKING_HOOKS))});`;
+  return new Promise((resolve) => {
+    execFile(process.execPath, ['--import', toDataURL(register), '--input-type=module', '-e', script], { timeout: 30000 },
+      (error, stdout, stderr) => resolve({ error, stdout, stderr }));
+  });
+}
+
+describe('portable entry point', () => {
+  const entry = (file) => JSON.stringify(fileURLToPath(new URL(`../${file}`, import.meta.url)));
+
+  it('loads, signs and creates streams without Node modules', async () => {
+    const expected = JSON.stringify(createHmacSignature('secret', 'symbol=BTCUSDT'));
+    const { error, stdout, stderr } = await runWithoutNodeModules(`
+      const { AsterdexClient } = await import(${entry('index.js')});
+      const client = new AsterdexClient({ apiKey: 'key', apiSecret: 'secret' });
+      const signed = await client.sign('symbol=BTCUSDT') === ${expected};
+      const book = client.createOrderBook('BTCUSDT');
+      const connect = await book.ws.connect().then(() => 'connected', (error) => error.message);
+      const withFile = new AsterdexClient({ apiKey: 'key', apiSecret: 'secret', precisionCache: { file: 'precision.json' } });
+      const storage = withFile.precisionManager.storage.constructor.name;
+      console.log(JSON.stringify({ signed, connect, storage }));
+    `);
+
+    assert.equal(error, null, stderr);
+    assert.deepEqual(JSON.parse(stdout), {
+      signed: true,
+      connect: 'AsterdexWebSocketClient: the ws package is not available, pass options.WebSocket',
+      storage: 'JsonFilePrecisionStorage'
+    });
+  });
+
+  it('keeps Node-only parts in the node entry', async () => {
+    const { error, stderr } = await runWithoutNodeModules(`await import(${entry('node.js')});`);
+    assert.ok(error);
+    assert.match(stderr, /blocked import of /);
+  });
+});
+
+describe('HMAC signing', () => {
+  it('matches node:crypto for keys and payloads of any length', async () => {
+    for (const [keyLength, payloadLength] of [[1, 0], [1, 55], [64, 56], [65, 64], [200, 1000]]) {
+      const secret = crypto.randomBytes(keyLength).toString('hex').slice(0, keyLength);
+      const payload = 'a=1&b=é'.repeat(payloadLength).slice(0, payloadLength);
+      const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+      assert.equal(await signHmac(await importHmacKey(secret), payload), expected, `key ${keyLength}, payload ${payloadLength}`);
+    }
+  });
+
+  it('signs synchronously from the node entry', () => {
+    assert.equal(createHmacSignature('secret', 'timestamp=1'), crypto.createHmac('sha256', 'secret').update('timestamp=1').digest('hex'));
+  });
+
+  it('imports the signing key once per client', async () => {
+    const client = new AsterdexClient({ apiKey: 'key', apiSecret: 'secret' });
+    await Promise.all([client.sign('a=1'), client.sign('b=2')]);
+    const key = client.signingKey;
+
+    await client.sign('c=3');
+    assert.equal(client.signingKey, key);
+  });
+});
+
+describe('EventEmitter', () => {
+  it('calls listeners in order with the event arguments', () => {
+    const emitter = new EventEmitter();
+    const calls = [];
+    emitter.on('update', (a, b) => calls.push(['first', a, b]));
+    emitter.addListener('update', (a) => calls.push(['second', a]));
+
+    assert.equal(emitter.emit('update', 1, 2), true);
+    assert.equal(emitter.emit('other'), false);
+    assert.deepEqual(calls, [['first', 1, 2], ['second', 1]]);
+  });
+
+  it('removes once listeners after their first call', () => {
+    const emitter = new EventEmitter();
+    let count = 0;
+    const listener = () => count++;
+    emitter.once('tick', listener);
+
+    assert.deepEqual(emitter.listeners('tick'), [listener]);
+    emitter.emit('tick');
+    emitter.emit('tick');
+    assert.equal(count, 1);
+    assert.equal(emitter.listenerCount('tick'), 0);
+  });
+
+  it('removes listeners by reference, including once listeners', () => {
+    const emitter = new EventEmitter();
+    const listener = () => {};
+    emitter.on('a', listener);
+    emitter.once('a', listener);
+    emitter.on('b', listener);
+
+    emitter.off('a', listener);
+    assert.equal(emitter.listenerCount('a'), 1);
+    emitter.removeListener('a', listener);
+    assert.equal(emitter.listenerCount('a'), 0);
+
+    emitter.removeAllListeners();
+    assert.equal(emitter.listenerCount('b'), 0);
+  });
+
+  it('applies changes made during an emit from the next emit', () => {
+    const emitter = new EventEmitter();
+    const calls = [];
+    emitter.on('e', () => {
+      calls.push('first');
+      emitter.on('e', () => calls.push('added'));
+    });
+
+    emitter.emit('e');
+    assert.deepEqual(calls, ['first']);
+  });
+
+  it('throws an error event nobody listens to', () => {
+    const emitter = new EventEmitter();
+    assert.throws(() => emitter.emit('error', new Error('boom')), /boom/);
+    assert.throws(() => emitter.emit('error', 'text'), /Unhandled error event: text/);
+
+    emitter.on('error', () => {});
+    assert.equal(emitter.emit('error', new Error('handled')), true);
+  });
+});
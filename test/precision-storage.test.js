@@ -0,0 +1,162 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import {
+  AsterdexClient,
+  MemoryPrecisionStorage,
+  JsonFilePrecisionStorage,
+  PrecisionManager,
+  resolvePrecisionStorage
+} from '../index.js';
+
+/**
+ * Save namespaces to a file from a separate Node process
+ * @param {string} file - Cache file
+ * @param {string} namespace - Namespace written by the process
+ * @param {number} saves - Number of saves, each adding a symbol
+ * @returns {Promise<void>}
+ */
+function saveFromProcess(file, namespace, saves) {
+  const module = JSON.stringify(new URL('../src/precision-storage.js', import.meta.url).href);
+  const script = `
+    const { JsonFilePrecisionStorage } = await import(${module});
+    const storage = new JsonFilePrecisionStorage(${JSON.stringify(file)});
+    const cache = {};
+    for (let i = 0; i < ${saves}; i++) {
+      cache['SYM' + i] = i % 5;
+      await storage.save(${JSON.stringify(namespace)}, cache);
+    }`;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--input-type=module', '-e', script], { timeout: 30000 },
+      (error, stdout, stderr) => (error ? reject(new Error(stderr || error.message)) : resolve()));
+  });
+}
+
+describe('MemoryPrecisionStorage', () => {
+  it('keeps namespaces apart and hands out copies', () => {
+    const storage = new MemoryPrecisionStorage();
+    const cache = { BTCUSDT: 3 };
+    storage.save('a', cache);
+    cache.BTCUSDT = 1;
+
+    assert.deepEqual(storage.load('a'), { BTCUSDT: 3 });
+    assert.deepEqual(storage.load('b'), {});
+    storage.load('a').ETHUSDT = 2;
+    assert.deepEqual(storage.load('a'), { BTCUSDT: 3 });
+  });
+});
+
+describe('JsonFilePrecisionStorage', () => {
+  let directory;
+  let count = 0;
+  const nextFile = () => path.join(directory, `cache-${++count}`, 'precision.json');
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'asterdex-precision-'));
+  });
+  after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it('creates the file on the first save and reads namespaces back', async () => {
+    const file = nextFile();
+    const storage = new JsonFilePrecisionStorage(file);
+    assert.deepEqual(await storage.load('a'), {});
+
+    await storage.save('a', { BTCUSDT: 3 });
+    await storage.save('b', { ETHUSDT: 2 });
+    assert.deepEqual(await new JsonFilePrecisionStorage(file).load('a'), { BTCUSDT: 3 });
+    assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), { a: { BTCUSDT: 3 }, b: { ETHUSDT: 2 } });
+    assert.deepEqual(await fs.readdir(path.dirname(file)), ['precision.json']);
+  });
+
+  it('loses no namespace when several storages save to one file at once', async () => {
+    const file = nextFile();
+    const namespaces = Array.from({ length: 8 }, (_, i) => `bot-${i}`);
+    await Promise.all(namespaces.map(namespace => new JsonFilePrecisionStorage(file).save(namespace, { BTCUSDT: 3 })));
+
+    assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(file, 'utf8'))).sort(), namespaces);
+  });
+
+  it('loses no namespace when several processes save to one file', async () => {
+    const file = nextFile();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await Promise.all(['a', 'b', 'c'].map(namespace => saveFromProcess(file, namespace, 5)));
+
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.deepEqual(Object.keys(data).sort(), ['a', 'b', 'c']);
+    for (const cache of Object.values(data)) {
+      assert.equal(Object.keys(cache).length, 5);
+    }
+  });
+
+  it('merges symbols saved by another writer into the same namespace', async () => {
+    const file = nextFile();
+    await new JsonFilePrecisionStorage(file).save('a', { BTCUSDT: 3 });
+    await new JsonFilePrecisionStorage(file).save('a', { ETHUSDT: 2 });
+    assert.deepEqual(await new JsonFilePrecisionStorage(file).load('a'), { BTCUSDT: 3, ETHUSDT: 2 });
+  });
+
+  it('waits for the lock and takes over a stale one', async () => {
+    const file = nextFile();
+    const storage = new JsonFilePrecisionStorage(file, { lockTimeoutMs: 60, staleLockMs: 200 });
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(storage.lockPath, '');
+
+    await assert.rejects(storage.save('a', { BTCUSDT: 3 }), /timed out waiting for the lock on/);
+    const old = new Date(Date.now() - 1000);
+    await fs.utimes(storage.lockPath, old, old);
+    await storage.save('a', { BTCUSDT: 3 });
+
+    assert.deepEqual(await storage.load('a'), { BTCUSDT: 3 });
+    await assert.rejects(fs.access(storage.lockPath), { code: 'ENOENT' });
+  });
+
+  it('leaves a corrupt file alone instead of wiping the other namespaces', async () => {
+    const file = nextFile();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, '{"a": {"BTCUSDT": 3}, "b":');
+    const storage = new JsonFilePrecisionStorage(file);
+
+    await assert.rejects(storage.load('a'), /precision\.json is not valid JSON/);
+    await assert.rejects(storage.save('c', { ETHUSDT: 2 }), /is not valid JSON/);
+    assert.equal(await fs.readFile(file, 'utf8'), '{"a": {"BTCUSDT": 3}, "b":');
+    await assert.rejects(fs.access(storage.lockPath), { code: 'ENOENT' });
+  });
+
+  it('logs a failed save through the precision manager', async () => {
+    const file = nextFile();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, 'not json');
+    const entries = [];
+    const logger = { error: (message, fields) => entries.push([message, fields.namespace]) };
+    const manager = new PrecisionManager({ storage: new JsonFilePrecisionStorage(file), namespace: 'a', logger });
+
+    await manager.savePrecisionCache({ BTCUSDT: 3 });
+    assert.deepEqual(entries, [['Failed to save precision cache', 'a']]);
+  });
+});
+
+describe('resolvePrecisionStorage', () => {
+  it('builds adapters from the client option', () => {
+    assert.ok(resolvePrecisionStorage() instanceof MemoryPrecisionStorage);
+    assert.ok(resolvePrecisionStorage('memory') instanceof MemoryPrecisionStorage);
+
+    const file = resolvePrecisionStorage({ file: 'cache.json', lockTimeoutMs: 100 });
+    assert.ok(file instanceof JsonFilePrecisionStorage);
+    assert.equal(file.lockTimeoutMs, 100);
+
+    const custom = { load: () => ({}), save: () => {} };
+    assert.equal(resolvePrecisionStorage(custom), custom);
+    assert.throws(() => resolvePrecisionStorage({ path: 'x' }), /precisionCache must be/);
+  });
+
+  it('touches no file until the cache is used', async () => {
+    const file = path.join(os.tmpdir(), `asterdex-untouched-${process.pid}`, 'precision.json');
+    const client = new AsterdexClient({ apiKey: 'key', apiSecret: 'secret', precisionCache: { file } });
+
+    assert.ok(client.precisionManager.storage instanceof JsonFilePrecisionStorage);
+    await assert.rejects(fs.access(path.dirname(file)), { code: 'ENOENT' });
+  });
+});
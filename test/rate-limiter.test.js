@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AsterdexClient,
+  RateLimiter,
+  AbortError,
+  getRequestWeight,
+  getOrderCount,
+  getRateLimitHeaders
+} from '../index.js';
+
+const SECOND_LIMITS = [
+  { rateLimitType: 'REQUEST_WEIGHT', interval: 'SECOND', intervalNum: 1, limit: 10 },
+  { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 10 }
+];
+
+/**
+ * Check whether a promise has settled, after pending callbacks have run
+ * @param {Promise} promise - Promise to check
+ * @returns {Promise<boolean>} - True if it resolved or rejected
+ */
+async function isSettled(promise) {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  return settled;
+}
+
+describe('rate limit costs', () => {
+  it('weighs endpoints by their parameters', () => {
+    assert.equal(getRequestWeight('GET', '/fapi/v1/depth', { limit: 50 }), 2);
+    assert.equal(getRequestWeight('GET', '/fapi/v1/depth', { limit: 1000 }), 20);
+    assert.equal(getRequestWeight('GET', '/fapi/v1/ticker/price', { symbol: 'BTCUSDT' }), 1);
+    assert.equal(getRequestWeight('GET', '/fapi/v1/ticker/price'), 2);
+    assert.equal(getRequestWeight('GET', '/fapi/v2/balance'), 5);
+  });
+
+  it('counts submitted orders', () => {
+    assert.equal(getOrderCount('POST', '/fapi/v1/order'), 1);
+    assert.equal(getOrderCount('DELETE', '/fapi/v1/order'), 0);
+    assert.equal(getOrderCount('POST', '/fapi/v1/batchOrders', { batchOrders: JSON.stringify([{}, {}, {}]) }), 3);
+  });
+
+  it('picks the usage headers', () => {
+    const headers = { 'X-MBX-USED-WEIGHT-1M': '12', 'x-mbx-order-count-10s': '2', 'content-type': 'application/json' };
+    assert.deepEqual(getRateLimitHeaders(headers), { 'x-mbx-used-weight-1m': '12', 'x-mbx-order-count-10s': '2' });
+  });
+});
+
+describe('RateLimiter', () => {
+  it('tracks usage reported by response headers', () => {
+    const limiter = new RateLimiter();
+    limiter.recordHeaders({ 'x-mbx-used-weight-1m': '120', 'x-mbx-order-count-10s': '4' });
+
+    const usage = Object.fromEntries(limiter.getUsage().map(entry => [entry.key, entry]));
+    assert.equal(usage['REQUEST_WEIGHT:1m'].used, 120);
+    assert.equal(usage['REQUEST_WEIGHT:1m'].remaining, 2280);
+    assert.equal(usage['ORDERS:10s'].used, 4);
+    assert.equal(usage['ORDERS:1m'].used, 0);
+  });
+
+  it('replaces limits with the exchange values and keeps recorded usage', () => {
+    const limiter = new RateLimiter();
+    limiter.recordHeaders({ 'x-mbx-used-weight-1m': '100' });
+    limiter.loadLimits([{ rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 500 }]);
+
+    assert.deepEqual(limiter.getUsage().map(entry => [entry.key, entry.limit, entry.used]), [['REQUEST_WEIGHT:1m', 500, 100]]);
+  });
+
+  it('computes the wait until the limiting window resets', () => {
+    const limiter = new RateLimiter({ limits: SECOND_LIMITS, threshold: 1 });
+    const now = 10_400;
+    limiter.recordHeaders({ 'x-mbx-used-weight-1s': '10' }, now);
+
+    assert.deepEqual(limiter.getWaitTime(1, 0, now), { waitMs: 600, key: 'REQUEST_WEIGHT:1s', keys: ['REQUEST_WEIGHT:1s'] });
+    assert.equal(limiter.getWaitTime(1, 0, now + 600).waitMs, 0);
+  });
+
+  it('stays under the threshold', () => {
+    const limiter = new RateLimiter({ limits: SECOND_LIMITS, threshold: 0.5 });
+    const now = 10_000;
+    limiter.recordHeaders({ 'x-mbx-used-weight-1s': '4' }, now);
+
+    assert.equal(limiter.getWaitTime(1, 0, now).waitMs, 0);
+    assert.equal(limiter.getWaitTime(2, 0, now).key, 'REQUEST_WEIGHT:1s');
+  });
+
+  it('pauses every call after a 429 until Retry-After', () => {
+    const limiter = new RateLimiter();
+    const now = 10_000;
+    limiter.recordErrorResponse({ status: 429, headers: { 'retry-after': '3' } }, now);
+
+    assert.deepEqual(limiter.getWaitTime(1, 0, now), { waitMs: 3000, key: 'RETRY_AFTER', keys: [] });
+  });
+
+  it('reserves the cost of released calls', async () => {
+    const limiter = new RateLimiter({ limits: SECOND_LIMITS });
+    await limiter.acquire({ weight: 3, orders: 1 });
+
+    assert.deepEqual(limiter.getUsage().map(entry => entry.used), [3, 1]);
+  });
+
+  it('only tracks usage when disabled', async () => {
+    const limiter = new RateLimiter(false);
+    limiter.recordHeaders({ 'x-mbx-used-weight-1m': '2400' });
+
+    await limiter.acquire({ weight: 5 });
+    assert.equal(limiter.waiters.length, 0);
+  });
+
+  it('releases calls waiting on the same limit in order', async () => {
+    const throttled = [];
+    const limiter = new RateLimiter({ limits: SECOND_LIMITS, threshold: 1, onThrottle: (info) => throttled.push(info.key) });
+    limiter.recordHeaders({ 'x-mbx-used-weight-1s': '10' });
+
+    const released = [];
+    await Promise.all([
+      limiter.acquire({ weight: 1 }).then(() => released.push('first')),
+      limiter.acquire({ weight: 1 }).then(() => released.push('second'))
+    ]);
+
+    assert.deepEqual(released, ['first', 'second']);
+    assert.deepEqual(throttled, ['REQUEST_WEIGHT:1s']);
+  });
+
+  it('does not hold weight-only calls behind a call waiting for order capacity', async () => {
+    const limiter = new RateLimiter({ limits: SECOND_LIMITS, threshold: 1 });
+    limiter.recordHeaders({ 'x-mbx-order-count-10s': '10' });
+    const controller = new AbortController();
+
+    const order = limiter.acquire({ weight: 1, orders: 1, signal: controller.signal });
+    const marketData = limiter.acquire({ weight: 1 });
+
+    assert.equal(await isSettled(marketData), true);
+    assert.equal(await isSettled(order), false);
+
+    controller.abort();
+    await assert.rejects(order, AbortError);
+  });
+
+  it('holds later calls on a limit an earlier call is waiting for', async () => {
+    const limiter = new RateLimiter({ limits: SECOND_LIMITS, threshold: 1 });
+    limiter.recordHeaders({ 'x-mbx-order-count-10s': '10' });
+    const controller = new AbortController();
+
+    const first = limiter.acquire({ orders: 1, signal: controller.signal });
+    const second = limiter.acquire({ orders: 1, signal: controller.signal });
+
+    assert.equal(await isSettled(second), false);
+    controller.abort();
+    await assert.rejects(first, AbortError);
+    await assert.rejects(second, AbortError);
+  });
+
+  it('rejects an aborted waiter at once and drops it from the queue', async () => {
+    const limiter = new RateLimiter({ limits: SECOND_LIMITS, threshold: 1 });
+    limiter.recordErrorResponse({ status: 429, headers: { 'retry-after': '60' } });
+    const controller = new AbortController();
+
+    const waiting = limiter.acquire({ signal: controller.signal });
+    assert.equal(limiter.waiters.length, 1);
+
+    const started = Date.now();
+    controller.abort();
+    await assert.rejects(waiting, AbortError);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(limiter.waiters.length, 0);
+    assert.equal(limiter.timer, null);
+  });
+
+  it('rejects a call whose signal is already aborted', async () => {
+    const limiter = new RateLimiter();
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(limiter.acquire({ signal: controller.signal }), AbortError);
+    assert.deepEqual(limiter.getUsage().map(entry => entry.used), [0, 0, 0]);
+  });
+});
+
+describe('AsterdexClient throttling', () => {
+  it('records usage from responses', async () => {
+    const client = new AsterdexClient({
+      apiKey: 'key',
+      apiSecret: 'secret',
+      transport: {
+        request: async () => ({
+          status: 200,
+          headers: { 'x-mbx-used-weight-1m': '42' },
+          data: { symbol: 'BTCUSDT', price: '60000' }
+        })
+      }
+    });
+
+    await client.getLastPrice('BTCUSDT');
+    assert.equal(client.getRateLimitUsage().find(entry => entry.key === 'REQUEST_WEIGHT:1m').used, 42);
+  });
+
+  it('rejects a throttled call when its signal aborts', async () => {
+    let calls = 0;
+    const client = new AsterdexClient({
+      apiKey: 'key',
+      apiSecret: 'secret',
+      transport: { request: async () => { calls++; return { status: 200, headers: {}, data: {} }; } }
+    });
+    client.rateLimiter.recordErrorResponse({ status: 429, headers: { 'retry-after': '60' } });
+
+    await assert.rejects(client.getLastPrice('BTCUSDT', { signal: AbortSignal.timeout(20) }), AbortError);
+    assert.equal(calls, 0);
+  });
+});
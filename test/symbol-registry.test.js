@@ -0,0 +1,145 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, SymbolRegistry, AbortError, MockAsterdexServer } from '../node.js';
+
+const EXCHANGE_INFO = {
+  symbols: [{
+    symbol: 'BTCUSDT',
+    status: 'TRADING',
+    filters: [{ filterType: 'LOT_SIZE', minQty: '0.001', maxQty: '1000', stepSize: '0.001' }]
+  }]
+};
+
+/**
+ * Exchange info source failing while down is set
+ * @returns {Function} - Fetch function with calls and down fields
+ */
+function createSource() {
+  const fetch = async () => {
+    fetch.calls++;
+    if (fetch.down) throw new Error('exchange info unavailable');
+    return EXCHANGE_INFO;
+  };
+  fetch.calls = 0;
+  fetch.down = false;
+  return fetch;
+}
+
+describe('SymbolRegistry', () => {
+  it('loads once and serves symbols from the cache', async () => {
+    const source = createSource();
+    const registry = new SymbolRegistry(source);
+
+    await Promise.all([registry.get('btcusdt'), registry.get('BTCUSDT')]);
+    assert.equal((await registry.get('BTCUSDT')).lotSize.stepSize, '0.001');
+    assert.equal(await registry.get('ETHUSDT'), null);
+    assert.equal(source.calls, 1);
+  });
+
+  it('does not retry a failed load on the next call', async () => {
+    const source = createSource();
+    source.down = true;
+    const registry = new SymbolRegistry(source, { failureBackoffMs: 30 });
+
+    assert.equal((await registry.get('BTCUSDT')).source, 'database');
+    await registry.get('BTCUSDT');
+    assert.equal(source.calls, 1);
+    assert.equal(registry.getStatus().failures, 1);
+
+    source.down = false;
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal((await registry.get('BTCUSDT')).source, 'exchange');
+    assert.equal(source.calls, 2);
+    assert.equal(registry.getStatus().failures, 0);
+  });
+
+  it('doubles the backoff per failed load up to the cap', async () => {
+    const source = createSource();
+    source.down = true;
+    const registry = new SymbolRegistry(source, { failureBackoffMs: 10, maxFailureBackoffMs: 15 });
+
+    for (const wait of [0, 12, 16]) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+      await registry.get('BTCUSDT');
+    }
+    assert.equal(source.calls, 3);
+    assert.equal(registry.isBackingOff(), true);
+  });
+
+  it('passes call options to the exchange info request', async () => {
+    const seen = [];
+    const registry = new SymbolRegistry(async (options) => {
+      seen.push(options);
+      return EXCHANGE_INFO;
+    });
+    const { signal } = new AbortController();
+
+    await registry.get('BTCUSDT', { signal, timeout: 1500 });
+    assert.deepEqual(seen, [{ signal, timeout: 1500 }]);
+  });
+
+  it('lets a caller stop waiting for a shared load without counting a failure', async () => {
+    let finish;
+    const registry = new SymbolRegistry(() => new Promise(resolve => { finish = resolve; }));
+    const controller = new AbortController();
+
+    const aborted = registry.get('BTCUSDT', { signal: controller.signal });
+    const waiting = registry.get('BTCUSDT');
+    controller.abort();
+    await assert.rejects(aborted, AbortError);
+
+    finish(EXCHANGE_INFO);
+    assert.equal((await waiting).source, 'exchange');
+    assert.equal(registry.getStatus().failures, 0);
+  });
+
+  it('keeps throwing the load error without a fallback while backing off', async () => {
+    const source = createSource();
+    source.down = true;
+    const registry = new SymbolRegistry(source, { fallback: false });
+
+    await assert.rejects(registry.get('BTCUSDT'), /exchange info unavailable/);
+    await assert.rejects(registry.get('BTCUSDT'), /exchange info unavailable/);
+    assert.equal(source.calls, 1);
+  });
+});
+
+describe('symbol registry in the client', () => {
+  const server = new MockAsterdexServer();
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  it('places orders during an exchange info outage without fetching it per order', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: { maxAttempts: 2, baseDelayMs: 1 } });
+    server.injectError({ endpoint: '/fapi/v1/exchangeInfo', code: -1001, status: 503, times: Infinity });
+    const seen = server.requests.length;
+
+    try {
+      await client.placeMarketOrder('BTCUSDT', 'BUY', 0.001);
+      await client.placeMarketOrder('BTCUSDT', 'SELL', 0.001);
+    } finally {
+      server.clearErrors();
+    }
+
+    const loads = server.requests.slice(seen).filter(request => request.path === '/fapi/v1/exchangeInfo');
+    assert.equal(loads.length, 2);
+    assert.equal(client.symbolRegistry.getStatus().failures, 1);
+  });
+
+  it('gives up a slow exchange info load when the order is aborted', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig() });
+    server.injectError({ endpoint: '/fapi/v1/exchangeInfo', code: -1001, status: 503, delayMs: 300, times: Infinity });
+    const seen = server.requests.length;
+    const started = Date.now();
+
+    try {
+      await assert.rejects(client.placeMarketOrder('BTCUSDT', 'BUY', 0.001, false, null, { signal: AbortSignal.timeout(30) }), AbortError);
+      assert.ok(Date.now() - started < 250);
+    } finally {
+      server.clearErrors();
+    }
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(server.requests.slice(seen).some(request => request.path === '/fapi/v1/order'), false);
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsterdexClient, MockAsterdexServer, TimeSync, AbortError } from '../node.js';
+
+/**
+ * Build a fetchServerTime stub that records its calls
+ * @param {Function} respond - Returns the response of each call, or throws
+ * @returns {Function} - Stub with a calls array
+ */
+function stubServerTime(respond) {
+  const stub = async (options) => {
+    stub.calls.push(options);
+    return respond(stub.calls.length);
+  };
+  stub.calls = [];
+  return stub;
+}
+
+describe('TimeSync', () => {
+  it('measures the offset to the server clock', async () => {
+    const timeSync = new TimeSync(stubServerTime(() => ({ serverTime: Date.now() + 5000 })));
+
+    const offset = await timeSync.sync();
+    assert.ok(Math.abs(offset - 5000) < 50);
+    assert.ok(Math.abs(timeSync.now() - Date.now() - 5000) < 50);
+    assert.equal(timeSync.isStale(), false);
+  });
+
+  it('takes the configured number of samples', async () => {
+    const fetchServerTime = stubServerTime(() => ({ serverTime: Date.now() }));
+    await new TimeSync(fetchServerTime, { samples: 5 }).sync();
+    assert.equal(fetchServerTime.calls.length, 5);
+  });
+
+  it('shares one measurement between concurrent callers', async () => {
+    const fetchServerTime = stubServerTime(() => ({ serverTime: Date.now() }));
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1 });
+
+    await Promise.all([timeSync.sync(), timeSync.sync(), timeSync.ensureSynced()]);
+    assert.equal(fetchServerTime.calls.length, 1);
+  });
+
+  it('only syncs once the offset is stale', async () => {
+    const fetchServerTime = stubServerTime(() => ({ serverTime: Date.now() }));
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1, resyncIntervalMs: 60000 });
+
+    await timeSync.ensureSynced();
+    await timeSync.ensureSynced();
+    assert.equal(fetchServerTime.calls.length, 1);
+
+    timeSync.lastSync = Date.now() - 60000;
+    await timeSync.ensureSynced();
+    assert.equal(fetchServerTime.calls.length, 2);
+  });
+
+  it('uses the local clock when disabled', async () => {
+    const fetchServerTime = stubServerTime(() => ({ serverTime: Date.now() + 5000 }));
+    const timeSync = new TimeSync(fetchServerTime, false);
+
+    await timeSync.ensureSynced();
+    assert.equal(fetchServerTime.calls.length, 0);
+    assert.equal(timeSync.offset, 0);
+  });
+
+  it('rejects responses without serverTime', async () => {
+    const timeSync = new TimeSync(stubServerTime(() => ({})), { samples: 1 });
+    await assert.rejects(timeSync.sync(), /missing serverTime/);
+  });
+
+  it('keeps the last offset when a sync fails', async () => {
+    let down = false;
+    const fetchServerTime = stubServerTime(() => {
+      if (down) throw new Error('connect ECONNREFUSED');
+      return { serverTime: Date.now() + 3000 };
+    });
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1, resyncIntervalMs: 0 });
+    const offset = await timeSync.sync();
+
+    down = true;
+    await timeSync.ensureSynced();
+    assert.equal(timeSync.offset, offset);
+    assert.equal(timeSync.getStatus().lastError, 'connect ECONNREFUSED');
+    assert.equal(timeSync.getStatus().failures, 1);
+  });
+
+  it('backs off after failures, doubling the wait per failure', async () => {
+    const fetchServerTime = stubServerTime(() => { throw new Error('down'); });
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1, failureBackoffMs: 1000, maxFailureBackoffMs: 3000 });
+
+    await timeSync.ensureSynced();
+    await timeSync.ensureSynced();
+    assert.equal(fetchServerTime.calls.length, 1);
+    assert.equal(timeSync.isBackingOff(), true);
+
+    timeSync.lastFailure = Date.now() - 1000;
+    await timeSync.ensureSynced();
+    assert.equal(fetchServerTime.calls.length, 2);
+
+    // Second failure: 2 seconds
+    timeSync.lastFailure = Date.now() - 1000;
+    assert.equal(timeSync.isBackingOff(), true);
+    timeSync.lastFailure = Date.now() - 2000;
+    assert.equal(timeSync.isBackingOff(), false);
+
+    // Capped at maxFailureBackoffMs
+    timeSync.failures = 10;
+    timeSync.lastFailure = Date.now() - 3000;
+    assert.equal(timeSync.isBackingOff(), false);
+  });
+
+  it('resets the backoff after a successful sync', async () => {
+    let down = true;
+    const fetchServerTime = stubServerTime(() => {
+      if (down) throw new Error('down');
+      return { serverTime: Date.now() };
+    });
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1 });
+
+    await timeSync.ensureSynced();
+    down = false;
+    await timeSync.sync();
+    assert.equal(timeSync.failures, 0);
+    assert.equal(timeSync.isBackingOff(), false);
+  });
+
+  it('passes the caller signal and timeout to fetchServerTime', async () => {
+    const fetchServerTime = stubServerTime(() => ({ serverTime: Date.now() }));
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1 });
+    const { signal } = new AbortController();
+
+    await timeSync.ensureSynced({ signal, timeout: 1500 });
+    assert.deepEqual(fetchServerTime.calls, [{ signal, timeout: 1500 }]);
+  });
+
+  it('rejects with an AbortError when the caller aborts, without counting a failure', async () => {
+    const controller = new AbortController();
+    const fetchServerTime = stubServerTime(() => new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1 });
+
+    const syncing = timeSync.ensureSynced({ signal: controller.signal });
+    controller.abort();
+    await assert.rejects(syncing, AbortError);
+    assert.equal(timeSync.failures, 0);
+    assert.equal(timeSync.isBackingOff(), false);
+  });
+
+  it('lets a caller stop waiting for a sync started by another call', async () => {
+    let respond;
+    const fetchServerTime = stubServerTime(() => new Promise(resolve => { respond = resolve; }));
+    const timeSync = new TimeSync(fetchServerTime, { samples: 1 });
+    const controller = new AbortController();
+
+    const first = timeSync.sync();
+    const second = timeSync.sync({ signal: controller.signal });
+    controller.abort();
+    await assert.rejects(second, AbortError);
+
+    respond({ serverTime: Date.now() });
+    assert.equal(typeof await first, 'number');
+  });
+});
+
+describe('AsterdexClient time synchronisation', () => {
+  const server = new MockAsterdexServer({ clockOffsetMs: 30000 });
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  it('signs with the server clock', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    await client.getBalance();
+    assert.ok(Math.abs(client.timeSync.offset - 30000) < 1000);
+  });
+
+  it('resyncs and retries once after -1021', async () => {
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    await client.getBalance();
+
+    server.clockOffsetMs = -30000;
+    try {
+      await client.getBalance();
+      assert.ok(Math.abs(client.timeSync.offset + 30000) < 1000);
+    } finally {
+      server.clockOffsetMs = 30000;
+    }
+  });
+
+  it('applies the call signal to the sync before the request', async () => {
+    const requests = [];
+    const client = new AsterdexClient({
+      apiKey: 'key',
+      apiSecret: 'secret',
+      retry: false,
+      transport: {
+        request: (request) => {
+          requests.push(request);
+          return new Promise((resolve, reject) => {
+            request.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { code: 'ABORT_ERR' })));
+          });
+        }
+      }
+    });
+
+    await assert.rejects(client.getBalance({ signal: AbortSignal.timeout(20) }), AbortError);
+    assert.equal(requests.length, 1);
+    assert.match(requests[0].url, /\/fapi\/v1\/time$/);
+    assert.equal(client.timeSync.failures, 0);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  AsterdexClient,
+  MockAsterdexServer,
+  TrafficRecorder,
+  TrafficReplayer,
+  TrafficReplayError,
+  AsterdexError,
+  InsufficientMarginError,
+  RateLimitError
+} from '../node.js';
+
+/**
+ * Create a client answering every call from a replayer, failing any call that reaches the transport
+ * @param {TrafficReplayer} replayer - Replayer
+ * @returns {AsterdexClient} - Offline client
+ */
+function createOfflineClient(replayer) {
+  return new AsterdexClient({
+    apiKey: 'test',
+    apiSecret: 'test',
+    retry: false,
+    middleware: [replayer.middleware()],
+    transport: { request: async ({ url }) => { throw new Error(`unexpected request to ${url}`); } }
+  });
+}
+
+/**
+ * Run the calls under test, collecting results and error classes
+ * @param {AsterdexClient} client - Client
+ * @returns {Promise<Array>} - Outcome of each call
+ */
+async function runScenario(client) {
+  const outcome = (promise) => promise.then(
+    (value) => ({ value }),
+    (error) => ({ error: error.constructor.name, code: error.code, status: error.status })
+  );
+  return [
+    await outcome(client.getLastPrice('BTCUSDT')),
+    await outcome(client.getUsdtBalance()),
+    await outcome(client.placeMarketOrder('BTCUSDT', 'BUY', 0.001)),
+    await outcome(client.getLastPrice('ETHUSDT'))
+  ];
+}
+
+describe('record and replay', () => {
+  const server = new MockAsterdexServer({ account: { balance: 1000 } });
+  let directory;
+
+  before(async () => {
+    await server.start();
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'asterdex-traffic-'));
+  });
+
+  after(async () => {
+    await server.stop();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('replays a recorded session from a fixture file', async () => {
+    const recorder = new TrafficRecorder({ secrets: [server.apiKey, server.apiSecret] });
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false, middleware: [recorder.middleware()] });
+    server.injectError({ endpoint: '/fapi/v1/order', code: -2019 });
+    server.injectError({ endpoint: '/fapi/v1/ticker/price', code: -1003, retryAfter: 2 });
+    const recorded = await runScenario(client);
+    server.clearErrors();
+
+    const file = path.join(directory, 'nested', 'session.json');
+    await recorder.save(file);
+    const replayer = await TrafficReplayer.fromFile(file);
+    const replayed = await runScenario(createOfflineClient(replayer));
+
+    assert.deepEqual(replayed, recorded);
+    assert.equal(recorded[0].error, 'RateLimitError');
+    assert.equal(recorded[2].error, 'InsufficientMarginError');
+    assert.equal(replayer.remaining, 0);
+  });
+
+  it('redacts the API key, secret and signatures', async () => {
+    const recorder = new TrafficRecorder({ secrets: [server.apiKey, server.apiSecret] });
+    const client = new AsterdexClient({ ...server.clientConfig(), retry: false, middleware: [recorder.middleware()] });
+    await client.getBalance();
+
+    const fixture = JSON.stringify(recorder.toJSON());
+    assert.equal(fixture.includes(server.apiKey), false);
+    assert.equal(fixture.includes(server.apiSecret), false);
+    assert.equal(recorder.entries.some(entry => entry.query?.signature && entry.query.signature !== '[REDACTED]'), false);
+  });
+
+  it('rethrows recorded errors with their class and Retry-After', async () => {
+    const replayer = new TrafficReplayer([
+      { method: 'POST', endpoint: '/fapi/v1/order', status: 400, error: { status: 400, code: -2019, msg: 'Margin is insufficient.' } },
+      { method: 'GET', endpoint: '/fapi/v1/ticker/price', status: 429, error: { status: 429, code: -1003, msg: 'Too many requests', retryAfter: 2000 } }
+    ]);
+    const client = createOfflineClient(replayer);
+
+    await assert.rejects(client.signedRequest('POST', '/fapi/v1/order', {}, { symbol: 'BTCUSDT' }), InsufficientMarginError);
+    await assert.rejects(client.getLastPrice('BTCUSDT'), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.retryAfter, 2000);
+      return true;
+    });
+  });
+
+  it('picks the next matching entry when not strict', async () => {
+    const replayer = new TrafficReplayer([
+      { method: 'GET', endpoint: '/fapi/v1/ticker/24hr', status: 200, data: { symbol: 'BTCUSDT', lastPrice: '1' } },
+      { method: 'GET', endpoint: '/fapi/v1/ticker/price', status: 200, data: { symbol: 'BTCUSDT', price: '2' } }
+    ], { strict: false });
+    const client = createOfflineClient(replayer);
+
+    assert.equal(await client.getLastPrice('BTCUSDT'), 2);
+    assert.equal(replayer.remaining, 1);
+  });
+
+  it('matches parameters when asked, ignoring newClientOrderId', () => {
+    const replayer = new TrafficReplayer([
+      { method: 'POST', endpoint: '/fapi/v1/order', query: {}, body: { symbol: 'BTCUSDT', newClientOrderId: 'a' }, status: 200, data: {} }
+    ], { matchParams: true });
+    const call = (body) => ({ method: 'POST', endpoint: '/fapi/v1/order', query: {}, body });
+
+    assert.throws(() => replayer.next(call({ symbol: 'ETHUSDT', newClientOrderId: 'b' })), {
+      reason: 'mismatch',
+      message: 'TrafficReplayer: expected POST /fapi/v1/order, got POST /fapi/v1/order with different parameters'
+    });
+    assert.equal(replayer.next(call({ symbol: 'BTCUSDT', newClientOrderId: 'b' })).status, 200);
+  });
+
+  describe('TrafficReplayError', () => {
+    it('is thrown for a fixture without entries', () => {
+      assert.throws(() => new TrafficReplayer({}), (error) => {
+        assert.ok(error instanceof TrafficReplayError);
+        assert.ok(error instanceof AsterdexError);
+        assert.equal(error.reason, 'invalidFixture');
+        return true;
+      });
+    });
+
+    it('names the recorded call on a mismatch', async () => {
+      const replayer = new TrafficReplayer([{ method: 'GET', endpoint: '/fapi/v1/ticker/price', status: 200, data: { price: '1' } }]);
+      const client = createOfflineClient(replayer);
+
+      await assert.rejects(client.get24hrTicker('BTCUSDT'), (error) => {
+        assert.ok(error instanceof TrafficReplayError);
+        assert.equal(error.reason, 'mismatch');
+        assert.equal(error.endpoint, '/fapi/v1/ticker/24hr');
+        assert.deepEqual({ method: error.expected.method, endpoint: error.expected.endpoint }, { method: 'GET', endpoint: '/fapi/v1/ticker/price' });
+        return true;
+      });
+    });
+
+    it('is thrown once the fixture is used up', async () => {
+      const replayer = new TrafficReplayer([{ method: 'GET', endpoint: '/fapi/v1/ticker/price', status: 200, data: { price: '1' } }]);
+      const client = createOfflineClient(replayer);
+
+      assert.equal(await client.getLastPrice('BTCUSDT'), 1);
+      await assert.rejects(client.getLastPrice('BTCUSDT'), { name: 'TrafficReplayError', reason: 'exhausted' });
+    });
+  });
+});
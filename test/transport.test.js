@@ -0,0 +1,84 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import {
+  AsterdexClient,
+  AxiosTransport,
+  MockAsterdexServer,
+  NetworkError,
+  RateLimitError,
+  AbortError
+} from '../node.js';
+
+describe('AxiosTransport against MockAsterdexServer', () => {
+  const server = new MockAsterdexServer({ account: { balance: 1000 } });
+
+  /**
+   * Create a client sending requests through axios
+   * @param {Object} options - Extra client options
+   * @returns {AsterdexClient} - Client
+   */
+  const createClient = (options = {}) => new AsterdexClient({
+    ...server.clientConfig(),
+    retry: false,
+    transport: new AxiosTransport(axios),
+    ...options
+  });
+
+  before(() => server.start());
+  after(() => server.stop());
+  afterEach(() => server.clearErrors());
+
+  it('sends public and signed requests', async () => {
+    const client = createClient();
+
+    assert.equal(await client.getLastPrice('BTCUSDT'), 60000);
+    const order = await client.placeMarketOrder('BTCUSDT', 'BUY', 0.01);
+    assert.equal(order.status, 'FILLED');
+    assert.equal(await client.getPositionAmount('BTCUSDT'), 0.01);
+    await client.closePositionExact('BTCUSDT', 0.01, 'SELL');
+  });
+
+  it('wraps an axios instance passed as the transport', async () => {
+    const client = createClient({ transport: axios.create() });
+
+    assert.ok(client.transport instanceof AxiosTransport);
+    assert.equal(await client.getLastPrice('BTCUSDT'), 60000);
+  });
+
+  it('resolves error statuses so the client throws typed errors', async () => {
+    server.injectError({ endpoint: '/fapi/v1/ticker/price', code: -1003, retryAfter: 1 });
+    await assert.rejects(createClient().getLastPrice('BTCUSDT'), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfter, 1000);
+      return true;
+    });
+  });
+
+  it('rejects with the socket error code when no response arrives', async () => {
+    const stopped = new MockAsterdexServer();
+    await stopped.start();
+    const config = stopped.clientConfig();
+    await stopped.stop();
+
+    await assert.rejects(createClient(config).getLastPrice('BTCUSDT'), (error) => {
+      assert.ok(error instanceof NetworkError);
+      assert.equal(error.code, 'ECONNREFUSED');
+      return true;
+    });
+  });
+
+  it('reports a timeout and cancels on an aborted signal', async () => {
+    server.injectError({ endpoint: '/fapi/v1/ticker/price', code: -1003, delayMs: 500, times: 2 });
+    await assert.rejects(createClient().getLastPrice('BTCUSDT', { timeout: 50 }), (error) => {
+      assert.ok(error instanceof NetworkError);
+      assert.equal(error.timedOut, true);
+      return true;
+    });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(createClient().getLastPrice('BTCUSDT', { signal: controller.signal }), AbortError);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { AsterdexClient, MockAsterdexServer } from '../node.js';
+
+/**
+ * WebSocket stand-in with the ws API, opening or refusing on the next tick
+ */
+class FakeSocket extends EventEmitter {
+  static instances = [];
+  static refuse = false;
+
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+
+    setImmediate(() => {
+      if (FakeSocket.refuse) {
+        this.readyState = 3;
+        this.emit('error', Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+        this.emit('close', 1006, '');
+      } else {
+        this.readyState = 1;
+        this.emit('open');
+      }
+    });
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  ping() {}
+
+  terminate() {
+    this.close();
+  }
+
+  close() {
+    this.readyState = 3;
+    setImmediate(() => this.emit('close', 1000, ''));
+  }
+
+  receive(message) {
+    this.emit('message', JSON.stringify(message));
+  }
+}
+
+describe('AsterdexUserDataStream', () => {
+  const server = new MockAsterdexServer();
+  let client;
+
+  /**
+   * List the listenKey calls the server received since a point in the request log
+   * @param {number} since - Request log length before the calls
+   * @returns {Array<string>} - HTTP methods
+   */
+  const listenKeyCalls = (since) => server.requests
+    .slice(since)
+    .filter(request => request.path === '/fapi/v1/listenKey')
+    .map(request => request.method);
+
+  before(() => server.start());
+  after(() => server.stop());
+  beforeEach(() => {
+    client = new AsterdexClient({ ...server.clientConfig(), retry: false });
+    FakeSocket.instances = [];
+    FakeSocket.refuse = false;
+  });
+
+  it('creates a listenKey and subscribes to it', async () => {
+    const stream = client.createUserDataStream({ WebSocket: FakeSocket });
+    const listenKey = await stream.start();
+
+    assert.equal(typeof listenKey, 'string');
+    assert.equal(await stream.start(), listenKey);
+    assert.equal(FakeSocket.instances.length, 1);
+    assert.deepEqual(FakeSocket.instances[0].sent, [{ method: 'SUBSCRIBE', params: [listenKey], id: 1 }]);
+    await stream.stop();
+  });
+
+  it('emits orderUpdate and fill events', async () => {
+    const stream = client.createUserDataStream({ WebSocket: FakeSocket });
+    const listenKey = await stream.start();
+    const events = [];
+    stream.on('orderUpdate', (order) => events.push(['orderUpdate', order.executionType, order.lastFilledQty]));
+    stream.on('fill', (order) => events.push(['fill', order.orderId]));
+
+    const order = (x, l) => ({ s: 'BTCUSDT', c: 'adx-1', S: 'BUY', o: 'LIMIT', x, X: 'NEW', i: 7, l, z: l, q: '1', p: '60000', ap: '0', sp: '0', L: '0' });
+    for (const [x, l] of [['NEW', '0'], ['TRADE', '0.5']]) {
+      FakeSocket.instances[0].receive({ stream: listenKey, data: { e: 'ORDER_TRADE_UPDATE', E: 1, T: 1, o: order(x, l) } });
+    }
+
+    assert.deepEqual(events, [['orderUpdate', 'NEW', 0], ['orderUpdate', 'TRADE', 0.5], ['fill', 7]]);
+    await stream.stop();
+  });
+
+  it('closes the listenKey and resets when the connection fails', async () => {
+    const stream = client.createUserDataStream({ WebSocket: FakeSocket, reconnect: false });
+    const seen = server.requests.length;
+    FakeSocket.refuse = true;
+
+    await assert.rejects(stream.start(), /ECONNREFUSED/);
+    assert.equal(stream.listenKey, null);
+    assert.deepEqual(stream.ws.getSubscriptions(), []);
+    assert.equal(stream.keepAliveTimer, null);
+    assert.deepEqual(listenKeyCalls(seen), ['POST', 'DELETE']);
+
+    FakeSocket.refuse = false;
+    const listenKey = await stream.start();
+    assert.deepEqual(stream.ws.getSubscriptions(), [listenKey]);
+    await stream.stop();
+  });
+
+  it('reports a failed cleanup as an error event and still throws the connect error', async () => {
+    const stream = client.createUserDataStream({ WebSocket: FakeSocket, reconnect: false });
+    const errors = [];
+    stream.on('error', (error) => errors.push(error.message));
+    client.closeListenKey = async () => { throw new Error('cleanup failed'); };
+    FakeSocket.refuse = true;
+
+    await assert.rejects(stream.start(), /ECONNREFUSED/);
+    assert.ok(errors.includes('cleanup failed'));
+    assert.equal(stream.listenKey, null);
+  });
+
+  it('closes the listenKey on stop', async () => {
+    const stream = client.createUserDataStream({ WebSocket: FakeSocket });
+    await stream.start();
+    const seen = server.requests.length;
+
+    await stream.stop();
+    assert.equal(stream.listenKey, null);
+    assert.deepEqual(listenKeyCalls(seen), ['DELETE']);
+  });
+});
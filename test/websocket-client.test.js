@@ -0,0 +1,226 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { AsterdexWebSocketClient } from '../node.js';
+
+/**
+ * WebSocket stand-in with the ws API, opening on the next tick and answering pings unless told not to
+ */
+class FakeSocket extends EventEmitter {
+  static instances = [];
+  static answerPings = true;
+
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.pings = 0;
+    FakeSocket.instances.push(this);
+    setImmediate(() => {
+      if (this.readyState !== 0) return;
+      this.readyState = 1;
+      this.emit('open');
+    });
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  ping() {
+    this.pings++;
+    if (FakeSocket.answerPings) setImmediate(() => this.emit('pong'));
+  }
+
+  terminate() {
+    this.drop(1006);
+  }
+
+  close() {
+    this.drop(1000);
+  }
+
+  drop(code) {
+    if (this.readyState === 3) return;
+    this.readyState = 3;
+    setImmediate(() => this.emit('close', code, ''));
+  }
+
+  receive(message) {
+    this.emit('message', JSON.stringify(message));
+  }
+}
+
+/**
+ * Wait for an event of an emitter
+ * @param {EventEmitter} emitter - Emitter
+ * @param {string} event - Event name
+ * @returns {Promise<Array>} - Event arguments
+ */
+const next = (emitter, event) => new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+
+const latest = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+describe('AsterdexWebSocketClient', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    FakeSocket.answerPings = true;
+  });
+
+  /**
+   * Create a client on the fake socket
+   * @param {Object} options - Client options
+   * @returns {AsterdexWebSocketClient} - Client
+   */
+  const createClient = (options = {}) => new AsterdexWebSocketClient({
+    WebSocket: FakeSocket,
+    wsURL: 'wss://example.test/',
+    reconnectDelayMs: 5,
+    pingIntervalMs: 0,
+    ...options
+  });
+
+  it('subscribes registered streams on connect and sends later changes', async () => {
+    const client = createClient();
+    client.subscribeAggTrade('BTCUSDT');
+    assert.equal(FakeSocket.instances.length, 0);
+
+    await client.connect();
+    const socket = latest();
+    assert.equal(socket.url, 'wss://example.test/stream');
+    client.subscribeMarkPrice('ETHUSDT', '1s');
+    client.subscribeAggTrade('BTCUSDT');
+    client.unsubscribe('btcusdt@aggTrade');
+
+    assert.deepEqual(socket.sent, [
+      { method: 'SUBSCRIBE', params: ['btcusdt@aggTrade'], id: 1 },
+      { method: 'SUBSCRIBE', params: ['ethusdt@markPrice@1s'], id: 2 },
+      { method: 'UNSUBSCRIBE', params: ['btcusdt@aggTrade'], id: 3 }
+    ]);
+    assert.deepEqual(client.getSubscriptions(), ['ethusdt@markPrice@1s']);
+    await client.close();
+  });
+
+  it('emits parsed stream events and failed request replies', async () => {
+    const client = createClient();
+    const errors = [];
+    client.on('error', (error) => errors.push(error.message));
+    await client.connect();
+
+    const trade = next(client, 'aggTrade');
+    latest().receive({ stream: 'btcusdt@aggTrade', data: { e: 'aggTrade', E: 1, s: 'BTCUSDT', a: 7, p: '60000.5', q: '0.25', f: 1, l: 2, T: 1, m: false } });
+    const [event, stream] = await trade;
+    assert.deepEqual([event.symbol, event.price, event.quantity, stream], ['BTCUSDT', 60000.5, 0.25, 'btcusdt@aggTrade']);
+
+    latest().receive({ id: 4, error: { code: 2, msg: 'Invalid request' } });
+    latest().emit('message', 'not json');
+    assert.deepEqual(errors, [
+      'AsterdexWebSocketClient: request 4 failed: Invalid request',
+      'AsterdexWebSocketClient: invalid JSON message: not json'
+    ]);
+    await client.close();
+  });
+
+  it('reconnects after a drop and resubscribes every stream', async () => {
+    const client = createClient();
+    client.subscribe(['btcusdt@aggTrade', 'btcusdt@depth@100ms']);
+    await client.connect();
+
+    const reconnecting = next(client, 'reconnecting');
+    const reconnected = next(client, 'reconnected');
+    latest().terminate();
+
+    assert.deepEqual((await reconnecting)[0], { attempt: 1, delay: 5 });
+    await reconnected;
+    assert.equal(FakeSocket.instances.length, 2);
+    assert.deepEqual(latest().sent, [{ method: 'SUBSCRIBE', params: ['btcusdt@aggTrade', 'btcusdt@depth@100ms'], id: 2 }]);
+    assert.equal(client.reconnectAttempts, 0);
+    await client.close();
+  });
+
+  it('keeps a connection that answers pings', async () => {
+    const client = createClient({ pingIntervalMs: 5, pongTimeoutMs: 20 });
+    await client.connect();
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.ok(latest().pings >= 3);
+    assert.equal(FakeSocket.instances.length, 1);
+    assert.equal(client.isConnected(), true);
+    await client.close();
+  });
+
+  it('drops and reconnects a connection that stops answering pings', async () => {
+    const client = createClient({ pingIntervalMs: 5, pongTimeoutMs: 20 });
+    await client.connect();
+    FakeSocket.answerPings = false;
+
+    const [code] = await next(client, 'close');
+    assert.equal(code, 1006);
+    FakeSocket.answerPings = true;
+    await next(client, 'reconnected');
+    assert.equal(FakeSocket.instances.length, 2);
+    await client.close();
+  });
+
+  it('stops reconnecting once closed', async () => {
+    const client = createClient();
+    await client.connect();
+    const closes = [];
+    client.on('close', (code) => closes.push(code));
+
+    await client.close();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepEqual(closes, [1000]);
+    assert.equal(client.isConnected(), false);
+    assert.equal(FakeSocket.instances.length, 1);
+  });
+
+  it('does not leave a socket open when closed while a reconnect is opening it', async () => {
+    const client = createClient();
+    await client.connect();
+
+    // Hold the reconnect inside open() until close() has run
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const loading = new Promise(resolve => {
+      client.loadWebSocket = async () => {
+        resolve();
+        await gate;
+        return FakeSocket;
+      };
+    });
+    const reconnected = [];
+    client.on('reconnected', () => reconnected.push(true));
+
+    latest().terminate();
+    await loading;
+    await client.close();
+    release();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.equal(FakeSocket.instances.length, 1);
+    assert.equal(client.isConnected(), false);
+    assert.deepEqual(reconnected, []);
+  });
+
+  it('terminates a socket that opens after close()', async () => {
+    const client = createClient();
+    const opens = [];
+    client.on('open', () => opens.push(true));
+    const connecting = client.connect();
+    await new Promise(resolve => setImmediate(resolve));
+
+    // A socket that cannot be closed before its handshake and opens anyway
+    const socket = latest();
+    socket.close = () => {};
+    const closing = client.close();
+    await connecting;
+    await closing;
+
+    assert.equal(socket.readyState, 3);
+    assert.deepEqual(socket.sent, []);
+    assert.deepEqual(opens, []);
+    assert.equal(client.pingTimer, null);
+  });
+});